@@ -111,6 +111,32 @@ export async function translateWithCache(text, sourceLang, targetLang, options =
     });
 }
 
+// ========== 묶음 번역 API (세그먼트 배열을 한 번의 요청으로) ==========
+// segments: [{ id, text }] → 서버에서 세그먼트별 캐시 확인 후 미스만 묶어서 번역
+export async function translateBatch(segments, targetLang, options = {}) {
+    const { authToken, ...rest } = options;
+
+    const response = await fetch(API_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(authToken && { 'Authorization': `Bearer ${authToken}` })
+        },
+        body: JSON.stringify({
+            action: 'translate-batch',
+            segments,
+            targetLang,
+            ...rest
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`묶음 번역 API 오류: ${response.status}`);
+    }
+
+    return response.json();
+}
+
 // ========== TTS API (중복 방지) ==========
 export async function getTTSWithCache(text, language, options = {}) {
     const cacheKey = `tts:${text}:${language}:${JSON.stringify(options)}`;
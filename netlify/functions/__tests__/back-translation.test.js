@@ -0,0 +1,108 @@
+// back-translation.js 역번역 유사도(문자 n-gram 대체 경로) / translate.js verify 액션 테스트 (node --test)
+// OpenAI 키가 없으면 임베딩 대신 색인 키 Dice 계수(lexical)로 비교한다
+delete process.env.OPENAI_API_KEY;
+delete process.env.GEMINI_API_KEY;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { registerProvider } = require('../providers');
+const { compareMeaning } = require('../back-translation');
+
+// 역번역 결과를 요청마다 정해 두는 프로바이더
+let nextBackTranslation = '';
+registerProvider({
+  id: 'test-verify',
+  name: 'Test Verify',
+  models: ['test-verify'],
+  capabilities: { requiresApiKey: false, jsonMode: true },
+  async translate() {
+    return { translation: nextBackTranslation, pronunciation_hangul: '' };
+  }
+});
+
+const { handler } = require('../translate');
+
+const CASES = [
+  {
+    name: '같은 문장은 유사도 100, 불일치 없음',
+    original: '안전모를 착용하십시오.',
+    back: '안전모를 착용하십시오.',
+    similarity: [100, 100],
+    diverging: [false]
+  },
+  {
+    name: '한 문장만 다르면 그 문장만 불일치로 표시',
+    original: '작업 전 설비를 점검하십시오. 안전모를 착용하십시오.',
+    back: '점심 시간은 12시입니다. 안전모를 착용하십시오.',
+    similarity: [30, 70],
+    diverging: [true, false]
+  },
+  {
+    name: '전혀 다른 문장은 유사도 0에 가깝다',
+    original: '볼트를 조이십시오.',
+    back: '점심 시간입니다.',
+    similarity: [0, 10],
+    diverging: [true]
+  },
+  {
+    name: '빈 역번역은 유사도 0',
+    original: '볼트를 조이십시오.',
+    back: '',
+    similarity: [0, 0],
+    diverging: [true]
+  }
+];
+
+for (const { name, original, back, similarity: [min, max], diverging } of CASES) {
+  test(`compareMeaning (lexical): ${name}`, async () => {
+    const result = await compareMeaning(original, back, 'Korean', {});
+
+    assert.equal(result.method, 'lexical');
+    const percent = Math.round(result.similarity * 100);
+    assert.ok(percent >= min && percent <= max, `유사도 ${percent}`);
+    assert.deepEqual(result.sentences.map(s => s.diverging), diverging);
+  });
+}
+
+test('문장 수가 다르면 원문 문장마다 가장 비슷한 역번역 문장과 짝짓는다', async () => {
+  const result = await compareMeaning(
+    '작업 전 점검. 장갑 착용.',
+    '장갑 착용. 추가 설명 문장입니다. 작업 전 점검.',
+    'Korean',
+    {}
+  );
+
+  assert.deepEqual(result.sentences.map(s => s.backTranslation), ['작업 전 점검.', '장갑 착용.']);
+  assert.ok(result.sentences.every(s => !s.diverging));
+});
+
+test('verify 액션은 역번역과 문장별 결과를 돌려주고 필수 값이 없으면 400', async () => {
+  nextBackTranslation = '점심 시간입니다.';
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: {},
+    body: JSON.stringify({
+      action: 'verify',
+      model: 'test-verify',
+      inputText: '볼트를 조이십시오.',
+      translation: 'Hãy siết bu lông.',
+      targetLang: 'Vietnamese'
+    })
+  });
+
+  assert.equal(response.statusCode, 200, response.body);
+  const { verification } = JSON.parse(response.body);
+  assert.equal(verification.backTranslation, '점심 시간입니다.');
+  assert.equal(verification.sourceLang, 'Korean');
+  assert.equal(verification.method, 'lexical');
+  assert.equal(verification.divergingCount, 1);
+  assert.equal(verification.independent, false);
+
+  const missing = await handler({
+    httpMethod: 'POST',
+    headers: {},
+    body: JSON.stringify({ action: 'verify', inputText: '전원', targetLang: 'Vietnamese' })
+  });
+  assert.equal(missing.statusCode, 400);
+});
@@ -0,0 +1,197 @@
+// cat-files.js PO / XLIFF 파싱 / 직렬화 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  catLanguage,
+  catLanguageName,
+  detectCatFormat,
+  parsePo,
+  serializePo,
+  poPluralCount,
+  isPoUntranslated,
+  markPoNeedsReview,
+  decodeXml,
+  getAttribute,
+  escapeXml,
+  protectInlineXml,
+  extractXliffUnits,
+  applyXliffTargets,
+  ensureXliffTargetLanguage
+} = require('../cat-files');
+
+const PO = [
+  'msgid ""',
+  'msgstr ""',
+  '"Language: vi\\n"',
+  '"Plural-Forms: nplurals=1; plural=0;\\n"',
+  '',
+  '#. 버튼 라벨',
+  '#: src/menu.js:12',
+  'msgctxt "menu"',
+  'msgid "Open \\"file\\"\\tnow\\\\"',
+  'msgstr ""',
+  '',
+  '#, c-format',
+  'msgid "%d file"',
+  'msgid_plural "%d files"',
+  'msgstr[0] ""',
+  'msgstr[1] ""',
+  '',
+  'msgid ""',
+  '"Line one\\n"',
+  '"Line two"',
+  'msgstr "Dòng"',
+  '',
+  '#~ msgid "old"',
+  '#~ msgstr "cũ"',
+  ''
+].join('\n');
+
+test('PO 이스케이프 / msgctxt / 복수형 / 여러 줄 문자열을 해석한다', () => {
+  const { entries } = parsePo(PO);
+  assert.equal(entries.length, 5);
+
+  assert.equal(entries[1].msgctxt, 'menu');
+  assert.equal(entries[1].msgid, 'Open "file"\tnow\\');
+  assert.deepEqual(entries[1].comments, ['#. 버튼 라벨', '#: src/menu.js:12']);
+
+  assert.equal(entries[2].msgid_plural, '%d files');
+  assert.deepEqual(entries[2].msgstr, ['', '']);
+  assert.deepEqual(entries[2].flags, ['c-format']);
+
+  assert.equal(entries[3].msgid, 'Line one\nLine two');
+  assert.equal(entries[4].obsolete, true);
+  assert.equal(poPluralCount({ entries }), 1);
+});
+
+test('PO는 바꾸지 않으면 원문 그대로 직렬화되고 CRLF도 읽는다', () => {
+  assert.equal(serializePo(parsePo(PO)), PO);
+  assert.deepEqual(parsePo(PO.replace(/\n/g, '\r\n')).entries.map(e => e.msgid), parsePo(PO).entries.map(e => e.msgid));
+});
+
+test('미번역 항목만 골라낸다 (헤더, 번역된 항목, 폐기 항목 제외)', () => {
+  const { entries } = parsePo(PO);
+  assert.deepEqual(entries.map(isPoUntranslated), [false, true, true, false, false]);
+  assert.equal(isPoUntranslated({ ...entries[2], msgstr: ['', '%d tệp'] }), false);
+});
+
+test('기계 번역 항목은 fuzzy와 주석을 붙이고 번역문을 이스케이프해 쓴다', () => {
+  const doc = parsePo(PO);
+  const [, single, plural] = doc.entries;
+
+  single.msgstr = 'Mở "tệp"\nngay';
+  markPoNeedsReview(single);
+  plural.msgstr = ['%d tệp'];
+  markPoNeedsReview(plural);
+  markPoNeedsReview(plural); // 두 번 표시해도 중복되지 않음
+
+  const blocks = serializePo(doc).split('\n\n');
+  assert.equal(blocks[1], [
+    '# machine-translated',
+    '#. 버튼 라벨',
+    '#: src/menu.js:12',
+    '#, fuzzy',
+    'msgctxt "menu"',
+    'msgid "Open \\"file\\"\\tnow\\\\"',
+    'msgstr ""',
+    '"Mở \\"tệp\\"\\n"',
+    '"ngay"'
+  ].join('\n'));
+  assert.equal(blocks[2], [
+    '# machine-translated',
+    '#, c-format, fuzzy',
+    'msgid "%d file"',
+    'msgid_plural "%d files"',
+    'msgstr[0] "%d tệp"'
+  ].join('\n'));
+
+  const reparsed = parsePo(serializePo(doc)).entries;
+  assert.equal(reparsed[1].msgstr, 'Mở "tệp"\nngay');
+  assert.equal(reparsed[1].msgctxt, 'menu');
+  assert.deepEqual(reparsed[2].flags, ['c-format', 'fuzzy']);
+});
+
+const XLIFF_12 = `<?xml version="1.0"?>
+<xliff version="1.2"><file source-language="en" datatype="plaintext">
+  <body>
+    <trans-unit id="a&amp;1">
+      <source>Press <g id="1">Start</g> &amp; go</source>
+      <note>button</note>
+    </trans-unit>
+    <trans-unit id="b" translate="no"><source>Keep</source></trans-unit>
+    <trans-unit id="c"><source>Done</source><target>Xong</target></trans-unit>
+  </body>
+</file></xliff>`;
+
+test('XLIFF 1.2 단위의 id / 번역 여부 / note와 인라인 태그를 읽는다', () => {
+  const { version, units } = extractXliffUnits(XLIFF_12);
+  assert.equal(version, '1.2');
+  assert.deepEqual(units.map(u => [u.id, u.hasTarget, u.translatable]), [
+    ['a&1', false, true],
+    ['b', false, false],
+    ['c', true, true]
+  ]);
+  assert.deepEqual(units[0].notes, ['button']);
+
+  assert.deepEqual(protectInlineXml(units[0].source), {
+    text: 'Press [[T0]]Start[[T1]] & go',
+    placeholders: ['<g id="1">', '</g>']
+  });
+});
+
+test('XLIFF 1.2 미번역 단위에만 target을 넣고 대상 언어를 기록한다', () => {
+  const { version, units } = extractXliffUnits(XLIFF_12);
+  const xml = ensureXliffTargetLanguage(
+    applyXliffTargets(XLIFF_12, version, [{ unit: units[0], targetXml: 'Nhấn <g id="1">Bắt đầu</g> &amp; đi' }]),
+    version,
+    'vi'
+  );
+
+  assert.match(xml, /<file source-language="en" datatype="plaintext" target-language="vi">/);
+  assert.match(xml, /<\/source>\n {6}<target state="needs-review-translation" state-qualifier="mt-suggestion">Nhấn <g id="1">Bắt đầu<\/g> &amp; đi<\/target>\n {6}<note>/);
+  assert.match(xml, /<trans-unit id="b" translate="no"><source>Keep<\/source><\/trans-unit>/);
+  assert.match(xml, /<target>Xong<\/target>/);
+
+  const again = extractXliffUnits(xml).units;
+  assert.deepEqual(again.map(u => u.hasTarget), [true, false, true]);
+  // 이미 대상 언어가 있으면 그대로 둔다
+  assert.equal(ensureXliffTargetLanguage(xml, version, 'ko'), xml);
+});
+
+const XLIFF_20 = `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en">
+<file id="f"><unit id="u1"><notes><note>n</note></notes><segment id="s1"><source>One</source><target>Một</target></segment><segment><source>Two</source><target/></segment></unit></file></xliff>`;
+
+test('XLIFF 2.0은 segment 단위로 읽고 빈 target을 번역문으로 바꾼다', () => {
+  const { version, units } = extractXliffUnits(XLIFF_20);
+  assert.equal(version, '2.0');
+  assert.deepEqual(units.map(u => [u.id, u.source, u.hasTarget]), [
+    ['u1/s1', 'One', true],
+    ['u1', 'Two', false]
+  ]);
+  assert.deepEqual(units[1].notes, ['n']);
+
+  const xml = ensureXliffTargetLanguage(applyXliffTargets(XLIFF_20, version, [{ unit: units[1], targetXml: 'Hai' }]), version, 'vi');
+  assert.match(xml, /srcLang="en" trgLang="vi">/);
+  assert.match(xml, /<segment state="translated" subState="mt:needs-review"><source>Two<\/source><target>Hai<\/target><\/segment>/);
+  assert.match(xml, /<segment id="s1"><source>One<\/source><target>Một<\/target><\/segment>/);
+});
+
+test('XML 엔티티 / 속성 / 형식 판별 / 언어 코드', () => {
+  assert.equal(decodeXml('&lt;a&gt; &#233; &#x1F600; &quot; &foo;'), '<a> é 😀 " &foo;');
+  assert.equal(escapeXml('a<b>&c'), 'a&lt;b&gt;&amp;c');
+  assert.equal(getAttribute(`<t a='1&amp;2' b="x">`, 'a'), '1&2');
+  assert.equal(getAttribute('<t b="x">', 'a'), null);
+
+  assert.equal(detectCatFormat(XLIFF_12), 'xliff');
+  assert.equal(detectCatFormat(PO), 'po');
+  assert.throws(() => extractXliffUnits('<root/>'), { name: 'SyntaxError', message: 'XLIFF 루트 요소를 찾을 수 없습니다.' });
+
+  assert.deepEqual(catLanguage('Vietnamese'), { code: 'vi', nplurals: 1 });
+  assert.deepEqual(catLanguage('Klingon'), { code: null, nplurals: 2 });
+  assert.equal(catLanguageName('vi-VN'), 'Vietnamese');
+  assert.equal(catLanguageName('ko_KR'), 'Korean');
+  assert.equal(catLanguageName('xx'), null);
+  assert.deepEqual(catLanguage('vi-VN'), { code: 'vi', nplurals: 1 });
+  assert.equal(catLanguage('en').code, 'en');
+});
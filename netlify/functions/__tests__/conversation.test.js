@@ -0,0 +1,110 @@
+// conversation.js 세션 검증 / 문맥 프롬프트, translate.js conversation-turn 모델 선택 테스트 (node --test)
+delete process.env.OPENAI_API_KEY;
+delete process.env.GEMINI_API_KEY;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeSession, resolveSpeakers, conversationPrompt, MAX_CONTEXT_TURNS } = require('../conversation');
+
+test('세션: 화자 두 명의 언어를 이름으로 맞추고 id / 이름 기본값을 채운다', () => {
+  const session = normalizeSession({ title: '  라인 점검  ', speakers: [{ language: 'ko' }, { name: 'Lan', language: 'vi-VN' }] });
+  assert.deepEqual(session, {
+    title: '라인 점검',
+    speakers: [{ id: 'A', name: 'A', language: 'Korean' }, { id: 'B', name: 'Lan', language: 'Vietnamese' }],
+    contextTurns: 6
+  });
+  assert.equal(normalizeSession({ speakers: [{ language: 'ko' }, { language: 'vi' }], contextTurns: 0 }).contextTurns, 0);
+});
+
+test('세션: 잘못된 화자 / 언어 / 문맥 턴 수는 error', () => {
+  assert.match(normalizeSession({ speakers: [{ language: 'ko' }] }).error, /^speakers는 화자 두 명의 배열/);
+  assert.equal(normalizeSession({ speakers: [{ language: 'ko' }, { language: 'xx' }] }).error, '화자 2의 language를 알 수 없습니다: xx');
+  assert.equal(normalizeSession({ speakers: [{ id: 'X', language: 'ko' }, { id: 'X', language: 'vi' }] }).error, '두 화자의 id가 같습니다.');
+  for (const contextTurns of [-1, 1.5, MAX_CONTEXT_TURNS + 1, 'many']) {
+    assert.match(normalizeSession({ speakers: [{ language: 'ko' }, { language: 'vi' }], contextTurns }).error, /^contextTurns는/, String(contextTurns));
+  }
+});
+
+const SESSION = {
+  speakers: [{ id: 'A', name: '김 반장', language: 'Korean' }, { id: 'B', name: 'Lan', language: 'Vietnamese' }],
+  contextTurns: 2
+};
+
+test('발화 화자와 상대 화자를 찾고, 세션에 없는 화자는 null', () => {
+  assert.deepEqual(resolveSpeakers(SESSION, 'B'), { speaker: SESSION.speakers[1], listener: SESSION.speakers[0] });
+  assert.equal(resolveSpeakers(SESSION, 'C'), null);
+});
+
+test('문맥 프롬프트: 최근 발화는 오래된 것부터 참고용으로, 새 발화만 번역 대상', () => {
+  const turns = [
+    { speaker: 'A', sourceLang: 'Korean', targetLang: 'Vietnamese', original: '3번 설비 점검했어요?', translation: 'Em đã kiểm tra máy số 3 chưa?' },
+    { speaker: 'B', sourceLang: 'Vietnamese', targetLang: 'Korean', original: 'Dạ rồi ạ.', translation: '네, 했습니다.' }
+  ];
+  const prompt = conversationPrompt(SESSION, turns, resolveSpeakers(SESSION, 'A'), '그거 결과 보여줘요.');
+  const lines = prompt.split('\n');
+
+  assert.equal(lines[0], 'This is a live interpreted conversation between 김 반장 (Korean) and Lan (Vietnamese).');
+  assert.match(lines[1], /do NOT translate them again/);
+  assert.equal(lines[2], '- 김 반장 (Korean): "3번 설비 점검했어요?" → (Vietnamese) "Em đã kiểm tra máy số 3 chưa?"');
+  assert.equal(lines[3], '- Lan (Vietnamese): "Dạ rồi ạ." → (Korean) "네, 했습니다."');
+  assert.match(lines[5], /^Translate only the new utterance from 김 반장 to Lan, from Korean to Vietnamese/);
+  assert.equal(lines[6], '"""그거 결과 보여줘요."""');
+
+  // 문맥이 없으면 참고 발화 안내도 없다
+  const bare = conversationPrompt(SESSION, [], resolveSpeakers(SESSION, 'B'), 'Xong rồi.');
+  assert.doesNotMatch(bare, /Recent turns/);
+  assert.match(bare, /from Lan to 김 반장, from Vietnamese to Korean/);
+});
+
+// conversation-turn: 세션 저장소 / 분야 팩 조회를 가로채고, 세션 분야 팩의 선호 모델이 쓰이는지 확인한다
+const database = require('../database');
+const savedTurns = [];
+database.getConversationSession = async id => ({ success: true, data: { id, userId: null, title: null, ...SESSION, domain: 'test-pack' } });
+database.listConversationTurns = async () => ({ success: true, data: [] });
+database.saveConversationTurn = async (sessionId, turn) => {
+  savedTurns.push(turn);
+  return { success: true, data: turn };
+};
+
+const domainPacks = require('../domain-packs');
+const resolveDomainPack = domainPacks.resolveDomainPack;
+domainPacks.resolveDomainPack = async id => (id === 'test-pack'
+  ? { ...domainPacks.GENERAL_DOMAIN_PACK, id: 'test-pack', name: 'Test', preferredModel: 'test-conv-pack' }
+  : resolveDomainPack(id));
+
+const { registerProvider } = require('../providers');
+const providerModels = [];
+registerProvider({
+  id: 'test-conv',
+  name: 'Test Conversation',
+  models: ['test-conv-pack', 'test-conv-request'],
+  capabilities: { requiresApiKey: false, jsonMode: true },
+  async translate({ model }) {
+    providerModels.push(model);
+    return { translation: `[${model}] Cho tôi xem kết quả.`, pronunciation_hangul: '' };
+  }
+});
+
+const { handler } = require('../translate');
+
+async function turn(body) {
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: {},
+    body: JSON.stringify({ action: 'conversation-turn', sessionId: 'session-1', speaker: 'A', getPronunciation: false, ...body })
+  });
+  assert.equal(response.statusCode, 200, response.body);
+  return JSON.parse(response.body);
+}
+
+test('conversation-turn은 요청의 domain이 아니라 세션 분야 팩의 선호 모델을 쓴다', async () => {
+  const auto = await turn({ inputText: '결과 보여줘요.', pronunciationMode: 'none' });
+  assert.equal(auto.usedModel, 'test-conv-pack');
+  assert.deepEqual(providerModels, ['test-conv-pack']);
+  assert.equal(savedTurns[0].targetLang, 'Vietnamese');
+
+  // 모델을 직접 지정하면 그 모델
+  const explicit = await turn({ inputText: '다시 보여줘요.', model: 'test-conv-request', pronunciationMode: 'none' });
+  assert.equal(explicit.usedModel, 'test-conv-request');
+});
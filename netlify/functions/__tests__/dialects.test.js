@@ -0,0 +1,58 @@
+// dialects.js 방언 결정 순서 / 사이트 설정 / 프롬프트 지침 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// 잘못된 SITE_DIALECTS 항목이 있어도 불러올 때는 아무것도 출력하지 않아야 한다
+process.env.SITE_DIALECTS = 'bac-ninh:vi-north, binh-duong:south, da-nang:vi-central';
+const logged = [];
+const originalError = console.error;
+const originalWarn = console.warn;
+console.error = (...args) => logged.push(['error', ...args]);
+console.warn = (...args) => logged.push(['warn', ...args]);
+const { SITE_DIALECTS, parseSiteDialects, resolveDialect, dialectPrompt, describeDialect } = require('../dialects');
+const loadLogs = [...logged];
+console.error = originalError;
+console.warn = originalWarn;
+
+test('불러올 때는 로그를 남기지 않고, 방언을 처음 확인할 때 무시한 항목을 한 번 경고한다', (t) => {
+  assert.deepEqual(loadLogs, []);
+  assert.equal(SITE_DIALECTS['bac-ninh'], 'vi-north');
+  assert.equal(SITE_DIALECTS['binh-duong'], 'vi-south');
+  assert.equal(SITE_DIALECTS['da-nang'], undefined);
+
+  const warn = t.mock.method(console, 'warn', () => {});
+  resolveDialect();
+  resolveDialect();
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /da-nang:vi-central/);
+});
+
+test('SITE_DIALECTS 파싱은 잘못된 항목을 따로 모은다', () => {
+  const ignored = [];
+  assert.deepEqual(parseSiteDialects('A:north,b:xx,:vi-south,', ignored), { a: 'vi-north' });
+  assert.deepEqual(ignored, ['b:xx']);
+});
+
+test('결정 순서: 요청 > 사용자 설정 > 사이트', () => {
+  const preferences = { dialect: 'vi-north', site: 'hcmc' };
+
+  assert.deepEqual(resolveDialect({ dialect: 'south', site: 'hanoi', preferences }), { dialect: 'vi-south', source: 'request' });
+  assert.deepEqual(resolveDialect({ site: 'hcmc', preferences }), { dialect: 'vi-north', source: 'preference' });
+  assert.deepEqual(resolveDialect({ site: 'hcmc', preferences: { dialect: null, site: 'hanoi' } }), { dialect: 'vi-south', source: 'site' });
+  assert.deepEqual(resolveDialect({ preferences: { dialect: null, site: 'hanoi' } }), { dialect: 'vi-north', source: 'site' });
+  assert.deepEqual(resolveDialect(), { dialect: null, source: null });
+});
+
+test('설정된 방언이 있으면 모르는 site는 보지 않고, 없으면 error', () => {
+  assert.deepEqual(resolveDialect({ site: 'unknown-site', preferences: { dialect: 'vi-south' } }), { dialect: 'vi-south', source: 'preference' });
+  assert.match(resolveDialect({ site: 'unknown-site' }).error, /^알 수 없는 site입니다: unknown-site/);
+  assert.match(resolveDialect({ dialect: 'vi-central' }).error, /^알 수 없는 dialect입니다: vi-central/);
+});
+
+test('방언 지침은 베트남어가 대상이거나 원문일 때만 붙는다', () => {
+  assert.match(dialectPrompt('vi-south', 'Vietnamese'), /Southern \(Ho Chi Minh City\) Vietnamese/);
+  assert.match(dialectPrompt('vi-north', 'Korean', 'Vietnamese'), /The Vietnamese source is Northern \(Hanoi\) Vietnamese/);
+  assert.equal(dialectPrompt('vi-north', 'Korean', 'English'), '');
+  assert.equal(dialectPrompt(null, 'Vietnamese'), '');
+  assert.deepEqual(describeDialect({ dialect: 'vi-north', source: 'site' }), { dialect: 'vi-north', label: '북부 (하노이)', source: 'site' });
+});
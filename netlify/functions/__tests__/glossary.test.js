@@ -0,0 +1,91 @@
+// glossary.js 항목 검증 / 입력 매칭 / 프롬프트 규칙 / 용어 준수 검사 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeGlossaryLanguage,
+  normalizeGlossaryEntry,
+  findGlossaryMatches,
+  buildUserGlossaryRules,
+  checkTerminology,
+  buildTerminologyCorrection
+} = require('../glossary');
+
+test('언어 코드 / 이름은 저장용 언어 이름으로 맞춘다', () => {
+  assert.equal(normalizeGlossaryLanguage('vi'), 'Vietnamese');
+  assert.equal(normalizeGlossaryLanguage('ko-KR'), 'Korean');
+  assert.equal(normalizeGlossaryLanguage(' English '), 'English');
+  assert.equal(normalizeGlossaryLanguage('Klingon'), null);
+  assert.equal(normalizeGlossaryLanguage(null), null);
+});
+
+test('항목 저장 시 언어를 정규화하고 모르는 언어는 거부한다', () => {
+  const { entry } = normalizeGlossaryEntry({ sourceLang: 'ko', targetLang: 'vi', sourceTerm: ' 불량 ', targetTerm: 'lỗi' });
+  assert.equal(entry.sourceLang, 'Korean');
+  assert.equal(entry.targetLang, 'Vietnamese');
+  assert.equal(entry.sourceTerm, '불량');
+
+  assert.deepEqual(
+    normalizeGlossaryEntry({ sourceLang: 'ko', targetLang: 'xx', sourceTerm: '불량', targetTerm: 'lỗi' }),
+    { error: '지원하지 않는 언어입니다: xx' }
+  );
+  assert.deepEqual(
+    normalizeGlossaryEntry({ targetLang: 'vi', sourceTerm: '불량', targetTerm: 'lỗi' }),
+    { error: 'sourceLang과 targetLang이 필요합니다.' }
+  );
+});
+
+test('번역 금지 항목은 원문 용어를 번역어로 쓴다', () => {
+  const { entry } = normalizeGlossaryEntry({ sourceLang: 'Korean', targetLang: 'English', sourceTerm: 'SMT', doNotTranslate: true });
+  assert.equal(entry.targetTerm, 'SMT');
+  assert.match(buildUserGlossaryRules([entry]), /"SMT" → keep exactly as "SMT" \(do not translate\)/);
+});
+
+test('라틴 용어는 단어 경계로, 한글 용어는 조사가 붙어도 매칭한다', () => {
+  const entries = [
+    { sourceTerm: 'PCB', targetTerm: 'bo mạch', caseSensitive: true },
+    { sourceTerm: '불량', targetTerm: 'lỗi' },
+    { sourceTerm: '불량 PCB', targetTerm: 'bo mạch lỗi' }
+  ];
+
+  assert.deepEqual(findGlossaryMatches('PCBA 검사', entries).map(e => e.sourceTerm), []);
+  assert.deepEqual(findGlossaryMatches('pcb 확인', entries).map(e => e.sourceTerm), []);
+  assert.deepEqual(findGlossaryMatches('불량 PCB 분리', entries).map(e => e.sourceTerm), ['불량 PCB', 'PCB', '불량']);
+  assert.equal(buildUserGlossaryRules([]), '');
+});
+
+test('번역문에 지정 번역어가 없으면 missing으로 보고하고 교정 지시를 만든다', () => {
+  const entries = [{ sourceTerm: '불량', targetTerm: 'lỗi' }, { sourceTerm: '검사', targetTerm: 'kiểm tra' }];
+  const report = checkTerminology('불량 검사 완료', 'Đã kiểm tra hàng hỏng', entries);
+
+  assert.equal(report.compliant, false);
+  assert.deepEqual(report.matched, [{ sourceTerm: '검사', targetTerm: 'kiểm tra' }]);
+  assert.deepEqual(report.missing, [{ sourceTerm: '불량', targetTerm: 'lỗi' }]);
+  assert.match(buildTerminologyCorrection(report, 'Đã kiểm tra hàng hỏng'), /"불량" must be translated as "lỗi"/);
+  assert.equal(buildTerminologyCorrection(checkTerminology('불량', 'lỗi', entries), 'lỗi'), '');
+});
+
+test('번역 금지 용어는 원문 그대로 남아 있어야 준수로 본다', () => {
+  const { entry } = normalizeGlossaryEntry({ sourceLang: 'Korean', targetLang: 'Vietnamese', sourceTerm: 'SMT', doNotTranslate: true });
+
+  assert.equal(checkTerminology('SMT 라인 정지', 'Dây chuyền SMT dừng', [entry]).compliant, true);
+  assert.deepEqual(checkTerminology('SMT 라인 정지', 'Dây chuyền gắn bề mặt dừng', [entry]).missing, [{ sourceTerm: 'SMT', targetTerm: 'SMT' }]);
+});
+
+test('대소문자 구분 항목은 번역어의 대소문자까지 맞아야 한다', () => {
+  const sensitive = [{ sourceTerm: 'PCB', targetTerm: 'PCB', caseSensitive: true }];
+  const insensitive = [{ sourceTerm: 'PCB', targetTerm: 'PCB' }];
+
+  assert.equal(checkTerminology('PCB 교체', 'Thay pcb', sensitive).compliant, false);
+  assert.equal(checkTerminology('PCB 교체', 'Thay PCB', sensitive).compliant, true);
+  assert.equal(checkTerminology('pcb 교체', 'Thay pcb', insensitive).compliant, true);
+});
+
+test('같은 원문 용어의 다른 번역어가 쓰이면 conflicting으로 보고한다', () => {
+  const entries = [{ sourceTerm: '불량', targetTerm: 'lỗi' }, { sourceTerm: '불량', targetTerm: 'hỏng' }];
+  const report = checkTerminology('불량 발생', 'Phát sinh hỏng', entries);
+
+  assert.equal(report.compliant, false);
+  assert.deepEqual(report.conflicting, [{ sourceTerm: '불량', targetTerm: 'lỗi', found: 'hỏng' }]);
+  assert.match(buildTerminologyCorrection(report, 'Phát sinh hỏng'), /\(not "hỏng"\)/);
+});
@@ -0,0 +1,72 @@
+// ko-romanize.js 한국어 → 라틴 문자 표기 표 기반 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { romanizeKorean } = require('../ko-romanize');
+
+// [입력, 로마자 표기법, 베트남어 철자식]
+const check = (table) => {
+  for (const [word, rr, vi] of table) {
+    assert.equal(romanizeKorean(word, 'rr').text, rr, `${word} (rr)`);
+    assert.equal(romanizeKorean(word, 'vi').text, vi, `${word} (vi)`);
+  }
+};
+
+test('받침 대표음: 홑받침과 겹받침은 ㄱ ㄴ ㄷ ㄹ ㅁ ㅂ ㅇ 중 하나로 읽는다', () => {
+  check([
+    ['밖', 'bak', 'bac'],
+    ['부엌', 'bueok', 'bu-ơc'],
+    ['옷', 'ot', 'ôt'],
+    ['낮', 'nat', 'nat'],
+    ['꽃', 'kkot', 'côt'],
+    ['밭', 'bat', 'bat'],
+    ['앞', 'ap', 'ap'],
+    ['닭', 'dak', 'đac'],
+    ['값', 'gap', 'cap']
+  ]);
+});
+
+test('연음 / 구개음화 / ㅎ 탈락', () => {
+  check([
+    ['읽어요', 'ilgeoyo', 'il-cơ-yô'],
+    ['같이', 'gachi', 'ca-chi'],
+    ['굳이', 'guji', 'cu-chi'],
+    ['많이', 'mani', 'ma-ni']
+  ]);
+});
+
+test('격음화 / 비음화 / 유음화', () => {
+  check([
+    ['좋다', 'jota', 'chô-tha'],
+    ['놓는', 'nonneun', 'nôn-nưn'],
+    ['감사합니다', 'gamsahamnida', 'cam-sa-ham-ni-đa'],
+    ['먹는', 'meongneun', 'mơng-nưn'],
+    ['백미러', 'baengmireo', 'beng-mi-rơ'],
+    ['국립', 'gungnip', 'cung-nip'],
+    ['종로', 'jongno', 'chông-nô'],
+    ['신라', 'silla', 'sil-la'],
+    ['칼날', 'kallal', 'khal-lal'],
+    ['빨리', 'ppalli', 'bal-li'],
+    ['학교', 'hakgyo', 'hac-kiô'],
+    ['입구', 'ipgu', 'ip-cu']
+  ]);
+});
+
+test('베트남어 철자식: 반모음은 자음 뒤 i / 단독 y, c는 k / qu로 바뀐다', () => {
+  check([
+    ['안녕하세요', 'annyeonghaseyo', 'an-niơng-ha-sê-yô'],
+    ['여기', 'yeogi', 'yơ-ki'],
+    ['예', 'ye', 'yê'],
+    ['과', 'gwa', 'qua'],
+    ['귀', 'gwi', 'quy'],
+    ['워', 'wo', 'uơ'],
+    ['왜', 'wae', 'oe'],
+    ['의자', 'uija', 'ưi-cha']
+  ]);
+});
+
+test('한글이 아닌 부분은 그대로 두고 coverage에서 뺀다', () => {
+  assert.deepEqual(romanizeKorean('PLC 3번 라인 OK'), { text: 'PLC 3beon rain OK', coverage: 0.5 });
+  assert.deepEqual(romanizeKorean(''), { text: '', coverage: 0 });
+  assert.equal(romanizeKorean('가'.normalize('NFD')).text, 'ga');
+});
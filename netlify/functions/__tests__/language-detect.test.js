@@ -0,0 +1,56 @@
+// language-detect.js 오프라인 언어 감지 / translate.js detect-language 액션 테스트 (node --test)
+delete process.env.OPENAI_API_KEY;
+delete process.env.GEMINI_API_KEY;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectLanguage } = require('../language-detect');
+const { handler } = require('../translate');
+
+test('성조 부호가 없는 베트남어도 영어와 구분한다', () => {
+  for (const text of ['xin chao, hom nay ban co khoe khong', 'cong nhan phai deo mu bao ho khi vao xuong']) {
+    assert.equal(detectLanguage(text).language, 'vi', text);
+  }
+  assert.equal(detectLanguage('Xin chào, hôm nay bạn có khỏe không?').language, 'vi');
+  for (const text of ['Please wear a safety helmet in the factory', 'The machine stops when the door is open']) {
+    assert.equal(detectLanguage(text).language, 'en', text);
+  }
+});
+
+test('한국어 / 일본어 / 중국어를 문자 체계로 나눈다', () => {
+  assert.equal(detectLanguage('안전모를 착용하십시오').language, 'ko');
+  assert.equal(detectLanguage('安全帽を着用してください').language, 'ja');
+  assert.equal(detectLanguage('请佩戴安全帽').language, 'zh');
+  // 한글 사이의 한자는 한국어로 본다
+  assert.equal(detectLanguage('品質 管理 기준을 확인합니다').language, 'ko');
+});
+
+test('숫자 / 기호만 있는 입력은 und', () => {
+  assert.deepEqual(detectLanguage('1234 - 5678 / 90%'), {
+    language: 'und', name: null, confidence: 0, mixed: false, secondary: [], languages: []
+  });
+  assert.equal(detectLanguage('').language, 'und');
+});
+
+test('여러 언어가 섞이면 주 언어와 보조 언어를 함께 돌려준다', () => {
+  const result = detectLanguage('오늘 작업은 라인 점검입니다. Please check the conveyor belt before starting the shift.');
+  assert.equal(result.mixed, true);
+  assert.deepEqual(result.languages.map(l => l.language).sort(), ['en', 'ko']);
+});
+
+async function detectAction(body) {
+  const response = await handler({ httpMethod: 'POST', headers: {}, body: JSON.stringify({ action: 'detect-language', ...body }) });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('detect-language 액션은 감지 결과를 돌려주고 빈 입력은 400', async () => {
+  const ok = await detectAction({ inputText: 'Xin chào các bạn công nhân' });
+  assert.equal(ok.statusCode, 200);
+  assert.equal(ok.body.language, 'vi');
+  assert.equal(ok.body.name, 'Vietnamese');
+
+  const empty = await detectAction({ inputText: '  ' });
+  assert.equal(empty.statusCode, 400);
+  assert.equal(empty.body.error, '감지할 텍스트가 필요합니다.');
+});
@@ -0,0 +1,52 @@
+// languages.js 언어 조회 / TTS 음성 / 문장 분할 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  findLanguage,
+  languageCode,
+  languageName,
+  supportsPronunciationGuide,
+  googleVoiceFor,
+  sentencePattern
+} = require('../languages');
+
+test('언어는 이름 / 코드 / BCP-47 / 대소문자가 다른 표기로 찾는다', () => {
+  for (const value of ['Vietnamese', 'vietnamese', ' VIETNAMESE ', 'vi', 'vi-VN', 'vi_VN', 'VI']) {
+    assert.equal(findLanguage(value)?.name, 'Vietnamese', value);
+  }
+  assert.equal(languageCode('Korean'), 'ko');
+  assert.equal(languageCode('ko_KR'), 'ko');
+  assert.equal(languageName('en-GB'), 'English');
+  for (const value of ['Klingon', 'xx', '', null, 42]) {
+    assert.equal(findLanguage(value), null, String(value));
+  }
+});
+
+test('발음 표기는 표에 있는 언어는 설정을 따르고, 모르는 언어는 허용한다', () => {
+  assert.equal(supportsPronunciationGuide('Korean'), false);
+  assert.equal(supportsPronunciationGuide('vi'), true);
+  assert.equal(supportsPronunciationGuide('Klingon'), true);
+});
+
+test('Google TTS 음성은 언어에 맞는 음성을 고르고, 다른 언어 음성은 같은 성별 기본 음성으로 바꾼다', () => {
+  assert.deepEqual(googleVoiceFor('Vietnamese'), { languageCode: 'vi-VN', voiceName: 'vi-VN-Standard-A' });
+  assert.deepEqual(googleVoiceFor('vi', 'vi-VN-Standard-D'), { languageCode: 'vi-VN', voiceName: 'vi-VN-Standard-D' });
+  assert.deepEqual(googleVoiceFor('Korean', 'vi-VN-Standard-B'), { languageCode: 'ko-KR', voiceName: 'ko-KR-Standard-C' });
+  // 모르는 언어는 베트남어 음성
+  assert.equal(googleVoiceFor('Klingon').languageCode, 'vi-VN');
+});
+
+test('방언을 주면 그 방언의 음성 중에서 고르고, 방언이 없는 언어는 방언을 무시한다', () => {
+  assert.deepEqual(googleVoiceFor('Vietnamese', null, 'vi-north'), { languageCode: 'vi-VN', voiceName: 'vi-VN-Wavenet-A' });
+  assert.deepEqual(googleVoiceFor('vi', 'vi-VN-Standard-B', 'vi-south'), { languageCode: 'vi-VN', voiceName: 'vi-VN-Wavenet-D' });
+  assert.deepEqual(googleVoiceFor('vi', 'vi-VN-Wavenet-C', 'vi-south'), { languageCode: 'vi-VN', voiceName: 'vi-VN-Wavenet-C' });
+  // 다른 방언의 음성은 같은 성별의 해당 방언 음성으로
+  assert.deepEqual(googleVoiceFor('vi', 'vi-VN-Wavenet-C', 'vi-north'), { languageCode: 'vi-VN', voiceName: 'vi-VN-Wavenet-A' });
+  assert.deepEqual(googleVoiceFor('Korean', null, 'vi-north'), { languageCode: 'ko-KR', voiceName: 'ko-KR-Standard-A' });
+});
+
+test('문장 분할은 언어별 문장부호를 쓰고 마지막 문장은 부호가 없어도 포함한다', () => {
+  assert.deepEqual('Xin chào. Bạn khỏe không? Tốt'.match(sentencePattern('Vietnamese')), ['Xin chào.', ' Bạn khỏe không?', ' Tốt']);
+  assert.deepEqual('注意。安全第一'.match(sentencePattern('zh-CN')), ['注意。', '安全第一']);
+});
@@ -0,0 +1,87 @@
+// markup.js 자리표시자 보호 / 복원 왕복 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractMarkup, restorePlaceholders, reassembleMarkup, compareMarkupStructure } = require('../markup');
+
+const HTML = '<p>Press <b>Start <i>now</i></b> and see <a href="https://x.io/a?b=1" title="Help">the guide</a>.</p>\n'
+  + '<ul><li>Line &amp; pump</li></ul><pre>keep me</pre>';
+
+// 세그먼트를 번역한 것처럼 바꿔 끼우고 문서를 다시 조립
+function roundTrip(doc, translate) {
+  const translations = doc.segments.map((segment, i) => restorePlaceholders(translate(segment.text, i), segment.placeholders));
+  return { output: reassembleMarkup(doc, translations.map(item => item.text)), translations };
+}
+
+test('HTML: 중첩 인라인 태그와 속성은 자리표시자로, 블록 태그와 <pre>는 조각으로 보존', () => {
+  const doc = extractMarkup(HTML, 'html');
+  assert.deepEqual(doc.segments.map(segment => segment.text), [
+    'Press [[T0]]Start [[T1]]now[[T2]][[T3]] and see [[T4]]the guide[[T5]].',
+    'Line [[T0]] pump'
+  ]);
+  assert.equal(doc.segments[0].placeholders[4], '<a href="https://x.io/a?b=1" title="Help">');
+  assert.ok(doc.pieces.some(piece => piece.static === '<pre>keep me</pre>'));
+});
+
+test('HTML: 번역하지 않으면 입력과 똑같이 조립', () => {
+  const doc = extractMarkup(HTML, 'html');
+  const { output, translations } = roundTrip(doc, text => text);
+  assert.equal(output, HTML);
+  assert.ok(translations.every(item => item.valid));
+  assert.deepEqual(compareMarkupStructure(HTML, output, 'html'), []);
+});
+
+test('HTML: 모델이 자리표시자 순서를 바꿔도 태그와 속성은 그대로 복원', () => {
+  const doc = extractMarkup(HTML, 'html');
+  const { output, translations } = roundTrip(doc, (text, i) => (i === 0
+    ? 'Xem [[T4]]hướng dẫn[[T5]] và nhấn [[T0]]Bắt đầu [[T1]]ngay[[T2]][[T3]].'
+    : 'Dây chuyền [[T0]] bơm'));
+  assert.ok(translations.every(item => item.valid));
+  assert.equal(output, '<p>Xem <a href="https://x.io/a?b=1" title="Help">hướng dẫn</a> và nhấn <b>Bắt đầu <i>ngay</i></b>.</p>\n'
+    + '<ul><li>Dây chuyền &amp; bơm</li></ul><pre>keep me</pre>');
+  assert.deepEqual(compareMarkupStructure(HTML, output, 'html'), []);
+});
+
+test('HTML: 중첩 순서가 뒤집히면 구조 검사에서 잡는다', () => {
+  const doc = extractMarkup(HTML, 'html');
+  const { output } = roundTrip(doc, (text, i) => (i === 0
+    ? '[[T0]]Bắt đầu [[T1]]ngay[[T3]][[T2]] [[T4]]hướng dẫn[[T5]].'
+    : text));
+  assert.deepEqual(compareMarkupStructure(HTML, output, 'html'), ['출력의 태그 중첩 구조가 올바르지 않습니다.']);
+});
+
+test('누락 / 중복 / 알 수 없는 자리표시자는 valid: false', () => {
+  const placeholders = ['<b>', '</b>'];
+  const dropped = restorePlaceholders('[[T0]]Bắt đầu', placeholders);
+  assert.equal(dropped.valid, false);
+  assert.equal(dropped.text, '<b>Bắt đầu');
+  assert.deepEqual(dropped.problems, ['누락: </b>']);
+
+  const duplicated = restorePlaceholders('[[T0]]a[[T1]][[T1]]', placeholders);
+  assert.deepEqual(duplicated.problems, ['중복: </b>']);
+
+  const invented = restorePlaceholders('[[T0]]a[[T1]][[T7]]', placeholders);
+  assert.equal(invented.text, '<b>a</b>');
+  assert.deepEqual(invented.problems, ['알 수 없는 자리표시자']);
+});
+
+test('Markdown: 블록 접두어 / 코드 / 링크 대상 / 표 구분자 보존', () => {
+  const markdown = '# Title\n\n- Use `npm test` and [docs](https://x.io)\n\n```\ncode here\n```\n| A | B |\n|---|---|\n| one | two |\n';
+  const doc = extractMarkup(markdown, 'markdown');
+  assert.deepEqual(doc.segments.map(segment => segment.text), [
+    'Title',
+    'Use [[T0]] and [docs[[T1]]',
+    '[[T0]] A [[T1]] B [[T2]]',
+    '[[T0]] one [[T1]] two [[T2]]'
+  ]);
+
+  const { output } = roundTrip(doc, text => text.replace('Title', 'Tiêu đề').replace('docs', 'tài liệu'));
+  assert.equal(output, '# Tiêu đề\n\n- Use `npm test` and [tài liệu](https://x.io)\n\n```\ncode here\n```\n| A | B |\n|---|---|\n| one | two |\n');
+  assert.deepEqual(compareMarkupStructure(markdown, output, 'markdown'), []);
+});
+
+test('Markdown: CRLF 입력도 같은 세그먼트로 나눈다', () => {
+  const lf = extractMarkup('# Title\n\nBody text\n', 'markdown');
+  const crlf = extractMarkup('# Title\r\n\r\nBody text\r\n', 'markdown');
+  assert.deepEqual(crlf.segments, lf.segments);
+});
@@ -0,0 +1,74 @@
+// meeting-minutes.js 회의록 입력 자르기 / 언어별 회의록 검증 테스트 (node --test)
+// 네트워크 없이 돌도록 서버 키를 비우고 JSON 모드 테스트 프로바이더를 등록한다
+delete process.env.OPENAI_API_KEY;
+delete process.env.GEMINI_API_KEY;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MAX_MINUTES_CHARS, transcriptLines, generateMinutes } = require('../meeting-minutes');
+const { registerProvider } = require('../providers');
+
+const SESSION = {
+  id: '0f8c2a1e-1234-4cde-9abc-1234567890ab',
+  userId: 'user-1',
+  title: '야간 <인수인계> & 점검',
+  speakers: [{ id: 'A', name: '김 반장', language: 'Korean' }, { id: 'B', name: 'Lan', language: 'Vietnamese' }],
+  contextTurns: 6,
+  domain: 'general',
+  createdAt: '2026-10-18T22:05:00.000Z',
+  minutes: null
+};
+const TURNS = [
+  {
+    index: 0, speaker: 'A', sourceLang: 'Korean', targetLang: 'Vietnamese',
+    original: '3번 라인 <SMT> 설비 "점검" 완료?', translation: 'Đã kiểm tra máy <SMT> dây chuyền 3 chưa?',
+    pronunciationHangul: '다 끼엠 짜', createdAt: '2026-10-18T22:06:00.000Z'
+  },
+  {
+    index: 1, speaker: 'B', sourceLang: 'Vietnamese', targetLang: 'Korean',
+    original: 'Dạ xong rồi ạ.', translation: '네, 끝났습니다.', pronunciationHangul: '', createdAt: '2026-10-18T22:07:00.000Z'
+  }
+];
+
+test('회의록 입력은 최근 발화부터 MAX_MINUTES_CHARS 이내로 자르고 오래된 것부터 돌려준다', () => {
+  const long = Array.from({ length: 40 }, (_, index) => ({ index, speaker: index % 2 ? 'B' : 'A', sourceLang: 'Korean', original: '가'.repeat(1000) }));
+  const lines = transcriptLines(SESSION, long);
+
+  assert.ok(lines.length < long.length);
+  assert.ok(lines.join('\n').length <= MAX_MINUTES_CHARS);
+  assert.match(lines[lines.length - 1], /^\[40\] Lan \(Korean\): /);
+  assert.match(lines[0], new RegExp(`^\\[${long.length - lines.length + 1}\\] `));
+
+  // 발화 하나가 한도를 넘어도 마지막 발화는 넣는다
+  assert.equal(transcriptLines(SESSION, [{ index: 0, speaker: 'A', sourceLang: 'Korean', original: '가'.repeat(MAX_MINUTES_CHARS + 10) }]).length, 1);
+});
+
+// 언어별 회의록을 정해 둔 대로 돌려주는 프로바이더
+let minutesResponse = [];
+registerProvider({
+  id: 'test-minutes',
+  name: 'Test Minutes',
+  models: ['test-minutes'],
+  capabilities: { requiresApiKey: false, jsonMode: true },
+  async translate() {
+    return { translation: '', pronunciation_hangul: '', raw: { minutes: minutesResponse } };
+  }
+});
+
+test('회의록: 두 화자 언어가 모두 있어야 하고, 하나라도 빠지면 오류', async () => {
+  minutesResponse = [
+    { language: 'Vietnamese', summary: 'Đã kiểm tra dây chuyền 3.', decisions: ['Tiếp tục sản xuất'], actionItems: [{ owner: 'Lan', task: 'Ghi nhật ký', due: '' }] },
+    { language: 'Korean', summary: '3번 라인 점검 완료.', decisions: ['생산 계속', ' '], actionItems: [{ owner: 'Lan', task: '일지 기록', due: '' }, { task: '' }] }
+  ];
+  const minutes = await generateMinutes(SESSION, TURNS, { model: 'test-minutes' });
+  assert.deepEqual(minutes.languages.map(entry => entry.language), ['Korean', 'Vietnamese']);
+  assert.deepEqual(minutes.languages[0].decisions, ['생산 계속']);
+  assert.deepEqual(minutes.languages[0].actionItems, [{ owner: 'Lan', task: '일지 기록', due: null }]);
+  assert.equal(minutes.turnCount, 2);
+
+  minutesResponse = [{ language: 'Korean', summary: '3번 라인 점검 완료.', decisions: [], actionItems: [] }];
+  await assert.rejects(generateMinutes(SESSION, TURNS, { model: 'test-minutes' }), { message: '모델 응답에 언어별 회의록이 없습니다.' });
+
+  await assert.rejects(generateMinutes(SESSION, [], { model: 'test-minutes' }), { message: '요약할 발화가 없습니다.' });
+});
@@ -0,0 +1,92 @@
+// preservation.js 숫자 / 측정값 / 품번 / URL 보존 검사 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractPreservedTokens, checkPreservation } = require('../preservation');
+
+// 이슈 목록 → 비교하기 쉬운 [type, problem, source, found]
+const summarize = issues => issues.map(({ type, problem, source, found }) => [type, problem, source, found]);
+
+const CASES = [
+  {
+    name: '토크 값이 바뀌면 altered',
+    source: '볼트를 5 N·m로 체결',
+    translation: 'Siết bu lông với 50 N·m',
+    expected: [['measurement', 'altered', '5 N·m', '50 N·m']]
+  },
+  {
+    name: '측정값이 빠지면 missing',
+    source: '간격 10mm, 전압 220V 확인',
+    translation: 'Kiểm tra khoảng cách, điện áp 220V',
+    expected: [['measurement', 'missing', '10mm', null]]
+  },
+  {
+    name: '원문에 없는 측정값은 unexpected',
+    source: '전압 확인',
+    translation: 'Kiểm tra điện áp 12V',
+    expected: [['measurement', 'unexpected', null, '12V']]
+  },
+  {
+    name: '품번 숫자 자리가 바뀌면 altered',
+    source: '품번 AB-1234 부품 교체',
+    translation: 'Thay linh kiện mã AB-1243',
+    expected: [['code', 'altered', 'AB-1234', 'AB-1243']]
+  },
+  {
+    name: '소수점 쉼표 표기는 같은 값 (1,5 ≡ 1.5)',
+    source: '두께 1.5 mm',
+    translation: 'Độ dày 1,5 mm',
+    expected: []
+  },
+  {
+    name: '천 단위 마침표 표기는 같은 값 (1.200 ≡ 1,200)',
+    source: '수량 1,200개',
+    translation: 'Số lượng 1.200 cái',
+    expected: []
+  },
+  {
+    name: 'Nm / N·m는 같은 단위',
+    source: '토크 25Nm',
+    translation: 'Mô-men xoắn 25 N·m',
+    expected: []
+  },
+  {
+    name: '℃ / °C는 같은 단위',
+    source: '온도 260℃ 유지',
+    translation: 'Giữ nhiệt độ 260°C',
+    expected: []
+  },
+  {
+    name: '단위가 다르면 같은 숫자여도 바뀐 값',
+    source: '토크 25 N·m',
+    translation: 'Mô-men xoắn 25 kgf·cm',
+    expected: [['measurement', 'altered', '25 N·m', '25 kgf·cm']]
+  },
+  {
+    name: 'URL 안의 숫자는 따로 세지 않는다',
+    source: '자료: https://example.com/docs/v2/spec-2024.pdf 참고',
+    translation: 'Tham khảo: https://example.com/docs/v2/spec-2024.pdf',
+    expected: []
+  },
+  {
+    name: 'URL이 바뀌면 URL만 보고한다',
+    source: '자료: https://example.com/docs/v2 참고',
+    translation: 'Tham khảo: https://example.com/docs/v3',
+    expected: [['url', 'altered', 'https://example.com/docs/v2', 'https://example.com/docs/v3']]
+  }
+];
+
+for (const { name, source, translation, expected } of CASES) {
+  test(`checkPreservation: ${name}`, () => {
+    assert.deepEqual(summarize(checkPreservation(source, translation)), expected);
+  });
+}
+
+test('URL / 측정값으로 잡힌 숫자는 숫자 목록에 다시 들어가지 않는다', () => {
+  const tokens = extractPreservedTokens('https://example.com/a/123 에서 5 mm, 품번 AB-1234, 수량 7');
+
+  assert.deepEqual(tokens.url.map(t => t.text), ['https://example.com/a/123']);
+  assert.deepEqual(tokens.measurement.map(t => t.text), ['5 mm']);
+  assert.deepEqual(tokens.code.map(t => t.text), ['AB-1234']);
+  assert.deepEqual(tokens.number.map(t => t.text), ['7']);
+});
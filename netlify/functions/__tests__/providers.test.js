@@ -0,0 +1,136 @@
+// providers.js 모델 선택 / 폴백 / 타임아웃 / 로컬 사전 프로바이더 테스트 (node --test)
+// 네트워크 없이 돌도록 서버 키를 비우고, 폴백 검증용 프로바이더는 테스트 안에서 등록한다
+delete process.env.OPENAI_API_KEY;
+delete process.env.GEMINI_API_KEY;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  withTimeout,
+  registerProvider,
+  resolveModel,
+  selectModel,
+  translateWithProvider
+} = require('../providers');
+
+const BOTH_KEYS = { openai: 'sk-test', google: 'g-test' };
+
+test('auto 모드는 입력 길이에 따라 모델을 고른다', () => {
+  assert.equal(selectModel('auto', { inputLength: 50, apiKeys: BOTH_KEYS }).model, 'gemini-1.5-flash');
+  assert.equal(selectModel('auto', { inputLength: 300, apiKeys: BOTH_KEYS }).model, 'gpt-4o-mini');
+  assert.equal(selectModel('auto', { inputLength: 1000, apiKeys: BOTH_KEYS }).model, 'gpt-4o');
+});
+
+test('auto 모드는 키가 없는 프로바이더의 모델을 건너뛴다', () => {
+  const { model, provider } = selectModel('auto', { inputLength: 50, apiKeys: { openai: 'sk-test' } });
+  assert.equal(model, 'gpt-4o-mini');
+  assert.equal(provider.id, 'openai');
+});
+
+test('구버전 모델명은 MODEL_ALIASES로 변환된다', () => {
+  assert.equal(resolveModel('gpt-4.1'), 'gpt-4o');
+  assert.equal(resolveModel('gpt-4.1-mini'), 'gpt-4o-mini');
+  assert.equal(resolveModel('gemini-2.0-flash'), 'gemini-1.5-flash');
+  assert.equal(selectModel('gpt-4.1', { apiKeys: BOTH_KEYS }).model, 'gpt-4o');
+  assert.equal(selectModel('gemini-2.0-flash', { apiKeys: BOTH_KEYS }).provider.id, 'google');
+});
+
+test('알 수 없는 모델 / 키 없는 모델은 gpt-4o-mini로 대체된다', () => {
+  assert.equal(selectModel('no-such-model', { apiKeys: BOTH_KEYS }).model, 'gpt-4o-mini');
+  assert.equal(selectModel('gemini-1.5-flash', { apiKeys: { openai: 'sk-test' } }).model, 'gpt-4o-mini');
+});
+
+test('로컬 프로바이더는 API 키 없이 선택된다', () => {
+  const { model, provider } = selectModel('local-echo');
+  assert.equal(model, 'local-echo');
+  assert.equal(provider.id, 'local');
+  assert.equal(provider.capabilities.requiresApiKey, false);
+});
+
+test('withTimeout은 시간 초과 시 거부하고, 폴백 함수가 있으면 그 결과를 반환한다', async () => {
+  const slow = () => new Promise(resolve => setTimeout(() => resolve('늦은 응답'), 200));
+
+  await assert.rejects(withTimeout(slow(), 10), /시간 초과 \(10ms\)/);
+  assert.equal(await withTimeout(slow(), 10, async () => '폴백'), '폴백');
+  assert.equal(await withTimeout(Promise.resolve('즉시'), 50), '즉시');
+});
+
+test('withTimeout은 시간 초과가 아닌 오류에는 폴백하지 않는다', async () => {
+  await assert.rejects(
+    withTimeout(Promise.reject(new Error('API 오류')), 50, async () => '폴백'),
+    /API 오류/
+  );
+});
+
+// 폴백 순서 검증용 프로바이더 (호출 순서를 기록)
+const calls = [];
+const testProvider = (id, models, translate, extra = {}) => registerProvider({
+  id,
+  name: id,
+  models,
+  capabilities: { requiresApiKey: false, jsonMode: true },
+  translate: async (request) => {
+    calls.push(request.model);
+    return translate(request);
+  },
+  ...extra
+});
+
+testProvider('test-broken', ['test-broken-model'], async () => { throw new Error('고장'); });
+testProvider('test-slow', ['test-slow-model'], () => new Promise(resolve => {
+  setTimeout(() => resolve({ translation: '늦음', pronunciation_hangul: '' }), 200);
+}), { timeoutMs: 10 });
+testProvider('test-ok', ['test-ok-model'], async ({ text }) => ({ translation: `OK:${text}`, pronunciation_hangul: '' }));
+
+test('선택 모델이 실패하면 폴백 모델로 한 번 재시도한다', async () => {
+  calls.length = 0;
+  const result = await translateWithProvider({ text: '안녕' }, { model: 'test-broken-model', fallbackModel: 'test-ok-model' });
+
+  assert.deepEqual(calls, ['test-broken-model', 'test-ok-model']);
+  assert.equal(result.translation, 'OK:안녕');
+  assert.equal(result.usedModel, 'test-ok-model');
+  assert.equal(result.modelProvider, 'test-ok');
+});
+
+test('프로바이더 timeoutMs를 넘기면 폴백 모델로 넘어간다', async () => {
+  calls.length = 0;
+  const result = await translateWithProvider({ text: '안녕' }, { model: 'test-slow-model', fallbackModel: 'test-ok-model' });
+
+  assert.deepEqual(calls, ['test-slow-model', 'test-ok-model']);
+  assert.equal(result.usedModel, 'test-ok-model');
+});
+
+test('폴백 모델이 선택 모델과 같으면 재시도 없이 오류를 던진다', async () => {
+  calls.length = 0;
+  await assert.rejects(
+    translateWithProvider({ text: '안녕' }, { model: 'test-broken-model', fallbackModel: 'test-broken-model' }),
+    /고장/
+  );
+  assert.deepEqual(calls, ['test-broken-model']);
+});
+
+test('local-echo는 원문을 그대로 돌려준다', async () => {
+  const result = await translateWithProvider({ text: 'Xin chào', targetLang: 'Korean' }, { model: 'local-echo' });
+  assert.equal(result.translation, 'Xin chào');
+  assert.equal(result.modelProvider, 'local');
+});
+
+test('local-dictionary는 긴 용어부터, 유니코드 단어 경계에서만 치환한다', async () => {
+  const dictionary = {
+    insertion: { ko: '삽입' },
+    'no insertion': { ko: '미삽입' },
+    '불량': { vi: 'lỗi' },
+    'lỗi': { ko: '오류' }
+  };
+  const translate = (text, targetLang) =>
+    translateWithProvider({ text, targetLang, dictionary }, { model: 'local-dictionary' }).then(r => r.translation);
+
+  assert.equal(await translate('no insertion / insertion', 'Korean'), '미삽입 / 삽입');
+  // 한글 용어: 앞뒤가 한글이면 다른 단어이므로 치환하지 않는다
+  assert.equal(await translate('불량 확인', 'Vietnamese'), 'lỗi 확인');
+  assert.equal(await translate('불량품', 'Vietnamese'), '불량품');
+  // 성조 부호가 붙은 용어도 같은 방식으로 경계를 확인한다
+  assert.equal(await translate('có lỗi.', 'Korean'), 'có 오류.');
+  assert.equal(await translate('lỗix', 'Korean'), 'lỗix');
+});
@@ -0,0 +1,105 @@
+// quality-estimation.js 감점 / 등급 / 플래그 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { estimateQuality } = require('../quality-estimation');
+
+const base = {
+  source: '작업 전에 안전모를 착용하십시오.',
+  translation: 'Hãy đội mũ bảo hộ trước khi làm việc.',
+  sourceLang: 'Korean',
+  targetLang: 'Vietnamese'
+};
+const flagTypes = result => result.flags.map(flag => flag.type);
+
+test('문제가 없으면 100점 good', () => {
+  assert.deepEqual(estimateQuality(base), { score: 100, level: 'good', flags: [] });
+});
+
+test('빈 번역은 0점 poor', () => {
+  const result = estimateQuality({ ...base, translation: '  ' });
+  assert.equal(result.score, 0);
+  assert.equal(result.level, 'poor');
+  assert.deepEqual(flagTypes(result), ['empty']);
+});
+
+test('원문 언어 구간이 남으면 untranslated, 원문을 그대로 돌려주면 전체가 한 구간', () => {
+  const partial = estimateQuality({ ...base, translation: 'Hãy đội mũ bảo hộ 작업 전에.' });
+  assert.deepEqual(partial.flags.filter(f => f.type === 'untranslated').map(f => f.span), ['작업 전에']);
+  assert.equal(partial.score, 80);
+
+  const copied = estimateQuality({ ...base, translation: base.source });
+  assert.deepEqual(flagTypes(copied).filter(type => type === 'untranslated'), ['untranslated']);
+  assert.equal(copied.flags[0].span, base.source);
+});
+
+test('JSON 복구 / 원문 응답 사용은 각각 감점하고 raw-text는 error', () => {
+  const repaired = estimateQuality({ ...base, repairs: ['json-extract'] });
+  assert.deepEqual(flagTypes(repaired), ['json-repair']);
+  assert.equal(repaired.score, 90);
+
+  const raw = estimateQuality({ ...base, repairs: ['raw-text'] });
+  assert.deepEqual(raw.flags.map(f => [f.type, f.severity]), [['raw-text', 'error']]);
+  assert.equal(raw.score, 70);
+  assert.equal(raw.level, 'review');
+});
+
+test('보존 문제는 건당 10점, 최대 30점까지 감점', () => {
+  const issue = { source: '5 N·m', found: '50 N·m', message: '측정값이 바뀌었습니다.' };
+  const one = estimateQuality({ ...base, preservationIssues: [issue] });
+  assert.deepEqual(one.flags, [{ type: 'preservation', severity: 'warning', source: '5 N·m', found: '50 N·m', message: '측정값이 바뀌었습니다.' }]);
+  assert.equal(one.score, 90);
+
+  const many = estimateQuality({ ...base, preservationIssues: [issue, issue, issue, issue, issue] });
+  assert.equal(many.score, 70);
+});
+
+test('용어 누락 / 충돌은 glossary-miss로 감점', () => {
+  const result = estimateQuality({
+    ...base,
+    terminologyReport: {
+      compliant: false,
+      matched: [],
+      missing: [{ sourceTerm: '안전모', targetTerm: 'mũ bảo hiểm' }],
+      conflicting: [{ sourceTerm: '작업', targetTerm: 'công việc', found: 'làm việc' }]
+    }
+  });
+  assert.deepEqual(flagTypes(result), ['glossary-miss', 'glossary-miss']);
+  assert.equal(result.score, 80);
+});
+
+test('등급 경계: 85 이상 good, 60 이상 review, 그 밖은 poor', () => {
+  const issue = { source: '1', found: '2', message: '' };
+  const levelOf = (extra) => estimateQuality({ ...base, ...extra });
+
+  // 10점 감점 → 90 good, 20점 → 80 review
+  assert.equal(levelOf({ repairs: ['json-extract'] }).level, 'good');
+  assert.equal(levelOf({ repairs: ['json-extract'], preservationIssues: [issue] }).level, 'review');
+  // 60점 → review, 50점 → poor
+  assert.deepEqual(
+    (({ score, level }) => ({ score, level }))(levelOf({ repairs: ['raw-text', 'json-extract'] })),
+    { score: 60, level: 'review' }
+  );
+  assert.deepEqual(
+    (({ score, level }) => ({ score, level }))(levelOf({ repairs: ['raw-text', 'json-extract'], preservationIssues: [issue] })),
+    { score: 50, level: 'poor' }
+  );
+});
+
+test('길이가 예상보다 크게 길거나 짧으면 length-ratio, 짧은 원문은 검사하지 않는다', () => {
+  const source = '작업 전에 안전모와 안전화를 착용하고 설비 상태를 점검하십시오.';
+  const translation = 'Trước khi làm việc, hãy đội mũ bảo hộ, mang giày bảo hộ và kiểm tra tình trạng thiết bị.';
+  assert.deepEqual(estimateQuality({ ...base, source, translation }).flags, []);
+
+  const long = estimateQuality({ ...base, source, translation: `${translation} ${'Đây là phần giải thích thêm không cần thiết. '.repeat(4)}` });
+  assert.deepEqual(flagTypes(long), ['length-ratio']);
+  assert.ok(long.flags[0].ratio > 2.2);
+  assert.equal(long.score, 80);
+
+  const short = estimateQuality({ ...base, source, translation: 'Đội mũ.' });
+  assert.deepEqual(flagTypes(short), ['length-ratio']);
+  assert.ok(short.flags[0].ratio < 1 / 2.2);
+
+  // 20자 미만 원문은 비율이 커도 통과
+  assert.deepEqual(flagTypes(estimateQuality({ ...base, translation: `${base.translation} ${'Giải thích thêm. '.repeat(6)}` })), []);
+});
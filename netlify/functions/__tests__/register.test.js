@@ -0,0 +1,55 @@
+// register.js 말투 / 청자 관계 해석과 프롬프트 지침 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveRegister, registerPrompt, describeRegister } = require('../register');
+
+test('말투 / 관계는 별칭으로도 지정할 수 있다', () => {
+  assert.deepEqual(resolveRegister({ register: '해요체' }), { register: 'polite', addressee: null });
+  assert.deepEqual(resolveRegister({ register: 'hasipsio' }), { register: 'formal', addressee: null });
+  assert.deepEqual(resolveRegister({ addressee: 'manager-to-worker' }), { register: 'polite', addressee: 'supervisor-to-worker' });
+  assert.deepEqual(resolveRegister({ addressee: 'announcement' }), { register: 'formal', addressee: 'all-staff' });
+});
+
+test('관계만 지정하면 관계별 기본 말투, 말투를 함께 주면 그 말투를 쓴다', () => {
+  assert.equal(resolveRegister({ addressee: 'worker-to-supervisor' }).register, 'formal');
+  assert.equal(resolveRegister({ addressee: 'peer' }).register, 'polite');
+  assert.deepEqual(resolveRegister({ register: 'casual', addressee: 'worker-to-supervisor' }), { register: 'casual', addressee: 'worker-to-supervisor' });
+  assert.deepEqual(resolveRegister(), { register: null, addressee: null });
+});
+
+test('알 수 없는 말투 / 관계는 error', () => {
+  assert.match(resolveRegister({ register: 'rude' }).error, /^알 수 없는 register입니다: rude \(formal \/ polite \/ casual\)$/);
+  assert.match(resolveRegister({ addressee: 'boss' }).error, /^알 수 없는 addressee입니다: boss/);
+});
+
+test('베트남어 인칭 대명사 지침은 베트남어 대상일 때만 붙는다', () => {
+  const choice = resolveRegister({ addressee: 'supervisor-to-worker' });
+
+  const vi = registerPrompt(choice, 'Vietnamese');
+  assert.match(vi, /- Relationship: A supervisor/);
+  assert.match(vi, /- Vietnamese pronouns: .*"em"/);
+  assert.match(vi, /- Register: Polite everyday register\./);
+
+  const ko = registerPrompt(choice, 'ko');
+  assert.doesNotMatch(ko, /Vietnamese pronouns/);
+  assert.match(ko, /- Korean speech level: Use 해요체 consistently/);
+
+  const en = registerPrompt(choice, 'English');
+  assert.doesNotMatch(en, /Vietnamese pronouns/);
+  assert.match(en, /- Register: Polite everyday register\. Keep it consistent/);
+});
+
+test('말투 지시를 뺀 지침과 지정하지 않았을 때의 빈 지침', () => {
+  const choice = resolveRegister({ register: 'formal', addressee: 'peer' });
+  assert.doesNotMatch(registerPrompt(choice, 'Vietnamese', { includeRegister: false }), /- Register:/);
+  assert.equal(registerPrompt(resolveRegister(), 'Vietnamese'), '');
+  assert.equal(describeRegister(resolveRegister(), 'Korean'), null);
+  assert.deepEqual(describeRegister(choice, 'Korean'), {
+    register: 'formal',
+    label: '격식체',
+    speechLevel: '하십시오체',
+    addressee: 'peer',
+    addresseeLabel: '동료'
+  });
+});
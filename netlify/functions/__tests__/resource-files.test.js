@@ -0,0 +1,85 @@
+// resource-files.js 펼치기 / 자리표시자 보호 / 직렬화 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  detectResourceFormat,
+  parseResourceFile,
+  serializeResourceFile,
+  flattenStrings,
+  setAtPath,
+  protectResourceValue,
+  placeholdersInOrder
+} = require('../resource-files');
+const { restorePlaceholders } = require('../markup');
+
+test('JSON / YAML 형식 판별과 파싱', () => {
+  assert.equal(detectResourceFormat('{"a": "b"}'), 'json');
+  assert.equal(detectResourceFormat('a: b\n'), 'yaml');
+  assert.deepEqual(parseResourceFile('menu:\n  save: 저장\n  items:\n    - 하나\n', 'yaml'), {
+    menu: { save: '저장', items: ['하나'] }
+  });
+});
+
+test('문자열 값만 경로와 함께 펼치고 같은 경로에 다시 쓴다', () => {
+  const data = { menu: { save: 'Save', count: 3, items: ['One', { label: 'Two' }], enabled: true } };
+  const entries = flattenStrings(data);
+  assert.deepEqual(entries.map(e => e.key), ['menu.save', 'menu.items.0', 'menu.items.1.label']);
+  assert.deepEqual(entries[2].path, ['menu', 'items', 1, 'label']);
+
+  for (const entry of entries) setAtPath(data, entry.path, `${entry.value}!`);
+  assert.deepEqual(data, { menu: { save: 'Save!', count: 3, items: ['One!', { label: 'Two!' }], enabled: true } });
+});
+
+test('JSON은 원본 들여쓰기와 끝 줄바꿈을 유지하고 YAML은 콜론이 든 값도 그대로 다시 읽힌다', () => {
+  const original = '{\n    "a": "x"\n}\n';
+  const json = serializeResourceFile({ a: { b: '저장' } }, 'json', original);
+  assert.equal(json, '{\n    "a": {\n        "b": "저장"\n    }\n}\n');
+  assert.equal(serializeResourceFile({ a: 1 }, 'json', '{"a":1}'), '{\n  "a": 1\n}');
+
+  const yamlText = serializeResourceFile({ a: { b: 'x: y', c: ['1'] } }, 'yaml');
+  assert.deepEqual(parseResourceFile(yamlText, 'yaml'), { a: { b: 'x: y', c: ['1'] } });
+});
+
+test('보간 토큰을 자리표시자로 보호하고 되돌린다', () => {
+  const table = [
+    ['Hello {{name}}, you have %d items', ['{{name}}', '%d']],
+    ['Hi ${name}, see %1$s and %(count)s', ['${name}', '%1$s', '%(count)s']],
+    ['$t(common.ok) <0>click</0> <br/>', ['$t(common.ok)', '<0>', '</0>', '<br/>']],
+    ['{user} saved {n, number}', ['{user}', '{n, number}']]
+  ];
+  for (const [value, expected] of table) {
+    const { text, placeholders, structural } = protectResourceValue(value);
+    assert.deepEqual(placeholders, expected, value);
+    assert.deepEqual(structural, []);
+    assert.equal(restorePlaceholders(text, placeholders).text, value);
+  }
+});
+
+test('ICU plural 분기 구조와 #을 보호하고 분기 순서를 검사한다', () => {
+  const value = '{count, plural, =0 {No files} one {# file} other {# files}} by {user}';
+  const { text, placeholders, structural } = protectResourceValue(value);
+  assert.equal(text, '[[T0]]No files[[T1]][[T2]] file[[T3]][[T4]] files[[T5]] by [[T6]]');
+  assert.deepEqual(placeholders, ['{count, plural, =0 {', '} one {', '#', '} other {', '#', '}}', '{user}']);
+  assert.deepEqual(structural, [0, 1, 3, 5]);
+  assert.equal(restorePlaceholders(text, placeholders).text, value);
+
+  const translated = '[[T0]]파일 없음[[T1]][[T2]]개 파일[[T3]][[T4]]개 파일[[T5]] 작성자 [[T6]]';
+  assert.equal(placeholdersInOrder(translated, structural), true);
+  // 분기를 뒤바꾸거나 빠뜨리면 ICU 메시지가 깨진다
+  assert.equal(placeholdersInOrder('[[T0]]a[[T3]]b[[T1]]c[[T5]]', structural), false);
+  assert.equal(placeholdersInOrder('[[T0]]a[[T1]]b[[T5]]', structural), false);
+});
+
+test('select 분기 안의 #은 일반 글자로 남는다', () => {
+  const { text, placeholders } = protectResourceValue('{g, select, male {He is #1} other {They}}');
+  assert.equal(text, '[[T0]]He is #1[[T1]]They[[T2]]');
+  assert.deepEqual(placeholders, ['{g, select, male {', '} other {', '}}']);
+});
+
+test('ICU로 해석할 수 없는 값은 중괄호 구간만 보호한다', () => {
+  const { text, placeholders, structural } = protectResourceValue('Broken {a, plural, one {x} tail {name}');
+  assert.deepEqual(structural, []);
+  assert.equal(restorePlaceholders(text, placeholders).text, 'Broken {a, plural, one {x} tail {name}');
+  assert.deepEqual(protectResourceValue('Broken { brace'), { text: 'Broken { brace', placeholders: [], structural: [] });
+});
@@ -0,0 +1,86 @@
+// spreadsheet.js CSV 왕복 / 열 지정 / 셀 판별 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  columnLetter,
+  resolveColumns,
+  shouldTranslateCell,
+  readSpreadsheet,
+  appendColumns,
+  writeSpreadsheet
+} = require('../spreadsheet');
+
+const CSV = [
+  '\uFEFF품번,설명,비고',
+  'AB-1234,"볼트, 너트 체결","""주의"" 표시"',
+  'CD-5678,"여러 줄',
+  '설명",1200',
+  ''
+].join('\r\n');
+
+test('따옴표 / BOM / CRLF가 있는 CSV는 그대로 왕복된다', async () => {
+  const doc = await readSpreadsheet({ format: 'csv', content: CSV });
+
+  assert.equal(doc.bom, true);
+  assert.equal(doc.eol, '\r\n');
+  assert.equal(doc.delimiter, ',');
+  assert.deepEqual(doc.rows, [
+    ['품번', '설명', '비고'],
+    ['AB-1234', '볼트, 너트 체결', '"주의" 표시'],
+    ['CD-5678', '여러 줄\r\n설명', '1200']
+  ]);
+  assert.equal(await writeSpreadsheet(doc), CSV);
+});
+
+test('번역 열은 뒤에 추가하고 기존 열은 건드리지 않는다', async () => {
+  const doc = await readSpreadsheet({ format: 'csv', content: CSV });
+  appendColumns(doc, [{
+    sourceIndex: 1,
+    header: '설명 (Vietnamese)',
+    headerIndex: 0,
+    values: new Map([[1, 'Siết bu lông, đai ốc'], [2, 'Mô tả\nnhiều dòng']])
+  }]);
+
+  const output = await writeSpreadsheet(doc);
+  const lines = output.split('\r\n');
+  assert.ok(output.startsWith('\uFEFF'));
+  assert.equal(lines[0], '\uFEFF품번,설명,비고,설명 (Vietnamese)');
+  assert.equal(lines[1], 'AB-1234,"볼트, 너트 체결","""주의"" 표시","Siết bu lông, đai ốc"');
+
+  const reread = await readSpreadsheet({ format: 'csv', content: output });
+  assert.deepEqual(reread.rows.map(row => row.slice(0, 3)), doc.rows.map(row => row.slice(0, 3)));
+  assert.equal(reread.rows[2][3], 'Mô tả\nnhiều dòng');
+});
+
+test('세미콜론 / 탭 구분자와 BOM 없는 LF 파일', async () => {
+  const semicolon = await readSpreadsheet({ format: 'csv', content: 'a;b\n1;2' });
+  assert.equal(semicolon.delimiter, ';');
+  assert.equal(semicolon.bom, false);
+  assert.equal(await writeSpreadsheet(semicolon), 'a;b\n1;2');
+
+  const tab = await readSpreadsheet({ format: 'csv', content: 'a\tb\n x \ty\n' });
+  assert.equal(tab.delimiter, '\t');
+  assert.equal(await writeSpreadsheet(tab), 'a\tb\n" x "\ty\n');
+});
+
+test('닫히지 않은 따옴표는 SyntaxError', async () => {
+  await assert.rejects(readSpreadsheet({ format: 'csv', content: 'a,"b\n' }), { name: 'SyntaxError' });
+});
+
+test('열 지정: 헤더 이름 / 열 문자 / 열 번호', () => {
+  const headers = ['품번', '설명', '비고'];
+  assert.deepEqual(resolveColumns(headers, ['설명', 'C', '1', '설명', '없는 열']), { indices: [1, 2, 0], unknown: ['없는 열'] });
+  assert.equal(columnLetter(0), 'A');
+  assert.equal(columnLetter(25), 'Z');
+  assert.equal(columnLetter(27), 'AB');
+});
+
+test('숫자 / 코드 / 수식 / 빈 셀은 번역하지 않는다', () => {
+  for (const value of ['', '  ', '1,200.5', '-3%', '2024-05-01', 'AB-1234', 'PCB_01', '=SUM(A1:A3)', null, 12]) {
+    assert.equal(shouldTranslateCell(value), false, String(value));
+  }
+  for (const value of ['볼트 체결', 'Bolt', 'M6 볼트']) {
+    assert.equal(shouldTranslateCell(value), true, value);
+  }
+});
@@ -0,0 +1,101 @@
+// subtitles.js 파싱 / 직렬화 왕복 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  detectSubtitleFormat,
+  parseSubtitles,
+  serializeSubtitles,
+  protectStyleTags,
+  restoreStyleTags
+} = require('../subtitles');
+
+const SRT = [
+  '1',
+  '00:00:01,000 --> 00:00:03,500',
+  '안전모를 착용하세요.',
+  '',
+  '2',
+  '00:00:04,000 --> 00:00:06,000',
+  '<i>첫째 줄</i>',
+  '둘째 줄',
+  ''
+].join('\n');
+
+const VTT = [
+  'WEBVTT - 안전 교육',
+  '',
+  'NOTE 이 블록은 번역하지 않는다',
+  '',
+  'STYLE',
+  '::cue { color: yellow; }',
+  '',
+  'intro',
+  '00:01.000 --> 00:03.000 align:start position:10%',
+  '<v 반장>라인을 멈추세요.',
+  '',
+  '00:04.000 --> 00:06.000 line:0',
+  '첫째 줄',
+  '둘째 줄',
+  ''
+].join('\n');
+
+test('형식 감지: BOM이 있어도 WEBVTT 헤더로 판단', () => {
+  assert.equal(detectSubtitleFormat('\uFEFFWEBVTT\n\n00:01.000 --> 00:02.000\nhi\n'), 'vtt');
+  assert.equal(detectSubtitleFormat(SRT), 'srt');
+});
+
+test('SRT: 큐 번호 / 타임스탬프 / 여러 줄 큐를 나누고 그대로 직렬화', () => {
+  const doc = parseSubtitles(SRT);
+  assert.equal(doc.format, 'srt');
+  assert.deepEqual(doc.blocks.map(block => block.type), ['cue', 'cue']);
+  assert.equal(doc.blocks[1].id, '2');
+  assert.equal(doc.blocks[1].timing, '00:00:04,000 --> 00:00:06,000');
+  assert.deepEqual(doc.blocks[1].lines, ['<i>첫째 줄</i>', '둘째 줄']);
+  assert.equal(serializeSubtitles(doc), SRT);
+});
+
+test('SRT: CRLF 줄바꿈과 BOM 보존', () => {
+  const content = '\uFEFF' + SRT.replace(/\n/g, '\r\n');
+  const doc = parseSubtitles(content);
+  assert.equal(doc.bom, true);
+  assert.equal(doc.eol, '\r\n');
+  assert.deepEqual(doc.blocks[0].lines, ['안전모를 착용하세요.']);
+  assert.equal(serializeSubtitles(doc), content);
+});
+
+test('VTT: 헤더 / NOTE / STYLE은 raw로 보존하고 큐 설정은 타이밍 줄에 남긴다', () => {
+  const doc = parseSubtitles(VTT);
+  assert.equal(doc.format, 'vtt');
+  assert.deepEqual(doc.blocks.map(block => block.type), ['raw', 'raw', 'raw', 'cue', 'cue']);
+  assert.equal(doc.blocks[1].text, 'NOTE 이 블록은 번역하지 않는다');
+  assert.equal(doc.blocks[3].id, 'intro');
+  assert.equal(doc.blocks[3].timing, '00:01.000 --> 00:03.000 align:start position:10%');
+  assert.equal(doc.blocks[4].id, null);
+  assert.deepEqual(doc.blocks[4].lines, ['첫째 줄', '둘째 줄']);
+  assert.equal(serializeSubtitles(doc), VTT);
+});
+
+test('번역한 줄로 바꿔도 번호 / 타이밍 / 설정은 그대로', () => {
+  const doc = parseSubtitles(VTT);
+  doc.blocks[4].lines = ['Dòng một', 'Dòng hai'];
+  const output = serializeSubtitles(doc);
+  assert.match(output, /00:04\.000 --> 00:06\.000 line:0\nDòng một\nDòng hai\n$/);
+  assert.ok(output.startsWith('WEBVTT - 안전 교육\n\nNOTE'));
+});
+
+test('해석할 수 없는 블록은 raw로 남긴다', () => {
+  const doc = parseSubtitles('1\n00:00:01,000 --> 00:00:02,000\nhi\n\n잘못된 블록\n');
+  assert.deepEqual(doc.blocks.map(block => block.type), ['cue', 'raw']);
+  assert.equal(doc.blocks[1].text, '잘못된 블록');
+});
+
+test('스타일 태그 보호 / 복원 (누락된 태그는 앞뒤에 붙임)', () => {
+  const { text, tags } = protectStyleTags('{\\an8}<i>주의</i>');
+  assert.equal(text, '[[T0]][[T1]]주의[[T2]]');
+  assert.deepEqual(restoreStyleTags('[[T0]][[T1]]Chú ý[[T2]]', tags), { text: '{\\an8}<i>Chú ý</i>', missingTags: [] });
+
+  const restored = restoreStyleTags('Chú ý', tags);
+  assert.equal(restored.text, '<i>{\\an8}Chú ý</i>');
+  assert.deepEqual(restored.missingTags, tags);
+});
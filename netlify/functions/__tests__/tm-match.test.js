@@ -0,0 +1,116 @@
+// tm-match.js 색인 키 / 일치율 / 순위 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeForMatch,
+  buildMatchIndex,
+  fuzzyMatchScore,
+  canApplyMatch,
+  rankMatches
+} = require('../tm-match');
+
+test('대소문자 / 문장부호 / 공백을 정규화한다', () => {
+  assert.equal(normalizeForMatch('  Pump A-12:\tOK!! '), 'pump a 12 ok');
+  assert.equal(normalizeForMatch('압력이   낮습니다.'), '압력이 낮습니다');
+  assert.equal(normalizeForMatch('\u1100\u1161'), '가'); // 첫가끝 자모도 NFC로 합쳐진다
+  assert.equal(normalizeForMatch(null), '');
+});
+
+test('한글 단어는 음절 2-gram, 그 외는 3-gram 키를 만든다', () => {
+  assert.deepEqual(buildMatchIndex('압력이 낮습니다'), [
+    'w:압력이', 'g:압력', 'g:력이',
+    'w:낮습니다', 'g:낮습', 'g:습니', 'g:니다'
+  ]);
+  assert.deepEqual(buildMatchIndex('Pump A-12'), ['w:pump', 'g:pum', 'g:ump', 'g:a', 'w:12', 'g:12']);
+  assert.deepEqual(buildMatchIndex('가'), ['g:가']);
+  assert.deepEqual(buildMatchIndex('...'), []);
+
+  // 조사만 다른 문장도 음절 키가 겹친다
+  const a = buildMatchIndex('압력을 확인하세요');
+  const b = new Set(buildMatchIndex('압력이 확인되면'));
+  assert.deepEqual(a.filter(key => b.has(key)), ['g:압력', 'g:확인']);
+});
+
+test('일치율: 정확 일치 100, 정규화 일치 99, 그 외 편집 거리 기반 최대 98', () => {
+  const table = [
+    ['abcdefghij', 'abcdefghij', 100],
+    ['Hello, World!', 'hello world', 99],
+    ['abcdefghij', 'abcdefghix', 90],
+    ['abcdefghij', 'abcdefgxyz', 70],
+    ['abcd', 'abce', 75],
+    ['압력이 낮습니다', '압력이 높습니다', 87],
+    ['압력을 확인하세요', '압력을 확인하십시오', 70],
+    [`${'가'.repeat(199)}나`, '가'.repeat(200), 98],
+    ['!!!', 'abc', 0],
+    ['', '', 100]
+  ];
+  for (const [source, candidate, expected] of table) {
+    assert.equal(fuzzyMatchScore(source, candidate), expected, `${source} / ${candidate}`);
+  }
+});
+
+test('1000자를 넘는 문장은 정확 / 정규화 일치만 인정한다', () => {
+  const long = 'a'.repeat(1001);
+  assert.equal(fuzzyMatchScore(long, long), 100);
+  assert.equal(fuzzyMatchScore(long, `${long}.`), 99);
+  assert.equal(fuzzyMatchScore(long, `${'a'.repeat(1000)}b`), 0);
+});
+
+test('minScore 경계: 일치율이 정확히 minScore면 포함하고 1점 높이면 제외한다', () => {
+  const rows = [{ id: 1, original_text: 'abce' }];
+  assert.deepEqual(rankMatches('abcd', rows, { minScore: 75 }).map(m => m.score), [75]);
+  assert.deepEqual(rankMatches('abcd', rows, { minScore: 76 }), []);
+
+  // 길이 차이가 (1 - minScore/100) 이내인 후보만 점수를 계산한다
+  const lengths = [{ id: 'abc', original_text: 'abc' }, { id: 'ab', original_text: 'ab' }];
+  assert.deepEqual(rankMatches('abcd', lengths, { minScore: 75 }).map(m => m.feedback.id), ['abc']);
+  assert.deepEqual(rankMatches('abcd', lengths, { minScore: 50 }).map(m => m.feedback.id), ['abc', 'ab']);
+});
+
+test('한글 후보를 일치율, 같으면 최근 수정 순으로 정렬하고 limit만큼 돌려준다', () => {
+  const rows = [
+    { id: 'old', original_text: '압력이 낮습니다.', updated_at: '2026-01-01T00:00:00Z' },
+    { id: 'other', original_text: '온도가 높습니다', match_index: buildMatchIndex('온도가 높습니다') },
+    { id: 'near', original_text: '압력이 높습니다', match_index: buildMatchIndex('압력이 높습니다') },
+    { id: 'new', original_text: '압력이 낮습니다!', updated_at: '2026-10-01T00:00:00Z' },
+    { id: 'exact', original_text: '압력이 낮습니다' }
+  ];
+
+  const matches = rankMatches('압력이 낮습니다', rows, { minScore: 75, limit: 5 });
+  assert.deepEqual(matches.map(m => [m.feedback.id, m.score]), [
+    ['exact', 100],
+    ['new', 99],
+    ['old', 99],
+    ['near', 87]
+  ]);
+  assert.deepEqual(rankMatches('압력이 낮습니다', rows, { minScore: 75, limit: 2 }).map(m => m.feedback.id), ['exact', 'new']);
+  assert.deepEqual(rankMatches('압력이 낮습니다', rows, { minScore: 90 }).map(m => m.feedback.id), ['exact', 'new', 'old']);
+});
+
+test('수치나 품번만 다른 고일치 후보는 바로 적용하지 않고 제안으로만 남긴다', () => {
+  const cases = [
+    ['볼트를 토크 5 N·m로 조여 주세요.', '볼트를 토크 6 N·m로 조여 주세요.'],
+    ['Tighten the bolt to 25 Nm before starting the line.', 'Tighten the bolt to 35 Nm before starting the line.'],
+    ['Replace part AB-1234 now', 'Replace part AB-1235 now']
+  ];
+  for (const [source, candidate] of cases) {
+    const score = fuzzyMatchScore(source, candidate);
+    assert.ok(score >= 95, `${source}: ${score}`);
+    assert.equal(canApplyMatch(source, candidate, score, 95), false, source);
+  }
+});
+
+test('수치가 같으면 applyScore 이상일 때 적용하고, 완전 일치는 항상 적용한다', () => {
+  const source = 'Tighten the bolts to 25 Nm before starting the line.';
+  const candidate = 'Tighten the bolt to 25 Nm before starting the line.';
+  const score = fuzzyMatchScore(source, candidate);
+
+  assert.ok(score >= 95 && score < 100);
+  assert.equal(canApplyMatch(source, candidate, score, 95), true);
+  assert.equal(canApplyMatch(source, candidate, score, score + 1), false);
+  assert.equal(canApplyMatch('Part ab-1234', 'Part AB-1234', 99, 95), true);
+  assert.equal(canApplyMatch('토크 5 N·m', '토크 5 N·m', 100, 101), true);
+  // 수치가 빠진 후보도 적용하지 않는다
+  assert.equal(canApplyMatch('압력 5 bar 확인', '압력 확인', 96, 95), false);
+});
@@ -0,0 +1,65 @@
+// tmx.js 생성 / 파싱 왕복 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildTmx, parseTmx } = require('../tmx');
+
+test('TMX를 만들고 다시 읽으면 같은 언어쌍과 텍스트가 나온다', () => {
+  const xml = buildTmx([
+    { tuid: 'fb-1', sourceLang: 'ko', targetLang: 'vi', source: '압력 < 5 bar & "정상"', target: 'Áp suất < 5 bar & "bình thường"', changedate: '2026-10-19T09:30:00.123Z', origin: 'feedback' },
+    { sourceLang: 'ko', targetLang: 'en', source: '안전모', target: 'Hard hat' }
+  ], { srcLang: 'ko' });
+
+  assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<tmx version="1.4">\n {2}<header [^>]*srclang="ko"/);
+  assert.match(xml, /<tu tuid="fb-1" changedate="20261019T093000Z">/);
+  assert.match(xml, /<prop type="x-origin">feedback<\/prop>/);
+  assert.match(xml, /<seg>압력 &lt; 5 bar &amp; "정상"<\/seg>/);
+
+  const { srcLang, units } = parseTmx(xml);
+  assert.equal(srcLang, 'ko');
+  assert.deepEqual(units, [
+    {
+      tuid: 'fb-1',
+      srcLang: null,
+      variants: [
+        { lang: 'ko', text: '압력 < 5 bar & "정상"' },
+        { lang: 'vi', text: 'Áp suất < 5 bar & "bình thường"' }
+      ]
+    },
+    { tuid: null, srcLang: null, variants: [{ lang: 'ko', text: '안전모' }, { lang: 'en', text: 'Hard hat' }] }
+  ]);
+});
+
+test('잘못된 날짜는 changedate를 생략하고 속성 값의 따옴표를 이스케이프한다', () => {
+  const xml = buildTmx([{ tuid: 'a"b', sourceLang: 'ko', targetLang: 'vi', source: '가', target: 'A', changedate: 'not a date' }], { srcLang: 'ko' });
+  assert.match(xml, /<tu tuid="a&quot;b">/);
+  assert.equal(parseTmx(xml).units[0].tuid, 'a"b');
+});
+
+test('인라인 코드는 지우고 <hi>와 CDATA는 텍스트만 남긴다', () => {
+  const { units } = parseTmx(`<tmx version="1.4"><header srclang="en-US"/><body>
+<tu tuid="7" srclang="en-US">
+  <tuv xml:lang="en-US"><seg>Press <bpt i="1">&lt;b&gt;</bpt>Start<ept i="1">&lt;/b&gt;</ept><ph x="2"/> <hi type="x">now</hi></seg></tuv>
+  <tuv lang="VI"><seg><![CDATA[Nhấn <Bắt đầu> & đi]]></seg></tuv>
+</tu>
+</body></tmx>`);
+  assert.deepEqual(units, [{
+    tuid: '7',
+    srcLang: 'en-US',
+    variants: [{ lang: 'en-US', text: 'Press Start now' }, { lang: 'VI', text: 'Nhấn <Bắt đầu> & đi' }]
+  }]);
+});
+
+test('번역이 비어 있는 단위는 원문 변형만 남긴다', () => {
+  const xml = buildTmx([{ sourceLang: 'ko', targetLang: 'vi', source: '미번역', target: '' }], { srcLang: 'ko' });
+  assert.match(xml, /<tuv xml:lang="vi"><seg><\/seg><\/tuv>/);
+  assert.deepEqual(parseTmx(xml).units[0].variants, [{ lang: 'ko', text: '미번역' }]);
+
+  const { units } = parseTmx('<tmx><body><tu><tuv xml:lang="ko"><seg>  </seg></tuv><tuv><seg>언어 없음</seg></tuv></tu></body></tmx>');
+  assert.deepEqual(units, [{ tuid: null, srcLang: null, variants: [] }]);
+});
+
+test('TMX 루트가 없으면 SyntaxError', () => {
+  assert.throws(() => parseTmx('<xliff version="1.2"/>'), { name: 'SyntaxError', message: 'TMX 루트 요소를 찾을 수 없습니다.' });
+  assert.deepEqual(parseTmx('<tmx version="1.4"><body/></tmx>'), { srcLang: null, units: [] });
+});
@@ -0,0 +1,68 @@
+// transcript.js 대화 기록 내보내기 (HTML / TXT / JSON) / 파일 이름 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderTranscript, transcriptFilename, isValidTimeZone } = require('../transcript');
+
+const SESSION = {
+  id: '0f8c2a1e-1234-4cde-9abc-1234567890ab',
+  userId: 'user-1',
+  title: '야간 <인수인계> & 점검',
+  speakers: [{ id: 'A', name: '김 반장', language: 'Korean' }, { id: 'B', name: 'Lan', language: 'Vietnamese' }],
+  contextTurns: 6,
+  domain: 'general',
+  createdAt: '2026-10-18T22:05:00.000Z',
+  minutes: null
+};
+const TURNS = [
+  {
+    index: 0, speaker: 'A', sourceLang: 'Korean', targetLang: 'Vietnamese',
+    original: '3번 라인 <SMT> 설비 "점검" 완료?', translation: 'Đã kiểm tra máy <SMT> dây chuyền 3 chưa?',
+    pronunciationHangul: '다 끼엠 짜', createdAt: '2026-10-18T22:06:00.000Z'
+  },
+  {
+    index: 1, speaker: 'B', sourceLang: 'Vietnamese', targetLang: 'Korean',
+    original: 'Dạ xong rồi ạ.', translation: '네, 끝났습니다.', pronunciationHangul: '', createdAt: '2026-10-18T22:07:00.000Z'
+  }
+];
+
+test('HTML: 사용자 입력은 모두 이스케이프하고 발화 시각은 요청 시간대로 표시한다', () => {
+  const { content, contentType } = renderTranscript(SESSION, TURNS, 'html', { timeZone: 'Asia/Ho_Chi_Minh' });
+
+  assert.equal(contentType, 'text/html; charset=utf-8');
+  assert.match(content, /<title>야간 &lt;인수인계&gt; &amp; 점검<\/title>/);
+  assert.match(content, /3번 라인 &lt;SMT&gt; 설비 &quot;점검&quot; 완료\?/);
+  assert.doesNotMatch(content, /<SMT>/);
+  assert.match(content, /<td class="time">05:06<\/td>/);
+  assert.match(content, /<div class="pron">다 끼엠 짜<\/div>/);
+});
+
+test('TXT: 줄바꿈은 CRLF, 발화마다 원문과 번역 두 줄', () => {
+  const { content } = renderTranscript(SESSION, TURNS, 'txt');
+  const lines = content.split('\r\n');
+
+  assert.ok(content.endsWith('\r\n'));
+  assert.doesNotMatch(content.replace(/\r\n/g, ''), /\n/);
+  assert.equal(lines[0], SESSION.title);
+  assert.equal(lines[4], '[22:06] 김 반장 (Korean): 3번 라인 <SMT> 설비 "점검" 완료?');
+  assert.equal(lines[5], '  → (Vietnamese) Đã kiểm tra máy <SMT> dây chuyền 3 chưa?');
+});
+
+test('JSON: 세션 소유자 id는 내보내지 않는다', () => {
+  const { content, contentType } = renderTranscript(SESSION, TURNS, 'json');
+  const parsed = JSON.parse(content);
+
+  assert.equal(contentType, 'application/json; charset=utf-8');
+  assert.equal(parsed.session.userId, undefined);
+  assert.equal(parsed.session.id, SESSION.id);
+  assert.deepEqual(parsed.turns, TURNS);
+});
+
+test('파일 이름은 위험한 글자를 _로 바꾸고, 제목이 없으면 세션 id 앞부분', () => {
+  assert.equal(transcriptFilename({ ...SESSION, title: 'a/b:c*d?"e"<f>|g  h' }, 'txt'), 'conversation_2026-10-18_a_b_c_d_e_f_g_h.txt');
+  assert.equal(transcriptFilename({ ...SESSION, title: '../../etc/passwd' }, 'html'), 'conversation_2026-10-18_.._.._etc_passwd.html');
+  assert.equal(transcriptFilename({ ...SESSION, title: null }, 'json'), 'conversation_2026-10-18_0f8c2a1e.json');
+  assert.equal(transcriptFilename({ ...SESSION, title: ' / ' }, 'json'), 'conversation_2026-10-18_0f8c2a1e.json');
+  assert.equal(isValidTimeZone('Asia/Seoul'), true);
+  assert.equal(isValidTimeZone('Mars/Base'), false);
+});
@@ -0,0 +1,159 @@
+// translate.js 묶음 번역(translate-batch) 캐시 키 / 공용 캐시 사용 범위 테스트 (node --test)
+// 네트워크 없이 돌도록 JSON 모드 테스트 프로바이더를 등록하고 공용 캐시 호출은 가로채서 기록한다
+delete process.env.OPENAI_API_KEY;
+delete process.env.GEMINI_API_KEY;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// translate.js가 불러오기 시점에 함수를 꺼내 가므로 먼저 교체한다
+const database = require('../database');
+const publicCacheCalls = [];
+database.getPublicCache = async (...args) => {
+  publicCacheCalls.push(['get', ...args]);
+  return { success: false };
+};
+database.setPublicCache = async (...args) => {
+  publicCacheCalls.push(['set', ...args]);
+  return { success: true };
+};
+
+const { registerProvider } = require('../providers');
+const providerCalls = [];
+registerProvider({
+  id: 'test-json',
+  name: 'Test JSON',
+  models: ['test-json-a', 'test-json-b'],
+  capabilities: { requiresApiKey: false, jsonMode: true },
+  async translate({ model, userPrompt, systemMessage }) {
+    providerCalls.push({ model, systemMessage });
+    const segments = JSON.parse(userPrompt).map(({ key, text }) => ({
+      key,
+      translation: `[${model}] ${text}`,
+      pronunciation_hangul: ''
+    }));
+    return { translation: '', pronunciation_hangul: '', raw: { segments } };
+  }
+});
+
+const { handler } = require('../translate');
+
+async function batch(body) {
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: {},
+    body: JSON.stringify({ action: 'translate-batch', targetLang: 'Vietnamese', getPronunciation: false, ...body })
+  });
+  assert.equal(response.statusCode, 200, response.body);
+  return JSON.parse(response.body);
+}
+
+const reset = () => {
+  providerCalls.length = 0;
+  publicCacheCalls.length = 0;
+};
+
+test('같은 모델로 다시 요청하면 메모리 캐시를 쓴다', async () => {
+  reset();
+  const first = await batch({ model: 'test-json-a', segments: [{ id: 1, text: '안전모 착용' }] });
+  const second = await batch({ model: 'test-json-a', segments: [{ id: 1, text: '안전모 착용' }] });
+
+  assert.equal(first.results[0].cacheHit, false);
+  assert.equal(second.results[0].cacheHit, 'memory');
+  assert.equal(second.results[0].translation, '[test-json-a] 안전모 착용');
+  assert.equal(providerCalls.length, 1);
+});
+
+test('모델이 다르면 메모리 캐시 / 공용 캐시 키를 공유하지 않는다', async () => {
+  reset();
+  await batch({ model: 'test-json-a', segments: [{ id: 1, text: '전원 차단' }] });
+  const other = await batch({ model: 'test-json-b', segments: [{ id: 1, text: '전원 차단' }] });
+
+  assert.equal(other.results[0].cacheHit, false);
+  assert.equal(other.results[0].translation, '[test-json-b] 전원 차단');
+  assert.deepEqual(providerCalls.map(c => c.model), ['test-json-a', 'test-json-b']);
+
+  const models = publicCacheCalls.map(call => call[0] === 'get' ? call[3] : call[5]);
+  assert.deepEqual(models, ['test-json-a', 'test-json-a', 'test-json-b', 'test-json-b']);
+});
+
+test('분야별 번역은 일반 번역과 캐시를 나누고 공용 캐시에 읽고 쓰지 않는다', async () => {
+  reset();
+  await batch({ model: 'test-json-a', segments: [{ id: 1, text: '설비 점검' }] });
+  const general = publicCacheCalls.length;
+  const manufacturing = await batch({ model: 'test-json-a', domain: 'manufacturing', segments: [{ id: 1, text: '설비 점검' }] });
+
+  assert.equal(manufacturing.results[0].cacheHit, false);
+  assert.equal(providerCalls.length, 2);
+  assert.equal(general, 2);
+  assert.equal(publicCacheCalls.length, general, '분야별 번역 결과는 공용 캐시를 거치지 않아야 한다');
+
+  // 분야별 결과끼리는 메모리 캐시를 쓴다
+  const again = await batch({ model: 'test-json-a', domain: 'manufacturing', segments: [{ id: 1, text: '설비 점검' }] });
+  assert.equal(again.results[0].cacheHit, 'memory');
+  assert.equal(publicCacheCalls.length, general);
+});
+
+test('말투를 지정한 번역은 지정하지 않은 번역과 캐시를 나누고 공용 캐시를 쓰지 않는다', async () => {
+  reset();
+  await batch({ model: 'test-json-a', segments: [{ id: 1, text: '작업 시작' }] });
+  const plain = publicCacheCalls.length;
+  const formal = await batch({ model: 'test-json-a', register: 'formal', segments: [{ id: 1, text: '작업 시작' }] });
+
+  assert.equal(formal.results[0].cacheHit, false);
+  assert.equal(providerCalls.length, 2);
+  assert.match(providerCalls[1].systemMessage, /Formal register\./);
+  assert.equal(publicCacheCalls.length, plain);
+});
+
+test('로컬 프로바이더는 세그먼트를 개별 번역하고 공용 캐시를 쓰지 않는다', async () => {
+  reset();
+  const result = await batch({
+    model: 'local-echo',
+    segments: [{ id: 'a', text: '첫 문장' }, { id: 'b', text: '둘째 문장' }, { id: 'c', text: '첫 문장' }, { id: 'd', text: '' }]
+  });
+
+  assert.deepEqual(result.results.map(r => r.translation), ['첫 문장', '둘째 문장', '첫 문장', '']);
+  assert.equal(result.results[3].error, '입력 텍스트가 비어있습니다.');
+  assert.deepEqual(result.stats, { total: 4, cacheHits: 0, translated: 2, failed: 1, terminologyViolations: 0 });
+  assert.equal(result.modelProvider, 'local');
+  assert.equal(publicCacheCalls.length, 0);
+});
+
+// 묶음 호출은 도메인 용어('수율' → 'Tỷ lệ đạt')를 빠뜨리고, 단건 재번역은 교정 지시를 따르는 프로바이더
+const termCalls = [];
+registerProvider({
+  id: 'test-terms',
+  name: 'Test Terms',
+  models: ['test-terms'],
+  capabilities: { requiresApiKey: false, jsonMode: true },
+  async translate({ userPrompt, systemMessage }) {
+    if (userPrompt.startsWith('Text: ')) {
+      termCalls.push({ kind: 'single', systemMessage });
+      return { translation: 'Tỷ lệ đạt hôm nay', pronunciation_hangul: '' };
+    }
+    termCalls.push({ kind: 'batch', systemMessage });
+    const segments = JSON.parse(userPrompt).map(({ key }) => ({ key, translation: 'Năng suất hôm nay', pronunciation_hangul: '' }));
+    return { translation: '', pronunciation_hangul: '', raw: { segments } };
+  }
+});
+
+test('용어 위반은 보고만 하고, strict 모드에서만 교정 지시와 함께 재번역한다', async () => {
+  termCalls.length = 0;
+  const loose = await batch({ model: 'test-terms', domain: 'manufacturing', segments: [{ id: 1, text: '오늘 수율' }] });
+
+  assert.equal(loose.results[0].translation, 'Năng suất hôm nay');
+  assert.equal(loose.results[0].terminologyReport.compliant, false);
+  assert.deepEqual(loose.results[0].terminologyReport.missing, [{ sourceTerm: '수율', targetTerm: 'Tỷ lệ đạt' }]);
+  assert.equal(loose.results[0].terminologyReport.retried, undefined);
+  assert.deepEqual(termCalls.map(c => c.kind), ['batch']);
+
+  termCalls.length = 0;
+  const strict = await batch({ model: 'test-terms', domain: 'manufacturing', strictTerminology: true, segments: [{ id: 1, text: '어제 수율' }] });
+
+  assert.deepEqual(termCalls.map(c => c.kind), ['batch', 'single']);
+  assert.match(termCalls[1].systemMessage, /"수율" must be translated as "Tỷ lệ đạt"/);
+  assert.equal(strict.results[0].translation, 'Tỷ lệ đạt hôm nay');
+  assert.equal(strict.results[0].terminologyReport.compliant, true);
+  assert.equal(strict.results[0].terminologyReport.retried, true);
+});
@@ -0,0 +1,75 @@
+// translate-stream.js SSE 이벤트 직렬화 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// 사용량 기록을 가로채기 위해 translate-stream.js를 불러오기 전에 교체한다
+const database = require('../database');
+const usageCalls = [];
+database.trackUsage = async (...args) => {
+  usageCalls.push(args);
+  return { success: true };
+};
+
+// @netlify/functions의 stream()은 Lambda 런타임 전역(awslambda)을 요구하므로 로드에 필요한 만큼만 채운다
+globalThis.awslambda = globalThis.awslambda || { streamifyResponse: handler => handler };
+
+const { formatEvent, toServerSentEvents } = require('../translate-stream');
+
+async function collect(iterable) {
+  const frames = [];
+  for await (const frame of iterable) frames.push(frame);
+  return frames;
+}
+
+// SSE 프레임 → { event, data }
+function parseFrame(frame) {
+  assert.ok(frame.endsWith('\n\n'), '프레임은 빈 줄로 끝나야 한다');
+  const [eventLine, dataLine] = frame.trimEnd().split('\n');
+  assert.match(eventLine, /^event: /);
+  assert.match(dataLine, /^data: /);
+  return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+}
+
+test('formatEvent는 event / data 줄과 빈 줄로 프레임을 만든다', () => {
+  assert.equal(formatEvent('delta', { text: '안녕' }), 'event: delta\ndata: {"text":"안녕"}\n\n');
+});
+
+test('줄바꿈이 포함된 번역문도 data 한 줄에 담긴다', () => {
+  const frame = formatEvent('delta', { text: '첫째 줄\n둘째 줄' });
+  assert.equal(frame.split('\n').length, 4);
+  assert.deepEqual(parseFrame(frame).data, { text: '첫째 줄\n둘째 줄' });
+});
+
+test('delta 이벤트 뒤에 done 이벤트가 오고, 사용량은 입력 글자 수로 기록된다', async () => {
+  usageCalls.length = 0;
+  async function* events() {
+    yield { type: 'delta', text: 'Xin ' };
+    yield { type: 'delta', text: 'chào' };
+    yield { type: 'done', translation: 'Xin chào', pronunciation_hangul: '씬 짜오', usedModel: 'gpt-4o-mini', modelProvider: 'openai', usage: null };
+  }
+
+  const frames = (await collect(toServerSentEvents(events(), { userId: 'user-1', inputText: '안녕하세요' }))).map(parseFrame);
+
+  assert.deepEqual(frames.map(f => f.event), ['delta', 'delta', 'done']);
+  assert.equal(frames.slice(0, 2).map(f => f.data.text).join(''), 'Xin chào');
+  assert.equal(frames[2].data.translation, 'Xin chào');
+  assert.equal(frames[2].data.streamingUsed, true);
+  assert.equal(frames[2].data.type, undefined);
+
+  assert.equal(usageCalls.length, 1);
+  assert.equal(usageCalls[0][1], 'translation');
+  assert.equal(usageCalls[0][2], '안녕하세요'.length);
+});
+
+test('스트림 도중 오류가 나면 error 이벤트로 알리고 끝낸다', async () => {
+  async function* events() {
+    yield { type: 'delta', text: '부분' };
+    throw new Error('연결 끊김');
+  }
+
+  const frames = (await collect(toServerSentEvents(events(), { userId: null, inputText: '안녕' }))).map(parseFrame);
+
+  assert.deepEqual(frames.map(f => f.event), ['delta', 'error']);
+  assert.match(frames[1].data.error, /연결 끊김/);
+  assert.equal(frames[1].data.fallbackToNormal, true);
+});
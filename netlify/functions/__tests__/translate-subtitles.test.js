@@ -0,0 +1,53 @@
+// translate.js 자막 번역(translate-subtitles) 창 단위 실패 처리 테스트 (node --test)
+// 네트워크 없이 돌도록 서버 키를 비우고 JSON 모드 테스트 프로바이더를 등록한다
+delete process.env.OPENAI_API_KEY;
+delete process.env.GEMINI_API_KEY;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { registerProvider } = require('../providers');
+
+// 첫 큐(key 0)가 들어 있는 창만 실패시키는 프로바이더
+registerProvider({
+  id: 'test-subtitles',
+  name: 'Test Subtitles',
+  models: ['test-subtitles'],
+  capabilities: { requiresApiKey: false, jsonMode: true },
+  async translate({ userPrompt }) {
+    const { cues } = JSON.parse(userPrompt);
+    if (cues.some(cue => cue.key === 0)) throw new Error('창 번역 실패');
+    return {
+      translation: '',
+      pronunciation_hangul: '',
+      raw: { cues: cues.map(({ key, text }) => ({ key, translation: `VI ${text}` })) }
+    };
+  }
+});
+
+const { handler } = require('../translate');
+
+// 큐 45개 → 40개 / 5개 두 창으로 나뉨
+const srt = Array.from({ length: 45 }, (_, i) => {
+  const second = String(i).padStart(2, '0');
+  return `${i + 1}\n00:00:${second},000 --> 00:00:${second},500\n문장 ${i + 1}\n`;
+}).join('\n');
+
+test('한 창이 실패해도 나머지 창은 번역하고, 실패한 큐는 원문 유지 경고로 남긴다', async () => {
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: {},
+    body: JSON.stringify({ action: 'translate-subtitles', targetLang: 'Vietnamese', model: 'test-subtitles', subtitleContent: srt })
+  });
+
+  assert.equal(response.statusCode, 200, response.body);
+  const result = JSON.parse(response.body);
+
+  assert.equal(result.cueCount, 45);
+  assert.equal(result.translatedCues, 5);
+  assert.equal(result.warnings.length, 40);
+  assert.deepEqual(result.warnings[0], { cue: '1', message: '번역 결과가 누락되어 원문을 유지했습니다.' });
+
+  assert.match(result.content, /^1\n00:00:00,000 --> 00:00:00,500\n문장 1\n/);
+  assert.match(result.content, /\n45\n00:00:44,000 --> 00:00:44,500\nVI 문장 45\n/);
+});
@@ -0,0 +1,75 @@
+// translate.js 어조별 후보(variants) 번역의 어조별 캐시 테스트 (node --test)
+// 네트워크 없이 돌도록 서버 키를 비우고 JSON 모드 테스트 프로바이더를 등록한다
+delete process.env.OPENAI_API_KEY;
+delete process.env.GEMINI_API_KEY;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { registerProvider } = require('../providers');
+
+// 요청된 어조(systemMessage의 Requested registers)마다 후보를 만들어 주는 프로바이더
+const variantCalls = [];
+registerProvider({
+  id: 'test-variants',
+  name: 'Test Variants',
+  models: ['test-variants'],
+  capabilities: { requiresApiKey: false, jsonMode: true },
+  async translate({ systemMessage }) {
+    if (!systemMessage.includes('Requested registers:')) {
+      return { translation: 'Đội mũ bảo hộ.', pronunciation_hangul: '' };
+    }
+    const requested = [...systemMessage.matchAll(/^- "(formal|neutral|casual)": /gm)].map(match => match[1]);
+    variantCalls.push(requested);
+    return {
+      translation: '',
+      pronunciation_hangul: '',
+      raw: {
+        candidates: requested.map(variant => ({ variant, translation: `${variant}: Đội mũ bảo hộ.`, pronunciation_hangul: '', note: variant }))
+      }
+    };
+  }
+});
+
+const { handler } = require('../translate');
+
+async function translate(body) {
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: {},
+    body: JSON.stringify({ action: 'translate', targetLang: 'Vietnamese', model: 'test-variants', getPronunciation: false, ...body })
+  });
+  assert.equal(response.statusCode, 200, response.body);
+  return JSON.parse(response.body);
+}
+
+test('어조별 후보는 어조마다 캐시를 두고, 격식체 결과를 친근체 요청에 돌려주지 않는다', async () => {
+  const inputText = '안전모를 쓰세요.';
+
+  const formal = await translate({ inputText, variants: ['formal'] });
+  assert.deepEqual(formal.candidates.map(c => [c.variant, c.translation, c.cacheHit]), [['formal', 'formal: Đội mũ bảo hộ.', false]]);
+
+  const casual = await translate({ inputText, variants: ['casual'] });
+  assert.deepEqual(casual.candidates.map(c => [c.variant, c.translation, c.cacheHit]), [['casual', 'casual: Đội mũ bảo hộ.', false]]);
+
+  // 둘 다 캐시에 있으면 모델을 다시 부르지 않는다
+  const both = await translate({ inputText, variants: ['formal', 'casual'] });
+  assert.deepEqual(both.candidates.map(c => [c.variant, c.cacheHit]), [['formal', true], ['casual', true]]);
+
+  // 캐시에 없는 어조만 요청한다
+  const mixed = await translate({ inputText, variants: ['casual', 'neutral'] });
+  assert.deepEqual(mixed.candidates.map(c => [c.variant, c.cacheHit]), [['casual', true], ['neutral', false]]);
+
+  assert.deepEqual(variantCalls, [['formal'], ['casual'], ['neutral']]);
+});
+
+test('알 수 없는 어조나 범위를 벗어난 후보 수는 400', async () => {
+  for (const body of [{ variants: ['rude'] }, { variants: [] }, { alternatives: 6 }, { variants: ['formal', 'neutral', 'casual'], alternatives: 4 }]) {
+    const response = await handler({
+      httpMethod: 'POST',
+      headers: {},
+      body: JSON.stringify({ action: 'translate', inputText: '안녕', targetLang: 'Vietnamese', model: 'test-variants', ...body })
+    });
+    assert.equal(response.statusCode, 400, JSON.stringify(body));
+  }
+});
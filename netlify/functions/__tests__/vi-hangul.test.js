@@ -0,0 +1,91 @@
+// vi-hangul.js 베트남어 → 한글 표기 표 기반 테스트 (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TONES, DIALECTS, transliterateVietnamese } = require('../vi-hangul');
+
+const hangul = (text, options) => transliterateVietnamese(text, options).text;
+
+test('여섯 성조: 평성은 표시 없음, 나머지는 음절 뒤 기호', () => {
+  const table = [
+    ['ma', '마'],
+    ['má', '마↗'],
+    ['mà', '마↘'],
+    ['mả', '마↘↗'],
+    ['mã', '마~'],
+    ['mạ', '마↓']
+  ];
+  for (const [word, expected] of table) {
+    assert.equal(hangul(word), expected, word);
+    assert.equal(hangul(word, { toneMarks: false }), '마', word);
+  }
+  assert.deepEqual(Object.values(TONES).map(tone => tone.name), ['sắc', 'huyền', 'hỏi', 'ngã', 'nặng']);
+});
+
+test('종성: c / ch → ㄱ, t → ㅅ, nh → ㄴ, anh / ach → 아인 / 아익', () => {
+  const table = [
+    ['học', '혹↓'],
+    ['lịch', '릭↓'],
+    ['tết', '뗏↗'],
+    ['mặt', '맛↓'],
+    ['đẹp', '댑↓'],
+    ['cơm', '껌'],
+    ['bạn', '반↓'],
+    ['tính', '띤↗'],
+    ['thanh', '타인'],
+    ['sách', '사익↗']
+  ];
+  for (const [word, expected] of table) assert.equal(hangul(word), expected, word);
+});
+
+test('초성과 활음: ng / nh / gi / qu / oa / uyê / ia·ua', () => {
+  const table = [
+    ['Nguyễn', '응우옌~'],
+    ['ngày', '응아이↘'],
+    ['nhà', '냐↘'],
+    ['như', '니으'],
+    ['gì', '지↘'],
+    ['quá', '꽈↗'],
+    ['quyết', '꾸옛↗'],
+    ['hoa', '화'],
+    ['mua', '무어'],
+    ['xin chào', '씬 짜오↘']
+  ];
+  for (const [word, expected] of table) assert.equal(hangul(word), expected, word);
+});
+
+test('방언: 북부는 r → ㅈ, 남부는 v / d / gi → y, qu → w, 종성과 ngã가 바뀐다', () => {
+  // [입력, 표기법 기준, vi-north, vi-south]
+  const table = [
+    ['rồi', '로이↘', '조이↘', '로이↘'],
+    ['vui', '부이', '부이', '유이'],
+    ['dạ', '자↓', '자↓', '야↓'],
+    ['gì', '지↘', '지↘', '이↘'],
+    ['quá', '꽈↗', '꽈↗', '와↗'],
+    ['quyết', '꾸옛↗', '꾸옛↗', '우옉↗'],
+    ['bạn', '반↓', '반↓', '방↓'],
+    ['mặt', '맛↓', '맛↓', '막↓'],
+    ['thành', '타인↘', '타인↘', '탄↘'],
+    ['sách', '사익↗', '사익↗', '삿↗'],
+    ['hoa', '화', '화', '와'],
+    ['tính', '띤↗', '띤↗', '띤↗'], // i / ê 뒤 종성은 남부에서도 그대로
+    ['tết', '뗏↗', '뗏↗', '뗏↗'],
+    ['ngã', '응아~', '응아~', '응아↘↗'],
+    ['Việt Nam', '비엣↓ 남', '비엣↓ 남', '이엑↓ 남']
+  ];
+  for (const [word, standard, north, south] of table) {
+    assert.equal(hangul(word), standard, word);
+    assert.equal(hangul(word, { dialect: 'vi-north' }), north, `${word} (vi-north)`);
+    assert.equal(hangul(word, { dialect: 'vi-south' }), south, `${word} (vi-south)`);
+  }
+  assert.deepEqual(Object.keys(DIALECTS), ['vi-north', 'vi-south']);
+  assert.equal(hangul('rồi', { dialect: 'vi-central' }), '로이↘'); // 모르는 방언은 표기법 기준
+});
+
+test('베트남어 음절이 아닌 토큰은 그대로 두고 coverage에서 뺀다', () => {
+  assert.deepEqual(transliterateVietnamese('Máy PLC số 3'), { text: '마이↗ PLC 소↗ 3', coverage: 2 / 3 });
+  assert.deepEqual(transliterateVietnamese('PLC-200 ok'), { text: 'PLC-200 ok', coverage: 0 });
+  assert.deepEqual(transliterateVietnamese(''), { text: '', coverage: 0 });
+  // 성조 부호가 둘 이상이면 음절로 보지 않는다
+  assert.equal(hangul('ma\u0301\u0300'), 'm\u00e1\u0300');
+});
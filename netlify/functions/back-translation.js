@@ -0,0 +1,167 @@
+// back-translation.js - 역번역 검증 (표지판 / 작업 지시서용 번역 확인)
+// 번역문을 정방향과 다른 모델(가능하면 다른 프로바이더)로 원문 언어로 다시 번역하고,
+// 원문과의 의미 유사도(OpenAI 임베딩 코사인, 임베딩을 못 쓰면 n-gram 겹침)를 계산해
+// 유사도가 낮은 문장을 diverging으로 표시한다. 번역문은 고치지 않고 보고만 한다.
+
+const { fetchFn, getProvider, selectModel, isModelAvailable, translateWithProvider } = require('./providers');
+const { sentencePattern } = require('./languages');
+const { buildMatchIndex } = require('./tm-match');
+
+// 역번역 모델 우선순위 (정방향과 다른 프로바이더 → 다른 모델 순으로 고름)
+const VERIFIER_MODELS = ['gpt-4o', 'gemini-1.5-flash', 'gpt-4o-mini'];
+const EMBEDDING_MODEL = 'text-embedding-3-small';
+// 이보다 유사도가 낮은 문장은 의미가 달라졌을 가능성이 높다 (방식별 척도가 달라 따로 둠)
+const DIVERGENCE_THRESHOLDS = { embedding: 0.8, lexical: 0.45 };
+const MAX_SENTENCES = 100;
+
+// 정방향 모델 → 역번역 후보 모델 목록 (사용 가능한 것만, 우선순위순)
+function verifierCandidates(forward, apiKeys) {
+  const available = VERIFIER_MODELS.filter(model => model !== forward.model && isModelAvailable(model, apiKeys));
+  const otherProvider = available.filter(model => selectModel(model, { apiKeys }).provider.id !== forward.provider.id);
+  return [...otherProvider, ...available.filter(model => !otherProvider.includes(model))];
+}
+
+function splitSentences(text, language) {
+  return (text.match(sentencePattern(language)) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean)
+    .slice(0, MAX_SENTENCES);
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// 색인 키(단어 + 문자 n-gram) Dice 계수
+function lexicalSimilarity(a, b) {
+  const keysA = buildMatchIndex(a);
+  const keysB = new Set(buildMatchIndex(b));
+  if (!keysA.length || !keysB.size) return 0;
+  return (2 * keysA.filter(key => keysB.has(key)).length) / (keysA.length + keysB.size);
+}
+
+async function embed(texts, apiKey) {
+  const resp = await fetchFn('https://api.openai.com/v1/embeddings', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ model: EMBEDDING_MODEL, input: texts })
+  });
+  if (!resp.ok) {
+    const txt = await resp.text();
+    throw new Error(`임베딩 API 오류 ${resp.status}: ${txt}`);
+  }
+  const data = await resp.json();
+  return data.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+}
+
+/**
+ * 원문 / 역번역 유사도 → { method, similarity (0~1), sentences }
+ * 문장 수가 같으면 순서대로, 다르면 원문 문장마다 가장 비슷한 역번역 문장과 짝을 짓는다.
+ */
+async function compareMeaning(original, backTranslation, sourceLang, apiKeys) {
+  const originalSentences = splitSentences(original, sourceLang);
+  const backSentences = splitSentences(backTranslation, sourceLang);
+
+  let method = 'lexical';
+  let similarityOf = (i, j) => lexicalSimilarity(originalSentences[i], backSentences[j]);
+  let overall = lexicalSimilarity(original, backTranslation);
+
+  const apiKey = getProvider('openai').resolveApiKey(apiKeys);
+  if (apiKey) {
+    try {
+      const vectors = await embed([original, backTranslation, ...originalSentences, ...backSentences], apiKey);
+      const originalVectors = vectors.slice(2, 2 + originalSentences.length);
+      const backVectors = vectors.slice(2 + originalSentences.length);
+      method = 'embedding';
+      overall = cosine(vectors[0], vectors[1]);
+      similarityOf = (i, j) => cosine(originalVectors[i], backVectors[j]);
+    } catch (error) {
+      console.error('[Verify] 임베딩 실패, 문자 n-gram 유사도 사용:', error.message);
+    }
+  }
+
+  const threshold = DIVERGENCE_THRESHOLDS[method];
+  const sentences = originalSentences.map((source, i) => {
+    let match = originalSentences.length === backSentences.length ? i : -1;
+    let similarity = match === -1 ? 0 : similarityOf(i, match);
+    if (match === -1) {
+      backSentences.forEach((_, j) => {
+        const score = similarityOf(i, j);
+        if (score > similarity || match === -1) {
+          match = j;
+          similarity = score;
+        }
+      });
+    }
+    return {
+      index: i,
+      source,
+      backTranslation: match === -1 ? '' : backSentences[match],
+      similarity: Math.round(Math.max(0, similarity) * 100),
+      diverging: similarity < threshold
+    };
+  });
+
+  return { method, similarity: Math.max(0, overall), sentences };
+}
+
+/**
+ * 번역문 역번역 검증
+ * options: { sourceLang, targetLang, model (정방향에 쓴 모델), apiKeys }
+ * 반환: { backTranslation, sourceLang, similarity (0~100), method, sentences, divergingCount,
+ *         usedModel, modelProvider (역번역 모델), forwardModel, independent (다른 프로바이더 여부), usage }
+ */
+async function verifyTranslation(original, translation, { sourceLang, targetLang, model = 'auto', apiKeys = {} } = {}) {
+  const forward = selectModel(model, { inputLength: original.length, apiKeys });
+  const [verifierModel, fallbackModel = null] = verifierCandidates(forward, apiKeys);
+  if (!verifierModel) console.log(`[Verify] 다른 모델을 쓸 수 없어 ${forward.model}로 역번역`);
+
+  const systemMessage = `You are verifying a ${targetLang} translation by back-translating it into ${sourceLang}.
+Translate the text literally into ${sourceLang}, keeping every statement, number and negation exactly as written.
+Do NOT correct, improve or guess the original wording; if the ${targetLang} text is wrong, the back-translation must show it.
+Return JSON: {"translation": string}`;
+
+  const result = await translateWithProvider({
+    text: translation,
+    sourceLang: targetLang,
+    targetLang: sourceLang,
+    systemMessage,
+    userPrompt: `Text: """${translation}"""`,
+    temperature: 0,
+    maxTokens: Math.min(Math.max(Math.ceil(translation.length * 3), 500), 2500)
+  }, { model: verifierModel || forward.model, apiKeys, fallbackModel });
+
+  const comparison = await compareMeaning(original, result.translation, sourceLang, apiKeys);
+  const divergingCount = comparison.sentences.filter(sentence => sentence.diverging).length;
+  console.log(`[Verify] ${result.usedModel} 역번역 유사도 ${Math.round(comparison.similarity * 100)} (${comparison.method}), 불일치 문장 ${divergingCount}개`);
+
+  return {
+    backTranslation: result.translation,
+    sourceLang,
+    similarity: Math.round(comparison.similarity * 100),
+    method: comparison.method,
+    sentences: comparison.sentences,
+    divergingCount,
+    usedModel: result.usedModel,
+    modelProvider: result.modelProvider,
+    forwardModel: forward.model,
+    independent: result.modelProvider !== forward.provider.id,
+    usage: result.usage || null
+  };
+}
+
+module.exports = {
+  compareMeaning,
+  verifyTranslation
+};
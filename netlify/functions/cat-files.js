@@ -0,0 +1,324 @@
+// cat-files.js - CAT 도구 교환 형식 (Gettext PO, XLIFF 1.2 / 2.0) 파싱 및 직렬화
+// 미번역 단위만 꺼내 번역하고, 주석 / msgctxt / 복수형 / 단위 id / note는 그대로 보존한다.
+// 기계 번역된 단위는 검수 필요 상태로 표시한다 (PO: fuzzy 플래그, XLIFF: state 속성).
+
+const { findLanguage, languageName } = require('./languages');
+
+// 언어 이름(Vietnamese) 또는 코드(vi, vi-VN) → 파일에 기록할 언어 코드, 대상 언어의 복수형 개수 (PO 헤더에 Plural-Forms가 없을 때 사용)
+function catLanguage(targetLang) {
+  const language = findLanguage(targetLang);
+  return language ? { code: language.code, nplurals: language.nplurals } : { code: null, nplurals: 2 };
+}
+
+// 언어 코드(vi, vi-VN, ko_KR 등) → 언어 이름 (모르는 코드는 null)
+function catLanguageName(code) {
+  return languageName(code);
+}
+
+// ========== Gettext PO ==========
+function unescapePo(str) {
+  return str.replace(/\\(["\\ntr])/g, (_, ch) => ({ n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' })[ch]);
+}
+
+function escapePo(str) {
+  return str.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\t/g, '\\t').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+}
+
+function formatPoString(keyword, value) {
+  if (!value.includes('\n') || value.indexOf('\n') === value.length - 1) {
+    return `${keyword} "${escapePo(value)}"`;
+  }
+  // 여러 줄 문자열은 빈 첫 줄 + 줄 단위 연속 문자열로 출력
+  const parts = value.split(/(?<=\n)/);
+  return [`${keyword} ""`, ...parts.map(part => `"${escapePo(part)}"`)].join('\n');
+}
+
+/**
+ * PO → { entries: [{ comments, flags, msgctxt, msgid, msgid_plural, msgstr, obsolete, raw }] }
+ * msgstr: 단수 항목은 문자열, 복수 항목은 배열
+ */
+function parsePo(content) {
+  const blocks = content.replace(/\r\n?/g, '\n').split(/\n{2,}/)
+    .map(block => block.replace(/^\n+|\n+$/g, ''))
+    .filter(block => block.trim() !== '');
+
+  const entries = blocks.map(block => {
+    const lines = block.split('\n').filter(line => line !== '');
+    const entry = { comments: [], flags: null, flagsIndex: -1, msgctxt: null, msgid: null, msgid_plural: null, msgstr: null, obsolete: false, raw: block };
+    let current = null;
+
+    for (const line of lines) {
+      if (line.startsWith('#~')) {
+        entry.obsolete = true;
+        continue;
+      }
+      if (line.startsWith('#,')) {
+        entry.flagsIndex = entry.comments.length;
+        entry.flags = line.slice(2).split(',').map(f => f.trim()).filter(Boolean);
+        continue;
+      }
+      if (line.startsWith('#')) {
+        entry.comments.push(line);
+        continue;
+      }
+
+      const keyword = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+"(.*)"\s*$/);
+      if (keyword) {
+        const value = unescapePo(keyword[3]);
+        if (keyword[2] !== undefined) {
+          if (!Array.isArray(entry.msgstr)) entry.msgstr = [];
+          entry.msgstr[Number(keyword[2])] = value;
+          current = { field: 'msgstr', index: Number(keyword[2]) };
+        } else {
+          entry[keyword[1]] = value;
+          current = { field: keyword[1] };
+        }
+        continue;
+      }
+
+      const continuation = line.match(/^"(.*)"\s*$/);
+      if (continuation && current) {
+        const value = unescapePo(continuation[1]);
+        if (current.index !== undefined) entry.msgstr[current.index] += value;
+        else entry[current.field] += value;
+      }
+    }
+
+    return entry;
+  });
+
+  return { entries };
+}
+
+function serializePoEntry(entry) {
+  // 폐기(#~) 항목이나 해석하지 못한 블록은 원문 그대로
+  if (entry.obsolete || entry.msgid === null) return entry.raw;
+
+  const comments = [...entry.comments];
+  if (entry.flags && entry.flags.length > 0) {
+    const flagLine = `#, ${entry.flags.join(', ')}`;
+    const insertAt = entry.flagsIndex !== -1
+      ? entry.flagsIndex
+      : (() => {
+        const previousIdx = comments.findIndex(line => line.startsWith('#|'));
+        return previousIdx === -1 ? comments.length : previousIdx;
+      })();
+    comments.splice(insertAt, 0, flagLine);
+  }
+
+  const lines = [...comments];
+  if (entry.msgctxt !== null) lines.push(formatPoString('msgctxt', entry.msgctxt));
+  lines.push(formatPoString('msgid', entry.msgid));
+  if (entry.msgid_plural !== null) lines.push(formatPoString('msgid_plural', entry.msgid_plural));
+  if (Array.isArray(entry.msgstr)) {
+    entry.msgstr.forEach((value, i) => lines.push(formatPoString(`msgstr[${i}]`, value || '')));
+  } else {
+    lines.push(formatPoString('msgstr', entry.msgstr || ''));
+  }
+  return lines.join('\n');
+}
+
+function serializePo(doc) {
+  return doc.entries.map(serializePoEntry).join('\n\n') + '\n';
+}
+
+// 헤더의 Plural-Forms에서 nplurals 추출
+function poPluralCount(doc) {
+  const header = doc.entries.find(entry => entry.msgid === '' && entry.msgctxt === null);
+  const match = header && typeof header.msgstr === 'string' && header.msgstr.match(/nplurals\s*=\s*(\d+)/);
+  return match ? Number(match[1]) : null;
+}
+
+function isPoUntranslated(entry) {
+  if (entry.obsolete || entry.msgid === null || entry.msgid === '') return false;
+  if (Array.isArray(entry.msgstr)) return entry.msgstr.every(value => !value);
+  return !entry.msgstr;
+}
+
+function markPoNeedsReview(entry) {
+  const flags = entry.flags || [];
+  if (!flags.includes('fuzzy')) flags.push('fuzzy');
+  entry.flags = flags;
+  if (!entry.comments.some(line => line === '# machine-translated')) {
+    entry.comments.unshift('# machine-translated');
+    if (entry.flagsIndex !== -1) entry.flagsIndex++;
+  }
+}
+
+// ========== XLIFF 1.2 / 2.0 ==========
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, code) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(code[1] === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+    }
+    return XML_ENTITIES[code] ?? match;
+  });
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+  return match ? decodeXml(match[2] ?? match[3]) : null;
+}
+
+function setAttribute(tag, name, value) {
+  const escaped = escapeXml(value).replace(/"/g, '&quot;');
+  const attrRegex = new RegExp(`\\s${name}\\s*=\\s*("[^"]*"|'[^']*')`);
+  if (attrRegex.test(tag)) return tag.replace(attrRegex, ` ${name}="${escaped}"`);
+  return tag.replace(/\s*(\/?)>$/, ` ${name}="${escaped}"$1>`);
+}
+
+function detectXliffVersion(xml) {
+  const root = xml.match(/<xliff\b[^>]*>/);
+  if (!root) return null;
+  const version = getAttribute(root[0], 'version');
+  return version && version.startsWith('2') ? '2.0' : '1.2';
+}
+
+// 인라인 XML(<g>, <x/>, <ph>, <pc> 등)을 자리표시자로 보호하고 텍스트는 디코딩
+function protectInlineXml(innerXml) {
+  const placeholders = [];
+  let text = '';
+  let last = 0;
+  innerXml.replace(/<(ph|bpt|ept|it)\b[^>]*>[\s\S]*?<\/\1>|<[^>]+>/g, (tag, _name, offset) => {
+    text += decodeXml(innerXml.slice(last, offset));
+    text += `[[T${placeholders.length}]]`;
+    placeholders.push(tag);
+    last = offset + tag.length;
+    return tag;
+  });
+  text += decodeXml(innerXml.slice(last));
+  return { text, placeholders };
+}
+
+function innerXmlOf(block, tagName) {
+  const match = block.match(new RegExp(`<${tagName}\\b[^>]*?(?:/>|>([\\s\\S]*?)</${tagName}>)`));
+  if (!match) return null;
+  return match[1] ?? '';
+}
+
+/**
+ * XLIFF → 번역 단위 목록
+ * 1.2: <trans-unit> 하나가 단위, 2.0: <unit> 안의 <segment> 하나가 단위
+ * unit: { id, start, end, block, source, hasTarget, notes }
+ */
+function extractXliffUnits(xml) {
+  const version = detectXliffVersion(xml);
+  if (!version) throw new SyntaxError('XLIFF 루트 요소를 찾을 수 없습니다.');
+
+  const units = [];
+
+  if (version === '1.2') {
+    const unitRegex = /<trans-unit\b[^>]*>[\s\S]*?<\/trans-unit>/g;
+    let match;
+    while ((match = unitRegex.exec(xml))) {
+      const block = match[0];
+      const openTag = block.match(/^<trans-unit\b[^>]*>/)[0];
+      const target = innerXmlOf(block, 'target');
+      units.push({
+        id: getAttribute(openTag, 'id'),
+        start: match.index,
+        end: match.index + block.length,
+        block,
+        source: innerXmlOf(block, 'source') || '',
+        hasTarget: target !== null && target.trim() !== '',
+        translatable: getAttribute(openTag, 'translate') !== 'no',
+        notes: [...block.matchAll(/<note\b[^>]*>([\s\S]*?)<\/note>/g)].map(m => decodeXml(m[1]).trim())
+      });
+    }
+  } else {
+    const unitRegex = /<unit\b[^>]*>[\s\S]*?<\/unit>/g;
+    let match;
+    while ((match = unitRegex.exec(xml))) {
+      const unitBlock = match[0];
+      const openTag = unitBlock.match(/^<unit\b[^>]*>/)[0];
+      const notes = [...unitBlock.matchAll(/<note\b[^>]*>([\s\S]*?)<\/note>/g)].map(m => decodeXml(m[1]).trim());
+      const segmentRegex = /<segment\b[^>]*>[\s\S]*?<\/segment>/g;
+      let seg;
+      while ((seg = segmentRegex.exec(unitBlock))) {
+        const block = seg[0];
+        const segmentTag = block.match(/^<segment\b[^>]*>/)[0];
+        const target = innerXmlOf(block, 'target');
+        units.push({
+          id: `${getAttribute(openTag, 'id')}${getAttribute(segmentTag, 'id') ? '/' + getAttribute(segmentTag, 'id') : ''}`,
+          start: match.index + seg.index,
+          end: match.index + seg.index + block.length,
+          block,
+          source: innerXmlOf(block, 'source') || '',
+          hasTarget: target !== null && target.trim() !== '',
+          translatable: getAttribute(openTag, 'translate') !== 'no',
+          notes
+        });
+      }
+    }
+  }
+
+  return { version, units };
+}
+
+// 번역문(이스케이프 전, 자리표시자 복원 전)을 단위 블록에 target으로 삽입하고 검수 필요 상태로 표시
+function buildXliffUnitBlock(unit, version, targetXml) {
+  let block = unit.block.replace(/\s*<target\b[^>]*?(?:\/>|>[\s\S]*?<\/target>)/, '');
+  const targetTag = version === '1.2'
+    ? `<target state="needs-review-translation" state-qualifier="mt-suggestion">${targetXml}</target>`
+    : `<target>${targetXml}</target>`;
+
+  const sourceMatch = block.match(/<source\b[^>]*>[\s\S]*?<\/source>|<source\b[^>]*\/>/);
+  const indent = (block.slice(0, sourceMatch.index).match(/\n([ \t]*)$/) || [null, ''])[1];
+  const insertAt = sourceMatch.index + sourceMatch[0].length;
+  block = block.slice(0, insertAt) + (indent ? `\n${indent}` : '') + targetTag + block.slice(insertAt);
+
+  if (version === '2.0') {
+    const segmentTag = block.match(/^<segment\b[^>]*>/)[0];
+    const updated = setAttribute(setAttribute(segmentTag, 'state', 'translated'), 'subState', 'mt:needs-review');
+    block = updated + block.slice(segmentTag.length);
+  }
+  return block;
+}
+
+function applyXliffTargets(xml, version, targetsByUnit) {
+  let result = '';
+  let last = 0;
+  for (const { unit, targetXml } of targetsByUnit) {
+    result += xml.slice(last, unit.start) + buildXliffUnitBlock(unit, version, targetXml);
+    last = unit.end;
+  }
+  result += xml.slice(last);
+  return result;
+}
+
+// 루트/파일 요소에 대상 언어 속성이 없으면 추가
+function ensureXliffTargetLanguage(xml, version, langCode) {
+  if (!langCode) return xml;
+  if (version === '1.2') {
+    return xml.replace(/<file\b[^>]*>/g, tag => (getAttribute(tag, 'target-language') ? tag : setAttribute(tag, 'target-language', langCode)));
+  }
+  return xml.replace(/<xliff\b[^>]*>/, tag => (getAttribute(tag, 'trgLang') ? tag : setAttribute(tag, 'trgLang', langCode)));
+}
+
+function detectCatFormat(content) {
+  return /<xliff\b/.test(content) ? 'xliff' : 'po';
+}
+
+module.exports = {
+  catLanguage,
+  catLanguageName,
+  detectCatFormat,
+  parsePo,
+  serializePo,
+  poPluralCount,
+  isPoUntranslated,
+  markPoNeedsReview,
+  decodeXml,
+  getAttribute,
+  escapeXml,
+  protectInlineXml,
+  extractXliffUnits,
+  applyXliffTargets,
+  ensureXliffTargetLanguage
+};
@@ -0,0 +1,88 @@
+// conversation.js - 대화 모드 통역 세션 (화자 / 언어 설정, 최근 발화 문맥 프롬프트)
+// 대화 모드는 짧은 발화가 번갈아 오가서 "그거", "아까 말한 부품"처럼 앞 발화를 가리키는 말이 많다.
+// 세션마다 두 화자의 언어를 정해 두고, 새 발화를 번역할 때 마지막 N개 발화(원문 + 번역)를 문맥으로 넘긴다.
+// 세션 / 발화 저장은 database.js, 번역은 translate.js의 AI 문맥 번역을 그대로 쓴다.
+
+const { findLanguage } = require('./languages');
+
+const DEFAULT_CONTEXT_TURNS = 6;
+const MAX_CONTEXT_TURNS = 20;
+const MAX_SPEAKER_NAME = 40;
+const MAX_TITLE = 100;
+const SPEAKER_IDS = ['A', 'B'];
+
+/**
+ * 세션 생성 요청 → { title, speakers, contextTurns } (잘못된 값이면 error 메시지)
+ * speakers: [{ id?, name?, language }] 두 명 (id를 생략하면 A / B)
+ */
+function normalizeSession({ title = null, speakers = null, contextTurns = DEFAULT_CONTEXT_TURNS } = {}) {
+  if (!Array.isArray(speakers) || speakers.length !== 2) {
+    return { error: 'speakers는 화자 두 명의 배열이어야 합니다. 예: [{ "language": "Korean" }, { "language": "Vietnamese" }]' };
+  }
+
+  const normalized = [];
+  for (const [i, speaker] of speakers.entries()) {
+    const language = findLanguage(speaker && speaker.language);
+    if (!language) {
+      return { error: `화자 ${i + 1}의 language를 알 수 없습니다: ${speaker && speaker.language}` };
+    }
+    const id = String((speaker && speaker.id) || SPEAKER_IDS[i]).trim().slice(0, MAX_SPEAKER_NAME);
+    normalized.push({
+      id,
+      name: String((speaker && speaker.name) || id).trim().slice(0, MAX_SPEAKER_NAME),
+      language: language.name
+    });
+  }
+  if (normalized[0].id === normalized[1].id) {
+    return { error: '두 화자의 id가 같습니다.' };
+  }
+
+  const turns = Number(contextTurns);
+  if (!Number.isInteger(turns) || turns < 0 || turns > MAX_CONTEXT_TURNS) {
+    return { error: `contextTurns는 0~${MAX_CONTEXT_TURNS} 사이의 정수여야 합니다.` };
+  }
+
+  return {
+    title: title ? String(title).trim().slice(0, MAX_TITLE) : null,
+    speakers: normalized,
+    contextTurns: turns
+  };
+}
+
+// 발화한 화자와 상대 화자 ({ speaker, listener }, 세션에 없는 화자면 null)
+function resolveSpeakers(session, speakerId) {
+  const speaker = session.speakers.find(s => s.id === speakerId);
+  if (!speaker) return null;
+  return { speaker, listener: session.speakers.find(s => s.id !== speakerId) };
+}
+
+/**
+ * 새 발화 번역용 사용자 프롬프트 (AI 문맥 번역의 contextualPrompt)
+ * turns: 최근 발화 (오래된 것부터, conversationTurnFromRow 형태)
+ */
+function conversationPrompt(session, turns, { speaker, listener }, text) {
+  const nameOf = id => (session.speakers.find(s => s.id === id) || { name: id }).name;
+  const lines = [
+    `This is a live interpreted conversation between ${session.speakers.map(s => `${s.name} (${s.language})`).join(' and ')}.`
+  ];
+
+  if (turns.length > 0) {
+    lines.push('Recent turns, oldest first (for reference only, do NOT translate them again):');
+    for (const turn of turns) {
+      lines.push(`- ${nameOf(turn.speaker)} (${turn.sourceLang}): "${turn.original}" → (${turn.targetLang}) "${turn.translation}"`);
+    }
+    lines.push('Use these turns to resolve pronouns, omitted subjects and references in the new utterance, and keep names, terms and forms of address consistent with the earlier translations.');
+  }
+
+  lines.push(`Translate only the new utterance from ${speaker.name} to ${listener.name}, from ${speaker.language} to ${listener.language}, as natural spoken ${listener.language}:`);
+  lines.push(`"""${text}"""`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_CONTEXT_TURNS,
+  MAX_CONTEXT_TURNS,
+  normalizeSession,
+  resolveSpeakers,
+  conversationPrompt
+};
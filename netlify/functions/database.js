@@ -3,6 +3,7 @@ const { createClient } = require('@supabase/supabase-js');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { TM_MATCH_DEFAULTS, buildMatchIndex, rankMatches } = require('./tm-match');
 
 // Supabase 클라이언트 초기화
 const supabaseUrl = process.env.SUPABASE_URL || '';
@@ -294,13 +295,15 @@ async function trackUsage(userId, type, count = 1, cost = 0, provider = 'openai'
 }
 
 // 공용 캐시 함수들
-function generateCacheKey(sourceText, targetLang) {
-  return crypto.createHash('sha256').update(`${sourceText}:${targetLang}`).digest('hex');
+// model: 번역한 모델 ID - 모델마다 결과가 다르므로 해시에 포함 (없으면 기존 키와 동일)
+function generateCacheKey(sourceText, targetLang, model = '') {
+  const base = `${sourceText}:${targetLang}`;
+  return crypto.createHash('sha256').update(model ? `${base}:${model}` : base).digest('hex');
 }
 
-async function getPublicCache(sourceText, targetLang) {
+async function getPublicCache(sourceText, targetLang, model = '') {
   try {
-    const hashKey = generateCacheKey(sourceText, targetLang);
+    const hashKey = generateCacheKey(sourceText, targetLang, model);
 
     const { data, error } = await supabase
       .from('public_cache')
@@ -335,9 +338,9 @@ async function getPublicCache(sourceText, targetLang) {
   }
 }
 
-async function setPublicCache(sourceText, targetLang, translation, pronunciation = '') {
+async function setPublicCache(sourceText, targetLang, translation, pronunciation = '', model = '') {
   try {
-    const hashKey = generateCacheKey(sourceText, targetLang);
+    const hashKey = generateCacheKey(sourceText, targetLang, model);
 
     const { error } = await supabase
       .from('public_cache')
@@ -363,6 +366,16 @@ async function setPublicCache(sourceText, targetLang, translation, pronunciation
   }
 }
 
+// match_index 컬럼이 아직 없는 DB (tm-match.js의 마이그레이션 전)에서 난 저장 오류인지
+// PGRST204: 스키마 캐시에 컬럼 없음, 42703: undefined_column
+function isMissingMatchIndexError(error) {
+  return !!error && (error.code === 'PGRST204' || error.code === '42703') && /match_index/.test(error.message || '');
+}
+
+function withoutMatchIndex(rows) {
+  return rows.map(({ match_index, ...row }) => row);
+}
+
 // 📝 번역 피드백 학습 함수들
 async function saveFeedback(userId, originalText, originalTranslation, correctedTranslation, targetLang) {
   if (!supabase) {
@@ -373,23 +386,31 @@ async function saveFeedback(userId, originalText, originalTranslation, corrected
   try {
     const hashKey = crypto.createHash('sha256').update(`${originalText}:${targetLang}`).digest('hex');
 
-    const { data, error } = await supabase
+    const upsert = rows => supabase
       .from('translation_feedback')
-      .upsert([{
-        user_id: userId,
-        hash_key: hashKey,
-        original_text: originalText,
-        target_lang: targetLang,
-        original_translation: originalTranslation,
-        corrected_translation: correctedTranslation,
-        updated_at: new Date().toISOString()
-      }], {
+      .upsert(rows, {
         onConflict: 'hash_key,user_id',
         ignoreDuplicates: false
       })
       .select()
       .single();
 
+    const rows = [{
+      user_id: userId,
+      hash_key: hashKey,
+      original_text: originalText,
+      target_lang: targetLang,
+      original_translation: originalTranslation,
+      corrected_translation: correctedTranslation,
+      match_index: buildMatchIndex(originalText),
+      updated_at: new Date().toISOString()
+    }];
+    let { data, error } = await upsert(rows);
+    if (isMissingMatchIndexError(error)) {
+      console.warn('[Feedback] match_index 컬럼 없음, 색인 없이 저장 (tm-match.js 마이그레이션 필요)');
+      ({ data, error } = await upsert(withoutMatchIndex(rows)));
+    }
+
     if (error) throw error;
 
     console.log(`[Feedback] 피드백 저장 완료: "${originalText.substring(0, 30)}..."`);
@@ -400,80 +421,644 @@ async function saveFeedback(userId, originalText, originalTranslation, corrected
   }
 }
 
-async function getRelevantFeedback(originalText, targetLang, userId = null) {
+const TM_CANDIDATE_LIMIT = 500;
+
+// 📝 TM 퍼지 매칭: match_index가 겹치는 피드백을 후보로 가져와 일치율(%) 상위 N개를 반환
+// options: { minScore, limit } (기본값은 tm-match.js의 TM_MATCH_DEFAULTS)
+async function getRelevantFeedback(originalText, targetLang, userId = null, options = {}) {
   if (!supabase) {
     return { success: false, error: '데이터베이스 연결 실패.' };
   }
 
+  const { minScore = TM_MATCH_DEFAULTS.minScore, limit = TM_MATCH_DEFAULTS.limit } = options;
+
   try {
     const hashKey = crypto.createHash('sha256').update(`${originalText}:${targetLang}`).digest('hex');
 
-    // 정확히 일치하는 피드백 먼저 조회
-    let query = supabase
+    // 정확히 일치하는 피드백 (색인이 없는 예전 행도 찾을 수 있도록 hash_key로 따로 조회)
+    let exactQuery = supabase
       .from('translation_feedback')
       .select('*')
-      .eq('hash_key', hashKey);
+      .eq('hash_key', hashKey)
+      .limit(limit);
 
     if (userId) {
-      query = query.eq('user_id', userId);
+      exactQuery = exactQuery.eq('user_id', userId);
     }
 
-    const { data: exactMatch, error: exactError } = await query.single();
-
-    if (exactMatch && !exactError) {
-      console.log(`[Feedback] 정확한 피드백 발견: "${originalText.substring(0, 20)}..."`);
-      return {
-        success: true,
-        feedback: exactMatch,
-        matchType: 'exact'
-      };
-    }
+    const { data: exactRows } = await exactQuery;
 
-    // 유사 문장 피드백 조회 (최근 50개에서 검색)
-    let recentQuery = supabase
+    let candidateQuery = supabase
       .from('translation_feedback')
       .select('*')
       .eq('target_lang', targetLang)
+      .overlaps('match_index', buildMatchIndex(originalText))
       .order('updated_at', { ascending: false })
-      .limit(50);
+      .limit(TM_CANDIDATE_LIMIT);
 
     if (userId) {
-      recentQuery = recentQuery.eq('user_id', userId);
+      candidateQuery = candidateQuery.eq('user_id', userId);
     }
 
-    const { data: recentFeedback, error: recentError } = await recentQuery;
+    let { data: candidates, error: candidateError } = await candidateQuery;
 
-    if (recentFeedback && recentFeedback.length > 0) {
-      // 간단한 유사도 검사 (공통 단어 비율)
-      const inputWords = new Set(originalText.toLowerCase().split(/\s+/));
-      let bestMatch = null;
-      let bestScore = 0;
+    if (candidateError) {
+      // match_index 컬럼이 아직 없는 DB에서는 최근 피드백에서만 검색
+      console.warn('[Feedback] 색인 조회 실패, 최근 피드백에서 검색:', candidateError.message);
+      let recentQuery = supabase
+        .from('translation_feedback')
+        .select('*')
+        .eq('target_lang', targetLang)
+        .order('updated_at', { ascending: false })
+        .limit(50);
 
-      for (const feedback of recentFeedback) {
-        const feedbackWords = new Set(feedback.original_text.toLowerCase().split(/\s+/));
-        const intersection = [...inputWords].filter(w => feedbackWords.has(w));
-        const score = intersection.length / Math.max(inputWords.size, feedbackWords.size);
-
-        if (score > 0.5 && score > bestScore) {
-          bestScore = score;
-          bestMatch = feedback;
-        }
+      if (userId) {
+        recentQuery = recentQuery.eq('user_id', userId);
       }
 
-      if (bestMatch) {
-        console.log(`[Feedback] 유사 피드백 발견 (${(bestScore * 100).toFixed(0)}% 일치)`);
+      ({ data: candidates } = await recentQuery);
+    }
+
+    const rows = new Map();
+    for (const row of [...(exactRows || []), ...(candidates || [])]) {
+      rows.set(`${row.user_id}:${row.hash_key}`, row);
+    }
+
+    const matches = rankMatches(originalText, [...rows.values()], { minScore, limit });
+
+    if (matches.length === 0) {
+      return { success: false, error: '관련 피드백 없음', matches: [] };
+    }
+
+    const best = matches[0];
+    console.log(`[Feedback] TM 일치 ${matches.length}건 (최고 ${best.score}%): "${originalText.substring(0, 20)}..."`);
+
+    return {
+      success: true,
+      feedback: best.feedback,
+      matchType: best.score === 100 ? 'exact' : 'fuzzy',
+      matchScore: best.score,
+      matches: matches.map(({ score, feedback }) => ({
+        score,
+        originalText: feedback.original_text,
+        translation: feedback.corrected_translation,
+        updatedAt: feedback.updated_at
+      }))
+    };
+  } catch (error) {
+    console.error('피드백 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// match_index가 없는 예전 피드백 행에 색인 키 채우기
+async function reindexFeedbackMatches(userId, limit = 1000) {
+  if (!supabase) {
+    return { success: false, error: '데이터베이스 연결 실패.' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('translation_feedback')
+      .select('hash_key, original_text')
+      .eq('user_id', userId)
+      .is('match_index', null)
+      .limit(limit);
+
+    if (error) throw error;
+
+    for (const row of data) {
+      const { error: updateError } = await supabase
+        .from('translation_feedback')
+        .update({ match_index: buildMatchIndex(row.original_text) })
+        .eq('user_id', userId)
+        .eq('hash_key', row.hash_key);
+      if (updateError) throw updateError;
+    }
+
+    console.log(`[Feedback] TM 색인 갱신: ${data.length}개`);
+    return { success: true, reindexed: data.length, hasMore: data.length === limit };
+  } catch (error) {
+    console.error('TM 색인 갱신 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// 📤 번역 메모리(TM) 내보내기 / 가져오기 (TMX)
+const TM_PAGE_SIZE = 1000;
+const TM_IMPORT_CHUNK = 200;
+
+// 페이지 단위로 최대 limit개까지 조회
+async function fetchAllPages(buildQuery, limit) {
+  const rows = [];
+  for (let from = 0; from < limit; from += TM_PAGE_SIZE) {
+    const to = Math.min(from + TM_PAGE_SIZE, limit) - 1;
+    const { data, error } = await buildQuery().range(from, to);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < to - from + 1) break;
+  }
+  return rows;
+}
+
+async function listFeedbackEntries(userId, targetLang, limit = 10000) {
+  if (!supabase) {
+    return { success: false, error: '데이터베이스 연결 실패.' };
+  }
+
+  try {
+    const data = await fetchAllPages(() => supabase
+      .from('translation_feedback')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('target_lang', targetLang)
+      .order('updated_at', { ascending: false }), limit);
+
+    return { success: true, data };
+  } catch (error) {
+    console.error('피드백 목록 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function listPublicCacheEntries(targetLang, limit = 10000) {
+  if (!supabase) {
+    return { success: false, error: '데이터베이스 연결 실패.' };
+  }
+
+  try {
+    const data = await fetchAllPages(() => supabase
+      .from('public_cache')
+      .select('*')
+      .eq('target_lang', targetLang)
+      .order('hit_count', { ascending: false }), limit);
+
+    return { success: true, data };
+  } catch (error) {
+    console.error('공용 캐시 목록 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// entries: [{ originalText, correctedTranslation, targetLang }]
+// hash_key 기준으로 중복 제거 (파일 안에서는 마지막 항목 우선, 기존 피드백은 overwrite일 때만 덮어씀)
+async function importFeedbackEntries(userId, entries, { overwrite = false } = {}) {
+  if (!supabase) {
+    return { success: false, error: '데이터베이스 연결 실패.' };
+  }
+
+  try {
+    const byHash = new Map();
+    for (const entry of entries) {
+      byHash.set(generateCacheKey(entry.originalText, entry.targetLang), entry);
+    }
+    const hashKeys = [...byHash.keys()];
+
+    const existing = new Set();
+    for (let i = 0; i < hashKeys.length; i += TM_IMPORT_CHUNK) {
+      const { data, error } = await supabase
+        .from('translation_feedback')
+        .select('hash_key')
+        .eq('user_id', userId)
+        .in('hash_key', hashKeys.slice(i, i + TM_IMPORT_CHUNK));
+      if (error) throw error;
+      for (const row of data) existing.add(row.hash_key);
+    }
+
+    const now = new Date().toISOString();
+    const rows = hashKeys
+      .filter(hashKey => overwrite || !existing.has(hashKey))
+      .map(hashKey => {
+        const entry = byHash.get(hashKey);
         return {
-          success: true,
-          feedback: bestMatch,
-          matchType: 'similar',
-          matchScore: bestScore
+          user_id: userId,
+          hash_key: hashKey,
+          original_text: entry.originalText,
+          target_lang: entry.targetLang,
+          // TMX에는 기계 번역 원본이 없으므로 교정 번역을 그대로 기록
+          original_translation: entry.correctedTranslation,
+          corrected_translation: entry.correctedTranslation,
+          match_index: buildMatchIndex(entry.originalText),
+          updated_at: now
         };
+      });
+
+    const upsert = chunk => supabase
+      .from('translation_feedback')
+      .upsert(chunk, {
+        onConflict: 'hash_key,user_id',
+        ignoreDuplicates: false
+      });
+
+    let indexed = true;
+    for (let i = 0; i < rows.length; i += TM_IMPORT_CHUNK) {
+      const chunk = rows.slice(i, i + TM_IMPORT_CHUNK);
+      let { error } = await upsert(indexed ? chunk : withoutMatchIndex(chunk));
+      if (indexed && isMissingMatchIndexError(error)) {
+        console.warn('[Feedback] match_index 컬럼 없음, 색인 없이 가져오기 (tm-match.js 마이그레이션 필요)');
+        indexed = false;
+        ({ error } = await upsert(withoutMatchIndex(chunk)));
       }
+      if (error) throw error;
     }
 
-    return { success: false, error: '관련 피드백 없음' };
+    console.log(`[Feedback] TM 가져오기 완료: ${rows.length}개 저장, 중복 ${entries.length - rows.length}개`);
+    return {
+      success: true,
+      imported: rows.filter(row => !existing.has(row.hash_key)).length,
+      updated: rows.filter(row => existing.has(row.hash_key)).length,
+      duplicates: entries.length - rows.length
+    };
   } catch (error) {
-    console.error('피드백 조회 실패:', error);
+    console.error('TM 가져오기 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// 📖 사용자 용어집
+// 필요한 스키마: supabase/migrations/20261019000200_user_glossaries.sql
+function glossaryEntryFromRow(row) {
+  return {
+    id: row.id,
+    sourceLang: row.source_lang,
+    targetLang: row.target_lang,
+    sourceTerm: row.source_term,
+    targetTerm: row.target_term,
+    caseSensitive: row.case_sensitive,
+    doNotTranslate: row.do_not_translate,
+    partOfSpeech: row.part_of_speech,
+    note: row.note,
+    updatedAt: row.updated_at
+  };
+}
+
+async function listGlossaryEntries(userId, { sourceLang = null, targetLang = null } = {}) {
+  if (!supabase) {
+    return { success: false, error: '데이터베이스 연결 실패.' };
+  }
+
+  try {
+    let query = supabase
+      .from('user_glossaries')
+      .select('*')
+      .eq('user_id', userId)
+      .order('source_term', { ascending: true });
+
+    if (sourceLang) query = query.eq('source_lang', sourceLang);
+    if (targetLang) query = query.eq('target_lang', targetLang);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return { success: true, data: data.map(glossaryEntryFromRow) };
+  } catch (error) {
+    console.error('용어집 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// entries: glossary.js의 normalizeGlossaryEntry로 검증된 항목 배열 (같은 언어쌍·원문 용어는 덮어씀)
+async function saveGlossaryEntries(userId, entries) {
+  if (!supabase) {
+    return { success: false, error: '데이터베이스 연결 실패.' };
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('user_glossaries')
+      .upsert(entries.map(entry => ({
+        user_id: userId,
+        source_lang: entry.sourceLang,
+        target_lang: entry.targetLang,
+        source_term: entry.sourceTerm,
+        target_term: entry.targetTerm,
+        case_sensitive: entry.caseSensitive,
+        do_not_translate: entry.doNotTranslate,
+        part_of_speech: entry.partOfSpeech,
+        note: entry.note,
+        updated_at: now
+      })), {
+        onConflict: 'user_id,source_lang,target_lang,source_term',
+        ignoreDuplicates: false
+      })
+      .select();
+
+    if (error) throw error;
+
+    console.log(`[Glossary] 용어 ${entries.length}개 저장`);
+    return { success: true, data: (data || []).map(glossaryEntryFromRow) };
+  } catch (error) {
+    console.error('용어집 저장 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// id 또는 { sourceLang, targetLang, sourceTerm }으로 삭제
+async function deleteGlossaryEntry(userId, { id = null, sourceLang = null, targetLang = null, sourceTerm = null } = {}) {
+  if (!supabase) {
+    return { success: false, error: '데이터베이스 연결 실패.' };
+  }
+
+  try {
+    let query = supabase
+      .from('user_glossaries')
+      .delete()
+      .eq('user_id', userId);
+
+    if (id) {
+      query = query.eq('id', id);
+    } else {
+      query = query.eq('source_lang', sourceLang).eq('target_lang', targetLang).eq('source_term', sourceTerm);
+    }
+
+    const { error } = await query;
+    if (error) throw error;
+
+    return { success: true };
+  } catch (error) {
+    console.error('용어집 삭제 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ⚙️ 사용자 번역 설정 (근무 사이트 / 베트남어 방언)
+// 필요한 스키마: supabase/migrations/20261019000400_user_preferences.sql
+async function getUserPreferences(userId) {
+  if (!supabase) {
+    return { success: false, error: '데이터베이스 연결 실패.' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('user_preferences')
+      .select('*')
+      .eq('user_id', userId)
+      .single();
+
+    // PGRST116: 설정을 저장한 적 없음
+    if (error && error.code !== 'PGRST116') throw error;
+
+    return { success: true, data: { site: data?.site || null, dialect: data?.vi_dialect || null } };
+  } catch (error) {
+    console.error('사용자 설정 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// preferences: { site, dialect } (null이면 해당 설정 해제)
+async function saveUserPreferences(userId, { site = null, dialect = null } = {}) {
+  if (!supabase) {
+    return { success: false, error: '데이터베이스 연결 실패.' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('user_preferences')
+      .upsert([{
+        user_id: userId,
+        site,
+        vi_dialect: dialect,
+        updated_at: new Date().toISOString()
+      }], { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, data: { site: data.site || null, dialect: data.vi_dialect || null } };
+  } catch (error) {
+    console.error('사용자 설정 저장 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// 💬 대화 세션 (대화 모드 통역 기록, 최근 발화를 다음 번역의 문맥으로 사용)
+// 필요한 스키마: supabase/migrations/20261019000500_conversation_sessions.sql,
+//   20261019000600_conversation_minutes.sql (minutes 열)
+const MAX_CONVERSATION_TURNS = 5000; // 기록 전체를 불러올 때 최대 발화 수
+
+function conversationSessionFromRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    title: row.title,
+    speakers: row.speakers,
+    contextTurns: row.context_turns,
+    domain: row.domain,
+    minutes: row.minutes || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function conversationTurnFromRow(row) {
+  return {
+    index: row.turn_index,
+    speaker: row.speaker,
+    sourceLang: row.source_lang,
+    targetLang: row.target_lang,
+    original: row.original_text,
+    translation: row.translation,
+    pronunciationHangul: row.pronunciation_hangul || '',
+    usedModel: row.used_model,
+    modelProvider: row.model_provider,
+    createdAt: row.created_at
+  };
+}
+
+async function createConversationSession(userId, { title = null, speakers, contextTurns, domain = 'general' }) {
+  if (!supabase) {
+    return { success: false, error: '데이터베이스 연결 실패.' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('conversation_sessions')
+      .insert([{
+        user_id: userId || null,
+        title,
+        speakers,
+        context_turns: contextTurns,
+        domain
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, data: conversationSessionFromRow(data) };
+  } catch (error) {
+    console.error('대화 세션 생성 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// 세션이 없으면 data: null
+async function getConversationSession(sessionId) {
+  if (!supabase) {
+    return { success: false, error: '데이터베이스 연결 실패.' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('conversation_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .single();
+
+    // PGRST116: 세션 없음 (잘못된 uuid 형식 22P02도 없는 세션으로 취급)
+    if (error && error.code !== 'PGRST116' && error.code !== '22P02') throw error;
+
+    return { success: true, data: data ? conversationSessionFromRow(data) : null };
+  } catch (error) {
+    console.error('대화 세션 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function listConversationSessions(userId, limit = 50) {
+  if (!supabase) {
+    return { success: false, error: '데이터베이스 연결 실패.' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('conversation_sessions')
+      .select('*')
+      .eq('user_id', userId)
+      .order('updated_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    return { success: true, data: data.map(conversationSessionFromRow) };
+  } catch (error) {
+    console.error('대화 세션 목록 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// 발화 순서대로 반환. latest를 주면 마지막 latest개만
+async function listConversationTurns(sessionId, { latest = null } = {}) {
+  if (!supabase) {
+    return { success: false, error: '데이터베이스 연결 실패.' };
+  }
+
+  try {
+    let rows;
+    if (latest) {
+      const { data, error } = await supabase
+        .from('conversation_turns')
+        .select('*')
+        .eq('session_id', sessionId)
+        .order('turn_index', { ascending: false })
+        .limit(latest);
+      if (error) throw error;
+      rows = data.reverse();
+    } else {
+      rows = await fetchAllPages(() => supabase
+        .from('conversation_turns')
+        .select('*')
+        .eq('session_id', sessionId)
+        .order('turn_index', { ascending: true }), MAX_CONVERSATION_TURNS);
+    }
+
+    return { success: true, data: rows.map(conversationTurnFromRow) };
+  } catch (error) {
+    console.error('대화 기록 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// turn: conversationTurnFromRow 형태 (index는 호출하는 쪽에서 다음 순번으로 지정)
+async function saveConversationTurn(sessionId, turn) {
+  if (!supabase) {
+    return { success: false, error: '데이터베이스 연결 실패.' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('conversation_turns')
+      .insert([{
+        session_id: sessionId,
+        turn_index: turn.index,
+        speaker: turn.speaker,
+        source_lang: turn.sourceLang,
+        target_lang: turn.targetLang,
+        original_text: turn.original,
+        translation: turn.translation,
+        pronunciation_hangul: turn.pronunciationHangul || null,
+        used_model: turn.usedModel || null,
+        model_provider: turn.modelProvider || null
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await supabase
+      .from('conversation_sessions')
+      .update({ updated_at: new Date().toISOString() })
+      .eq('id', sessionId);
+
+    return { success: true, data: conversationTurnFromRow(data) };
+  } catch (error) {
+    console.error('대화 기록 저장 실패:', error);
+    // 23505: 같은 순번이 동시에 저장됨 (두 발화가 겹침)
+    return { success: false, error: error.message, conflict: error.code === '23505' };
+  }
+}
+
+// 회의록 저장 (세션마다 마지막으로 생성한 것 하나만 보관)
+async function saveConversationMinutes(sessionId, minutes) {
+  if (!supabase) {
+    return { success: false, error: '데이터베이스 연결 실패.' };
+  }
+
+  try {
+    const { error } = await supabase
+      .from('conversation_sessions')
+      .update({ minutes })
+      .eq('id', sessionId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('회의록 저장 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// 🗂️ 분야 팩 (파일로 배포하는 기본 팩 외에 DB에서 추가 / 덮어쓰기)
+// 필요한 스키마: supabase/migrations/20261019000300_domain_packs.sql
+async function listDomainPackRows() {
+  if (!supabase) {
+    return { success: false, error: '데이터베이스 연결 실패.' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('domain_packs')
+      .select('*')
+      .eq('enabled', true);
+
+    if (error) throw error;
+
+    return {
+      success: true,
+      data: data.map(row => ({
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        systemPrompt: row.system_prompt,
+        glossary: row.glossary,
+        styleRules: row.style_rules,
+        preferredModel: row.preferred_model
+      }))
+    };
+  } catch (error) {
+    console.error('분야 팩 조회 실패:', error);
     return { success: false, error: error.message };
   }
 }
@@ -491,5 +1076,21 @@ module.exports = {
   encryptApiKey,
   decryptApiKey,
   saveFeedback,
-  getRelevantFeedback
+  getRelevantFeedback,
+  reindexFeedbackMatches,
+  listFeedbackEntries,
+  listPublicCacheEntries,
+  importFeedbackEntries,
+  listGlossaryEntries,
+  saveGlossaryEntries,
+  deleteGlossaryEntry,
+  getUserPreferences,
+  saveUserPreferences,
+  createConversationSession,
+  getConversationSession,
+  listConversationSessions,
+  listConversationTurns,
+  saveConversationTurn,
+  saveConversationMinutes,
+  listDomainPackRows
 };
\ No newline at end of file
@@ -0,0 +1,128 @@
+// dialects.js - 베트남어 북부 / 남부 방언 (번역 어휘 / TTS 음성 / 한글 발음 표기)
+// 하노이 공장과 호찌민 공장은 쓰는 어휘와 발음이 달라서, 같은 번역문이라도 현장에 맞는 방언으로 내보낸다.
+// 방언 결정 순서: 요청의 dialect → 사용자 설정 → 사이트 기본값 → 없음 (모델 판단, 표기법 기준 발음)
+// TTS 음성은 languages.js의 dialects, 발음 규칙은 vi-hangul.js의 DIALECTS에 있다.
+
+const { findLanguage } = require('./languages');
+
+const DIALECTS = {
+  'vi-north': {
+    label: '북부 (하노이)',
+    region: 'Northern (Hanoi)',
+    vocabulary: 'vâng (yes), không (no), bố / mẹ, ốm (sick), ô tô (car), bát (bowl), thìa (spoon), lợn (pig), ngô (corn), lạc (peanut), bao giờ (when), thế nào (how), nhé',
+    spelling: 'Use standard Northern spelling and particles (à, ạ, nhé, thế).'
+  },
+  'vi-south': {
+    label: '남부 (호찌민)',
+    region: 'Southern (Ho Chi Minh City)',
+    vocabulary: 'dạ (yes), hông / không (no), ba / má, bệnh (sick), xe hơi (car), chén (bowl), muỗng (spoon), heo (pig), bắp (corn), đậu phộng (peanut), khi nào (when), sao / như thế nào (how), nha',
+    spelling: 'Use Southern particles (nha, hen, vậy) instead of Northern ones (nhé, thế), but keep standard spelling.'
+  }
+};
+
+const DIALECT_ALIASES = {
+  north: 'vi-north', northern: 'vi-north', hanoi: 'vi-north',
+  south: 'vi-south', southern: 'vi-south', hcmc: 'vi-south', saigon: 'vi-south'
+};
+
+// 사이트 id → 기본 방언 (SITE_DIALECTS 환경변수로 추가 / 덮어쓰기, 예: "bac-ninh:vi-north,binh-duong:vi-south")
+// 잘못된 항목은 불러올 때 버려 두고, 방언을 처음 확인할 때 한 번만 경고한다.
+const ignoredSiteEntries = [];
+const SITE_DIALECTS = {
+  hanoi: 'vi-north',
+  hcmc: 'vi-south',
+  ...parseSiteDialects(process.env.SITE_DIALECTS || '', ignoredSiteEntries)
+};
+
+function parseSiteDialects(value, ignored = []) {
+  const sites = {};
+  for (const pair of value.split(',')) {
+    const [site, dialect] = pair.split(':').map(part => (part || '').trim());
+    const dialectId = normalizeDialect(dialect);
+    if (site && dialectId) sites[site.toLowerCase()] = dialectId;
+    else if (site) ignored.push(pair.trim());
+  }
+  return sites;
+}
+
+function warnIgnoredSites() {
+  if (ignoredSiteEntries.length === 0) return;
+  console.warn(`[Dialect] SITE_DIALECTS 항목 무시: ${ignoredSiteEntries.join(', ')}`);
+  ignoredSiteEntries.length = 0;
+}
+
+function normalizeDialect(value) {
+  if (!value) return null;
+  const key = String(value).toLowerCase();
+  return DIALECTS[key] ? key : (DIALECT_ALIASES[key] || undefined);
+}
+
+/**
+ * 요청 / 사용자 설정 / 사이트 → { dialect, source } (정할 수 없으면 dialect null, 알 수 없는 값이면 error)
+ * source: 'request' | 'preference' | 'site' | null
+ * 사이트는 방언을 정하는 데 쓰일 때만 확인한다 (설정된 방언이 있으면 요청의 site는 보지 않음).
+ */
+function resolveDialect({ dialect = null, site = null, preferences = null } = {}) {
+  warnIgnoredSites();
+  const requested = normalizeDialect(dialect);
+  if (requested === undefined) {
+    return { error: `알 수 없는 dialect입니다: ${dialect} (${Object.keys(DIALECTS).join(' / ')})` };
+  }
+  if (requested) return { dialect: requested, source: 'request' };
+
+  const preferred = normalizeDialect(preferences && preferences.dialect);
+  if (preferred) return { dialect: preferred, source: 'preference' };
+
+  if (site && !SITE_DIALECTS[String(site).toLowerCase()]) {
+    return { error: `알 수 없는 site입니다: ${site} (${Object.keys(SITE_DIALECTS).join(' / ')})` };
+  }
+
+  const siteId = String(site || (preferences && preferences.site) || '').toLowerCase();
+  if (SITE_DIALECTS[siteId]) return { dialect: SITE_DIALECTS[siteId], source: 'site' };
+
+  return { dialect: null, source: null };
+}
+
+/**
+ * 시스템 프롬프트에 붙일 방언 지침 (베트남어가 대상이면 어휘 선택, 원문이면 어휘 해석)
+ * 방언이 없거나 베트남어와 관계없는 번역이면 빈 문자열
+ */
+function dialectPrompt(dialect, targetLang, sourceLang = null) {
+  const entry = DIALECTS[dialect];
+  if (!entry) return '';
+  const target = findLanguage(targetLang);
+  const source = findLanguage(sourceLang);
+
+  if (target && target.code === 'vi') {
+    return `\n- Vietnamese dialect: write ${entry.region} Vietnamese. Prefer its everyday vocabulary, e.g. ${entry.vocabulary}. ${entry.spelling}`;
+  }
+  if (source && source.code === 'vi') {
+    return `\n- The Vietnamese source is ${entry.region} Vietnamese; interpret regional words accordingly (e.g. ${entry.vocabulary}).`;
+  }
+  return '';
+}
+
+// 응답에 돌려줄 방언 정보 (없으면 null)
+function describeDialect({ dialect, source }) {
+  if (!dialect) return null;
+  return { dialect, label: DIALECTS[dialect].label, source };
+}
+
+// 클라이언트용 목록 (방언 선택 / 사이트 선택)
+function listDialects() {
+  return {
+    dialects: Object.entries(DIALECTS).map(([id, entry]) => ({ id, label: entry.label })),
+    sites: Object.entries(SITE_DIALECTS).map(([site, dialect]) => ({ site, dialect }))
+  };
+}
+
+module.exports = {
+  DIALECTS,
+  SITE_DIALECTS,
+  parseSiteDialects,
+  normalizeDialect,
+  resolveDialect,
+  dialectPrompt,
+  describeDialect,
+  listDialects
+};
@@ -0,0 +1,128 @@
+// domain-packs.js - 전문 분야 팩 (시스템 프롬프트 / 용어집 / 스타일 규칙 / 선호 모델)
+// 기본 팩은 domains/*.yaml|yml|json 파일로 배포하고, Supabase domain_packs 테이블의 팩이 같은 id를 덮어쓴다.
+// 팩 형식:
+//   { id, name, description, systemPrompt, styleRules: [string], preferredModel, glossary: { 영어 용어: { ko, vi } } }
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { listDomainPackRows } = require('./database');
+
+const DOMAINS_DIR = path.join(__dirname, 'domains');
+const PACK_ID_REGEX = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const CACHE_TTL = 5 * 60 * 1000; // DB 팩 변경은 5분 안에 반영
+
+// 분야를 지정하지 않은 요청용 (추가 프롬프트 / 용어 없음)
+const GENERAL_DOMAIN_PACK = Object.freeze({
+  id: 'general',
+  name: '📝 일반',
+  description: '분야 지정 없음',
+  systemPrompt: '',
+  styleRules: [],
+  preferredModel: null,
+  glossary: {},
+  source: 'builtin'
+});
+
+let cachedPacks = null;
+let cachedAt = 0;
+
+// 파일 / DB 행 → 검증된 팩 (형식이 틀리면 null)
+function normalizeDomainPack(raw, source) {
+  if (!raw || typeof raw !== 'object' || !PACK_ID_REGEX.test(raw.id || '')) return null;
+
+  const glossary = {};
+  if (raw.glossary && typeof raw.glossary === 'object') {
+    for (const [term, translations] of Object.entries(raw.glossary)) {
+      if (translations && typeof translations === 'object') glossary[term] = translations;
+    }
+  }
+
+  return {
+    id: raw.id,
+    name: String(raw.name || raw.id),
+    description: raw.description ? String(raw.description) : '',
+    systemPrompt: typeof raw.systemPrompt === 'string' ? raw.systemPrompt : '',
+    styleRules: Array.isArray(raw.styleRules) ? raw.styleRules.filter(rule => typeof rule === 'string' && rule.trim()) : [],
+    preferredModel: raw.preferredModel ? String(raw.preferredModel) : null,
+    glossary,
+    source
+  };
+}
+
+function loadFilePacks() {
+  let files;
+  try {
+    files = fs.readdirSync(DOMAINS_DIR).filter(file => /\.(ya?ml|json)$/i.test(file)).sort();
+  } catch (error) {
+    console.error('[Domain] 분야 팩 폴더를 읽을 수 없습니다:', error.message);
+    return [];
+  }
+
+  const packs = [];
+  for (const file of files) {
+    try {
+      const content = fs.readFileSync(path.join(DOMAINS_DIR, file), 'utf8');
+      const pack = normalizeDomainPack(/\.json$/i.test(file) ? JSON.parse(content) : yaml.load(content), `file:${file}`);
+      if (pack) packs.push(pack);
+      else console.error(`[Domain] 잘못된 분야 팩 파일: ${file}`);
+    } catch (error) {
+      console.error(`[Domain] 분야 팩 파일 파싱 실패 (${file}):`, error.message);
+    }
+  }
+  return packs;
+}
+
+// id → 팩 Map (general → 파일 → DB 순서로 덮어씀)
+async function loadDomainPacks() {
+  if (cachedPacks && Date.now() - cachedAt < CACHE_TTL) return cachedPacks;
+
+  const packs = new Map([[GENERAL_DOMAIN_PACK.id, GENERAL_DOMAIN_PACK]]);
+  for (const pack of loadFilePacks()) packs.set(pack.id, pack);
+
+  const rows = await listDomainPackRows();
+  if (rows.success) {
+    for (const row of rows.data) {
+      const pack = normalizeDomainPack(row, 'database');
+      if (pack) packs.set(pack.id, pack);
+    }
+  }
+
+  cachedPacks = packs;
+  cachedAt = Date.now();
+  console.log(`[Domain] 분야 팩 ${packs.size}개 로드`);
+  return packs;
+}
+
+// 알 수 없는 id는 null
+async function resolveDomainPack(id = 'general') {
+  const packs = await loadDomainPacks();
+  return packs.get(id || 'general') || null;
+}
+
+// 목록 응답용 요약 (domainSelect 드롭다운)
+async function listDomainPacks() {
+  const packs = await loadDomainPacks();
+  return [...packs.values()].map(pack => ({
+    id: pack.id,
+    name: pack.name,
+    description: pack.description,
+    preferredModel: pack.preferredModel,
+    termCount: Object.keys(pack.glossary).length
+  }));
+}
+
+// 팩 → 시스템 프롬프트 앞에 붙일 지침 (일반 팩은 빈 문자열)
+function domainPackPrompt(pack) {
+  if (!pack) return '';
+  const styleRules = pack.styleRules.length > 0
+    ? `\n\nStyle rules:\n${pack.styleRules.map(rule => `- ${rule}`).join('\n')}`
+    : '';
+  return `${pack.systemPrompt}${styleRules}`.trim();
+}
+
+module.exports = {
+  GENERAL_DOMAIN_PACK,
+  resolveDomainPack,
+  listDomainPacks,
+  domainPackPrompt
+};
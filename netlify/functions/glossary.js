@@ -0,0 +1,147 @@
+// glossary.js - 사용자 용어집 (Supabase user_glossaries 테이블) 항목 검증 / 입력 매칭 / 프롬프트 규칙
+// 항목: { id, sourceLang, targetLang, sourceTerm, targetTerm, caseSensitive, doNotTranslate, partOfSpeech, note }
+const { findLanguage } = require('./languages');
+
+const PARTS_OF_SPEECH = new Set(['noun', 'verb', 'adjective', 'adverb', 'phrase', 'abbreviation', 'proper-noun', 'other']);
+const MAX_TERM_LENGTH = 200;
+const MAX_NOTE_LENGTH = 500;
+
+// 언어 코드(vi, vi-VN) / 이름(Vietnamese) → 저장용 언어 이름 (모르는 언어는 null)
+// 번역 시 감지된 원문 언어 / 대상 언어 이름으로 조회하므로 이름으로 맞춰 저장한다.
+function normalizeGlossaryLanguage(lang) {
+  const language = findLanguage(typeof lang === 'string' ? lang : '');
+  return language ? language.name : null;
+}
+
+// 요청 본문의 항목 → { entry, error }
+function normalizeGlossaryEntry(input = {}) {
+  const sourceTerm = typeof input.sourceTerm === 'string' ? input.sourceTerm.trim() : '';
+  const doNotTranslate = input.doNotTranslate === true;
+  // 번역 금지 항목은 번역어를 따로 받지 않고 원문 용어를 그대로 사용
+  const targetTerm = typeof input.targetTerm === 'string' && input.targetTerm.trim()
+    ? input.targetTerm.trim()
+    : (doNotTranslate ? sourceTerm : '');
+  const partOfSpeech = input.partOfSpeech ? String(input.partOfSpeech).trim().toLowerCase() : null;
+  const note = input.note ? String(input.note).trim() : null;
+
+  if (!sourceTerm || !targetTerm) return { error: 'sourceTerm과 targetTerm이 필요합니다.' };
+  if (!input.sourceLang || !input.targetLang) return { error: 'sourceLang과 targetLang이 필요합니다.' };
+  const sourceLang = normalizeGlossaryLanguage(input.sourceLang);
+  const targetLang = normalizeGlossaryLanguage(input.targetLang);
+  if (!sourceLang || !targetLang) {
+    return { error: `지원하지 않는 언어입니다: ${!sourceLang ? input.sourceLang : input.targetLang}` };
+  }
+  if (sourceTerm.length > MAX_TERM_LENGTH || targetTerm.length > MAX_TERM_LENGTH) {
+    return { error: `용어 길이 초과 (최대 ${MAX_TERM_LENGTH}자)` };
+  }
+  if (partOfSpeech && !PARTS_OF_SPEECH.has(partOfSpeech)) {
+    return { error: `partOfSpeech는 ${[...PARTS_OF_SPEECH].join(', ')} 중 하나여야 합니다.` };
+  }
+  if (note && note.length > MAX_NOTE_LENGTH) return { error: `메모 길이 초과 (최대 ${MAX_NOTE_LENGTH}자)` };
+
+  return {
+    entry: {
+      sourceLang,
+      targetLang,
+      sourceTerm,
+      targetTerm,
+      caseSensitive: input.caseSensitive === true,
+      doNotTranslate,
+      partOfSpeech,
+      note
+    }
+  };
+}
+
+// 라틴 문자 / 숫자로 시작·끝나는 용어는 단어 경계로 매칭 ("PCB"가 "PCBA"에 걸리지 않도록)
+// 한글 용어는 조사가 붙으므로 경계를 두지 않는다 ("불량"은 "불량을"에도 매칭)
+function termRegex(term, caseSensitive) {
+  const escaped = term.normalize('NFC').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const before = /^[\p{Script=Latin}\p{N}]/u.test(term) ? '(?<![\\p{L}\\p{N}])' : '';
+  const after = /[\p{Script=Latin}\p{N}]$/u.test(term) ? '(?![\\p{L}\\p{N}])' : '';
+  return new RegExp(`${before}${escaped}${after}`, caseSensitive ? 'u' : 'iu');
+}
+
+function containsTerm(text, term, caseSensitive) {
+  return termRegex(term, caseSensitive).test(text.normalize('NFC'));
+}
+
+// 입력 텍스트에 등장하는 용어집 항목만 반환 (긴 용어 우선)
+function findGlossaryMatches(text, entries) {
+  return entries
+    .filter(entry => entry.sourceTerm && containsTerm(text, entry.sourceTerm, entry.caseSensitive))
+    .sort((a, b) => b.sourceTerm.length - a.sourceTerm.length);
+}
+
+// 매칭된 항목 → 시스템 프롬프트 규칙
+function buildUserGlossaryRules(matches) {
+  if (!matches || matches.length === 0) return '';
+
+  const lines = matches.map((entry) => {
+    const details = [
+      entry.partOfSpeech,
+      entry.caseSensitive ? 'case-sensitive' : null,
+      entry.note ? `note: ${entry.note}` : null
+    ].filter(Boolean);
+    const suffix = details.length > 0 ? ` (${details.join('; ')})` : '';
+    return entry.doNotTranslate
+      ? `  - "${entry.sourceTerm}" → keep exactly as "${entry.sourceTerm}" (do not translate)${suffix}`
+      : `  - "${entry.sourceTerm}" → "${entry.targetTerm}"${suffix}`;
+  });
+
+  return `
+- The user's glossary is mandatory. Always translate these terms exactly as listed:
+${lines.join('\n')}`;
+}
+
+/**
+ * 용어 준수 검사: 입력에 등장한 용어가 번역문에 지정된 번역어로 들어갔는지 확인
+ * entries는 우선순위 순서 (앞쪽이 우선). 같은 원문 용어의 뒤쪽 항목 번역어는 "다른 번역"으로만 쓴다.
+ * 반환: { compliant, matched, missing, conflicting }
+ *   missing: 지정 번역어가 없음, conflicting: 지정 번역어 대신 다른 용어집의 번역어가 쓰임
+ */
+function checkTerminology(source, translation, entries) {
+  const groups = new Map();
+  for (const entry of findGlossaryMatches(source, entries)) {
+    const key = entry.caseSensitive ? entry.sourceTerm : entry.sourceTerm.toLowerCase();
+    if (!groups.has(key)) groups.set(key, { entry, alternatives: [] });
+    else if (entry.targetTerm !== groups.get(key).entry.targetTerm) groups.get(key).alternatives.push(entry.targetTerm);
+  }
+
+  const report = { compliant: true, matched: [], missing: [], conflicting: [] };
+  for (const { entry, alternatives } of groups.values()) {
+    const term = { sourceTerm: entry.sourceTerm, targetTerm: entry.targetTerm };
+    if (containsTerm(translation || '', entry.targetTerm, entry.caseSensitive)) {
+      report.matched.push(term);
+      continue;
+    }
+    const found = alternatives.find(alternative => containsTerm(translation || '', alternative, false));
+    if (found) report.conflicting.push({ ...term, found });
+    else report.missing.push(term);
+  }
+  report.compliant = report.missing.length === 0 && report.conflicting.length === 0;
+  return report;
+}
+
+// 위반 항목 → 재번역용 교정 지시
+function buildTerminologyCorrection(report, previousTranslation) {
+  const lines = [
+    ...report.missing.map(term => `  - "${term.sourceTerm}" must be translated as "${term.targetTerm}"`),
+    ...report.conflicting.map(term => `  - "${term.sourceTerm}" must be translated as "${term.targetTerm}" (not "${term.found}")`)
+  ];
+  if (lines.length === 0) return '';
+
+  return `
+- A previous translation broke the required terminology: "${previousTranslation}"
+- Translate again and fix every term below while keeping the rest natural:
+${lines.join('\n')}`;
+}
+
+module.exports = {
+  normalizeGlossaryLanguage,
+  normalizeGlossaryEntry,
+  findGlossaryMatches,
+  buildUserGlossaryRules,
+  checkTerminology,
+  buildTerminologyCorrection
+};
@@ -0,0 +1,156 @@
+// ko-romanize.js - 한국어 → 라틴 문자 발음 표기 (규칙 기반, 오프라인)
+// 한글 음절을 초성 / 중성 / 종성으로 분해하고 표준 발음 규칙(연음, 격음화, 비음화, 유음화, 구개음화,
+// 받침 대표음)을 적용한 뒤 두 가지로 적는다.
+//   - 국어의 로마자 표기법 (Revised Romanization): 감사합니다 → gamsahamnida
+//   - 베트남어 철자식 읽기 (베트남 직원용): 감사합니다 → cam-sa-ham-ni-đa
+// 된소리되기 등 표기법에 반영하지 않는 변화는 적용하지 않는다.
+
+const CHOSEONG = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ';
+const JUNGSEONG = 'ㅏㅐㅑㅒㅓㅔㅕㅖㅗㅘㅙㅚㅛㅜㅝㅞㅟㅠㅡㅢㅣ';
+const JONGSEONG = ['', 'ㄱ', 'ㄲ', 'ㄳ', 'ㄴ', 'ㄵ', 'ㄶ', 'ㄷ', 'ㄹ', 'ㄺ', 'ㄻ', 'ㄼ', 'ㄽ', 'ㄾ', 'ㄿ', 'ㅀ', 'ㅁ', 'ㅂ', 'ㅄ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+
+// 겹받침 → [앞 자음, 뒤 자음] (뒤 자음이 다음 음절 초성으로 넘어감)
+const DOUBLE_FINALS = {
+  ㄳ: ['ㄱ', 'ㅅ'], ㄵ: ['ㄴ', 'ㅈ'], ㄶ: ['ㄴ', 'ㅎ'], ㄺ: ['ㄹ', 'ㄱ'], ㄻ: ['ㄹ', 'ㅁ'], ㄼ: ['ㄹ', 'ㅂ'],
+  ㄽ: ['ㄹ', 'ㅅ'], ㄾ: ['ㄹ', 'ㅌ'], ㄿ: ['ㄹ', 'ㅍ'], ㅀ: ['ㄹ', 'ㅎ'], ㅄ: ['ㅂ', 'ㅅ']
+};
+
+// 받침 대표음 (ㄱ ㄴ ㄷ ㄹ ㅁ ㅂ ㅇ)
+const NEUTRAL_FINALS = {
+  ㄲ: 'ㄱ', ㅋ: 'ㄱ', ㄳ: 'ㄱ', ㄺ: 'ㄱ', ㄵ: 'ㄴ', ㄶ: 'ㄴ',
+  ㅅ: 'ㄷ', ㅆ: 'ㄷ', ㅈ: 'ㄷ', ㅊ: 'ㄷ', ㅌ: 'ㄷ', ㅎ: 'ㄷ',
+  ㄼ: 'ㄹ', ㄽ: 'ㄹ', ㄾ: 'ㄹ', ㅀ: 'ㄹ', ㄻ: 'ㅁ', ㅍ: 'ㅂ', ㅄ: 'ㅂ', ㄿ: 'ㅂ'
+};
+
+const ASPIRATED = { ㄱ: 'ㅋ', ㄷ: 'ㅌ', ㅂ: 'ㅍ', ㅈ: 'ㅊ', ㅅ: 'ㅌ' };
+const NASALIZED = { ㄱ: 'ㅇ', ㄷ: 'ㄴ', ㅂ: 'ㅁ' };
+
+// 표기 체계별 자모 → 라틴 문자
+const SYSTEMS = {
+  // 국어의 로마자 표기법 (문화체육관광부 고시)
+  rr: {
+    initials: { ㄱ: 'g', ㄲ: 'kk', ㄴ: 'n', ㄷ: 'd', ㄸ: 'tt', ㄹ: 'r', ㅁ: 'm', ㅂ: 'b', ㅃ: 'pp', ㅅ: 's', ㅆ: 'ss', ㅇ: '', ㅈ: 'j', ㅉ: 'jj', ㅊ: 'ch', ㅋ: 'k', ㅌ: 't', ㅍ: 'p', ㅎ: 'h' },
+    vowels: { ㅏ: 'a', ㅐ: 'ae', ㅑ: 'ya', ㅒ: 'yae', ㅓ: 'eo', ㅔ: 'e', ㅕ: 'yeo', ㅖ: 'ye', ㅗ: 'o', ㅘ: 'wa', ㅙ: 'wae', ㅚ: 'oe', ㅛ: 'yo', ㅜ: 'u', ㅝ: 'wo', ㅞ: 'we', ㅟ: 'wi', ㅠ: 'yu', ㅡ: 'eu', ㅢ: 'ui', ㅣ: 'i' },
+    finals: { ㄱ: 'k', ㄴ: 'n', ㄷ: 't', ㄹ: 'l', ㅁ: 'm', ㅂ: 'p', ㅇ: 'ng' },
+    separator: ''
+  },
+  // 베트남어 철자식 읽기: 음절마다 하이픈, 자음 뒤 반모음은 i, 단독이면 y
+  vi: {
+    initials: { ㄱ: 'c', ㄲ: 'c', ㄴ: 'n', ㄷ: 'đ', ㄸ: 'đ', ㄹ: 'r', ㅁ: 'm', ㅂ: 'b', ㅃ: 'b', ㅅ: 's', ㅆ: 's', ㅇ: '', ㅈ: 'ch', ㅉ: 'ch', ㅊ: 'ch', ㅋ: 'kh', ㅌ: 'th', ㅍ: 'p', ㅎ: 'h' },
+    vowels: { ㅏ: 'a', ㅐ: 'e', ㅑ: 'ia', ㅒ: 'ie', ㅓ: 'ơ', ㅔ: 'ê', ㅕ: 'iơ', ㅖ: 'iê', ㅗ: 'ô', ㅘ: 'oa', ㅙ: 'oe', ㅚ: 'uê', ㅛ: 'iô', ㅜ: 'u', ㅝ: 'uơ', ㅞ: 'uê', ㅟ: 'uy', ㅠ: 'iu', ㅡ: 'ư', ㅢ: 'ưi', ㅣ: 'i' },
+    finals: { ㄱ: 'c', ㄴ: 'n', ㄷ: 't', ㄹ: 'l', ㅁ: 'm', ㅂ: 'p', ㅇ: 'ng' },
+    separator: '-'
+  }
+};
+
+function decompose(ch) {
+  const code = ch.charCodeAt(0) - 0xAC00;
+  if (code < 0 || code > 11171) return null;
+  return {
+    initial: CHOSEONG[Math.floor(code / 588)],
+    vowel: JUNGSEONG[Math.floor((code % 588) / 28)],
+    final: JONGSEONG[code % 28]
+  };
+}
+
+// 한 어절(연속된 한글 음절)에 표준 발음 규칙 적용 → [{ initial, vowel, final }] (받침은 대표음)
+function applySoundChanges(word) {
+  const syllables = [...word].map(decompose);
+
+  for (let i = 0; i < syllables.length - 1; i++) {
+    const a = syllables[i];
+    const b = syllables[i + 1];
+    if (!a.final) continue;
+
+    if (b.initial === 'ㅇ') {
+      // 연음: 받침이 다음 음절 초성으로 (ㅎ 받침은 탈락, 같이 → 가치)
+      if (a.final === 'ㅇ') continue;
+      const [first, second] = DOUBLE_FINALS[a.final] || [null, a.final];
+      if (second === 'ㅎ') {
+        b.initial = first || 'ㅇ';
+        a.final = '';
+      } else {
+        b.initial = b.vowel === 'ㅣ' && (second === 'ㄷ' || second === 'ㅌ') ? (second === 'ㄷ' ? 'ㅈ' : 'ㅊ') : second;
+        a.final = first || '';
+      }
+      continue;
+    }
+
+    // 격음화: ㅎ 받침 + ㄱ/ㄷ/ㅈ, 받침 ㄱ/ㄷ/ㅂ/ㅈ + ㅎ
+    const [first, second] = DOUBLE_FINALS[a.final] || [null, a.final];
+    if (second === 'ㅎ' && ASPIRATED[b.initial] && b.initial !== 'ㅅ') {
+      b.initial = ASPIRATED[b.initial];
+      a.final = first || '';
+      continue;
+    }
+    if (second === 'ㅎ' && b.initial === 'ㄴ') {
+      a.final = first || 'ㄴ'; // 놓는 → 논는
+      continue;
+    }
+    const neutral = NEUTRAL_FINALS[a.final] || a.final;
+    if (b.initial === 'ㅎ' && ASPIRATED[neutral]) {
+      b.initial = ASPIRATED[neutral];
+      a.final = first && first !== neutral ? first : '';
+      continue;
+    }
+
+    a.final = neutral;
+    // 유음화 / ㄹ의 비음화 (신라 → 실라, 칼날 → 칼랄, 종로 → 종노, 국립 → 궁닙)
+    if (a.final === 'ㄴ' && b.initial === 'ㄹ') a.final = 'ㄹ';
+    else if (a.final === 'ㄹ' && b.initial === 'ㄴ') b.initial = 'ㄹ';
+    else if (b.initial === 'ㄹ' && a.final !== 'ㄹ') b.initial = 'ㄴ';
+    // 비음화 (합니다 → 함니다)
+    if (NASALIZED[a.final] && (b.initial === 'ㄴ' || b.initial === 'ㅁ')) a.final = NASALIZED[a.final];
+  }
+
+  for (const syllable of syllables) {
+    syllable.final = NEUTRAL_FINALS[syllable.final] || syllable.final;
+  }
+  return syllables;
+}
+
+function spellWord(syllables, system) {
+  const table = SYSTEMS[system];
+  return syllables.map((syllable, i) => {
+    // ㄹㄹ 은 l + l
+    let initial = syllable.initial === 'ㄹ' && i > 0 && syllables[i - 1].final === 'ㄹ'
+      ? 'l'
+      : table.initials[syllable.initial];
+    let vowel = table.vowels[syllable.vowel];
+    if (system === 'vi') {
+      if (!initial && vowel.startsWith('i') && vowel.length > 1) vowel = `y${vowel.slice(1)}`;
+      // 베트남어 철자법: e / ê / i / y 앞의 c는 k, w 활음 앞의 c는 qu (과 → qua, 귀 → quy)
+      if (initial === 'c' && /^[eêiy]/.test(vowel)) initial = 'k';
+      else if (initial === 'c' && /^(o[ae]|u[êơy])/.test(vowel)) {
+        initial = 'qu';
+        vowel = vowel.slice(1);
+      }
+    }
+    return `${initial}${vowel}${table.finals[syllable.final] || ''}`;
+  }).join(table.separator);
+}
+
+/**
+ * 한국어 텍스트 → { text, coverage }
+ * system: 'rr' (국어의 로마자 표기법) / 'vi' (베트남어 철자식 읽기)
+ * 한글이 아닌 부분(숫자, 영어, 문장부호)은 그대로 둔다.
+ */
+function romanizeKorean(text, system = 'rr') {
+  let hangul = 0;
+  let other = 0;
+  const result = (text || '').normalize('NFC').replace(/[가-힣]+|[\p{L}]+/gu, (word) => {
+    if (!/^[가-힣]+$/.test(word)) {
+      other++;
+      return word;
+    }
+    hangul++;
+    return spellWord(applySoundChanges(word), system);
+  });
+
+  const total = hangul + other;
+  return { text: result, coverage: total === 0 ? 0 : hangul / total };
+}
+
+module.exports = {
+  romanizeKorean
+};
@@ -0,0 +1,214 @@
+// language-detect.js - 오프라인 원문 언어 감지 (문자 체계 범위 + 라틴 문자 n-gram 프로필)
+// 한글 / 가나 / 한자 / 태국 문자 등은 문자 체계만으로 판단하고, 라틴 문자는 언어별 빈출 단어와
+// 문자 3-gram 프로필로 점수를 매긴다. 베트남어는 성조 부호를 뺀 표기("xin chao")로도 감지한다.
+// 문장 단위로 판단한 뒤 글자 수로 합산해 주 언어와 보조 언어(혼합 입력)를 함께 돌려준다.
+
+const { languageName } = require('./languages');
+
+// 지원 언어 표(languages.js)에 없는, 감지만 하는 언어의 이름
+const DETECT_ONLY_NAMES = {
+  ja: 'Japanese',
+  km: 'Khmer',
+  my: 'Burmese',
+  ru: 'Russian',
+  ar: 'Arabic',
+  hi: 'Hindi',
+  fr: 'French',
+  de: 'German',
+  es: 'Spanish',
+  pt: 'Portuguese',
+  it: 'Italian'
+};
+
+// 문자 체계 → 언어 (라틴 / 한자는 아래에서 따로 판단)
+// weight: 라틴 글자 몇 개에 해당하는 정보량인지 (한글 음절 하나 ≈ 라틴 2~3글자)
+const SCRIPTS = [
+  { script: 'hangul', regex: /[ᄀ-ᇿ㄰-㆏ꥠ-꥿가-힯]/u, language: 'ko', weight: 2.5 },
+  { script: 'kana', regex: /[぀-ヿㇰ-ㇿｦ-ﾟ]/u, language: 'ja', weight: 2 },
+  { script: 'han', regex: /\p{Script=Han}/u, language: 'zh', weight: 3 },
+  { script: 'thai', regex: /\p{Script=Thai}/u, language: 'th', weight: 1 },
+  { script: 'khmer', regex: /\p{Script=Khmer}/u, language: 'km', weight: 1 },
+  { script: 'myanmar', regex: /\p{Script=Myanmar}/u, language: 'my', weight: 1 },
+  { script: 'cyrillic', regex: /\p{Script=Cyrillic}/u, language: 'ru', weight: 1 },
+  { script: 'arabic', regex: /\p{Script=Arabic}/u, language: 'ar', weight: 1 },
+  { script: 'devanagari', regex: /\p{Script=Devanagari}/u, language: 'hi', weight: 1 },
+  { script: 'latin', regex: /\p{Script=Latin}/u, language: null, weight: 1 }
+];
+
+// 라틴 문자 언어별 빈출 단어 (부호 제거 소문자, 빈도순)
+const LATIN_PROFILES = {
+  vi: 'va cua la co khong cac nhung duoc trong cho mot nguoi da voi nay den khi ban toi se thi ra lam cung nhu de tu chung ta nhieu hon phai dang rat biet can viec gi day tai vao theo xin chao cam on anh chi em ngay hang san xuat kiem tra lai nhan vien cong ty bao nhieu sao roi nao minh duoc',
+  en: 'the of and to in is that it for you was on are with as be this have not at by from or but they we an can what all there were your which will has more one if about would how do so no please check thank our should must',
+  fr: 'le la les de des et un une est en du que qui pour dans ce il pas au sur ne se plus par avec sont vous nous je elle mais ou comme tout cette bien etre fait aussi leur merci bonjour',
+  de: 'der die und in den von zu das mit sich des auf fur ist im dem nicht ein eine als auch es an werden aus er hat dass sie nach wird bei einer um am sind noch wie uber einem so zum war haben nur oder aber ich danke',
+  es: 'de la que el en los se del las un por con no una su para es al lo como mas pero sus le ya este si porque esta entre cuando muy sin sobre tambien me hasta hay donde quien desde todo nos gracias hola',
+  pt: 'de o que e do da em um para com nao uma os no se na por mais as dos como mas ao ele das tem seu sua ou ser quando muito nos ja esta eu tambem so pelo pela ate isso voce obrigado',
+  it: 'di che e la il un per non una sono le mi ma si ho lo del con ti cosa della io se questo come da al ci anche perche tutto gli nel era alla piu grazie ciao',
+  id: 'yang dan di itu dengan untuk tidak ini dari dalam akan pada juga saya ke karena tersebut bisa ada mereka lebih kami oleh sudah apa kita telah harus dapat seperti anda terima kasih',
+  uz: 'va bu bir uchun bilan ham edi men sen biz siz ular emas bor yoq qanday nima kerak ish rahmat salom qilish boladi ekan yana keyin hamma juda yaxshi ishlab chiqarish'
+};
+
+// 해당 언어에서만 (거의) 쓰는 부호 문자
+const LATIN_MARKERS = {
+  vi: /[ăđơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịĩọỏốồổỗộớờởỡợụủũứừửữựỳỵỷỹ]/gu,
+  fr: /[çœëïûæ]/gu,
+  de: /[äöüß]/gu,
+  es: /[ñ¿¡]/gu,
+  pt: /[ãõç]/gu,
+  uz: /[og][ʻ‘]/gu
+};
+
+// 우즈베크어 키릴 문자 (러시아어에는 없는 글자)
+const UZBEK_CYRILLIC = /[ўқғҳЎҚҒҲ]/u;
+
+const MIN_LATIN_LETTERS = 12; // 이보다 짧은 라틴 문장은 글 전체의 라틴 판정을 따른다
+const MIN_FOREIGN_LETTERS = 20; // 다른 문자 체계 문장 속 라틴 구간을 별도 언어로 셀 최소 글자 수
+const MIN_SECONDARY_SHARE = 0.15;
+
+function foldLatin(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').replace(/[đĐ]/g, 'd').toLowerCase();
+}
+
+function trigrams(word) {
+  const padded = `_${word}_`;
+  const grams = [];
+  for (let i = 0; i + 3 <= padded.length; i++) grams.push(padded.slice(i, i + 3));
+  return grams;
+}
+
+// 빈출 단어 → { words: Map(단어 → 가중치), grams: Map(3-gram → 0~1 가중치) }
+const PROFILES = Object.fromEntries(Object.entries(LATIN_PROFILES).map(([language, list]) => {
+  const words = new Map();
+  const grams = new Map();
+  list.split(' ').forEach((word, rank) => {
+    const weight = 1 / (1 + rank / 20);
+    if (!words.has(word)) words.set(word, weight);
+    for (const gram of trigrams(word)) grams.set(gram, (grams.get(gram) || 0) + weight);
+  });
+  const maxGram = Math.max(...grams.values());
+  for (const [gram, weight] of grams) grams.set(gram, weight / maxGram);
+  return [language, { words, grams }];
+}));
+
+/**
+ * 라틴 문자 텍스트 → { language, confidence }
+ * 단어 일치는 3-gram 일치보다 크게, 언어 고유 부호 문자는 별도 가산점으로 반영
+ */
+function classifyLatin(text) {
+  const words = foldLatin(text).match(/[a-z]+/g) || [];
+  const letters = words.join('').length;
+  if (letters === 0) return { language: 'en', confidence: 0 };
+
+  const lower = text.toLowerCase();
+  const scores = Object.entries(PROFILES).map(([language, profile]) => {
+    let score = 0;
+    let units = 0;
+    for (const word of words) {
+      score += 2 * (profile.words.get(word) || 0);
+      for (const gram of trigrams(word)) score += profile.grams.get(gram) || 0;
+      units += 2 + trigrams(word).length;
+    }
+    const markers = LATIN_MARKERS[language] ? (lower.match(LATIN_MARKERS[language]) || []).length : 0;
+    return { language, score: score / units + Math.min(1, (markers / letters) * 10) };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  // 아는 단어가 거의 없는 입력(약어, 품번 등)은 영어로 보되 낮은 신뢰도
+  if (best.score < 0.05) return { language: 'en', confidence: 0.3 };
+
+  const margin = (best.score - second.score) / best.score;
+  const coverage = Math.min(1, best.score / 0.4);
+  return { language: best.language, confidence: Math.min(1, 0.3 + 0.4 * margin + 0.3 * coverage) };
+}
+
+// 문장 하나의 문자 체계별 가중 글자 수
+function countScripts(text) {
+  const counts = {};
+  for (const ch of text) {
+    const found = SCRIPTS.find(({ regex }) => regex.test(ch));
+    if (found) counts[found.script] = (counts[found.script] || 0) + found.weight;
+  }
+  return counts;
+}
+
+/**
+ * 텍스트 → { language, name, confidence, mixed, secondary, languages }
+ *   language: 주 언어 코드 (글자가 없으면 'und'), confidence: 주 언어 판정 신뢰도 (0~1)
+ *   languages: [{ language, name, share }] 가중 글자 비율 내림차순, secondary: 비율 15% 이상인 나머지 언어
+ */
+function detectLanguage(text) {
+  const source = (text || '').normalize('NFC');
+  const chunks = source.split(/[\n.!?。！？]+/).filter(chunk => chunk.trim());
+  const latinText = source.match(/[\p{Script=Latin}\s]+/gu);
+  const wholeLatin = classifyLatin(latinText ? latinText.join(' ') : '');
+  const totals = new Map(); // language → { weight, confidence 합 }
+
+  const add = (language, weight, confidence) => {
+    if (weight <= 0) return;
+    const total = totals.get(language) || { weight: 0, confidenceSum: 0 };
+    total.weight += weight;
+    total.confidenceSum += weight * confidence;
+    totals.set(language, total);
+  };
+
+  for (const chunk of chunks) {
+    const counts = countScripts(chunk);
+    const latin = counts.latin || 0;
+    // 가나가 섞인 한자는 일본어, 한글 사이의 한자는 한국어로 본다
+    const hanLanguage = counts.kana ? 'ja' : ((counts.hangul || 0) > (counts.han || 0) ? 'ko' : 'zh');
+    const others = SCRIPTS
+      .filter(({ script }) => script !== 'latin' && counts[script])
+      .map(({ script, language }) => ({
+        language: script === 'han' ? hanLanguage : (script === 'cyrillic' && UZBEK_CYRILLIC.test(chunk) ? 'uz' : language),
+        count: counts[script],
+        script
+      }))
+      .sort((a, b) => b.count - a.count);
+    const nonLatin = others.reduce((sum, other) => sum + other.count, 0);
+
+    for (const other of others) add(other.language, other.count, other.script === 'han' && hanLanguage === 'zh' ? 0.9 : 1);
+    if (latin === 0) continue;
+
+    // 다른 문자 체계 문장 속 짧은 라틴 구간(약어, 품번)은 그 문장의 언어로 합산
+    if (nonLatin > 0 && latin < nonLatin && latin < MIN_FOREIGN_LETTERS) {
+      add(others[0].language, latin, 1);
+      continue;
+    }
+
+    const chunkLatin = (chunk.match(/[\p{Script=Latin}\s]+/gu) || []).join(' ');
+    const result = latin >= MIN_LATIN_LETTERS ? classifyLatin(chunkLatin) : wholeLatin;
+    const useWhole = result.confidence < 0.4 && wholeLatin.confidence > result.confidence;
+    add(useWhole ? wholeLatin.language : result.language, latin, useWhole ? wholeLatin.confidence : result.confidence);
+  }
+
+  const totalWeight = [...totals.values()].reduce((sum, total) => sum + total.weight, 0);
+  if (totalWeight === 0) {
+    return { language: 'und', name: null, confidence: 0, mixed: false, secondary: [], languages: [] };
+  }
+
+  const languages = [...totals.entries()]
+    .map(([language, total]) => ({
+      language,
+      name: languageName(language) || DETECT_ONLY_NAMES[language],
+      share: Math.round((total.weight / totalWeight) * 100) / 100,
+      confidence: total.confidenceSum / total.weight
+    }))
+    .sort((a, b) => b.share - a.share);
+
+  const [dominant] = languages;
+  const secondary = languages.slice(1).filter(entry => entry.share >= MIN_SECONDARY_SHARE);
+  const strip = ({ language, name, share }) => ({ language, name, share });
+
+  return {
+    language: dominant.language,
+    name: dominant.name,
+    confidence: Math.round(dominant.confidence * 100) / 100,
+    mixed: secondary.length > 0,
+    secondary: secondary.map(strip),
+    languages: languages.map(strip)
+  };
+}
+
+module.exports = {
+  detectLanguage
+};
@@ -0,0 +1,212 @@
+// languages.js - 지원 언어 표 (번역 / TTS / 문장 분할 / 발음 표기 / 파일 형식이 모두 이 표를 참조)
+// 언어를 추가할 때는 LANGUAGES에 항목 하나만 추가한다.
+//   name: 요청·프롬프트에 쓰는 언어 이름 (targetLang / sourceLang / language 값)
+//   code: ISO 639-1 코드 (용어집 키, TMX / PO / XLIFF 언어 코드), locale: BCP-47 (음성 인식)
+//   ttsLocale / googleVoices: Google TTS 언어 코드와 기본 음성 (없으면 OpenAI TTS 사용)
+//   sentenceDelimiters: 문장 끝 문장부호 (TTS 청크 분할), nplurals: 복수형 개수 (PO)
+//   script: 주 문자 체계 (Unicode Script 이름), lengthFactor: 같은 내용의 영어 대비 글자 수 비율 (품질 추정 길이 검사)
+//   pronunciationGuide: 번역문 한글 발음 표기 제공 여부, pronunciationHint: LLM 표기 시 추가 지침
+//   pronunciationEngine: 규칙 기반 발음 변환기 id (있으면 LLM 표기보다 우선)
+//   latinPronunciation: 번역문 라틴 문자 읽기 { 문자 체계 키: 변환기 id } (한글을 못 읽는 사용자용)
+//   dialects: 방언별 Google TTS 음성 { 방언 id: { female, male } } (dialects.js의 방언 id)
+const LANGUAGES = [
+  {
+    name: 'Korean',
+    code: 'ko',
+    locale: 'ko-KR',
+    label: '한국어',
+    flag: '🇰🇷',
+    ttsLocale: 'ko-KR',
+    googleVoices: { female: 'ko-KR-Standard-A', male: 'ko-KR-Standard-C' },
+    sentenceDelimiters: '.!?',
+    script: 'Hangul',
+    lengthFactor: 0.55,
+    nplurals: 1,
+    pronunciationGuide: false, // 한국어 번역문은 한글 표기가 필요 없다
+    // Latn: 국어의 로마자 표기법, Latn-vi: 베트남어 철자식 읽기 (베트남 직원용)
+    latinPronunciation: { Latn: 'ko-rr', 'Latn-vi': 'ko-vi' }
+  },
+  {
+    name: 'Vietnamese',
+    code: 'vi',
+    locale: 'vi-VN',
+    label: '베트남어',
+    flag: '🇻🇳',
+    ttsLocale: 'vi-VN',
+    googleVoices: { female: 'vi-VN-Standard-A', male: 'vi-VN-Standard-B' },
+    sentenceDelimiters: '.!?',
+    script: 'Latin',
+    lengthFactor: 1.1,
+    nplurals: 1,
+    pronunciationGuide: true,
+    pronunciationEngine: 'vi-hangul',
+    pronunciationHint: 'Use Korean characters to represent Vietnamese pronunciation (한글 표기)',
+    dialects: {
+      'vi-north': { female: 'vi-VN-Wavenet-A', male: 'vi-VN-Wavenet-B' },
+      'vi-south': { female: 'vi-VN-Wavenet-C', male: 'vi-VN-Wavenet-D' }
+    }
+  },
+  {
+    name: 'English',
+    code: 'en',
+    locale: 'en-US',
+    label: '영어',
+    flag: '🇺🇸',
+    ttsLocale: 'en-US',
+    googleVoices: { female: 'en-US-Standard-C', male: 'en-US-Standard-B' },
+    sentenceDelimiters: '.!?',
+    script: 'Latin',
+    lengthFactor: 1,
+    nplurals: 2,
+    pronunciationGuide: true,
+    pronunciationHint: 'Use Korean characters to represent English pronunciation'
+  },
+  {
+    name: 'Chinese',
+    code: 'zh',
+    locale: 'zh-CN',
+    label: '중국어',
+    flag: '🇨🇳',
+    ttsLocale: 'cmn-CN',
+    googleVoices: { female: 'cmn-CN-Standard-A', male: 'cmn-CN-Standard-B' },
+    sentenceDelimiters: '。！？.!?',
+    script: 'Han',
+    lengthFactor: 0.3,
+    nplurals: 1,
+    pronunciationGuide: true,
+    pronunciationHint: 'Transcribe the Mandarin reading in Korean characters, not the Sino-Korean (한자음) reading'
+  },
+  {
+    name: 'Thai',
+    code: 'th',
+    locale: 'th-TH',
+    label: '태국어',
+    flag: '🇹🇭',
+    ttsLocale: 'th-TH',
+    googleVoices: { female: 'th-TH-Standard-A', male: 'th-TH-Standard-A' },
+    sentenceDelimiters: '.!? ', // 태국어는 문장 사이를 공백으로 구분
+    script: 'Thai',
+    lengthFactor: 0.95,
+    nplurals: 1,
+    pronunciationGuide: true,
+    pronunciationHint: 'Use Korean characters to represent Thai pronunciation'
+  },
+  {
+    name: 'Indonesian',
+    code: 'id',
+    locale: 'id-ID',
+    label: '인도네시아어',
+    flag: '🇮🇩',
+    ttsLocale: 'id-ID',
+    googleVoices: { female: 'id-ID-Standard-A', male: 'id-ID-Standard-B' },
+    sentenceDelimiters: '.!?',
+    script: 'Latin',
+    lengthFactor: 1.15,
+    nplurals: 1,
+    pronunciationGuide: true,
+    pronunciationHint: 'Use Korean characters to represent Indonesian pronunciation'
+  },
+  {
+    name: 'Uzbek',
+    code: 'uz',
+    locale: 'uz-UZ',
+    label: '우즈베크어',
+    flag: '🇺🇿',
+    ttsLocale: null, // Google TTS 미지원 → OpenAI TTS
+    googleVoices: null,
+    sentenceDelimiters: '.!?',
+    script: 'Latin',
+    lengthFactor: 1.1,
+    nplurals: 2,
+    pronunciationGuide: true,
+    pronunciationHint: 'Use Korean characters to represent Uzbek (Latin script) pronunciation'
+  }
+];
+
+// 이름 / 코드 / BCP-47 (ko, vi-VN, zh_CN, "vietnamese") → 언어 항목 (모르면 null)
+function findLanguage(value) {
+  if (!value || typeof value !== 'string') return null;
+  const lower = value.trim().toLowerCase();
+  const primary = lower.split(/[-_]/)[0];
+  return LANGUAGES.find(language => language.name.toLowerCase() === lower)
+    || LANGUAGES.find(language => language.code === primary || language.ttsLocale?.toLowerCase() === lower)
+    || null;
+}
+
+function languageCode(value) {
+  const language = findLanguage(value);
+  return language ? language.code : null;
+}
+
+// 언어 코드 → 언어 이름 (모르는 코드는 null)
+function languageName(code) {
+  const language = findLanguage(code);
+  return language ? language.name : null;
+}
+
+function supportsPronunciationGuide(value) {
+  const language = findLanguage(value);
+  // 표에 없는 언어도 모델이 한글 표기를 만들 수 있으므로 기본은 허용
+  return language ? language.pronunciationGuide : true;
+}
+
+// 번역문 라틴 문자 읽기 변환기 { 문자 체계 키: 변환기 id } (없으면 빈 객체)
+function latinPronunciationEngines(value) {
+  const language = findLanguage(value);
+  return (language && language.latinPronunciation) || {};
+}
+
+/**
+ * Google TTS 언어 코드 / 음성 선택
+ * 요청 음성이 다른 언어용이면 같은 성별의 기본 음성으로 바꾼다 (B / D 음성은 남성).
+ * dialect를 주면 그 방언의 음성 중에서 고른다 (방언이 없는 언어는 무시).
+ * Google TTS가 지원하지 않는 언어는 null
+ */
+function googleVoiceFor(value, voiceName = null, dialect = null) {
+  const language = findLanguage(value) || findLanguage('Vietnamese');
+  if (!language.ttsLocale) return null;
+
+  const voices = (language.dialects && language.dialects[dialect]) || language.googleVoices;
+  const allowed = voices === language.googleVoices
+    ? voiceName && voiceName.startsWith(`${language.ttsLocale}-`)
+    : Object.values(voices).includes(voiceName);
+  if (allowed) {
+    return { languageCode: language.ttsLocale, voiceName };
+  }
+  const gender = /-(B|D)$/.test(voiceName || '') ? 'male' : 'female';
+  return { languageCode: language.ttsLocale, voiceName: voices[gender] };
+}
+
+// 문장 끝 문장부호 기준 분할 (마지막 문장은 문장부호가 없어도 포함)
+function sentencePattern(value) {
+  const language = findLanguage(value);
+  const delimiters = (language ? language.sentenceDelimiters : '.!?').replace(/[\]\\^-]/g, '\\$&');
+  return new RegExp(`[^${delimiters}]+(?:[${delimiters}]+|$)`, 'g');
+}
+
+// 클라이언트용 목록 (언어 선택 / 음성 인식 / TTS 엔진 표시)
+function listLanguages() {
+  return LANGUAGES.map(language => ({
+    name: language.name,
+    code: language.code,
+    locale: language.locale,
+    label: language.label,
+    flag: language.flag,
+    googleTTS: !!language.ttsLocale,
+    pronunciationGuide: language.pronunciationGuide,
+    latinPronunciation: Object.keys(language.latinPronunciation || {}),
+    dialects: Object.keys(language.dialects || {})
+  }));
+}
+
+module.exports = {
+  LANGUAGES,
+  findLanguage,
+  languageCode,
+  languageName,
+  supportsPronunciationGuide,
+  latinPronunciationEngines,
+  googleVoiceFor,
+  sentencePattern,
+  listLanguages
+};
@@ -0,0 +1,275 @@
+// markup.js - HTML / Markdown 구조 보존 번역 지원
+// 문서를 "번역할 세그먼트"와 "그대로 둘 조각"으로 나누고, 세그먼트 안의 인라인 태그 / URL / 코드 / 엔티티는
+// [[T0]] 형식의 자리표시자로 보호한다. 번역 후 자리표시자를 복원하고 입력과 출력의 구조를 비교한다.
+
+// 내용까지 통째로 보존하는 요소와 주석, 일반 태그
+const HTML_TOKEN_REGEX = /<!--[\s\S]*?-->|<(script|style|pre|code|textarea)\b[^>]*>[\s\S]*?<\/\1\s*>|<![A-Za-z][^>]*>|<\/?[a-zA-Z][^>]*>/gi;
+
+// 문장 안에 올 수 있는 태그 (세그먼트를 나누지 않고 자리표시자로 처리)
+const INLINE_TAGS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'del', 'dfn', 'em', 'font', 'i', 'ins', 'kbd',
+  'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'u', 'var', 'img', 'br'
+]);
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// 텍스트 안에서 보호할 토큰: URL, 이메일, HTML 엔티티
+const TEXT_PROTECT_REGEX = /https?:\/\/[^\s<>"')\]]+|[\w.+-]+@[\w-]+\.[\w.-]+|&(?:[a-zA-Z]+|#\d+|#x[0-9a-fA-F]+);/g;
+
+// Markdown 인라인: 코드 스팬, 이미지, 링크 대상, 자동 링크, 인라인 HTML 태그
+const MD_INLINE_PROTECT_REGEX = /`+[^`]*`+|!\[[^\]]*\]\([^)]*\)|\]\([^)]*\)|\]\[[^\]]*\]|<https?:\/\/[^>]+>|<\/?[a-zA-Z][^>]*>/g;
+
+const MD_BLOCK_PREFIX_REGEX = /^(\s*(?:#{1,6}\s+|>\s?|[-*+]\s+(?:\[[ xX]\]\s+)?|\d+[.)]\s+)*)/;
+const MD_TABLE_SEPARATOR_REGEX = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const MD_FENCE_REGEX = /^\s*(```|~~~)/;
+
+const LETTER_REGEX = /\p{L}/u;
+
+function tagName(tag) {
+  const match = tag.match(/^<\/?\s*([a-zA-Z][\w-]*)/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// 세그먼트 빌더: 보호 토큰은 자리표시자로, 나머지는 번역 대상 텍스트로 누적
+function createSegmentBuilder() {
+  return { text: '', placeholders: [] };
+}
+
+function addProtected(segment, token) {
+  segment.text += `[[T${segment.placeholders.length}]]`;
+  segment.placeholders.push(token);
+}
+
+function addText(segment, text, protectRegex = TEXT_PROTECT_REGEX) {
+  let last = 0;
+  text.replace(protectRegex, (match, ...args) => {
+    const offset = args[args.length - 2];
+    segment.text += text.slice(last, offset);
+    addProtected(segment, match);
+    last = offset + match.length;
+    return match;
+  });
+  segment.text += text.slice(last);
+}
+
+// 세그먼트를 문서 조각 목록에 추가. 앞뒤 공백과 글자가 없는 세그먼트는 번역하지 않는다.
+function pushSegment(doc, segment) {
+  if (!segment.text) return;
+
+  const restored = restorePlaceholders(segment.text, segment.placeholders).text;
+  const leading = segment.text.match(/^\s*/)[0];
+  const trailing = segment.text.slice(leading.length).match(/\s*$/)[0];
+  const core = segment.text.slice(leading.length, segment.text.length - trailing.length);
+
+  if (!LETTER_REGEX.test(core.replace(/\[\[T\d+\]\]/g, ''))) {
+    doc.pieces.push({ static: restored });
+    return;
+  }
+
+  if (leading) doc.pieces.push({ static: leading });
+  doc.pieces.push({ segment: doc.segments.length });
+  doc.segments.push({ text: core, placeholders: segment.placeholders });
+  if (trailing) doc.pieces.push({ static: trailing });
+}
+
+/**
+ * HTML → { format, pieces, segments }
+ * pieces: { static: string } | { segment: index }, segments: { text, placeholders }
+ */
+function extractHtml(html) {
+  const doc = { format: 'html', pieces: [], segments: [] };
+  let segment = createSegmentBuilder();
+  let last = 0;
+
+  const flush = () => {
+    pushSegment(doc, segment);
+    segment = createSegmentBuilder();
+  };
+
+  html.replace(HTML_TOKEN_REGEX, (token, rawElement, offset) => {
+    addText(segment, html.slice(last, offset));
+    last = offset + token.length;
+
+    // <code> 요소는 내용째 보존하되 문장 안의 인라인 요소로 취급
+    const name = tagName(token);
+    if ((!rawElement || rawElement.toLowerCase() === 'code') && name && INLINE_TAGS.has(name)) {
+      addProtected(segment, token);
+    } else {
+      flush();
+      doc.pieces.push({ static: token });
+    }
+    return token;
+  });
+
+  addText(segment, html.slice(last));
+  flush();
+  return doc;
+}
+
+// Markdown → { format, pieces, segments } (줄 단위, 블록 접두어와 코드 블록은 번역하지 않음)
+function extractMarkdown(markdown) {
+  const doc = { format: 'markdown', pieces: [], segments: [] };
+  const lines = markdown.split('\n');
+  let inFence = false;
+  let inFrontMatter = lines[0] === '---';
+
+  lines.forEach((line, i) => {
+    const newline = i < lines.length - 1 ? '\n' : '';
+
+    if (inFrontMatter) {
+      doc.pieces.push({ static: line + newline });
+      if (i > 0 && line === '---') inFrontMatter = false;
+      return;
+    }
+    if (MD_FENCE_REGEX.test(line)) {
+      inFence = !inFence;
+      doc.pieces.push({ static: line + newline });
+      return;
+    }
+    if (inFence || line.trim() === '' || MD_TABLE_SEPARATOR_REGEX.test(line) || /^ {4,}|^\t/.test(line)) {
+      doc.pieces.push({ static: line + newline });
+      return;
+    }
+
+    const prefix = line.match(MD_BLOCK_PREFIX_REGEX)[0];
+    if (prefix) doc.pieces.push({ static: prefix });
+
+    const segment = createSegmentBuilder();
+    const content = line.slice(prefix.length);
+
+    // 표의 행은 셀 구분자(|)를 보호
+    const parts = content.includes('|') ? content.split(/(?<!\\)(\|)/) : [content];
+    for (const part of parts) {
+      if (part === '|') {
+        addProtected(segment, part);
+        continue;
+      }
+      let last = 0;
+      part.replace(MD_INLINE_PROTECT_REGEX, (match, offset) => {
+        addText(segment, part.slice(last, offset));
+        addProtected(segment, match);
+        last = offset + match.length;
+        return match;
+      });
+      addText(segment, part.slice(last));
+    }
+
+    pushSegment(doc, segment);
+    if (newline) doc.pieces.push({ static: newline });
+  });
+
+  return doc;
+}
+
+function extractMarkup(content, format) {
+  const normalized = content.replace(/\r\n?/g, '\n');
+  return format === 'html' ? extractHtml(normalized) : extractMarkdown(normalized);
+}
+
+// [[T0]] → 원래 토큰. 누락 / 중복된 자리표시자가 있으면 valid: false
+function restorePlaceholders(text, placeholders) {
+  const problems = [];
+  let result = text;
+
+  placeholders.forEach((token, i) => {
+    const placeholder = `[[T${i}]]`;
+    const count = result.split(placeholder).length - 1;
+    if (count !== 1) problems.push(count === 0 ? `누락: ${token}` : `중복: ${token}`);
+    result = result.split(placeholder).join(token);
+  });
+
+  // 모델이 임의로 만든 자리표시자 제거
+  if (/\[\[T\d+\]\]/.test(result)) {
+    problems.push('알 수 없는 자리표시자');
+    result = result.replace(/\[\[T\d+\]\]/g, '');
+  }
+
+  return { text: result, valid: problems.length === 0, problems };
+}
+
+function reassembleMarkup(doc, translations) {
+  return doc.pieces.map(piece => (
+    piece.static !== undefined ? piece.static : translations[piece.segment]
+  )).join('');
+}
+
+// ========== 구조 검증 ==========
+function htmlTagSequence(html) {
+  const tags = [];
+  html.replace(HTML_TOKEN_REGEX, (token, rawElement) => {
+    const name = tagName(token);
+    if (!name) return token;
+    if (rawElement) tags.push(name, `/${name}`);
+    else tags.push(token.startsWith('</') ? `/${name}` : name);
+    return token;
+  });
+  return tags;
+}
+
+function isBalancedHtml(tags) {
+  const stack = [];
+  for (const tag of tags) {
+    if (tag.startsWith('/')) {
+      if (stack.pop() !== tag.slice(1)) return false;
+    } else if (!VOID_TAGS.has(tag)) {
+      stack.push(tag);
+    }
+  }
+  return stack.length === 0;
+}
+
+function markdownOutline(markdown) {
+  const outline = { prefixes: [], fences: 0, links: 0, images: 0, codeSpans: 0 };
+  let inFence = false;
+  for (const line of markdown.split('\n')) {
+    if (MD_FENCE_REGEX.test(line)) {
+      outline.fences++;
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence || line.trim() === '') continue;
+    outline.prefixes.push(line.match(MD_BLOCK_PREFIX_REGEX)[0].replace(/\d+/g, 'n').replace(/\s+/g, ' '));
+    outline.links += (line.match(/(?<!!)\[[^\]]*\]\([^)]*\)/g) || []).length;
+    outline.images += (line.match(/!\[[^\]]*\]\([^)]*\)/g) || []).length;
+    outline.codeSpans += (line.match(/`+[^`]*`+/g) || []).length;
+  }
+  return outline;
+}
+
+// 입력과 출력의 구조 비교 → 문제 목록 (빈 배열이면 구조 일치)
+function compareMarkupStructure(input, output, format) {
+  const issues = [];
+
+  if (format === 'html') {
+    const before = htmlTagSequence(input);
+    const after = htmlTagSequence(output);
+    const sortedBefore = [...before].sort().join(',');
+    const sortedAfter = [...after].sort().join(',');
+    if (sortedBefore !== sortedAfter) {
+      issues.push(`태그 구성이 다릅니다 (입력 ${before.length}개, 출력 ${after.length}개)`);
+    }
+    if (isBalancedHtml(before) && !isBalancedHtml(after)) {
+      issues.push('출력의 태그 중첩 구조가 올바르지 않습니다.');
+    }
+    return issues;
+  }
+
+  const before = markdownOutline(input.replace(/\r\n?/g, '\n'));
+  const after = markdownOutline(output);
+  if (before.prefixes.join('|') !== after.prefixes.join('|')) {
+    issues.push('제목 / 목록 / 인용 블록 구조가 다릅니다.');
+  }
+  for (const key of ['fences', 'links', 'images', 'codeSpans']) {
+    if (before[key] !== after[key]) {
+      issues.push(`${key} 개수가 다릅니다 (입력 ${before[key]}개, 출력 ${after[key]}개)`);
+    }
+  }
+  return issues;
+}
+
+module.exports = {
+  extractMarkup,
+  restorePlaceholders,
+  reassembleMarkup,
+  compareMarkupStructure
+};
@@ -0,0 +1,107 @@
+// meeting-minutes.js - 대화 기록 → 양쪽 언어 회의록 (요약 / 결정 사항 / 조치 항목)
+// 교대 인수인계처럼 통역 대화를 마친 뒤 두 화자가 각자 자기 언어로 읽을 수 있게 한 번의 호출로 두 언어 회의록을 만든다.
+// 발화는 원문만 넘기고 (번역문은 이미 원문의 옮김이므로), 결과는 세션에 저장해 내보내기에 함께 싣는다.
+
+const { translateWithProvider } = require('./providers');
+
+const MAX_MINUTES_CHARS = 30000; // 이보다 긴 기록은 앞부분을 잘라내고 최근 발화만 요약
+const MAX_ITEMS = 20;
+
+// 세션 화자 언어 (중복 제거, 화자 순서)
+function minutesLanguages(session) {
+  return [...new Set(session.speakers.map(speaker => speaker.language))];
+}
+
+// 요약에 넘길 발화 줄 (최근 발화부터 채워 MAX_MINUTES_CHARS 이내, 오래된 것부터 반환)
+function transcriptLines(session, turns) {
+  const nameOf = id => (session.speakers.find(s => s.id === id) || { name: id }).name;
+  const lines = [];
+  let length = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const line = `[${turns[i].index + 1}] ${nameOf(turns[i].speaker)} (${turns[i].sourceLang}): ${turns[i].original}`;
+    if (length + line.length > MAX_MINUTES_CHARS && lines.length > 0) break;
+    lines.unshift(line);
+    length += line.length + 1;
+  }
+  return lines;
+}
+
+function cleanList(value) {
+  return (Array.isArray(value) ? value : [])
+    .map(item => (item == null ? '' : String(item).trim()))
+    .filter(Boolean)
+    .slice(0, MAX_ITEMS);
+}
+
+function cleanActionItems(value) {
+  return (Array.isArray(value) ? value : [])
+    .filter(item => item && typeof item.task === 'string' && item.task.trim())
+    .slice(0, MAX_ITEMS)
+    .map(item => ({
+      owner: item.owner ? String(item.owner).trim() : null,
+      task: item.task.trim(),
+      due: item.due ? String(item.due).trim() : null
+    }));
+}
+
+/**
+ * 대화 기록 → { languages: [{ language, summary, decisions, actionItems }], turnCount, summarizedTurns, usedModel, modelProvider, generatedAt }
+ * 모델이 언어별 회의록을 돌려주지 않으면 오류를 던진다.
+ */
+async function generateMinutes(session, turns, { model = 'auto', apiKeys = {} } = {}) {
+  if (turns.length === 0) throw new Error('요약할 발화가 없습니다.');
+
+  const languages = minutesLanguages(session);
+  const lines = transcriptLines(session, turns);
+  const systemMessage = `You write meeting minutes for an interpreted conversation at a manufacturing site (for example a shift handover).
+Respond ONLY with JSON: { "minutes": [{ "language": string, "summary": string, "decisions": [string], "actionItems": [{ "owner": string, "task": string, "due": string }] }] }
+Rules:
+- Write one entry per language, in this order: ${languages.join(', ')}. Each entry must be written entirely in its language, with the same content in every language.
+- "summary": 2-5 sentences on what was discussed and the current state (equipment, quality issues, headcount, pending work).
+- "decisions": only what was actually agreed or decided; use [] if nothing was decided.
+- "actionItems": concrete follow-ups; "owner" is the speaker's name as given (or "" if unclear), "due" only if a time or shift was mentioned (otherwise "").
+- Do not invent facts that are not in the transcript. Keep names, part numbers, machine ids, numbers and units exactly as written.`;
+
+  const result = await translateWithProvider({
+    text: lines.join('\n'),
+    sourceLang: languages[0],
+    targetLang: languages.join(', '),
+    systemMessage,
+    userPrompt: `Participants: ${session.speakers.map(s => `${s.name} (${s.language})`).join(', ')}${session.title ? `\nTitle: ${session.title}` : ''}
+Transcript (original utterances, oldest first):
+${lines.join('\n')}`,
+    temperature: 0.2,
+    maxTokens: Math.min(800 * languages.length, 4000)
+  }, { model, apiKeys });
+
+  const returned = Array.isArray(result.raw?.minutes) ? result.raw.minutes : [];
+  const entries = languages.map((language, i) => {
+    const entry = returned.find(item => item && item.language === language) || returned[i];
+    if (!entry || typeof entry.summary !== 'string' || !entry.summary.trim()) return null;
+    return {
+      language,
+      summary: entry.summary.trim(),
+      decisions: cleanList(entry.decisions),
+      actionItems: cleanActionItems(entry.actionItems)
+    };
+  });
+  if (entries.some(entry => !entry)) {
+    throw new Error('모델 응답에 언어별 회의록이 없습니다.');
+  }
+
+  console.log(`[Minutes] ${result.usedModel} 회의록 생성: ${languages.join(' / ')}, 발화 ${lines.length}/${turns.length}개`);
+  return {
+    languages: entries,
+    turnCount: turns.length,
+    summarizedTurns: lines.length,
+    usedModel: result.usedModel,
+    modelProvider: result.modelProvider,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  MAX_MINUTES_CHARS,
+  transcriptLines,
+  generateMinutes
+};
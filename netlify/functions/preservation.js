@@ -0,0 +1,157 @@
+// preservation.js - 번역 후 보존 검사 (숫자 / 단위가 붙은 측정값 / 품번 / 이메일 / URL)
+// 원문과 번역문에서 같은 종류의 토큰을 뽑아 비교하고, 빠졌거나 바뀐 값을 preservationIssues로 보고한다.
+// 작업 지시서의 토크 값이나 품번이 바뀌면 안전 문제가 되므로 번역문은 고치지 않고 경고만 한다.
+
+const URL_REGEX = /\b(?:https?:\/\/|www\.)[^\s<>"'`)\]]+[^\s<>"'`)\].,;:!?]/gi;
+const EMAIL_REGEX = /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g;
+
+// 기술 문서에 쓰는 단위 (시간 단위 s / min / h 는 언어마다 풀어 쓰는 경우가 많아 제외)
+const UNITS = [
+  'kgf·cm', 'kgf.cm', 'kgf', 'N·m', 'N.m', 'Nm', 'cN', 'kN', 'N',
+  'mm²', 'mm2', 'µm', 'μm', 'um', 'nm', 'mm', 'cm', 'km', 'm',
+  'mg', 'kg', 'g',
+  'mV', 'kV', 'V', 'mA', 'µA', 'μA', 'uA', 'A', 'kW', 'mW', 'W', 'kVA', 'VA',
+  'MΩ', 'kΩ', 'Ω', 'ohm', 'µF', 'μF', 'uF', 'nF', 'pF', 'mF', 'F', 'µH', 'μH', 'uH', 'mH', 'H',
+  'GHz', 'MHz', 'kHz', 'Hz', 'rpm', 'dB',
+  '°C', '℃', '°F', '℉', '°',
+  'MPa', 'kPa', 'Pa', 'bar', 'psi',
+  'mL', 'ml', 'L', '%'
+];
+const UNIT_PATTERN = UNITS
+  .map(unit => unit.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  .join('|');
+const NUMBER_PATTERN = '[-+±]?\\d+(?:[.,]\\d+)*';
+// 경계는 라틴 문자 기준 (한국어는 "10mm로", "약10mm"처럼 조사·단어가 바로 붙는다)
+const MEASUREMENT_REGEX = new RegExp(`(?<![\\p{Script=Latin}\\p{N}.,])(${NUMBER_PATTERN})\\s?(${UNIT_PATTERN})(?![\\p{Script=Latin}\\p{N}])`, 'gu');
+const NUMBER_REGEX = new RegExp(`(?<![\\p{Script=Latin}\\p{N}.,])${NUMBER_PATTERN}(?![\\p{N}])`, 'gu');
+// 품번: 라틴 문자와 숫자가 섞인 토큰 (AB-1234, PCB_01, M3, R1.2A)
+const CODE_REGEX = /(?<![A-Za-z0-9\-_./#])(?=[A-Za-z0-9\-_./#]*\d)(?=[A-Za-z0-9\-_./#]*[A-Za-z])[A-Za-z0-9][A-Za-z0-9\-_./#]*[A-Za-z0-9](?![A-Za-z0-9])/g;
+
+// 같은 단위의 다른 표기 통일
+function canonicalUnit(unit) {
+  return unit
+    .replace(/[μu](?=[mAFH])/, 'µ')
+    .replace('℃', '°C')
+    .replace('℉', '°F')
+    .replace(/^N\.m$|^Nm$/, 'N·m')
+    .replace('kgf.cm', 'kgf·cm')
+    .replace('mm2', 'mm²')
+    .replace(/^ml$/, 'mL')
+    .replace(/^ohm$/, 'Ω');
+}
+
+/**
+ * 숫자 표기 → 가능한 값 목록
+ * 베트남어는 소수점에 쉼표, 천 단위에 마침표를 쓰므로 "1,5"와 "1.5", "1.200"과 "1,200"을 같은 값으로 본다.
+ */
+function numberValues(token) {
+  const sign = /^[-±]/.test(token) ? token[0] : '';
+  const digits = token.replace(/^[-+±]/, '');
+  const values = new Set();
+
+  for (const [decimal, thousands] of [['.', ','], [',', '.']]) {
+    const [integer, fraction, ...rest] = digits.split(decimal);
+    if (rest.length > 0 || (fraction !== undefined && !/^\d+$/.test(fraction))) continue;
+    const groupsValid = integer.includes(thousands)
+      ? new RegExp(`^\\d{1,3}(\\${thousands}\\d{3})+$`).test(integer)
+      : /^\d+$/.test(integer);
+    if (!groupsValid) continue;
+    values.add(`${sign}${Number(integer.split(thousands).join('') + (fraction ? `.${fraction}` : ''))}`);
+  }
+  return values;
+}
+
+function sameNumber(a, b) {
+  const valuesB = numberValues(b);
+  return [...numberValues(a)].some(value => valuesB.has(value));
+}
+
+// 텍스트 → { url, email, measurement, code, number } 토큰 목록
+// 앞 단계에서 찾은 부분은 지워서 뒤 단계에서 다시 세지 않는다 (URL 안의 숫자, 측정값의 숫자 등).
+function extractPreservedTokens(text) {
+  let rest = (text || '').normalize('NFC');
+  const take = (regex, map) => {
+    const tokens = [];
+    rest = rest.replace(regex, (...args) => {
+      tokens.push(map(...args));
+      return ' ';
+    });
+    return tokens;
+  };
+
+  const url = take(URL_REGEX, match => ({ text: match, key: match.replace(/\/$/, '') }));
+  const email = take(EMAIL_REGEX, match => ({ text: match, key: match.toLowerCase() }));
+  const measurement = take(MEASUREMENT_REGEX, (match, number, unit) => ({ text: match, number, unit: canonicalUnit(unit) }));
+  const code = take(CODE_REGEX, match => ({ text: match, key: match }));
+  const number = take(NUMBER_REGEX, match => ({ text: match, number: match }));
+
+  return { url, email, measurement, code, number };
+}
+
+const TYPE_LABELS = {
+  url: 'URL',
+  email: '이메일',
+  measurement: '측정값',
+  code: '품번/코드',
+  number: '숫자'
+};
+
+const MATCHERS = {
+  url: (a, b) => a.key === b.key,
+  email: (a, b) => a.key === b.key,
+  measurement: (a, b) => a.unit === b.unit && sameNumber(a.number, b.number),
+  code: (a, b) => a.key === b.key,
+  number: (a, b) => sameNumber(a.number, b.number)
+};
+
+/**
+ * 원문과 번역문 비교 → [{ type, source, found, problem, message }]
+ * problem: 'missing' (번역문에 없음) / 'altered' (같은 종류의 다른 값으로 바뀜) / 'unexpected' (원문에 없는 값)
+ */
+function checkPreservation(source, translation) {
+  const sourceTokens = extractPreservedTokens(source);
+  const translationTokens = extractPreservedTokens(translation);
+  const issues = [];
+
+  for (const type of Object.keys(MATCHERS)) {
+    const unmatched = [...translationTokens[type]];
+    const missing = [];
+
+    for (const token of sourceTokens[type]) {
+      const index = unmatched.findIndex(candidate => MATCHERS[type](token, candidate));
+      if (index === -1) missing.push(token);
+      else unmatched.splice(index, 1);
+    }
+
+    // 빠진 값과 남은 값을 순서대로 짝지어 "바뀜"으로 보고
+    missing.forEach((token, i) => {
+      const found = unmatched[i] || null;
+      issues.push({
+        type,
+        source: token.text,
+        found: found ? found.text : null,
+        problem: found ? 'altered' : 'missing',
+        message: found
+          ? `${TYPE_LABELS[type]} "${token.text}"이(가) 번역문에서 "${found.text}"(으)로 바뀌었습니다.`
+          : `${TYPE_LABELS[type]} "${token.text}"이(가) 번역문에 없습니다.`
+      });
+    });
+
+    for (const found of unmatched.slice(missing.length)) {
+      issues.push({
+        type,
+        source: null,
+        found: found.text,
+        problem: 'unexpected',
+        message: `원문에 없는 ${TYPE_LABELS[type]} "${found.text}"이(가) 번역문에 있습니다.`
+      });
+    }
+  }
+
+  return issues;
+}
+
+module.exports = {
+  extractPreservedTokens,
+  checkPreservation
+};
@@ -0,0 +1,415 @@
+// providers.js - 번역 프로바이더 레지스트리
+// 각 프로바이더는 모델 목록, 기능(capabilities), 가격, translate() 구현을 등록한다.
+// 모델 선택 / 레거시 모델명 매핑 / 폴백은 모두 이 모듈을 통해 처리된다.
+
+let fetchFn = globalThis.fetch;
+try {
+  if (!fetchFn) fetchFn = require('node-fetch');
+} catch (e) {
+  fetchFn = globalThis.fetch || null;
+}
+
+const { languageCode } = require('./languages');
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
+
+// 구버전 프론트엔드 모델명 → 현재 모델명
+const MODEL_ALIASES = {
+  'gpt-4.1': 'gpt-4o',
+  'gpt-4.1-mini': 'gpt-4o-mini',
+  'gemini-2.0-flash': 'gemini-1.5-flash'
+};
+
+// 🤖 auto 모드: 입력 길이별 선호 모델 (사용 불가능한 모델은 건너뜀)
+const AUTO_MODEL_RULES = [
+  { maxChars: 100, model: 'gemini-1.5-flash' },
+  { maxChars: 500, model: 'gpt-4o-mini' },
+  { maxChars: Infinity, model: 'gpt-4o' }
+];
+
+const DEFAULT_FALLBACK_MODEL = 'gpt-4o-mini';
+
+const providers = new Map();
+
+async function retryWithBackoff(fn, attempts = 3, baseDelay = 300) {
+  let lastErr;
+  for (let i = 0; i < attempts; i++) {
+    try {
+      return await fn();
+    } catch (err) {
+      lastErr = err;
+      const jitter = Math.random() * 200;
+      const delay = baseDelay * Math.pow(2, i) + jitter;
+      await new Promise(res => setTimeout(res, delay));
+    }
+  }
+  throw lastErr;
+}
+
+// 🚀 최적화: 타임아웃 래퍼 함수
+async function withTimeout(promise, ms, fallbackFn = null) {
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      reject(new Error(`요청 시간 초과 (${ms}ms)`));
+    }, ms);
+  });
+
+  try {
+    const result = await Promise.race([promise, timeoutPromise]);
+    clearTimeout(timeoutId);
+    return result;
+  } catch (error) {
+    clearTimeout(timeoutId);
+    if (fallbackFn && error.message.includes('시간 초과')) {
+      console.log('[Timeout] 타임아웃 발생, 폴백 실행');
+      return await fallbackFn();
+    }
+    throw error;
+  }
+}
+
+// 모델 응답 텍스트 → JSON (앞뒤 잡음이 섞인 경우 { ... } 구간만 추출)
+// repairs 배열을 넘기면 복구 경로를 탔을 때 'json-extracted'를 기록한다 (품질 추정용)
+function parseJsonContent(content, repairs = null) {
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    const s = content.indexOf('{'), eidx = content.lastIndexOf('}');
+    if (s !== -1 && eidx !== -1) {
+      const parsed = JSON.parse(content.substring(s, eidx + 1));
+      if (repairs) repairs.push('json-extracted');
+      return parsed;
+    }
+    throw new Error("AI 응답을 JSON으로 파싱하지 못했습니다.");
+  }
+}
+
+// 프로바이더별 응답 필드명 차이를 흡수
+function normalizeTranslation(parsed) {
+  return {
+    translation: (parsed.translation || parsed.translated_text || "").toString(),
+    pronunciation_hangul: (parsed.pronunciation_hangul || parsed.pronunciation || parsed.pron || "").toString()
+  };
+}
+
+// ========== 프로바이더 등록 ==========
+function registerProvider(provider) {
+  if (!provider || !provider.id) throw new Error('프로바이더 id가 필요합니다.');
+  if (typeof provider.translate !== 'function') {
+    throw new Error(`프로바이더 '${provider.id}'에 translate() 구현이 없습니다.`);
+  }
+  providers.set(provider.id, {
+    capabilities: {},
+    pricing: {},
+    models: [],
+    timeoutMs: null,
+    resolveApiKey: () => null,
+    ...provider
+  });
+  return providers.get(provider.id);
+}
+
+function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+function resolveModel(model) {
+  return MODEL_ALIASES[model] || model;
+}
+
+function findProviderByModel(model) {
+  const resolved = resolveModel(model);
+  for (const provider of providers.values()) {
+    if (provider.models.includes(resolved)) return provider;
+  }
+  return null;
+}
+
+function isModelAvailable(model, apiKeys = {}) {
+  const provider = findProviderByModel(model);
+  if (!provider) return false;
+  return !provider.capabilities.requiresApiKey || !!provider.resolveApiKey(apiKeys);
+}
+
+// 요청 모델명 → { model, provider } (auto / 레거시 이름 / 키 없는 프로바이더 처리)
+function selectModel(requestedModel = 'auto', { inputLength = 0, apiKeys = {} } = {}) {
+  let model = resolveModel(requestedModel);
+
+  if (model === 'auto') {
+    const rule = AUTO_MODEL_RULES.find(r =>
+      inputLength < r.maxChars && isModelAvailable(r.model, apiKeys)
+    );
+    model = rule ? rule.model : DEFAULT_FALLBACK_MODEL;
+    console.log(`[Model] 자동 선택: ${model} (텍스트 길이: ${inputLength}자)`);
+  }
+
+  let provider = findProviderByModel(model);
+  if (!provider) {
+    console.log(`[Model] 알 수 없는 모델 '${model}', ${DEFAULT_FALLBACK_MODEL}로 대체`);
+    model = DEFAULT_FALLBACK_MODEL;
+    provider = findProviderByModel(model);
+  } else if (!isModelAvailable(model, apiKeys)) {
+    console.log(`[Model] ${provider.name} API 키 없음, ${DEFAULT_FALLBACK_MODEL}로 대체`);
+    model = DEFAULT_FALLBACK_MODEL;
+    provider = findProviderByModel(model);
+  }
+
+  return { model, provider };
+}
+
+function estimateCost(model, charCount) {
+  const provider = findProviderByModel(model);
+  if (!provider) return 0;
+  const perChar = provider.pricing[resolveModel(model)] ?? provider.pricing.default ?? 0;
+  return charCount * perChar;
+}
+
+function listProviders(apiKeys = {}) {
+  return [...providers.values()].map(p => ({
+    id: p.id,
+    name: p.name,
+    models: p.models,
+    capabilities: p.capabilities,
+    pricing: p.pricing,
+    available: !p.capabilities.requiresApiKey || !!p.resolveApiKey(apiKeys)
+  }));
+}
+
+/**
+ * 선택된 모델로 번역하고, 실패/타임아웃 시 폴백 모델로 재시도한다.
+ * request: { text, sourceLang, targetLang, systemMessage, userPrompt, temperature, maxTokens, getPronunciation, dictionary }
+ * 반환: { translation, pronunciation_hangul, raw, usedModel, modelProvider, usage, repairs }
+ * raw: 파싱된 원본 JSON (jsonMode 프로바이더만, 묶음 번역 등 추가 필드가 필요한 경우 사용)
+ * repairs: 응답 복구 경로 ('json-extracted': 잡음 속 JSON 추출, 'raw-text': JSON 대신 응답 원문 사용)
+ */
+async function translateWithProvider(request, { model = 'auto', apiKeys = {}, fallbackModel = DEFAULT_FALLBACK_MODEL } = {}) {
+  const selected = selectModel(model, { inputLength: (request.text || '').length, apiKeys });
+
+  const run = async ({ model: runModel, provider }) => {
+    const apiKey = provider.resolveApiKey(apiKeys);
+    const result = await provider.translate({ ...request, model: runModel, apiKey });
+    return { repairs: [], ...result, usedModel: runModel, modelProvider: provider.id };
+  };
+
+  const canFallBack = fallbackModel && resolveModel(fallbackModel) !== selected.model;
+  const fallback = async (reason) => {
+    console.log(`[Fallback] ${selected.model} ${reason}, ${fallbackModel}로 폴백`);
+    return run(selectModel(fallbackModel, { apiKeys }));
+  };
+
+  try {
+    const promise = run(selected);
+    return selected.provider.timeoutMs
+      ? await withTimeout(promise, selected.provider.timeoutMs)
+      : await promise;
+  } catch (error) {
+    if (!canFallBack) throw error;
+    const reason = error.message.includes('시간 초과') ? '타임아웃' : '오류';
+    console.log(`[Model] ${selected.provider.name} ${reason}:`, error.message);
+    return fallback(reason);
+  }
+}
+
+// ========== 🟢 OpenAI Chat Completions ==========
+registerProvider({
+  id: 'openai',
+  name: 'OpenAI',
+  models: ['gpt-4o', 'gpt-4o-mini'],
+  capabilities: { requiresApiKey: true, jsonMode: true, pronunciation: true, streaming: true },
+  // 입력 글자당 USD (대략치)
+  pricing: { 'gpt-4o': 0.000015, 'gpt-4o-mini': 0.000015, default: 0.000015 },
+  resolveApiKey: (apiKeys = {}) => apiKeys.openai || OPENAI_API_KEY,
+
+  async translate({ model, apiKey, systemMessage, userPrompt, temperature = 0.0, maxTokens = 1500 }) {
+    if (!apiKey) throw new Error("서버 오류: API 키가 설정되어 있지 않습니다.");
+
+    const payload = {
+      model,
+      messages: [
+        { role: "system", content: systemMessage },
+        { role: "user", content: userPrompt }
+      ],
+      temperature,
+      max_tokens: maxTokens,
+      // 🚀 최적화: JSON 모드 강제 (파싱 오류 제거)
+      response_format: { type: "json_object" }
+    };
+
+    return retryWithBackoff(async () => {
+      const resp = await fetchFn("https://api.openai.com/v1/chat/completions", {
+        method: "POST",
+        headers: {
+          "Authorization": `Bearer ${apiKey}`,
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify(payload)
+      });
+
+      if (!resp.ok) {
+        const txt = await resp.text();
+        throw new Error(`번역 API 오류 ${resp.status}: ${txt}`);
+      }
+      const data = await resp.json();
+      const content = data?.choices?.[0]?.message?.content;
+      if (!content) throw new Error("번역 응답 없음");
+
+      const repairs = [];
+      const parsed = parseJsonContent(content, repairs);
+      return { ...normalizeTranslation(parsed), raw: parsed, usage: data.usage || null, repairs };
+    }, 3, 300);
+  },
+
+  // 🚀 스트리밍: 모델 출력 조각을 { type: 'delta', text } 로, 마지막에 { type: 'usage', usage } 를 yield
+  async *stream({ model, apiKey, systemMessage, userPrompt, temperature = 0.1, maxTokens = 1500 }) {
+    if (!apiKey) throw new Error("서버 오류: API 키가 설정되어 있지 않습니다.");
+
+    const resp = await fetchFn("https://api.openai.com/v1/chat/completions", {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${apiKey}`,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({
+        model,
+        messages: [
+          { role: "system", content: systemMessage },
+          { role: "user", content: userPrompt }
+        ],
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+        stream_options: { include_usage: true }
+      })
+    });
+
+    if (!resp.ok) {
+      const errorText = await resp.text();
+      throw new Error(`OpenAI API 오류: ${resp.status} - ${errorText}`);
+    }
+
+    const decoder = new TextDecoder();
+    let buffered = '';
+
+    // 네트워크 청크 경계에서 SSE 라인이 잘릴 수 있으므로 완성된 라인만 처리
+    for await (const chunk of resp.body) {
+      buffered += decoder.decode(chunk, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data: ')) continue;
+        const data = line.substring(6).trim();
+        if (data === '[DONE]') return;
+
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (e) {
+          continue; // JSON 파싱 실패 시 무시
+        }
+        const content = parsed.choices?.[0]?.delta?.content;
+        if (content) yield { type: 'delta', text: content };
+        if (parsed.usage) yield { type: 'usage', usage: parsed.usage };
+      }
+    }
+  }
+});
+
+// ========== 🔵 Google Gemini ==========
+registerProvider({
+  id: 'google',
+  name: 'Gemini',
+  models: ['gemini-1.5-flash', 'gemini-2.0-flash-001'],
+  capabilities: { requiresApiKey: true, jsonMode: true, pronunciation: true, streaming: false },
+  pricing: { default: 0.000005 },
+  timeoutMs: 5000, // 5초 초과 시 폴백
+  resolveApiKey: (apiKeys = {}) => apiKeys.google || GEMINI_API_KEY,
+
+  async translate({ model, apiKey, systemMessage, userPrompt, temperature = 0.1, maxTokens = 2000 }) {
+    if (!apiKey) throw new Error('Gemini API key not configured');
+
+    const response = await fetchFn(
+      `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          systemInstruction: { parts: [{ text: systemMessage }] },
+          contents: [{ role: 'user', parts: [{ text: userPrompt }] }],
+          generationConfig: {
+            temperature,
+            maxOutputTokens: maxTokens,
+            responseMimeType: 'application/json'
+          }
+        })
+      }
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    const resultText = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+    const usage = data.usageMetadata || null;
+
+    const repairs = [];
+    try {
+      const parsed = parseJsonContent(resultText, repairs);
+      return { ...normalizeTranslation(parsed), raw: parsed, usage, repairs };
+    } catch (e) {
+      // 파싱 실패 시 원문 응답을 번역으로 사용 (발음 표기 없음)
+      return { translation: resultText.trim(), pronunciation_hangul: '', usage, repairs: ['raw-text'] };
+    }
+  }
+});
+
+// ========== 🧪 로컬 사전 프로바이더 (오프라인 테스트용, 결정적 결과) ==========
+// request.dictionary: { term: { ko, vi, ... } } 형식의 용어 사전
+registerProvider({
+  id: 'local',
+  name: 'Local Dictionary',
+  models: ['local-echo', 'local-dictionary'],
+  capabilities: { requiresApiKey: false, jsonMode: false, pronunciation: false, streaming: false },
+  pricing: { default: 0 },
+
+  async translate({ model, text = '', targetLang, dictionary = {} }) {
+    const langKey = languageCode(targetLang);
+    let translation = text;
+
+    if (model === 'local-dictionary' && langKey) {
+      // 긴 용어부터 치환해야 'no insertion'이 'insertion'보다 먼저 적용됨
+      const terms = Object.keys(dictionary).sort((a, b) => b.length - a.length);
+      for (const term of terms) {
+        const target = dictionary[term][langKey];
+        if (!target) continue;
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        // \b는 ASCII 단어 경계만 인식하므로 한글 / 성조 부호가 붙은 용어는 유니코드 경계로 확인
+        translation = translation.replace(new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu'), target);
+      }
+    }
+
+    return { translation, pronunciation_hangul: '', usage: null };
+  }
+});
+
+module.exports = {
+  fetchFn,
+  retryWithBackoff,
+  withTimeout,
+  parseJsonContent,
+  normalizeTranslation,
+  registerProvider,
+  getProvider,
+  resolveModel,
+  findProviderByModel,
+  isModelAvailable,
+  selectModel,
+  estimateCost,
+  listProviders,
+  translateWithProvider,
+  MODEL_ALIASES
+};
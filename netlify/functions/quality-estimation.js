@@ -0,0 +1,124 @@
+// quality-estimation.js - 번역 품질 추정 (0~100 점수 + 경고 플래그, 모델 호출 없음)
+// 번역 결과에 이미 있는 정보(용어 준수 보고, 보존 검사, 프로바이더 응답 복구 여부)와
+// 번역되지 않은 구간 / 길이 비율 검사를 합쳐 점수를 매긴다.
+// 클라이언트는 level이 review / poor이면 경고 배지를 띄우거나 더 높은 qualityLevel로 다시 번역할 수 있다.
+
+const { findLanguage } = require('./languages');
+const { detectLanguage } = require('./language-detect');
+const { normalizeForMatch } = require('./tm-match');
+
+// 플래그별 감점 (같은 종류가 여러 건이면 max까지 누적)
+const PENALTIES = {
+  untranslated: { each: 20, max: 60 },
+  'length-ratio': { each: 20, max: 20 },
+  'glossary-miss': { each: 10, max: 30 },
+  'json-repair': { each: 10, max: 10 },
+  'raw-text': { each: 30, max: 30 },
+  preservation: { each: 10, max: 30 }
+};
+const LEVELS = [{ min: 85, level: 'good' }, { min: 60, level: 'review' }, { min: 0, level: 'poor' }];
+
+const MIN_LATIN_SPAN_LETTERS = 12; // 라틴 문자 구간은 이보다 짧으면 약어·품번으로 보고 넘어간다
+const MIN_RATIO_CHARS = 20; // 이보다 짧은 원문은 길이 비율 검사 생략
+const MAX_LENGTH_DEVIATION = 2.2; // 예상 길이 대비 이 배수를 넘거나 1/이 배수보다 짧으면 이상
+
+function letterCount(text) {
+  return (text.match(/\p{L}/gu) || []).length;
+}
+
+/**
+ * 번역문에 남은 원문 언어 구간 → [span]
+ * 원문이 한글 / 한자 / 태국 문자처럼 대상 언어와 다른 문자 체계면 그 문자 구간을,
+ * 둘 다 라틴 문자면 문장 단위로 언어를 감지해 원문 언어로 판정된 문장을 돌려준다.
+ */
+function findUntranslatedSpans(source, translation, sourceLanguage, targetLanguage) {
+  const sourceScript = sourceLanguage ? sourceLanguage.script : 'Latin';
+  const targetScript = targetLanguage ? targetLanguage.script : 'Latin';
+  const sourceCode = sourceLanguage ? sourceLanguage.code : detectLanguage(source).language;
+  if (targetLanguage && sourceCode === targetLanguage.code) return [];
+
+  if (sourceScript !== 'Latin' && sourceScript !== targetScript) {
+    return (translation.match(new RegExp(`\\p{Script=${sourceScript}}[\\p{Script=${sourceScript}}\\s]*`, 'gu')) || [])
+      .map(span => span.trim())
+      .filter(span => [...span.replace(/\s/g, '')].length >= 2);
+  }
+
+  const candidates = sourceScript === targetScript
+    ? translation.split(/(?<=[.!?。！？])\s+|\n+/)
+    : translation.match(/[\p{Script=Latin}][\p{Script=Latin}\s'’,-]*/gu) || [];
+  return candidates
+    .map(span => span.trim())
+    .filter(span => letterCount(span) >= MIN_LATIN_SPAN_LETTERS && detectLanguage(span).language === sourceCode);
+}
+
+/**
+ * 번역 결과 → { score, level, flags: [{ type, severity, message, ... }] }
+ * input: { source, translation, sourceLang?, targetLang, terminologyReport?, preservationIssues?, repairs? }
+ */
+function estimateQuality({ source, translation, sourceLang = null, targetLang, terminologyReport = null, preservationIssues = [], repairs = [] }) {
+  const flags = [];
+  if (!translation || !translation.trim()) {
+    return { score: 0, level: 'poor', flags: [{ type: 'empty', severity: 'error', message: '번역 결과가 비어 있습니다.' }] };
+  }
+
+  const sourceLanguage = findLanguage(sourceLang) || findLanguage(detectLanguage(source).language);
+  const targetLanguage = findLanguage(targetLang);
+
+  // 1) 번역되지 않은 구간 (원문을 그대로 돌려준 경우 포함, 품번·약어 하나뿐인 원문은 제외)
+  const copied = (source.match(/\p{L}{2,}/gu) || []).length >= 2 && normalizeForMatch(source) === normalizeForMatch(translation)
+    && (!sourceLanguage || !targetLanguage || sourceLanguage.code !== targetLanguage.code);
+  const spans = copied ? [translation.trim()] : findUntranslatedSpans(source, translation, sourceLanguage, targetLanguage);
+  for (const span of spans) {
+    flags.push({ type: 'untranslated', severity: 'error', span, message: `번역되지 않은 구간이 있습니다: "${span}"` });
+  }
+
+  // 2) 길이 비율 (언어별 글자 밀도로 보정한 예상 길이와 비교)
+  if (source.length >= MIN_RATIO_CHARS && sourceLanguage && targetLanguage) {
+    const expected = source.length * (targetLanguage.lengthFactor / sourceLanguage.lengthFactor);
+    const ratio = translation.length / expected;
+    if (ratio > MAX_LENGTH_DEVIATION || ratio < 1 / MAX_LENGTH_DEVIATION) {
+      flags.push({
+        type: 'length-ratio',
+        severity: 'warning',
+        ratio: Math.round(ratio * 100) / 100,
+        message: ratio > 1
+          ? `번역문이 예상보다 ${ratio.toFixed(1)}배 깁니다 (불필요한 설명이 붙었을 수 있음).`
+          : `번역문이 예상 길이의 ${Math.round(ratio * 100)}%입니다 (누락이 있을 수 있음).`
+      });
+    }
+  }
+
+  // 3) 용어집 위반
+  if (terminologyReport) {
+    for (const term of terminologyReport.missing) {
+      flags.push({ type: 'glossary-miss', severity: 'warning', ...term, message: `용어 "${term.sourceTerm}" → "${term.targetTerm}"이(가) 번역문에 없습니다.` });
+    }
+    for (const term of terminologyReport.conflicting) {
+      flags.push({ type: 'glossary-miss', severity: 'warning', ...term, message: `용어 "${term.sourceTerm}"이(가) "${term.targetTerm}" 대신 "${term.found}"(으)로 번역되었습니다.` });
+    }
+  }
+
+  // 4) 프로바이더 응답 복구
+  for (const repair of repairs) {
+    flags.push(repair === 'raw-text'
+      ? { type: 'raw-text', severity: 'error', message: '모델이 JSON을 반환하지 않아 응답 원문을 번역으로 사용했습니다 (발음 표기 없음).' }
+      : { type: 'json-repair', severity: 'warning', message: '모델 응답에 JSON 외 텍스트가 섞여 있어 JSON 부분만 추출했습니다.' });
+  }
+
+  // 5) 숫자 / 단위 / 품번 보존 문제
+  for (const issue of preservationIssues) {
+    flags.push({ type: 'preservation', severity: 'warning', source: issue.source, found: issue.found, message: issue.message });
+  }
+
+  const penalty = Object.entries(PENALTIES).reduce((sum, [type, { each, max }]) => {
+    const count = flags.filter(flag => flag.type === type).length;
+    return sum + Math.min(max, count * each);
+  }, 0);
+  const score = Math.max(0, 100 - penalty);
+
+  return { score, level: LEVELS.find(({ min }) => score >= min).level, flags };
+}
+
+module.exports = {
+  estimateQuality
+};
@@ -0,0 +1,145 @@
+// register.js - 말투(register)와 청자 관계(addressee) 지침
+// 한국어는 하십시오체 / 해요체 / 반말 중 하나로, 베트남어는 관계에 맞는 인칭 대명사(anh / chị / em / bạn)로
+// 번역하도록 모든 번역 경로의 시스템 프롬프트에 같은 지침을 붙인다. 지정하지 않으면 빈 문자열 (모델 판단).
+
+const { findLanguage } = require('./languages');
+
+const REGISTERS = {
+  formal: {
+    label: '격식체',
+    ko: '하십시오체',
+    instruction: 'Formal register.',
+    korean: 'Use 하십시오체 consistently (declaratives in -ㅂ니다/-습니다, requests in -십시오/-시기 바랍니다). Never mix in 해요체 or 반말.',
+    vietnamese: 'Use formal, respectful wording with polite particles such as "ạ" and "xin" / "vui lòng" for requests.'
+  },
+  polite: {
+    label: '존댓말',
+    ko: '해요체',
+    instruction: 'Polite everyday register.',
+    korean: 'Use 해요체 consistently (endings -아요/-어요, requests in -세요/-주세요). Never mix in 하십시오체 or 반말.',
+    vietnamese: 'Use polite, friendly wording; soften requests with "nhé" / "nha" or "giúp" rather than bare commands.'
+  },
+  casual: {
+    label: '반말',
+    ko: '반말',
+    instruction: 'Casual register, as between close coworkers.',
+    korean: 'Use 반말 (해체) consistently (endings -아/-어, -지, requests in -아/-어 or -자). No honorific endings.',
+    vietnamese: 'Use casual, direct wording without honorific particles.'
+  }
+};
+
+// 한국어 이름 / 말투 이름으로도 지정 가능
+const REGISTER_ALIASES = {
+  hasipsio: 'formal', '하십시오체': 'formal',
+  haeyo: 'polite', '해요체': 'polite',
+  banmal: 'casual', '반말': 'casual'
+};
+
+// 화자 → 청자 관계. register: 말투를 따로 지정하지 않았을 때의 기본값
+// vietnamese: 화자 / 청자 인칭 대명사 지침
+const ADDRESSEES = {
+  'supervisor-to-worker': {
+    label: '관리자 → 작업자',
+    register: 'polite',
+    description: 'A supervisor or team lead is speaking to a line worker who reports to them.',
+    vietnamese: 'The speaker refers to themself as "anh" (male) or "chị" (female) and addresses the worker as "em"; for a group of workers use "các em" or "các bạn".'
+  },
+  'worker-to-supervisor': {
+    label: '작업자 → 관리자',
+    register: 'formal',
+    description: 'A line worker is speaking to their supervisor or manager.',
+    vietnamese: 'The speaker refers to themself as "em" and addresses the supervisor as "anh" (male) or "chị" (female); end statements respectfully with "ạ".'
+  },
+  peer: {
+    label: '동료',
+    register: 'polite',
+    description: 'Coworkers of the same level are speaking to each other.',
+    vietnamese: 'Use "mình" or "tôi" for the speaker and "bạn" for the listener (or "anh" / "chị" for an older coworker).'
+  },
+  'all-staff': {
+    label: '전체 공지',
+    register: 'formal',
+    description: 'A notice or announcement from management to all staff on the line.',
+    vietnamese: 'Address the audience as "các anh chị" or "mọi người" and refer to the sender as "chúng tôi" or "công ty"; do not use "em".'
+  }
+};
+
+const ADDRESSEE_ALIASES = {
+  'manager-to-worker': 'supervisor-to-worker',
+  'worker-to-manager': 'worker-to-supervisor',
+  coworker: 'peer',
+  announcement: 'all-staff'
+};
+
+function normalizeRegister(value) {
+  if (!value) return null;
+  return REGISTERS[value] ? value : (REGISTER_ALIASES[value] || undefined);
+}
+
+function normalizeAddressee(value) {
+  if (!value) return null;
+  return ADDRESSEES[value] ? value : (ADDRESSEE_ALIASES[value] || undefined);
+}
+
+/**
+ * 요청 값 → { register, addressee } (지정하지 않았으면 null, 알 수 없는 값이면 error 메시지)
+ * addressee만 지정하면 관계별 기본 말투를 쓴다.
+ */
+function resolveRegister({ register = null, addressee = null } = {}) {
+  const registerId = normalizeRegister(register);
+  const addresseeId = normalizeAddressee(addressee);
+  if (registerId === undefined) {
+    return { error: `알 수 없는 register입니다: ${register} (${Object.keys(REGISTERS).join(' / ')})` };
+  }
+  if (addresseeId === undefined) {
+    return { error: `알 수 없는 addressee입니다: ${addressee} (${Object.keys(ADDRESSEES).join(' / ')})` };
+  }
+  return {
+    register: registerId || (addresseeId ? ADDRESSEES[addresseeId].register : null),
+    addressee: addresseeId
+  };
+}
+
+/**
+ * 시스템 프롬프트에 붙일 지침 (register / addressee가 모두 없으면 빈 문자열)
+ * options.includeRegister: false면 청자 관계만 (어조별 후보처럼 말투를 따로 지시하는 경우)
+ */
+function registerPrompt({ register, addressee }, targetLang, { includeRegister = true } = {}) {
+  const language = findLanguage(targetLang);
+  const code = language ? language.code : null;
+  const lines = [];
+
+  if (addressee) {
+    lines.push(`- Relationship: ${ADDRESSEES[addressee].description}`);
+    if (code === 'vi') lines.push(`- Vietnamese pronouns: ${ADDRESSEES[addressee].vietnamese} Keep the same pronouns throughout.`);
+  }
+  if (register && includeRegister) {
+    const entry = REGISTERS[register];
+    if (code === 'ko') lines.push(`- Korean speech level: ${entry.korean}`);
+    else if (code === 'vi') lines.push(`- Register: ${entry.instruction} ${entry.vietnamese}`);
+    else lines.push(`- Register: ${entry.instruction} Keep it consistent across all sentences.`);
+  }
+
+  return lines.length > 0 ? `\n${lines.join('\n')}` : '';
+}
+
+// 응답에 돌려줄 말투 정보 (지정하지 않았으면 null)
+function describeRegister({ register, addressee }, targetLang) {
+  if (!register && !addressee) return null;
+  const language = findLanguage(targetLang);
+  return {
+    register,
+    label: register ? REGISTERS[register].label : null,
+    speechLevel: register && language && language.code === 'ko' ? REGISTERS[register].ko : null,
+    addressee,
+    addresseeLabel: addressee ? ADDRESSEES[addressee].label : null
+  };
+}
+
+module.exports = {
+  REGISTERS,
+  ADDRESSEES,
+  resolveRegister,
+  registerPrompt,
+  describeRegister
+};
@@ -0,0 +1,204 @@
+// resource-files.js - i18n 리소스 파일 (JSON / YAML 키-값) 번역 지원
+// 키와 중첩 구조는 그대로 두고 문자열 값만 꺼내며, 보간 자리표시자와 ICU plural/select 구문은
+// [[T0]] 형식의 자리표시자로 보호한다. (자리표시자 복원은 markup.js의 restorePlaceholders 사용)
+const yaml = require('js-yaml');
+
+// 값 안에서 보호할 보간 토큰: {{name}}, ${name}, %s, %1$s, %(name)s, $t(key), <0>...</0> 같은 태그
+const INTERPOLATION_REGEX = /\{\{[^{}]*\}\}|\$\{[^{}]*\}|%(?:\d+\$)?[-+ 0#]*\d*(?:\.\d+)?[sdifuxXeEgGcoj@%]|%\([\w.]+\)[sd]|\$t\([^)]*\)|<\/?[\w-]+\s*\/?>/g;
+
+const ICU_BRANCH_TYPES = new Set(['plural', 'select', 'selectordinal']);
+
+function detectResourceFormat(content) {
+  try {
+    JSON.parse(content);
+    return 'json';
+  } catch (e) {
+    return 'yaml';
+  }
+}
+
+function parseResourceFile(content, format) {
+  if (format === 'json') return JSON.parse(content);
+  return yaml.load(content);
+}
+
+function serializeResourceFile(data, format, original = '') {
+  if (format === 'json') {
+    const indentMatch = original.match(/\n([ \t]+)\S/);
+    const indent = indentMatch ? indentMatch[1] : 2;
+    return JSON.stringify(data, null, indent) + (original.endsWith('\n') ? '\n' : '');
+  }
+  return yaml.dump(data, { lineWidth: -1, noRefs: true });
+}
+
+// 중첩 객체 / 배열에서 문자열 값만 { key: 'a.b.0', path: ['a','b',0], value } 로 펼침
+function flattenStrings(data, path = [], out = []) {
+  if (typeof data === 'string') {
+    out.push({ key: path.join('.'), path, value: data });
+  } else if (Array.isArray(data)) {
+    data.forEach((item, i) => flattenStrings(item, [...path, i], out));
+  } else if (data && typeof data === 'object') {
+    for (const [k, v] of Object.entries(data)) flattenStrings(v, [...path, k], out);
+  }
+  return out;
+}
+
+function setAtPath(data, path, value) {
+  let target = data;
+  for (const key of path.slice(0, -1)) target = target[key];
+  target[path[path.length - 1]] = value;
+}
+
+// ========== ICU 메시지 보호 ==========
+// 메시지를 { type: 'text' | 'protected', value } 토큰 목록으로 분해
+// ICU 인자의 구조 부분({count, plural, one {  /  } other {  /  }})과 plural 안의 #은 protected
+// 구조 부분은 structural: true (순서가 바뀌면 메시지가 깨짐)
+function tokenizeIcu(message) {
+  const tokens = [];
+
+  const push = (type, value, structural = false) => {
+    if (!value) return;
+    const last = tokens[tokens.length - 1];
+    if (type === 'text' && last && last.type === 'text') last.value += value;
+    else tokens.push({ type, value, structural });
+  };
+
+  // depth > 0 이면 '}'에서 멈춤
+  const parseMessage = (i, depth, inPlural) => {
+    while (i < message.length) {
+      const ch = message[i];
+      if (ch === '}' && depth > 0) return i;
+      if (ch === '{' && message[i + 1] === '{') {
+        const end = message.indexOf('}}', i);
+        if (end === -1) throw new Error('unbalanced');
+        push('protected', message.slice(i, end + 2));
+        i = end + 2;
+      } else if (ch === '$' && message[i + 1] === '{') {
+        // ${name} 보간은 ICU 인자가 아니므로 $까지 하나로 보호
+        const end = findClosingBrace(i + 1);
+        push('protected', message.slice(i, end + 1));
+        i = end + 1;
+      } else if (ch === '{') {
+        i = parseArgument(i);
+      } else if (ch === '#' && inPlural) {
+        push('protected', '#');
+        i++;
+      } else {
+        push('text', ch);
+        i++;
+      }
+    }
+    if (depth > 0) throw new Error('unbalanced');
+    return i;
+  };
+
+  const parseArgument = (start) => {
+    const header = message.slice(start).match(/^\{\s*([\w.]+)\s*(?:,\s*(\w+)\s*)?(,|\})/);
+    if (!header) throw new Error('invalid argument');
+
+    const type = header[2];
+    if (!type || !ICU_BRANCH_TYPES.has(type)) {
+      // {name} 또는 {n, number} 처럼 분기가 없는 인자는 통째로 보호
+      const end = findClosingBrace(start);
+      push('protected', message.slice(start, end + 1));
+      return end + 1;
+    }
+
+    let i = start + header[0].length;
+    // 직전 분기의 닫는 괄호를 다음 선택자와 합쳐 "} other {" 처럼 하나의 자리표시자로 만든다
+    let prefix = header[0];
+    while (i < message.length) {
+      const selector = message.slice(i).match(/^\s*(offset:\s*\d+\s*)?(=?[\w-]+)\s*\{/);
+      if (!selector) break;
+      push('protected', prefix + selector[0], true);
+      i = parseMessage(i + selector[0].length, 1, type !== 'select');
+      prefix = '}';
+      i++;
+    }
+    const close = message.slice(i).match(/^\s*\}/);
+    if (!close) throw new Error('unbalanced');
+    push('protected', prefix + close[0], true);
+    return i + close[0].length;
+  };
+
+  const findClosingBrace = (start) => {
+    let depth = 0;
+    for (let i = start; i < message.length; i++) {
+      if (message[i] === '{') depth++;
+      else if (message[i] === '}' && --depth === 0) return i;
+    }
+    throw new Error('unbalanced');
+  };
+
+  parseMessage(0, 0, false);
+  return tokens;
+}
+
+/**
+ * 값 → { text, placeholders, structural }
+ * structural: 원래 순서를 유지해야 하는 ICU 분기 자리표시자의 번호 목록
+ */
+function protectResourceValue(value) {
+  let tokens;
+  try {
+    tokens = tokenizeIcu(value);
+  } catch (e) {
+    // ICU로 해석할 수 없으면 중괄호 구간을 단순 보호
+    tokens = [];
+    let last = 0;
+    value.replace(/\{[^{}]*\}/g, (match, offset) => {
+      tokens.push({ type: 'text', value: value.slice(last, offset) });
+      tokens.push({ type: 'protected', value: match });
+      last = offset + match.length;
+      return match;
+    });
+    tokens.push({ type: 'text', value: value.slice(last) });
+  }
+
+  const placeholders = [];
+  const structural = [];
+  let text = '';
+  const protect = (token, isStructural = false) => {
+    if (isStructural) structural.push(placeholders.length);
+    text += `[[T${placeholders.length}]]`;
+    placeholders.push(token);
+  };
+
+  for (const token of tokens) {
+    if (token.type === 'protected') {
+      protect(token.value, token.structural);
+      continue;
+    }
+    let last = 0;
+    token.value.replace(INTERPOLATION_REGEX, (match, offset) => {
+      text += token.value.slice(last, offset);
+      protect(match);
+      last = offset + match.length;
+      return match;
+    });
+    text += token.value.slice(last);
+  }
+
+  return { text, placeholders, structural };
+}
+
+// 지정한 자리표시자들이 원래 순서대로 나오는지 확인 (ICU 분기 구조 보존 여부)
+function placeholdersInOrder(text, indices) {
+  let last = -1;
+  for (const i of indices) {
+    const idx = text.indexOf(`[[T${i}]]`);
+    if (idx === -1 || idx < last) return false;
+    last = idx;
+  }
+  return true;
+}
+
+module.exports = {
+  detectResourceFormat,
+  parseResourceFile,
+  serializeResourceFile,
+  flattenStrings,
+  setAtPath,
+  protectResourceValue,
+  placeholdersInOrder
+};
@@ -0,0 +1,197 @@
+// spreadsheet.js - CSV / XLSX 시트 읽기·쓰기 (열 단위 번역 지원)
+// 시트를 텍스트 셀 격자(rows)로 읽고, 번역 열은 기존 열 뒤에 추가한다.
+// 기존 셀은 건드리지 않으므로 수식 참조가 깨지지 않는다.
+const ExcelJS = require('exceljs');
+
+// XLSX에서 번역 대상이 될 수 있는 셀 유형 (숫자 / 날짜 / 수식 / 불리언 / 오류 셀은 제외)
+const TEXT_CELL_TYPES = new Set([ExcelJS.ValueType.String, ExcelJS.ValueType.RichText, ExcelJS.ValueType.Hyperlink]);
+
+// 숫자처럼 보이는 값: 12, 1,200.5, -3%, 2024-05-01, 10:30, 5/8
+const NUMERIC_LIKE_REGEX = /^[\s\d.,:%/+\-()]+$/;
+// 제품 코드 / 품번: 공백 없이 대문자·숫자·구분자로만 이루어지고 숫자를 포함 (AB-1234, PCB_01, 3A.200)
+const CODE_LIKE_REGEX = /^(?=[^\s]*\d)[A-Z0-9][A-Z0-9\-_./#]*$/;
+
+// ========== CSV ==========
+function detectDelimiter(firstLine) {
+  const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+// RFC 4180 CSV 파싱 (따옴표 안의 구분자 / 줄바꿈 / "" 이스케이프 지원)
+function parseCsv(content) {
+  const bom = content.startsWith('\uFEFF');
+  const text = content.replace(/^\uFEFF/, '');
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const delimiter = detectDelimiter(text.split(/\r?\n/, 1)[0]);
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) throw new SyntaxError('닫히지 않은 따옴표가 있습니다.');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return { delimiter, eol, bom, trailingEol: /\r?\n$/.test(text), rows };
+}
+
+function serializeCsv({ delimiter, eol, bom, trailingEol, rows }) {
+  const quote = (value) => {
+    const str = value ?? '';
+    return /["\r\n]/.test(str) || str.includes(delimiter) || /^\s|\s$/.test(str)
+      ? `"${str.replace(/"/g, '""')}"`
+      : str;
+  };
+  const body = rows.map(row => row.map(quote).join(delimiter)).join(eol);
+  return (bom ? '\uFEFF' : '') + body + (trailingEol ? eol : '');
+}
+
+// ========== 열 지정 ==========
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+function columnIndexFromLetter(letter) {
+  return letter.toUpperCase().split('').reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+}
+
+// columns: 헤더 이름, 열 문자('B'), 1부터 시작하는 열 번호 → { indices, unknown }
+function resolveColumns(headers, columns) {
+  const indices = [];
+  const unknown = [];
+
+  for (const column of columns) {
+    const name = String(column).trim();
+    let index = headers.findIndex(header => (header || '').trim() === name);
+    if (index === -1 && /^[A-Za-z]{1,3}$/.test(name)) index = columnIndexFromLetter(name);
+    if (index === -1 && /^\d+$/.test(name)) index = Number(name) - 1;
+
+    if (index < 0) unknown.push(name);
+    else if (!indices.includes(index)) indices.push(index);
+  }
+
+  return { indices, unknown };
+}
+
+// 번역할 셀인지 판단 (빈 셀, 숫자, 코드, CSV 수식, 글자가 없는 값은 제외)
+function shouldTranslateCell(value) {
+  if (typeof value !== 'string') return false;
+  const text = value.trim();
+  if (!text || text.startsWith('=')) return false;
+  if (NUMERIC_LIKE_REGEX.test(text) || CODE_LIKE_REGEX.test(text)) return false;
+  return /\p{L}/u.test(text);
+}
+
+// ========== 시트 읽기 / 쓰기 ==========
+/**
+ * CSV 문자열 또는 XLSX 버퍼 → { format, rows, ... }
+ * rows[r][c]: 텍스트 셀은 문자열, 빈 셀은 '', 텍스트가 아닌 셀(숫자·수식 등)은 null
+ */
+async function readSpreadsheet({ format, content = null, buffer = null, sheetName = null }) {
+  if (format === 'csv') {
+    return { format, ...parseCsv(content) };
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new SyntaxError(`XLSX 파일을 열 수 없습니다: ${error.message}`);
+  }
+
+  const worksheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+  if (!worksheet) throw new SyntaxError(sheetName ? `시트를 찾을 수 없습니다: ${sheetName}` : '워크시트가 없습니다.');
+
+  const rows = [];
+  for (let r = 1; r <= worksheet.rowCount; r++) {
+    const row = [];
+    for (let c = 1; c <= worksheet.columnCount; c++) {
+      const cell = worksheet.getCell(r, c);
+      if (cell.type === ExcelJS.ValueType.Null) row.push('');
+      else row.push(TEXT_CELL_TYPES.has(cell.type) ? cell.text : null);
+    }
+    rows.push(row);
+  }
+
+  return { format, workbook, worksheet, rows };
+}
+
+// 새 열 추가: columns = [{ sourceIndex, header, headerIndex, values: Map(rowIndex → text) }]
+function appendColumns(doc, columns) {
+  const start = Math.max(0, ...doc.rows.map(row => row.length));
+
+  if (doc.format === 'csv') {
+    columns.forEach((column, i) => {
+      doc.rows.forEach((row, r) => {
+        while (row.length < start + i) row.push('');
+        row[start + i] = r === column.headerIndex ? column.header : (column.values.get(r) ?? '');
+      });
+    });
+    return;
+  }
+
+  const { worksheet } = doc;
+  columns.forEach((column, i) => {
+    const target = start + i + 1;
+    worksheet.getColumn(target).width = worksheet.getColumn(column.sourceIndex + 1).width;
+
+    const headerCell = worksheet.getCell(column.headerIndex + 1, target);
+    headerCell.value = column.header;
+    headerCell.style = { ...worksheet.getCell(column.headerIndex + 1, column.sourceIndex + 1).style };
+
+    for (const [r, text] of column.values) {
+      const cell = worksheet.getCell(r + 1, target);
+      cell.value = text;
+      cell.style = { ...worksheet.getCell(r + 1, column.sourceIndex + 1).style };
+    }
+  });
+}
+
+// CSV는 문자열, XLSX는 Buffer로 반환
+async function writeSpreadsheet(doc) {
+  if (doc.format === 'csv') return serializeCsv(doc);
+  return Buffer.from(await doc.workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  columnLetter,
+  resolveColumns,
+  shouldTranslateCell,
+  readSpreadsheet,
+  appendColumns,
+  writeSpreadsheet
+};
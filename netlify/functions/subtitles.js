@@ -0,0 +1,108 @@
+// subtitles.js - SRT / WebVTT 자막 파싱 및 직렬화
+// 번역 대상은 큐 텍스트뿐이며, 큐 번호 / 타임스탬프 / 큐 설정 / 헤더 / NOTE·STYLE 블록은 원본 그대로 보존한다.
+
+const TIMING_REGEX = /^\s*(\d{1,2}:)?\d{1,2}:\d{2}[,.]\d{3}\s*-->\s*(\d{1,2}:)?\d{1,2}:\d{2}[,.]\d{3}/;
+
+// 큐 텍스트 안의 스타일 태그: <i>, </b>, <font color="..">, <c.yellow>, <v Speaker>, <00:01.000>, {\an8}
+const STYLE_TAG_REGEX = /<\/?[a-zA-Z][^>]*>|<\d{1,2}:\d{2}[^>]*>|\{\\[^}]*\}/g;
+
+function detectSubtitleFormat(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  if (/^WEBVTT/.test(text)) return 'vtt';
+  return 'srt';
+}
+
+/**
+ * 자막 파일 → { format, bom, eol, blocks }
+ * blocks: { type: 'cue', id, timing, lines } 또는 { type: 'raw', text } (헤더, NOTE, STYLE, REGION 등)
+ */
+function parseSubtitles(content, format = null) {
+  const bom = content.startsWith('\uFEFF');
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const text = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const resolvedFormat = format || detectSubtitleFormat(text);
+
+  const rawBlocks = text.split(/\n{2,}/)
+    .map(block => block.replace(/^\n+|\n+$/g, ''))
+    .filter(block => block.trim() !== '');
+  const blocks = [];
+
+  rawBlocks.forEach((block, index) => {
+    const lines = block.split('\n');
+
+    if (resolvedFormat === 'vtt' && index === 0 && lines[0].startsWith('WEBVTT')) {
+      blocks.push({ type: 'raw', text: block });
+      return;
+    }
+    if (resolvedFormat === 'vtt' && /^(NOTE|STYLE|REGION)\b/.test(lines[0])) {
+      blocks.push({ type: 'raw', text: block });
+      return;
+    }
+
+    const timingIdx = lines.findIndex(line => TIMING_REGEX.test(line));
+    if (timingIdx === -1 || timingIdx > 1) {
+      // 해석할 수 없는 블록은 번역하지 않고 그대로 둔다
+      blocks.push({ type: 'raw', text: block });
+      return;
+    }
+
+    blocks.push({
+      type: 'cue',
+      id: timingIdx === 1 ? lines[0] : null,
+      timing: lines[timingIdx],
+      lines: lines.slice(timingIdx + 1)
+    });
+  });
+
+  return { format: resolvedFormat, bom, eol, blocks };
+}
+
+function serializeSubtitles(doc) {
+  const body = doc.blocks.map(block => {
+    if (block.type === 'raw') return block.text;
+    return [block.id, block.timing, ...block.lines]
+      .filter(line => line !== null && line !== undefined)
+      .join('\n');
+  }).join('\n\n') + '\n';
+
+  return (doc.bom ? '\uFEFF' : '') + (doc.eol === '\r\n' ? body.replace(/\n/g, '\r\n') : body);
+}
+
+// 스타일 태그를 [[T0]] 형식의 자리표시자로 치환 (번역 모델이 태그를 건드리지 않도록)
+function protectStyleTags(text) {
+  const tags = [];
+  const protectedText = text.replace(STYLE_TAG_REGEX, (tag) => {
+    tags.push(tag);
+    return `[[T${tags.length - 1}]]`;
+  });
+  return { text: protectedText, tags };
+}
+
+// 자리표시자를 원래 태그로 복원. 모델이 누락한 태그는 여는 태그는 앞에, 닫는 태그는 뒤에 붙인다.
+function restoreStyleTags(text, tags) {
+  let result = text;
+  const missing = [];
+
+  tags.forEach((tag, i) => {
+    const placeholder = `[[T${i}]]`;
+    if (result.includes(placeholder)) {
+      result = result.split(placeholder).join(tag);
+    } else {
+      missing.push(tag);
+    }
+  });
+
+  for (const tag of missing) {
+    result = tag.startsWith('</') ? result + tag : tag + result;
+  }
+
+  return { text: result, missingTags: missing };
+}
+
+module.exports = {
+  detectSubtitleFormat,
+  parseSubtitles,
+  serializeSubtitles,
+  protectStyleTags,
+  restoreStyleTags
+};
@@ -0,0 +1,165 @@
+// tm-match.js - 번역 메모리(피드백) 퍼지 매칭
+// 저장 시 원문에서 색인 키(단어 토큰 + 문자 n-gram)를 만들어 translation_feedback.match_index에 함께 저장하고,
+// 조회 시 키가 겹치는 후보를 가져와 CAT 도구처럼 편집 거리 기반 일치율(%)로 순위를 매긴다.
+//
+// 필요한 스키마: supabase/migrations/20261019000100_translation_feedback_match_index.sql (배포 전에 실행)
+// 컬럼을 추가한 뒤 예전 피드백은 tm-reindex 액션으로 색인을 채운다.
+// 마이그레이션 전 DB에서도 동작은 한다: 저장 / 가져오기는 색인 없이 기록하고, 조회는 최근 피드백에서만 찾는다.
+
+// 기본 임계값 (환경변수로 조정 가능, 요청별로도 덮어쓸 수 있음)
+// minScore: 제안으로 돌려줄 최소 일치율, applyScore: 번역 대신 교정 번역을 바로 적용할 일치율
+const TM_MATCH_DEFAULTS = {
+  minScore: Number(process.env.TM_MIN_MATCH) || 75,
+  applyScore: Number(process.env.TM_APPLY_MATCH) || 95,
+  limit: 5
+};
+
+const MAX_INDEX_KEYS = 256;
+const MAX_FUZZY_CHARS = 1000; // 이보다 긴 문장은 편집 거리 계산 생략 (정확 일치만)
+const HANGUL_REGEX = /[ㄱ-ㆎ가-힣]/;
+// 숫자가 들어간 토큰 (5, 1.5, 1,200, AB-1234, 10:30) - 구분자로 이어진 글자·숫자는 한 토큰
+const NUMERIC_TOKEN_REGEX = /[\p{L}\p{N}]+(?:[-_./:,][\p{L}\p{N}]+)*/gu;
+
+// 대소문자 / 문장부호 / 공백 차이는 일치율에 영향을 주지 않도록 정규화
+function normalizeForMatch(text) {
+  return (text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 원문 → 색인 키 목록
+ * - w:단어 (두 글자 이상)
+ * - g:n-gram (한글 단어는 음절 2-gram, 그 외는 3-gram, 짧은 단어는 통째로)
+ * 한국어는 조사가 붙어 단어 단위로는 잘 맞지 않으므로 음절 n-gram이 핵심 키가 된다.
+ */
+function buildMatchIndex(text) {
+  const keys = new Set();
+
+  for (const word of normalizeForMatch(text).split(' ')) {
+    if (!word) continue;
+    if (word.length >= 2) keys.add(`w:${word}`);
+
+    const chars = [...word];
+    const n = HANGUL_REGEX.test(word) ? 2 : 3;
+    if (chars.length <= n) {
+      keys.add(`g:${word}`);
+      continue;
+    }
+    for (let i = 0; i + n <= chars.length; i++) {
+      keys.add(`g:${chars.slice(i, i + n).join('')}`);
+    }
+  }
+
+  return [...keys].slice(0, MAX_INDEX_KEYS);
+}
+
+// 두 행으로 계산하는 문자 단위 편집 거리
+function levenshtein(a, b) {
+  const s = [...a];
+  const t = [...b];
+  let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= s.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= t.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (s[i - 1] === t[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[t.length];
+}
+
+/**
+ * CAT 도구 방식 일치율 (0~100)
+ * 원문이 완전히 같으면 100, 정규화 후에만 같으면(문장부호·대소문자 차이) 99, 그 외에는 편집 거리 기반
+ */
+function fuzzyMatchScore(source, candidate) {
+  if (source === candidate) return 100;
+
+  const a = normalizeForMatch(source);
+  const b = normalizeForMatch(candidate);
+  if (!a || !b) return 0;
+  if (a === b) return 99;
+
+  const longest = Math.max([...a].length, [...b].length);
+  if (longest > MAX_FUZZY_CHARS) return 0;
+
+  const score = Math.floor((1 - levenshtein(a, b) / longest) * 100);
+  return Math.max(0, Math.min(98, score));
+}
+
+// 원문에서 숫자가 들어간 토큰 목록 (정렬, 대소문자 무시)
+function numericTokens(text) {
+  return ((text || '').normalize('NFC').toLowerCase().match(NUMERIC_TOKEN_REGEX) || [])
+    .filter(token => /\p{N}/u.test(token))
+    .sort();
+}
+
+/**
+ * 교정 번역을 번역 대신 바로 적용해도 되는지
+ * 일치율이 applyScore 이상이어도 수치·품번이 다르면(5 N·m ↔ 6 N·m, AB-1234 ↔ AB-1235) 교정 번역에
+ * 다른 값이 들어 있으므로 적용하지 않고 제안으로만 돌려준다. 원문이 완전히 같으면(100) 항상 적용.
+ */
+function canApplyMatch(sourceText, candidateText, score, applyScore = TM_MATCH_DEFAULTS.applyScore) {
+  if (score >= 100) return true;
+  if (score < applyScore) return false;
+  const a = numericTokens(sourceText);
+  const b = numericTokens(candidateText);
+  return a.length === b.length && a.every((token, i) => token === b[i]);
+}
+
+// 색인 키 겹침 정도 (Dice 계수) - 편집 거리 계산 전에 후보를 줄이는 데 사용
+function indexOverlap(keysA, keysB) {
+  if (!keysA.length || !keysB.length) return 0;
+  const setB = new Set(keysB);
+  const shared = keysA.filter(key => setB.has(key)).length;
+  return (2 * shared) / (keysA.length + keysB.length);
+}
+
+/**
+ * 후보 행 → 일치율 상위 N개
+ * rows: translation_feedback 행 ({ original_text, corrected_translation, match_index, ... })
+ * 반환: [{ score, feedback }] (score 내림차순, minScore 이상)
+ */
+function rankMatches(sourceText, rows, { minScore = TM_MATCH_DEFAULTS.minScore, limit = TM_MATCH_DEFAULTS.limit } = {}) {
+  const sourceKeys = buildMatchIndex(sourceText);
+  const sourceLength = normalizeForMatch(sourceText).length;
+  // 길이 차이만으로 minScore에 못 미치는 후보는 제외
+  const maxLengthGap = 1 - minScore / 100;
+
+  const candidates = rows
+    .filter((row) => {
+      const length = normalizeForMatch(row.original_text).length;
+      const longest = Math.max(length, sourceLength) || 1;
+      return Math.abs(length - sourceLength) / longest <= maxLengthGap;
+    })
+    .map(row => ({
+      row,
+      overlap: indexOverlap(sourceKeys, Array.isArray(row.match_index) ? row.match_index : buildMatchIndex(row.original_text))
+    }))
+    .sort((a, b) => b.overlap - a.overlap)
+    .slice(0, Math.max(limit * 10, 50));
+
+  return candidates
+    .map(({ row }) => ({ score: fuzzyMatchScore(sourceText, row.original_text), feedback: row }))
+    .filter(match => match.score >= minScore)
+    .sort((a, b) => b.score - a.score || new Date(b.feedback.updated_at || 0) - new Date(a.feedback.updated_at || 0))
+    .slice(0, limit);
+}
+
+module.exports = {
+  TM_MATCH_DEFAULTS,
+  normalizeForMatch,
+  buildMatchIndex,
+  fuzzyMatchScore,
+  canApplyMatch,
+  rankMatches
+};
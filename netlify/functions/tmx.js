@@ -0,0 +1,98 @@
+// tmx.js - TMX 1.4 번역 메모리 교환 형식 생성 및 파싱
+// 내보내기: 피드백(교정 번역)과 공용 캐시 항목을 언어쌍별 <tu>로 기록
+// 가져오기: <tu>마다 언어별 <seg> 텍스트를 꺼낸다 (인라인 코드 요소는 제거, <hi>는 텍스트만 유지)
+const { decodeXml, escapeXml, getAttribute } = require('./cat-files');
+
+// TMX 날짜 형식: 20261019T093000Z
+function tmxDate(value) {
+  const date = value ? new Date(value) : new Date();
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeAttribute(value) {
+  return escapeXml(String(value)).replace(/"/g, '&quot;');
+}
+
+/**
+ * units: [{ tuid, sourceLang, targetLang, source, target, changedate, origin }]
+ * sourceLang / targetLang는 언어 코드 (ko, vi, en)
+ */
+function buildTmx(units, { srcLang }) {
+  const header = `  <header creationtool="gpt-translator-backend" creationtoolversion="1.0.0" datatype="plaintext" segtype="sentence" adminlang="en" srclang="${escapeAttribute(srcLang)}" o-tmf="gpt-translator" creationdate="${tmxDate()}"/>`;
+
+  const body = units.map((unit) => {
+    const changedate = tmxDate(unit.changedate);
+    const attributes = [
+      unit.tuid ? ` tuid="${escapeAttribute(unit.tuid)}"` : '',
+      changedate ? ` changedate="${changedate}"` : ''
+    ].join('');
+
+    return [
+      `    <tu${attributes}>`,
+      unit.origin ? `      <prop type="x-origin">${escapeXml(unit.origin)}</prop>` : null,
+      `      <tuv xml:lang="${escapeAttribute(unit.sourceLang)}"><seg>${escapeXml(unit.source)}</seg></tuv>`,
+      `      <tuv xml:lang="${escapeAttribute(unit.targetLang)}"><seg>${escapeXml(unit.target)}</seg></tuv>`,
+      '    </tu>'
+    ].filter(line => line !== null).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<tmx version="1.4">',
+    header,
+    '  <body>',
+    ...body,
+    '  </body>',
+    '</tmx>',
+    ''
+  ].join('\n');
+}
+
+// <seg> 내용 → 일반 텍스트 (bpt / ept / ph / it / ut 는 원본 서식 코드이므로 제거)
+function segText(innerXml) {
+  const withoutCodes = innerXml
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, text) => escapeXml(text))
+    .replace(/<(bpt|ept|ph|it|ut)\b[^>]*>[\s\S]*?<\/\1>|<(bpt|ept|ph|it|ut)\b[^>]*\/>/g, '')
+    .replace(/<\/?[a-zA-Z][^>]*>/g, '');
+  return decodeXml(withoutCodes);
+}
+
+/**
+ * TMX → { srcLang, units: [{ tuid, srcLang, variants: [{ lang, text }] }] }
+ * TMX 1.1의 lang 속성도 허용
+ */
+function parseTmx(content) {
+  if (!/<tmx\b/.test(content)) throw new SyntaxError('TMX 루트 요소를 찾을 수 없습니다.');
+
+  const headerTag = (content.match(/<header\b[^>]*>/) || [''])[0];
+  const srcLang = getAttribute(headerTag, 'srclang');
+  const units = [];
+
+  for (const match of content.matchAll(/<tu\b[^>]*>[\s\S]*?<\/tu>/g)) {
+    const block = match[0];
+    const openTag = block.match(/^<tu\b[^>]*>/)[0];
+    const variants = [];
+
+    for (const tuv of block.matchAll(/<tuv\b([^>]*)>([\s\S]*?)<\/tuv>/g)) {
+      const lang = getAttribute(`<tuv${tuv[1]}>`, 'xml:lang') || getAttribute(`<tuv${tuv[1]}>`, 'lang');
+      const seg = tuv[2].match(/<seg\b[^>]*>([\s\S]*?)<\/seg>/);
+      if (!lang || !seg) continue;
+      const text = segText(seg[1]).trim();
+      if (text) variants.push({ lang, text });
+    }
+
+    units.push({
+      tuid: getAttribute(openTag, 'tuid'),
+      srcLang: getAttribute(openTag, 'srclang'),
+      variants
+    });
+  }
+
+  return { srcLang, units };
+}
+
+module.exports = {
+  buildTmx,
+  parseTmx
+};
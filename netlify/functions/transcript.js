@@ -0,0 +1,187 @@
+// transcript.js - 대화 기록 내보내기 (양쪽 언어 대조 HTML / TXT / JSON)
+// HTML은 외부 리소스 없는 단독 문서(A4 인쇄용 CSS)라서 브라우저 인쇄로 PDF를, Word로 열어 DOCX를 만들 수 있다.
+// 회의록(meeting-minutes.js)이 세션에 저장되어 있으면 문서 앞부분에 언어별로 싣는다.
+const { escapeXml } = require('./cat-files');
+const { findLanguage } = require('./languages');
+
+const TRANSCRIPT_FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// 회의록 제목 (언어별, 없는 언어는 영어)
+const MINUTES_HEADINGS = {
+  ko: { minutes: '회의록', summary: '요약', decisions: '결정 사항', actionItems: '조치 항목', owner: '담당', due: '기한', none: '없음' },
+  vi: { minutes: 'Biên bản', summary: 'Tóm tắt', decisions: 'Quyết định', actionItems: 'Việc cần làm', owner: 'Phụ trách', due: 'Hạn', none: 'Không có' },
+  en: { minutes: 'Minutes', summary: 'Summary', decisions: 'Decisions', actionItems: 'Action items', owner: 'Owner', due: 'Due', none: 'None' }
+};
+
+function escapeHtml(value) {
+  return escapeXml(String(value == null ? '' : value)).replace(/"/g, '&quot;');
+}
+
+function headingsFor(language) {
+  const entry = findLanguage(language);
+  return MINUTES_HEADINGS[entry && entry.code] || MINUTES_HEADINGS.en;
+}
+
+// 시간대가 올바른지 (잘못된 IANA 이름이면 false)
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function formatter(timeZone, withDate) {
+  return new Intl.DateTimeFormat('sv-SE', {
+    timeZone,
+    ...(withDate ? { year: 'numeric', month: '2-digit', day: '2-digit' } : {}),
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  });
+}
+
+// 파일 이름용 (제목 → 안전한 글자만, 없으면 세션 id 앞부분)
+function transcriptFilename(session, extension) {
+  const base = (session.title || '').replace(/[\\/:*?"<>|\s]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60);
+  const date = (session.createdAt || new Date().toISOString()).slice(0, 10);
+  return `conversation_${date}_${base || String(session.id).slice(0, 8)}.${extension}`;
+}
+
+function renderMinutesHtml(minutes) {
+  return minutes.languages.map((entry) => {
+    const h = headingsFor(entry.language);
+    const decisions = entry.decisions.length > 0
+      ? `<ul>${entry.decisions.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+      : `<p class="none">${h.none}</p>`;
+    const actions = entry.actionItems.length > 0
+      ? `<table class="actions"><thead><tr><th>${h.actionItems}</th><th>${h.owner}</th><th>${h.due}</th></tr></thead><tbody>${entry.actionItems.map(item =>
+        `<tr><td>${escapeHtml(item.task)}</td><td>${escapeHtml(item.owner || '')}</td><td>${escapeHtml(item.due || '')}</td></tr>`).join('')}</tbody></table>`
+      : `<p class="none">${h.none}</p>`;
+    return `<section class="minutes" lang="${escapeHtml((findLanguage(entry.language) || {}).code || '')}">
+<h2>${h.minutes} (${escapeHtml(entry.language)})</h2>
+<h3>${h.summary}</h3>
+<p>${escapeHtml(entry.summary)}</p>
+<h3>${h.decisions}</h3>
+${decisions}
+<h3>${h.actionItems}</h3>
+${actions}
+</section>`;
+  }).join('\n');
+}
+
+function renderHtml(session, turns, { timeZone, exportedAt }) {
+  const nameOf = id => (session.speakers.find(s => s.id === id) || { name: id }).name;
+  const time = formatter(timeZone, false);
+  const title = session.title || session.speakers.map(s => s.name).join(' ↔ ');
+  const rows = turns.map(turn => `<tr>
+<td class="num">${turn.index + 1}</td>
+<td class="time">${turn.createdAt ? time.format(new Date(turn.createdAt)) : ''}</td>
+<td class="speaker">${escapeHtml(nameOf(turn.speaker))}</td>
+<td lang="${escapeHtml((findLanguage(turn.sourceLang) || {}).code || '')}">${escapeHtml(turn.original)}</td>
+<td lang="${escapeHtml((findLanguage(turn.targetLang) || {}).code || '')}">${escapeHtml(turn.translation)}${turn.pronunciationHangul ? `<div class="pron">${escapeHtml(turn.pronunciationHangul)}</div>` : ''}</td>
+</tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+@page { size: A4; margin: 18mm 15mm; }
+body { font-family: "Noto Sans KR", "Malgun Gothic", "Segoe UI", Arial, sans-serif; font-size: 10.5pt; color: #111; line-height: 1.5; }
+h1 { font-size: 16pt; margin: 0 0 4pt; }
+h2 { font-size: 13pt; margin: 14pt 0 4pt; border-bottom: 1px solid #999; }
+h3 { font-size: 11pt; margin: 8pt 0 2pt; }
+.meta { color: #555; margin: 0 0 10pt; }
+table { width: 100%; border-collapse: collapse; }
+th, td { border: 1px solid #bbb; padding: 4pt 6pt; vertical-align: top; text-align: left; }
+th { background: #f0f0f0; }
+tr { page-break-inside: avoid; }
+thead { display: table-header-group; }
+.num, .time { white-space: nowrap; width: 1%; }
+.speaker { white-space: nowrap; width: 12%; }
+.pron { color: #666; font-size: 9pt; }
+.none { color: #777; }
+.minutes { page-break-inside: avoid; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${session.speakers.map(s => `${escapeHtml(s.name)} (${escapeHtml(s.language)})`).join(' ↔ ')}<br>
+${session.createdAt ? formatter(timeZone, true).format(new Date(session.createdAt)) : ''} · ${turns.length} turns · ${escapeHtml(timeZone)} · exported ${escapeHtml(exportedAt)}</p>
+${session.minutes ? renderMinutesHtml(session.minutes) : ''}
+<h2>Transcript</h2>
+<table>
+<thead><tr><th>#</th><th>Time</th><th>Speaker</th><th>Original</th><th>Translation</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+function renderTxt(session, turns, { timeZone, exportedAt }) {
+  const nameOf = id => (session.speakers.find(s => s.id === id) || { name: id }).name;
+  const time = formatter(timeZone, false);
+  const lines = [
+    session.title || session.speakers.map(s => s.name).join(' ↔ '),
+    session.speakers.map(s => `${s.name} (${s.language})`).join(' ↔ '),
+    `${session.createdAt ? formatter(timeZone, true).format(new Date(session.createdAt)) : ''} (${timeZone}), exported ${exportedAt}`,
+    ''
+  ];
+
+  if (session.minutes) {
+    for (const entry of session.minutes.languages) {
+      const h = headingsFor(entry.language);
+      lines.push(`== ${h.minutes} (${entry.language}) ==`, `${h.summary}: ${entry.summary}`, `${h.decisions}:`);
+      lines.push(...(entry.decisions.length > 0 ? entry.decisions.map(item => `  - ${item}`) : [`  ${h.none}`]));
+      lines.push(`${h.actionItems}:`);
+      lines.push(...(entry.actionItems.length > 0
+        ? entry.actionItems.map(item => `  - ${item.task}${item.owner ? ` (${h.owner}: ${item.owner})` : ''}${item.due ? ` (${h.due}: ${item.due})` : ''}`)
+        : [`  ${h.none}`]));
+      lines.push('');
+    }
+    lines.push('== Transcript ==');
+  }
+
+  for (const turn of turns) {
+    const stamp = turn.createdAt ? `[${time.format(new Date(turn.createdAt))}] ` : '';
+    lines.push(`${stamp}${nameOf(turn.speaker)} (${turn.sourceLang}): ${turn.original}`);
+    lines.push(`  → (${turn.targetLang}) ${turn.translation}`);
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * 세션 + 발화 → { content, contentType, filename }
+ * format: 'html' | 'txt' | 'json', options.timeZone: 시각 표시용 IANA 시간대 (기본 UTC)
+ */
+function renderTranscript(session, turns, format, { timeZone = 'UTC' } = {}) {
+  const spec = TRANSCRIPT_FORMATS[format];
+  const exportedAt = new Date().toISOString();
+  let content;
+  if (format === 'html') {
+    content = renderHtml(session, turns, { timeZone, exportedAt });
+  } else if (format === 'txt') {
+    content = renderTxt(session, turns, { timeZone, exportedAt });
+  } else {
+    const { userId, ...publicSession } = session;
+    content = JSON.stringify({ session: publicSession, turns, exportedAt }, null, 2);
+  }
+  return { content, contentType: spec.contentType, filename: transcriptFilename(session, spec.extension) };
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  isValidTimeZone,
+  transcriptFilename,
+  renderTranscript
+};
@@ -0,0 +1,132 @@
+// translate-stream.js (Netlify streaming function) - 실시간 번역 SSE
+// 번역문이 생성되는 즉시 조각 단위로 전송하여, 긴 작업 지시서도 첫 문장부터 바로 볼 수 있게 한다.
+//
+// 이벤트 형식 (text/event-stream):
+//   event: delta  data: { "text": "부분 번역문" }
+//   event: done   data: { "translation", "pronunciation_hangul", "pronunciation", "quality", "register", "dialect", "usedModel", "modelProvider", "usage" }
+//   event: error  data: { "error", "fallbackToNormal": true }
+const { stream } = require('@netlify/functions');
+const { Readable } = require('stream');
+const { trackUsage, getUserPreferences } = require('./database');
+const { estimateCost } = require('./providers');
+const { authenticateRequest, streamTranslation, loadUserGlossary } = require('./translate');
+const { resolveRegister, registerPrompt, describeRegister } = require('./register');
+const { resolveDialect, dialectPrompt, describeDialect } = require('./dialects');
+const { detectLanguage } = require('./language-detect');
+
+const commonHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+async function* toServerSentEvents(events, { userId, inputText, register, dialect }) {
+  try {
+    for await (const evt of events) {
+      if (evt.type === 'delta') {
+        yield formatEvent('delta', { text: evt.text });
+      } else if (evt.type === 'done') {
+        const { type, ...result } = evt;
+
+        // 사용량 추적
+        if (userId) {
+          const cost = estimateCost(result.usedModel, inputText.length);
+          await trackUsage(userId, 'translation', inputText.length, cost, result.modelProvider);
+        }
+
+        console.log('[Streaming] 스트리밍 완료:', result.usedModel);
+        yield formatEvent('done', { ...result, register, dialect, streamingUsed: true });
+      }
+    }
+  } catch (error) {
+    // 헤더가 이미 전송되었으므로 상태 코드 대신 error 이벤트로 알림
+    console.error('[Streaming] 스트리밍 오류:', error.message);
+    yield formatEvent('error', {
+      error: "스트리밍 번역 실패: " + error.message,
+      fallbackToNormal: true
+    });
+  }
+}
+
+exports.handler = stream(async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 200, headers: commonHeaders, body: '' };
+  }
+  if (event.httpMethod !== "POST") {
+    return { statusCode: 405, headers: { ...commonHeaders, 'Content-Type': 'application/json' }, body: JSON.stringify({ error: "Method Not Allowed" }) };
+  }
+
+  try {
+    const { userId, userApiKeys } = await authenticateRequest(event);
+    const { inputText, targetLang, getPronunciation = true, pronunciationMode = 'auto', model = 'gpt-4o-mini', register = null, addressee = null, dialect = null, site = null } = JSON.parse(event.body || '{}');
+
+    if (!inputText || !targetLang) {
+      return {
+        statusCode: 400,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: "inputText와 targetLang이 필요합니다." })
+      };
+    }
+    const registerChoice = resolveRegister({ register, addressee });
+    if (registerChoice.error) {
+      return {
+        statusCode: 400,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: registerChoice.error })
+      };
+    }
+    const preferences = userId && !dialect ? (await getUserPreferences(userId)).data : null;
+    const dialectChoice = resolveDialect({ dialect, site, preferences });
+    if (dialectChoice.error) {
+      return {
+        statusCode: 400,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: dialectChoice.error })
+      };
+    }
+    const dialectRules = dialectChoice.dialect ? dialectPrompt(dialectChoice.dialect, targetLang, detectLanguage(inputText).name) : '';
+
+    console.log('[Streaming] 스트리밍 번역 시작');
+    const userGlossary = await loadUserGlossary(userId, inputText, targetLang);
+    const events = streamTranslation(inputText, targetLang, {
+      getPronunciation,
+      pronunciationMode,
+      apiKeys: userApiKeys,
+      model,
+      glossaryRules: userGlossary.rules,
+      registerRules: registerPrompt(registerChoice, targetLang) + dialectRules,
+      dialect: dialectChoice.dialect
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...commonHeaders,
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      },
+      body: Readable.from(toServerSentEvents(events, {
+        userId,
+        inputText,
+        register: describeRegister(registerChoice, targetLang),
+        dialect: dialectRules ? describeDialect(dialectChoice) : null
+      }))
+    };
+  } catch (err) {
+    console.error("스트리밍 핸들러 오류 발생:", err);
+    return {
+      statusCode: 500,
+      headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: err.message || '서버 오류' })
+    };
+  }
+});
+
+// SSE 직렬화 헬퍼 (테스트용)
+exports.formatEvent = formatEvent;
+exports.toServerSentEvents = toServerSentEvents;
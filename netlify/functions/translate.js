@@ -5,12 +5,7 @@
 // 3. 품질 레벨에 따른 모델 선택 및 설정 조정
 // 4. 기존 기능 완전 호환성 유지
 
-let fetchFn = globalThis.fetch;
-try {
-  if (!fetchFn) fetchFn = require('node-fetch');
-} catch (e) {
-  fetchFn = globalThis.fetch || null;
-}
+const crypto = require('crypto');
 
 // 🔧 추가: 데이터베이스 연결
 const {
@@ -20,15 +15,185 @@ const {
   getPublicCache,
   setPublicCache,
   saveFeedback,
-  getRelevantFeedback
+  getRelevantFeedback,
+  reindexFeedbackMatches,
+  listFeedbackEntries,
+  listPublicCacheEntries,
+  importFeedbackEntries,
+  listGlossaryEntries,
+  saveGlossaryEntries,
+  deleteGlossaryEntry,
+  getUserPreferences,
+  saveUserPreferences,
+  createConversationSession,
+  getConversationSession,
+  listConversationSessions,
+  listConversationTurns,
+  saveConversationTurn,
+  saveConversationMinutes
 } = require('./database');
 
+// 🤖 번역 프로바이더 레지스트리 (OpenAI / Gemini / 로컬 사전)
+const {
+  fetchFn,
+  retryWithBackoff,
+  selectModel,
+  estimateCost,
+  translateWithProvider
+} = require('./providers');
+
+// 🎬 자막 파일 (SRT / WebVTT)
+const {
+  parseSubtitles,
+  serializeSubtitles,
+  protectStyleTags,
+  restoreStyleTags
+} = require('./subtitles');
+
+// 🧩 HTML / Markdown 구조 보존 번역
+const {
+  extractMarkup,
+  restorePlaceholders,
+  reassembleMarkup,
+  compareMarkupStructure
+} = require('./markup');
+
+// 🌐 i18n 리소스 파일 (JSON / YAML)
+const {
+  detectResourceFormat,
+  parseResourceFile,
+  serializeResourceFile,
+  flattenStrings,
+  setAtPath,
+  protectResourceValue,
+  placeholdersInOrder
+} = require('./resource-files');
+
+// 🗂️ CAT 도구 교환 형식 (Gettext PO / XLIFF)
+const {
+  catLanguage,
+  catLanguageName,
+  detectCatFormat,
+  parsePo,
+  serializePo,
+  poPluralCount,
+  isPoUntranslated,
+  markPoNeedsReview,
+  escapeXml,
+  protectInlineXml,
+  extractXliffUnits,
+  applyXliffTargets,
+  ensureXliffTargetLanguage
+} = require('./cat-files');
+
+// 📊 스프레드시트 (CSV / XLSX)
+const {
+  columnLetter,
+  resolveColumns,
+  shouldTranslateCell,
+  readSpreadsheet,
+  appendColumns,
+  writeSpreadsheet
+} = require('./spreadsheet');
+
+// 💾 번역 메모리 교환 (TMX 1.4)
+const { buildTmx, parseTmx } = require('./tmx');
+
+// 🔎 TM 퍼지 매칭 임계값
+const { TM_MATCH_DEFAULTS, canApplyMatch } = require('./tm-match');
+
+// 📖 사용자 용어집 (서버 저장)
+const {
+  normalizeGlossaryLanguage,
+  normalizeGlossaryEntry,
+  findGlossaryMatches,
+  buildUserGlossaryRules,
+  checkTerminology,
+  buildTerminologyCorrection
+} = require('./glossary');
+
+// 🔢 숫자 / 단위 / 품번 / URL 보존 검사
+const { checkPreservation } = require('./preservation');
+
+// 🔁 역번역 검증 (정방향과 다른 모델로 되돌려 번역 후 의미 유사도 비교)
+const { verifyTranslation } = require('./back-translation');
+
+// 📊 번역 품질 추정 (번역 안 된 구간 / 길이 비율 / 용어 위반 / 응답 복구 → 0~100 점수)
+const { estimateQuality } = require('./quality-estimation');
+
+// 🗣️ 말투 (하십시오체 / 해요체 / 반말)와 청자 관계 (베트남어 인칭 대명사) 지침
+const { resolveRegister, registerPrompt, describeRegister } = require('./register');
+
+// 🗺️ 베트남어 북부 / 남부 방언 (어휘 지침 / 사이트별 기본값, 음성은 언어 표, 발음 규칙은 vi-hangul)
+const {
+  DIALECTS,
+  SITE_DIALECTS,
+  normalizeDialect,
+  resolveDialect,
+  dialectPrompt,
+  describeDialect,
+  listDialects
+} = require('./dialects');
+
+// 💬 대화 모드 세션 (화자 / 언어, 최근 발화 문맥 프롬프트)
+const { normalizeSession, resolveSpeakers, conversationPrompt } = require('./conversation');
+
+// 📄 대화 기록 내보내기 (양쪽 언어 대조 HTML / TXT / JSON)와 양쪽 언어 회의록
+const { TRANSCRIPT_FORMATS, isValidTimeZone, renderTranscript } = require('./transcript');
+const { generateMinutes } = require('./meeting-minutes');
+
+// 🗂️ 전문 분야 팩 (domains/*.yaml + DB)
+const { GENERAL_DOMAIN_PACK, resolveDomainPack, listDomainPacks, domainPackPrompt } = require('./domain-packs');
+
+// 🌐 원문 언어 감지 (문자 체계 + n-gram 프로필)
+const { detectLanguage } = require('./language-detect');
+
+// 🌐 지원 언어 표 (언어 코드 / TTS 음성 / 문장부호 / 발음 표기)
+const {
+  findLanguage,
+  languageCode,
+  supportsPronunciationGuide,
+  latinPronunciationEngines,
+  googleVoiceFor,
+  sentencePattern,
+  listLanguages
+} = require('./languages');
+
+// 🔤 규칙 기반 발음 변환기 (언어 표의 pronunciationEngine / latinPronunciation → 변환 함수)
+const { transliterateVietnamese } = require('./vi-hangul');
+const { romanizeKorean } = require('./ko-romanize');
+const PRONUNCIATION_ENGINES = {
+  'vi-hangul': transliterateVietnamese,
+  'ko-rr': text => romanizeKorean(text, 'rr'),
+  'ko-vi': text => romanizeKorean(text, 'vi')
+};
+// auto: 한글 표기 + 언어 표에 있는 라틴 문자 읽기, hangul / latin: 한쪽만, none: 발음 표기 없음
+const PRONUNCIATION_MODES = ['auto', 'hangul', 'latin', 'none'];
+
+// 분야 팩 / 발음 방식 / 후보 / 말투 설정을 쓰는 액션, 방언(사용자 설정 조회 포함)은 여기에 음성 액션을 더한 범위에서만 확인
+// (피드백 / TMX / 용어집 같은 액션이 오래된 domain 값으로 실패하거나 매번 설정을 조회하지 않도록)
+const TRANSLATION_ACTIONS = new Set([
+  'translate', 'translate-stream', 'translate-batch', 'translate-subtitles', 'translate-resource', 'translate-cat-file', 'translate-spreadsheet',
+  'verify', 'conversation-create', 'conversation-turn'
+]);
+const SPEECH_ACTIONS = new Set(['speak', 'speak-chunk']);
+
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
 const GOOGLE_TTS_API_KEY = process.env.GOOGLE_TTS_API_KEY || '';
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY || ''; // 🔵 Gemini API 키
 const MAX_INPUT_CHARS = 6000;
+const MAX_BATCH_SEGMENTS = 200;
+const MAX_DOCUMENT_CHARS = 100000; // 자막 / 마크업 등 파일 단위 입력
+const MAX_SHEET_BYTES = 5 * 1024 * 1024; // XLSX 업로드 최대 크기
+const MAX_SHEET_CELLS = 20000; // 한 번에 번역할 셀 개수
+const MAX_TMX_CHARS = 5 * 1024 * 1024; // TMX 가져오기 최대 크기
+const MAX_TM_UNITS = 10000; // TMX 내보내기 / 가져오기 최대 항목 수
+const MAX_GLOSSARY_SAVE = 500; // 용어집 한 번에 저장할 최대 항목 수
+const MAX_DETECT_CHARS = 5000; // 언어 감지에 사용할 앞부분 길이
+const MIN_RULE_PRONUNCIATION_COVERAGE = 0.5; // 변환기가 읽은 토큰 비율이 이보다 낮으면 LLM 발음 표기 사용
+const SUBTITLE_WINDOW_CUES = 40; // 한 번의 요청으로 번역할 큐 개수
+const SUBTITLE_CONTEXT_CUES = 2; // 창 앞뒤로 참고용으로 보여줄 큐 개수
+const SUBTITLE_CONCURRENCY = 3;
 const TRANSLATION_CACHE_TTL_MS = 1000 * 60 * 60;
-const GEMINI_TIMEOUT_MS = 5000; // 5초 타임아웃
 
 // 🚀 최적화: 동적 max_tokens 계산 (입력 길이 기반)
 function calculateMaxTokens(inputLength) {
@@ -39,240 +204,224 @@ function calculateMaxTokens(inputLength) {
   return Math.min(Math.max(estimatedTokens, 500), 2500);
 }
 
-// 🚀 최적화: 타임아웃 래퍼 함수
-async function withTimeout(promise, ms, fallbackFn = null) {
-  let timeoutId;
-  const timeoutPromise = new Promise((_, reject) => {
-    timeoutId = setTimeout(() => {
-      reject(new Error(`요청 시간 초과 (${ms}ms)`));
-    }, ms);
-  });
+const translationCache = new Map();
 
-  try {
-    const result = await Promise.race([promise, timeoutPromise]);
-    clearTimeout(timeoutId);
-    return result;
-  } catch (error) {
-    clearTimeout(timeoutId);
-    if (fallbackFn && error.message.includes('시간 초과')) {
-      console.log('[Timeout] 타임아웃 발생, 폴백 실행');
-      return await fallbackFn();
-    }
-    throw error;
-  }
+function setCache(key, value) {
+  translationCache.set(key, { ts: Date.now(), value });
 }
 
-// 🔵 Gemini 1.5 Flash 번역 함수 (안정성 및 속도 최적화)
-async function translateWithGemini(text, sourceLang, targetLang, getPronunciation = false, apiKey = GEMINI_API_KEY) {
-  if (!apiKey) {
-    throw new Error('Gemini API key not configured');
+function getCache(key) {
+  const entry = translationCache.get(key);
+  if (!entry) return null;
+  if (Date.now() - entry.ts > TRANSLATION_CACHE_TTL_MS) {
+    translationCache.delete(key);
+    return null;
   }
+  return entry.value;
+}
 
-  const prompt = getPronunciation
-    ? `Translate the following ${sourceLang} text to ${targetLang}. Return ONLY valid JSON with exactly two keys: "translation" (the translated text) and "pronunciation_hangul" (Korean phonetic transcription of the ${targetLang} translation).
+// 🔎 원문 언어 이름 (프롬프트용). 글자가 없는 입력(숫자, 기호)만 영어로 간주
+function detectSourceLanguage(text) {
+  return detectLanguage(String(text || '').slice(0, MAX_DETECT_CHARS)).name || "English";
+}
 
-Text to translate: "${text}"`
-    : `Translate the following ${sourceLang} text to ${targetLang}. Return ONLY the translated text without any explanation or formatting.
+// 한글 발음 표기 지침 (언어 표에 언어별 지침이 없으면 일반 지침)
+function pronunciationHint(targetLang) {
+  const language = findLanguage(targetLang);
+  return (language && language.pronunciationHint) || `Use Korean characters to represent ${targetLang} pronunciation`;
+}
 
-Text to translate: "${text}"`;
+// 🔤 번역문 한글 발음 표기: 규칙 기반 변환기를 기본으로 쓰고,
+// 변환기가 없는 언어이거나 외래어·약어가 많아 읽을 수 없는 문장이면 LLM 표기를 쓴다.
+// dialect: 방언별 발음 규칙 (vi-north / vi-south, 방언 규칙이 없는 변환기는 무시)
+function pronunciationFor(translation, targetLang, llmPronunciation = '', dialect = null) {
+  const language = findLanguage(targetLang);
+  const engine = language && PRONUNCIATION_ENGINES[language.pronunciationEngine];
+  if (engine && translation) {
+    const rule = engine(translation, { dialect });
+    if (rule.coverage >= MIN_RULE_PRONUNCIATION_COVERAGE) return rule.text;
+    console.log(`[Pronunciation] 규칙 변환 비율 ${Math.round(rule.coverage * 100)}%, LLM 표기 사용`);
+  }
+  return llmPronunciation || '';
+}
 
-  // 📝 모델 버전: gemini-1.5-flash (안정적, 빠름)
-  const response = await fetchFn(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${apiKey}`,
-    {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.1,
-          maxOutputTokens: 2000
-        }
-      })
+// 🔤 문자 체계별 발음 표기 { Hang: 한글 표기, Latn: 로마자, 'Latn-vi': 베트남어 철자식 } (없는 키는 생략)
+function buildPronunciation(translation, targetLang, { mode = 'auto', hangul = '' } = {}) {
+  const pronunciation = {};
+  if (hangul && (mode === 'auto' || mode === 'hangul')) pronunciation.Hang = hangul;
+  if (translation && (mode === 'auto' || mode === 'latin')) {
+    for (const [script, engineId] of Object.entries(latinPronunciationEngines(targetLang))) {
+      const rule = PRONUNCIATION_ENGINES[engineId](translation);
+      if (rule.coverage > 0) pronunciation[script] = rule.text;
     }
-  );
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
   }
+  return pronunciation;
+}
 
-  const data = await response.json();
-  const resultText = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+// 📖 용어집 → 프롬프트 규칙 (여러 세그먼트에 걸쳐 같은 용어를 같은 번역으로 유지)
+// glossary: { 원문용어: 번역 } 또는 [{ source, target }]
+function buildGlossaryRules(targetLang, { domainPack = GENERAL_DOMAIN_PACK, glossary = null } = {}) {
+  const entries = [];
 
-  if (getPronunciation) {
-    // JSON 파싱 시도
-    try {
-      const jsonMatch = resultText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-    } catch (e) {
-      // 파싱 실패 시 기본 형식 반환
+  // 분야 팩 용어집의 언어 키 (영어 용어 → { ko, vi, ... })
+  const langKey = languageCode(targetLang);
+  if (langKey) {
+    for (const [term, translations] of Object.entries(domainPack.glossary)) {
+      if (translations[langKey]) entries.push([term, translations[langKey]]);
+    }
+  }
+
+  if (Array.isArray(glossary)) {
+    for (const entry of glossary) {
+      if (entry && entry.source && entry.target) entries.push([entry.source, entry.target]);
+    }
+  } else if (glossary && typeof glossary === 'object') {
+    for (const [source, target] of Object.entries(glossary)) {
+      if (typeof target === 'string' && target) entries.push([source, target]);
     }
-    return { translation: resultText, pronunciation_hangul: '' };
   }
 
-  return { translation: resultText.trim(), pronunciation_hangul: '' };
+  if (entries.length === 0) return '';
+  return `
+- Use these glossary translations consistently in every segment:
+${entries.map(([source, target]) => `  - "${source}" → "${target}"`).join('\n')}`;
 }
 
-const translationCache = new Map();
+// 사용자별 용어집 규칙이 들어간 번역은 다른 사용자와 공유하면 안 되므로
+// 메모리 캐시 키에 규칙 해시를 붙이고 공용 캐시는 사용하지 않는다.
+function glossaryCacheSuffix(glossaryRules) {
+  if (!glossaryRules) return '';
+  return `:g${crypto.createHash('sha1').update(glossaryRules).digest('hex').slice(0, 12)}`;
+}
 
-function setCache(key, value) {
-  translationCache.set(key, { ts: Date.now(), value });
+// 📖 로그인 사용자의 용어집 (게스트 / 조회 실패 시 빈 목록)
+// 묶음·문서 번역은 세그먼트마다 원문 언어가 다를 수 있어 대상 언어로만 거른다.
+async function listUserGlossary(userId, targetLang, sourceLang = null) {
+  if (!userId || !targetLang) return [];
+  const result = await listGlossaryEntries(userId, { sourceLang, targetLang });
+  return result.success ? result.data : [];
 }
 
-function getCache(key) {
-  const entry = translationCache.get(key);
-  if (!entry) return null;
-  if (Date.now() - entry.ts > TRANSLATION_CACHE_TTL_MS) {
-    translationCache.delete(key);
-    return null;
+// 입력에 등장하는 용어집 항목만 골라 프롬프트 규칙으로 변환
+// 반환: { rules, terms, matches } (terms: 적용된 원문 용어 목록, 응답에 표시)
+async function loadUserGlossary(userId, text, targetLang) {
+  if (!userId || !text) return { rules: '', terms: [], matches: [] };
+
+  const entries = await listUserGlossary(userId, targetLang, detectSourceLanguage(text));
+  const matches = findGlossaryMatches(text, entries);
+  if (matches.length > 0) console.log(`[Glossary] 사용자 용어 ${matches.length}개 적용`);
+  return { rules: buildUserGlossaryRules(matches), terms: matches.map(entry => entry.sourceTerm), matches };
+}
+
+// 💬 대화 세션 조회 + 접근 확인 → { session } 또는 { statusCode, error }
+// 로그인 사용자의 세션은 본인만, 게스트 세션(userId 없음)은 세션 id를 아는 사람만 접근할 수 있다.
+async function loadConversation(sessionId, userId) {
+  if (!sessionId || typeof sessionId !== 'string') {
+    return { statusCode: 400, error: 'sessionId가 필요합니다.' };
   }
-  return entry.value;
+  const result = await getConversationSession(sessionId);
+  if (!result.success) return { statusCode: 500, error: `대화 세션 조회 실패: ${result.error}` };
+  if (!result.data || (result.data.userId && result.data.userId !== userId)) {
+    return { statusCode: 404, error: '대화 세션을 찾을 수 없습니다.' };
+  }
+  return { session: result.data };
 }
 
-function detectSourceLanguage(text) {
-  const koreanRegex = /[가-힣]/;
-  const vietnameseRegex = /[àáạảãâầấậẩẫăằắặẳẵèéẹẻẽêềếệểễìíịỉĩòóọỏõôồốộổỗơờớợởỡùúụủũưừứựửữỳýỵỷỹđĐ]/i;
-  if (koreanRegex.test(text)) return "Korean";
-  if (vietnameseRegex.test(text)) return "Vietnamese";
-  return "English";
+// 🏭 분야 팩 용어집 → 용어 준수 검사용 항목 (용어집 키는 영어 용어)
+// "SMD (에스엠디)"처럼 괄호 설명이 붙은 번역어는 괄호 앞 용어만 요구한다.
+function domainGlossaryEntries(domainPack, sourceLang, targetLang) {
+  const termFor = (term, translations, language) => {
+    const langKey = languageCode(language);
+    if (langKey === 'en') return term;
+    return langKey && translations[langKey] ? translations[langKey].replace(/\s*\(.*\)$/, '') : null;
+  };
+
+  const entries = [];
+  for (const [term, translations] of Object.entries(domainPack.glossary)) {
+    const sourceTerm = termFor(term, translations, sourceLang);
+    const targetTerm = termFor(term, translations, targetLang);
+    if (sourceTerm && targetTerm) entries.push({ sourceTerm, targetTerm, caseSensitive: false, doNotTranslate: false });
+  }
+  return entries;
 }
 
-// 🏭 제조 자동화 전문 용어 사전
-const manufacturingTerminology = {
-  // 전자 부품 실장
-  'SMD': { ko: 'SMD (에스엠디)', vi: 'SMD' },
-  'IMT': { ko: 'IMT (아이엠티)', vi: 'IMT' },
-  'RADIAL': { ko: '라디알', vi: 'RADIAL' },
-  'AXIAL': { ko: '엑시알', vi: 'AXIAL' },
-  'EYELET': { ko: '아일렛', vi: 'EYELET' },
-  'FEEDER': { ko: '피더', vi: 'Feeder' },
-  'MASK': { ko: '마스크', vi: 'Mask' },
-
-  // 생산 관련
-  'insertion': { ko: '삽입', vi: 'Chèn' },
-  'no insertion': { ko: '무삽', vi: 'Không chèn' },
-  'loss': { ko: '유실', vi: 'Thất thoát' },
-  'efficiency': { ko: '효율', vi: 'Hiệu suất' },
-  'yield': { ko: '수율', vi: 'Tỷ lệ đạt' },
-  'defect rate': { ko: '불량률', vi: 'Tỷ lệ lỗi' },
-  'throughput': { ko: '처리량', vi: 'Năng suất' },
-  'downtime': { ko: '비가동시간', vi: 'Thời gian dừng máy' },
-
-  // 설비 관련
-  'PLC': { ko: 'PLC', vi: 'PLC' },
-  'HMI': { ko: 'HMI', vi: 'HMI' },
-  'SCADA': { ko: '스카다', vi: 'SCADA' },
-  'MES': { ko: '생산실행시스템', vi: 'Hệ thống MES' },
-  'ERP': { ko: '전사적자원관리', vi: 'Hệ thống ERP' },
-  'OEE': { ko: '설비종합효율', vi: 'Hiệu suất thiết bị tổng thể' },
-  'conveyor': { ko: '컨베이어', vi: 'Băng tải' },
-  'sensor': { ko: '센서', vi: 'Cảm biến' },
-  'actuator': { ko: '액추에이터', vi: 'Bộ truyền động' },
-
-  // 품질/정비 관련
-  'quality control': { ko: '품질관리', vi: 'Kiểm soát chất lượng' },
-  'preventive maintenance': { ko: '예방정비', vi: 'Bảo trì phòng ngừa' },
-  'predictive maintenance': { ko: '예측정비', vi: 'Bảo trì dự đoán' },
-  'assembly line': { ko: '조립라인', vi: 'Dây chuyền lắp ráp' },
-  'work order': { ko: '작업지시', vi: 'Lệnh sản xuất' },
-  'lot': { ko: '로트', vi: 'Lô' },
-  'batch': { ko: '배치', vi: 'Lô sản xuất' }
-};
+const terminologyViolations = report => report.missing.length + report.conflicting.length;
 
-// 🏭 제조 자동화 전문 프롬프트
-const domainPrompts = {
-  manufacturing: `You are an expert translator specializing in MANUFACTURING AUTOMATION and ELECTRONICS ASSEMBLY.
-
-CRITICAL TERMINOLOGY RULES:
-- SMD = SMD (에스엠디/SMD) - Surface Mount Device
-- IMT = IMT (아이엠티/IMT) - Insert Mount Technology  
-- RADIAL = 라디알/RADIAL - Radial component
-- AXIAL = 엑시알/AXIAL - Axial component
-- EYELET = 아일렛/EYELET - Metal eyelet
-- FEEDER = 피더/Feeder - Component feeder
-- MASK = 마스크/Mask - Solder mask
-- 삽입/Chèn = insertion
-- 무삽/Không chèn = no insertion
-- 유실/Thất thoát = loss/missing
-- 효율/Hiệu suất = efficiency
-- PLC, HMI, SCADA, MES, OEE = Keep as abbreviations
-
-Maintain technical accuracy. Use industry-standard terminology.
-Preserve all product codes, model numbers, and measurements exactly as-is.`,
-
-  general: '' // 일반 모드는 추가 프롬프트 없음
+// 품질 레벨에 따른 모델 및 설정 선택 (2025년 최신 모델 - GPT-4o)
+const AI_QUALITY_CONFIG = {
+  1: { model: "gpt-4o-mini", temperature: 0.3, maxTokens: 1000 },
+  2: { model: "gpt-4o-mini", temperature: 0.1, maxTokens: 1200 },
+  3: { model: "gpt-4o", temperature: 0.0, maxTokens: 1500 },
+  4: { model: "gpt-4o", temperature: 0.0, maxTokens: 2000 },
+  5: { model: "gpt-4o", temperature: 0.0, maxTokens: 2500 }
 };
 
-// 🏭 도메인별 용어 적용 함수
-function applyDomainTerminology(text, domain, targetLang) {
-  if (domain !== 'manufacturing') return text;
-
-  let result = text;
-  const langKey = targetLang.toLowerCase().includes('korean') ? 'ko' :
-    targetLang.toLowerCase().includes('vietnam') ? 'vi' : null;
+// 🎭 어조별 번역 후보 (variants 옵션). label은 화면 표시용
+const TRANSLATION_VARIANTS = {
+  formal: { label: '격식체', instruction: 'Formal and polite register, suitable for official notices and addressing superiors.' },
+  neutral: { label: '중립', instruction: 'Neutral, plain workplace register; natural and clear without extra politeness or slang.' },
+  casual: { label: '친근체', instruction: 'Casual and friendly register, as between close coworkers; still respectful and clear.' }
+};
+const MAX_ALTERNATIVES = 5; // 어조 하나당 후보 수
+const MAX_CANDIDATES = 9;
 
-  if (langKey) {
-    for (const [term, translations] of Object.entries(manufacturingTerminology)) {
-      const regex = new RegExp(`\\b${term}\\b`, 'gi');
-      result = result.replace(regex, translations[langKey] || term);
-    }
+function qualityGuidelines(qualityLevel) {
+  if (qualityLevel >= 4) {
+    return `
+- PREMIUM QUALITY: Consider cultural nuances, idiomatic expressions, and regional variations
+- Apply advanced linguistic analysis for context-appropriate translations
+- Ensure perfect grammar and natural flow`;
+  }
+  if (qualityLevel >= 3) {
+    return `
+- HIGH QUALITY: Focus on accuracy and natural expression
+- Consider context and maintain consistency`;
   }
-  return result;
+  return '';
 }
 
-async function retryWithBackoff(fn, attempts = 3, baseDelay = 300) {
-  let lastErr;
-  for (let i = 0; i < attempts; i++) {
-    try {
-      return await fn();
-    } catch (err) {
-      lastErr = err;
-      const jitter = Math.random() * 200;
-      const delay = baseDelay * Math.pow(2, i) + jitter;
-      await new Promise(res => setTimeout(res, delay));
-    }
-  }
-  throw lastErr;
+// 로컬 사전 프로바이더(오프라인 테스트용) 결과는 공용 캐시(public_cache)에 읽지도 쓰지도 않는다
+function usesSharedCache(selection) {
+  return selection.provider.id !== 'local';
 }
 
 // 🧠 새로운 AI 문맥 번역 함수
-async function translateWithAIContext(inputText, targetLang, contextualPrompt, qualityLevel = 3, getPronunciation = true, userApiKey = null) {
-  const apiKey = userApiKey || OPENAI_API_KEY;
-  if (!apiKey) throw new Error("서버 오류: API 키가 설정되어 있지 않습니다.");
+// options.apiKeys: { openai, google } 사용자 키, options.model: 명시적 모델 (auto면 품질 레벨 기준)
+// options.glossaryRules: 사용자 용어집 규칙 (있으면 공용 캐시를 쓰지 않음)
+// options.registerRules: 말투 / 청자 관계 / 방언 지침 (있으면 공용 캐시를 쓰지 않음)
+// options.dialect: 한글 발음 표기 방언 (vi-north / vi-south)
+// options.dictionary: 로컬 사전 프로바이더용 분야 팩 용어집
+async function translateWithAIContext(inputText, targetLang, contextualPrompt, qualityLevel = 3, getPronunciation = true, options = {}) {
+  const { apiKeys = {}, model = 'auto', glossaryRules = '', registerRules = '', dialect = null, dictionary = {} } = options;
   if (!inputText || inputText.trim().length === 0) throw new Error("입력 텍스트가 비어있습니다.");
   if (inputText.length > MAX_INPUT_CHARS) throw new Error(`입력 길이 초과 (최대 ${MAX_INPUT_CHARS}자)`);
 
+  const config = AI_QUALITY_CONFIG[qualityLevel] || AI_QUALITY_CONFIG[3];
+  const modelToUse = model === 'auto' ? config.model : model;
+  // 실제로 호출될 모델 (키가 없어 대체되는 경우 포함) - 다른 모델의 캐시 결과를 돌려주지 않도록 캐시 키에 넣는다
+  const selection = selectModel(modelToUse, { inputLength: inputText.length, apiKeys });
+  const usePublicCache = (!contextualPrompt || contextualPrompt.trim() === '') && !glossaryRules && !registerRules && usesSharedCache(selection);
+
   // 🔧 공용 캐시 확인 (AI 모드가 아닌 경우만)
-  if (!contextualPrompt || contextualPrompt.trim() === '') {
-    const publicCache = await getPublicCache(inputText, targetLang);
+  if (usePublicCache) {
+    const publicCache = await getPublicCache(inputText, targetLang, selection.model);
     if (publicCache.success) {
       return {
         translation: publicCache.data.translation,
-        pronunciation_hangul: publicCache.data.pronunciation || ''
+        pronunciation_hangul: getPronunciation
+          ? pronunciationFor(publicCache.data.translation, targetLang, publicCache.data.pronunciation, dialect)
+          : ''
       };
     }
   }
 
-  const cacheKey = `ai_tr:${targetLang}:${inputText}:${qualityLevel}:${getPronunciation}:${contextualPrompt.substring(0, 100)}`;
+  // 문맥 프롬프트는 전체를 해시 (앞부분만 같은 대화 문맥끼리 캐시가 섞이지 않도록)
+  const cacheKey = `ai_tr:${selection.model}:${targetLang}:${inputText}:${qualityLevel}:${getPronunciation}${glossaryCacheSuffix((contextualPrompt || '') + glossaryRules + registerRules)}`;
   const cached = getCache(cacheKey);
   if (cached) return cached;
 
   const sourceLanguage = detectSourceLanguage(inputText);
 
-  // 품질 레벨에 따른 모델 및 설정 선택 (2025년 최신 모델 - GPT-4o)
-  const qualityConfig = {
-    1: { model: "gpt-4o-mini", temperature: 0.3, maxTokens: 1000 },
-    2: { model: "gpt-4o-mini", temperature: 0.1, maxTokens: 1200 },
-    3: { model: "gpt-4o", temperature: 0.0, maxTokens: 1500 },
-    4: { model: "gpt-4o", temperature: 0.0, maxTokens: 2000 },
-    5: { model: "gpt-4o", temperature: 0.0, maxTokens: 2500 }
-  };
-
-  const config = qualityConfig[qualityLevel] || qualityConfig[3];
-
   let systemMessage = `
 You are an elite professional translator with deep cultural understanding and linguistic expertise.
 ALWAYS return only valid JSON (no extra commentary, no markdown).
@@ -280,27 +429,18 @@ The JSON MUST contain exactly two keys: "translation" (string), "pronunciation_h
 
 Core Translation Rules:
 - Source language: ${sourceLanguage} → Target language: ${targetLang}
-- Preserve named entities, proper nouns, product codes, and URLs exactly as-is
-- Maintain appropriate formality level based on context
+- Preserve named entities, proper nouns, product codes, and URLs exactly as-is${registerRules || `
+- Maintain appropriate formality level based on context`}
 - Ensure natural, fluent expression in target language`;
 
   // 품질 레벨에 따른 추가 지침
-  if (qualityLevel >= 4) {
-    systemMessage += `
-- PREMIUM QUALITY: Consider cultural nuances, idiomatic expressions, and regional variations
-- Apply advanced linguistic analysis for context-appropriate translations
-- Ensure perfect grammar and natural flow`;
-  } else if (qualityLevel >= 3) {
-    systemMessage += `
-- HIGH QUALITY: Focus on accuracy and natural expression
-- Consider context and maintain consistency`;
-  }
+  systemMessage += qualityGuidelines(qualityLevel);
+  systemMessage += glossaryRules;
 
   if (getPronunciation) {
     systemMessage += `
 - Provide "pronunciation_hangul" as accurate Korean phonetic transcription of the translated ${targetLang} text
-- For Vietnamese: use Korean characters to represent Vietnamese pronunciation (한글 표기)
-- For English: use Korean characters to represent English pronunciation`;
+- ${pronunciationHint(targetLang)}`;
   } else {
     systemMessage += `
 - Set "pronunciation_hangul" to an empty string`;
@@ -316,83 +456,61 @@ Core Translation Rules:
   const dynamicMaxTokens = calculateMaxTokens(inputText.length);
   const finalMaxTokens = Math.min(config.maxTokens, dynamicMaxTokens);
 
-  const payload = {
-    model: config.model,
-    messages: [
-      { role: "system", content: systemMessage },
-      { role: "user", content: userPrompt }
-    ],
-    temperature: config.temperature,
-    max_tokens: finalMaxTokens,
-    // 🚀 최적화: JSON 모드 강제 (파싱 오류 제거)
-    response_format: { type: "json_object" }
-  };
-
-  console.log('[AI Translation] 사용 모델:', config.model, '품질 레벨:', qualityLevel, '동적 토큰:', finalMaxTokens);
-
-  const parsed = await retryWithBackoff(async () => {
-    const resp = await fetchFn("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${apiKey}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(payload)
-    });
-
-    if (!resp.ok) {
-      const txt = await resp.text();
-      throw new Error(`AI 번역 API 오류 ${resp.status}: ${txt}`);
-    }
-    const data = await resp.json();
-    const content = data?.choices?.[0]?.message?.content;
-    if (!content) throw new Error("AI 번역 응답 없음");
+  console.log('[AI Translation] 사용 모델:', modelToUse, '품질 레벨:', qualityLevel, '동적 토큰:', finalMaxTokens);
 
-    try {
-      return JSON.parse(content);
-    } catch (e) {
-      // JSON 파싱 실패 시 정리 시도
-      const s = content.indexOf('{'), eidx = content.lastIndexOf('}');
-      if (s !== -1 && eidx !== -1) {
-        const maybe = content.substring(s, eidx + 1);
-        return JSON.parse(maybe);
-      }
-      throw new Error("AI 응답을 JSON으로 파싱하지 못했습니다.");
-    }
-  }, 3, 300);
+  const result = await translateWithProvider({
+    text: inputText,
+    sourceLang: sourceLanguage,
+    targetLang,
+    systemMessage,
+    userPrompt,
+    temperature: config.temperature,
+    maxTokens: finalMaxTokens,
+    getPronunciation,
+    dictionary
+  }, { model: modelToUse, apiKeys });
 
   const safe = {
-    translation: (parsed.translation || parsed.translated_text || "").toString(),
-    pronunciation_hangul: (parsed.pronunciation_hangul || parsed.pronunciation || parsed.pron || "").toString()
+    translation: result.translation,
+    pronunciation_hangul: getPronunciation ? pronunciationFor(result.translation, targetLang, result.pronunciation_hangul, dialect) : '',
+    usedModel: result.usedModel,
+    modelProvider: result.modelProvider,
+    repairs: result.repairs || []
   };
 
   setCache(cacheKey, safe);
 
   // 🔧 공용 캐시에도 저장 (일반 번역인 경우만)
-  if (!contextualPrompt || contextualPrompt.trim() === '') {
-    await setPublicCache(inputText, targetLang, safe.translation, safe.pronunciation_hangul);
+  if (usePublicCache) {
+    await setPublicCache(inputText, targetLang, safe.translation, safe.pronunciation_hangul, selection.model);
   }
 
   return safe;
 }
 
 // 기존 일반 번역 함수 (호환성 유지)
-async function translateAndPronounceSingleCall(inputText, targetLang, getPronunciation = true, userApiKey = null) {
-  const apiKey = userApiKey || OPENAI_API_KEY;
-  if (!apiKey) throw new Error("서버 오류: API 키가 설정되어 있지 않습니다.");
-
-  // 🔧 공용 캐시 확인
-  const publicCache = await getPublicCache(inputText, targetLang);
-  if (publicCache.success) {
-    return {
-      translation: publicCache.data.translation,
-      pronunciation_hangul: publicCache.data.pronunciation || ''
-    };
-  }
+async function translateAndPronounceSingleCall(inputText, targetLang, getPronunciation = true, options = {}) {
+  const { apiKeys = {}, model = 'gpt-4o-mini', glossaryRules = '', registerRules = '', dialect = null, dictionary = {} } = options;
   if (!inputText || inputText.trim().length === 0) throw new Error("입력 텍스트가 비어있습니다.");
   if (inputText.length > MAX_INPUT_CHARS) throw new Error(`입력 길이 초과 (최대 ${MAX_INPUT_CHARS}자)`);
 
-  const cacheKey = `tr:${targetLang}:${inputText}:${getPronunciation}`;
+  const selection = selectModel(model, { inputLength: inputText.length, apiKeys });
+  const usePublicCache = !glossaryRules && !registerRules && usesSharedCache(selection);
+
+  // 🔧 공용 캐시 확인 (사용자 용어집 / 말투 지정이 적용되는 번역은 제외)
+  if (usePublicCache) {
+    const publicCache = await getPublicCache(inputText, targetLang, selection.model);
+    if (publicCache.success) {
+      return {
+        translation: publicCache.data.translation,
+        pronunciation_hangul: getPronunciation
+          ? pronunciationFor(publicCache.data.translation, targetLang, publicCache.data.pronunciation, dialect)
+          : ''
+      };
+    }
+  }
+
+  const cacheKey = `tr:${selection.model}:${targetLang}:${inputText}:${getPronunciation}${glossaryCacheSuffix(glossaryRules + registerRules)}`;
   const cached = getCache(cacheKey);
   if (cached) return cached;
 
@@ -403,13 +521,14 @@ You are a professional, consistent translator. ALWAYS return only valid JSON (no
 The JSON MUST contain two keys: "translation" (string), "pronunciation_hangul" (string).
 Rules:
 - Translate the given ${sourceLanguage} text to ${targetLang}.
-- Preserve named entities, product codes, and email/URLs as-is.
-- Maintain formality: if the input is formal, use formal polite tone; otherwise neutral.
+- Preserve named entities, product codes, and email/URLs as-is.${registerRules || `
+- Maintain formality: if the input is formal, use formal polite tone; otherwise neutral.`}
 - Keep translation concise and natural.`;
+  systemMessage += glossaryRules;
 
   if (getPronunciation) {
     systemMessage += `
-- Provide "pronunciation_hangul" as a Korean-readable transcription of the translated ${targetLang} text (for Vietnamese: 한글 표기).`;
+- Provide "pronunciation_hangul" as a Korean-readable transcription of the translated ${targetLang} text (${pronunciationHint(targetLang)}).`;
   } else {
     systemMessage += `
 - Set "pronunciation_hangul" to an empty string.`;
@@ -423,160 +542,1098 @@ Rules:
   // 🚀 최적화: 동적 max_tokens 계산
   const dynamicMaxTokens = calculateMaxTokens(inputText.length);
 
-  // 💰 비용 최적화: gpt-4o-mini 사용 (2025년 최신 모델)
-  const payload = {
-    model: "gpt-4o-mini",
-    messages: [
-      { role: "system", content: systemMessage },
-      { role: "user", content: userPrompt }
-    ],
+  const result = await translateWithProvider({
+    text: inputText,
+    sourceLang: sourceLanguage,
+    targetLang,
+    systemMessage,
+    userPrompt,
     temperature: 0.0,
-    max_tokens: dynamicMaxTokens,
-    // 🚀 최적화: JSON 모드 강제 (파싱 오류 제거)
-    response_format: { type: "json_object" }
-  };
-
-  const parsed = await retryWithBackoff(async () => {
-    const resp = await fetchFn("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${apiKey}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(payload)
-    });
-
-    if (!resp.ok) {
-      const txt = await resp.text();
-      throw new Error(`번역 API 오류 ${resp.status}: ${txt}`);
-    }
-    const data = await resp.json();
-    const content = data?.choices?.[0]?.message?.content;
-    if (!content) throw new Error("번역 응답 없음");
-
-    try {
-      return JSON.parse(content);
-    } catch (e) {
-      const s = content.indexOf('{'), eidx = content.lastIndexOf('}');
-      if (s !== -1 && eidx !== -1) {
-        const maybe = content.substring(s, eidx + 1);
-        return JSON.parse(maybe);
-      }
-      throw new Error("응답을 JSON으로 파싱하지 못했습니다.");
-    }
-  }, 3, 300);
+    maxTokens: dynamicMaxTokens,
+    getPronunciation,
+    dictionary
+  }, { model, apiKeys });
 
   const safe = {
-    translation: (parsed.translation || parsed.translated_text || "").toString(),
-    pronunciation_hangul: (parsed.pronunciation_hangul || parsed.pronunciation || parsed.pron || "").toString()
+    translation: result.translation,
+    pronunciation_hangul: getPronunciation ? pronunciationFor(result.translation, targetLang, result.pronunciation_hangul, dialect) : '',
+    usedModel: result.usedModel,
+    modelProvider: result.modelProvider,
+    repairs: result.repairs || []
   };
 
   setCache(cacheKey, safe);
 
   // 🔧 공용 캐시에도 저장
-  await setPublicCache(inputText, targetLang, safe.translation, safe.pronunciation_hangul);
+  if (usePublicCache) {
+    await setPublicCache(inputText, targetLang, safe.translation, safe.pronunciation_hangul, selection.model);
+  }
 
   return safe;
 }
 
-// 문장 분할 헬퍼
-function splitIntoSentences(text, maxLength = 200) {
-  const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
-  const chunks = [];
+// 🎭 어조별 / 여러 후보 번역 (팀장이 방송 전 어조를 고를 수 있도록 후보와 차이 설명을 함께 반환)
+// variants: ['formal', 'neutral', 'casual'] 중 일부, alternatives: 어조당 후보 수
+// 캐시는 어조별로 따로 두고, 캐시에 없는 어조만 한 번의 요청으로 번역한다.
+// 반환: { candidates: [{ variant, label, translation, pronunciation_hangul, note, quality, cacheHit }], usedModel, modelProvider, translatedChars }
+async function translateVariants(inputText, targetLang, options = {}) {
+  const {
+    variants = ['neutral'],
+    alternatives = 1,
+    getPronunciation = true,
+    apiKeys = {},
+    model = 'gpt-4o-mini',
+    glossaryRules = '',
+    registerRules = '',
+    dialect = null,
+    dictionary = {},
+    domainPack = GENERAL_DOMAIN_PACK
+  } = options;
+  if (!inputText || inputText.trim().length === 0) throw new Error("입력 텍스트가 비어있습니다.");
+  if (inputText.length > MAX_INPUT_CHARS) throw new Error(`입력 길이 초과 (최대 ${MAX_INPUT_CHARS}자)`);
 
-  let currentChunk = '';
-  for (const sentence of sentences) {
-    if ((currentChunk + sentence).length <= maxLength) {
-      currentChunk += sentence;
-    } else {
-      if (currentChunk) chunks.push(currentChunk.trim());
-      currentChunk = sentence;
+  const selection = selectModel(model, { inputLength: inputText.length, apiKeys });
+  const cacheKeyOf = variant => `var:${selection.model}:${targetLang}:${variant}:${alternatives}:${domainPack.id}:${inputText}:${getPronunciation}${glossaryCacheSuffix(glossaryRules + registerRules)}`;
+  const byVariant = new Map();
+  for (const variant of variants) {
+    const cached = getCache(cacheKeyOf(variant));
+    if (cached) byVariant.set(variant, cached.map(candidate => ({ ...candidate, cacheHit: true })));
+  }
+
+  const missing = variants.filter(variant => !byVariant.has(variant));
+  let usedModel = selection.model;
+  let modelProvider = selection.provider.id;
+  let translatedChars = 0;
+
+  if (missing.length > 0) {
+    const sourceLanguage = detectSourceLanguage(inputText);
+    let systemMessage = `
+You are a professional, consistent translator. ALWAYS return only valid JSON (no extra commentary).
+Translate the given ${sourceLanguage} text to ${targetLang} in each requested register, giving ${alternatives} distinct candidate(s) per register.
+Return JSON of the form {"candidates":[{"variant": string, "translation": string, "pronunciation_hangul": string, "note": string}]}.
+Requested registers:
+${missing.map(variant => `- "${variant}": ${TRANSLATION_VARIANTS[variant].instruction}`).join('\n')}
+Rules:
+- Every candidate must keep the full meaning; candidates differ only in tone and wording.
+- Preserve named entities, product codes, numbers, units and email/URLs as-is.
+- "note": one short sentence in Korean explaining how this candidate differs from the others (tone, word choice).`;
+    systemMessage += registerRules;
+    systemMessage += glossaryRules;
+    systemMessage += getPronunciation
+      ? `
+- Provide "pronunciation_hangul" as a Korean-readable transcription of each translation (${pronunciationHint(targetLang)}).`
+      : `
+- Set "pronunciation_hangul" to an empty string.`;
+    if (domainPackPrompt(domainPack)) {
+      systemMessage = domainPackPrompt(domainPack) + '\n' + systemMessage;
+    }
+
+    const result = await translateWithProvider({
+      text: inputText,
+      sourceLang: sourceLanguage,
+      targetLang,
+      systemMessage,
+      userPrompt: `Text: """${inputText}"""`,
+      temperature: 0.4,
+      maxTokens: Math.min(calculateMaxTokens(inputText.length) * missing.length * alternatives, 4000),
+      getPronunciation,
+      dictionary
+    }, { model: selection.model, apiKeys });
+
+    usedModel = result.usedModel;
+    modelProvider = result.modelProvider;
+    translatedChars = inputText.length * missing.length * alternatives;
+
+    const returned = Array.isArray(result.raw?.candidates) ? result.raw.candidates : [];
+    for (const variant of missing) {
+      const candidates = returned
+        .filter(item => item && item.variant === variant && typeof item.translation === 'string' && item.translation.trim())
+        .slice(0, alternatives)
+        .map((item) => {
+          const translation = item.translation.trim();
+          return {
+            variant,
+            label: TRANSLATION_VARIANTS[variant].label,
+            translation,
+            pronunciation_hangul: getPronunciation ? pronunciationFor(translation, targetLang, (item.pronunciation_hangul || '').toString(), dialect) : '',
+            note: (item.note || '').toString(),
+            quality: estimateQuality({
+              source: inputText,
+              translation,
+              targetLang,
+              preservationIssues: checkPreservation(inputText, translation),
+              repairs: result.repairs
+            })
+          };
+        });
+      if (candidates.length === 0) {
+        console.log(`[Variants] '${variant}' 후보가 응답에 없습니다.`);
+        continue;
+      }
+      setCache(cacheKeyOf(variant), candidates);
+      byVariant.set(variant, candidates.map(candidate => ({ ...candidate, cacheHit: false })));
     }
   }
-  if (currentChunk) chunks.push(currentChunk.trim());
 
-  return chunks;
+  return {
+    candidates: variants.flatMap(variant => byVariant.get(variant) || []),
+    usedModel,
+    modelProvider,
+    translatedChars
+  };
 }
 
-// Google Cloud TTS (기존 그대로)
-async function getGoogleTTS(text, languageCode = 'vi-VN', voiceName = null, speakingRate = 1.0) {
-  console.log('[Google TTS] 시작:', {
-    text: text.substring(0, 50),
-    languageCode,
-    voiceName,
-    speakingRate
+// 📦 묶음 번역: 세그먼트별로 캐시를 확인하고, 캐시 미스만 하나의 프롬프트로 묶어 번역
+// segments: [{ id, text, context? }] → { results: [{ id, translation, pronunciation_hangul, pronunciation?, cacheHit, error }], ... }
+// pronunciationMode를 주면 결과마다 문자 체계별 pronunciation 객체를 붙인다.
+// context(번역가 메모, msgctxt 등)가 있는 세그먼트는 같은 원문이라도 따로 번역하고 공용 캐시를 쓰지 않는다.
+async function translateBatch(segments, targetLang, options = {}) {
+  const {
+    getPronunciation = true,
+    pronunciationMode = null,
+    apiKeys = {},
+    model = 'gpt-4o-mini',
+    domainPack = GENERAL_DOMAIN_PACK,
+    extraRules = '',
+    registerRules = '',
+    dialect = null,
+    glossaryEntries = [],
+    strictTerminology = false
+  } = options;
+
+  const results = segments.map((segment, index) => ({
+    id: segment.id ?? index,
+    text: typeof segment.text === 'string' ? segment.text : '',
+    context: typeof segment.context === 'string' ? segment.context.trim() : '',
+    glossary: [],
+    translation: '',
+    pronunciation_hangul: '',
+    repairs: [],
+    cacheHit: false,
+    error: null
+  }));
+
+  for (const r of results) {
+    if (r.text.trim().length === 0) r.error = "입력 텍스트가 비어있습니다.";
+    else if (r.text.length > MAX_INPUT_CHARS) r.error = `입력 길이 초과 (최대 ${MAX_INPUT_CHARS}자)`;
+    // 📖 사용자 용어집은 세그먼트별로 매칭 (용어가 없는 세그먼트는 공용 캐시를 그대로 사용)
+    else if (glossaryEntries.length > 0) r.glossary = findGlossaryMatches(r.text, glossaryEntries);
+  }
+
+  // 문맥 구분자는 gettext의 msgctxt 구분자(\u0004)와 같은 방식
+  const segmentKey = r => (r.context ? `${r.context}\u0004${r.text}` : r.text);
+
+  const pending = results.filter(r => !r.error);
+  const selection = selectModel(model, {
+    inputLength: pending.reduce((sum, r) => sum + r.text.length, 0),
+    apiKeys
   });
 
-  try {
-    if (!process.env.GOOGLE_SERVICE_ACCOUNT_JSON) {
-      console.error('GOOGLE_SERVICE_ACCOUNT_JSON 환경변수 없음');
-      return await getOpenAITTS(text, 'nova');
-    }
+  // 전문 분야 프롬프트 / 형식별 지침(extraRules) / 말투 지침이 붙은 번역은 일반 번역과 결과가 다르므로 키를 나누고 공용 캐시를 쓰지 않는다
+  const cacheKeyOf = r => `tr:${selection.model}:${domainPack.id}:${targetLang}:${segmentKey(r)}:${getPronunciation}${glossaryCacheSuffix(extraRules + registerRules + buildUserGlossaryRules(r.glossary))}`;
+  const usePublicCache = domainPack.id === GENERAL_DOMAIN_PACK.id && !extraRules && !registerRules && usesSharedCache(selection);
 
-    const { GoogleAuth } = require('google-auth-library');
-    const serviceAccount = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON);
+  // 1) 메모리 캐시 → 2) 공용 캐시 (일반 번역만)
+  await Promise.all(pending.map(async (r) => {
+    const cached = getCache(cacheKeyOf(r));
+    if (cached) {
+      Object.assign(r, { translation: cached.translation, pronunciation_hangul: cached.pronunciation_hangul, repairs: cached.repairs || [], cacheHit: 'memory' });
+      return;
+    }
+    if (!usePublicCache || r.context || r.glossary.length > 0) return;
+    const publicCache = await getPublicCache(r.text, targetLang, selection.model);
+    if (publicCache.success) {
+      Object.assign(r, { translation: publicCache.data.translation, pronunciation_hangul: publicCache.data.pronunciation || '', cacheHit: 'public' });
+    }
+  }));
+
+  // 같은 원문(같은 문맥)은 한 번만 번역
+  const misses = new Map();
+  for (const r of pending) {
+    if (r.cacheHit) continue;
+    const key = segmentKey(r);
+    if (!misses.has(key)) misses.set(key, []);
+    misses.get(key).push(r);
+  }
 
-    const auth = new GoogleAuth({
-      credentials: serviceAccount,
-      scopes: ['https://www.googleapis.com/auth/cloud-platform']
-    });
+  const uniqueTexts = [...misses.keys()];
+  const sourceOf = key => misses.get(key)[0].text;
+  let usedModel = selection.model;
+  let modelProvider = selection.provider.id;
+  let translatedChars = 0;
+
+  const applyTranslation = (text, translated) => {
+    const entry = {
+      translation: translated.translation,
+      pronunciation_hangul: translated.pronunciation_hangul || '',
+      repairs: translated.repairs || []
+    };
+    for (const r of misses.get(text)) Object.assign(r, entry);
+    setCache(cacheKeyOf(misses.get(text)[0]), entry);
+    translatedChars += sourceOf(text).length;
+  };
 
-    const client = await auth.getClient();
-    const accessToken = await client.getAccessToken();
+  const failAll = (texts, message) => {
+    for (const text of texts) {
+      for (const r of misses.get(text)) r.error = message;
+    }
+  };
 
-    if (!accessToken || !accessToken.token) {
-      console.error('Google 액세스 토큰 없음');
-      return await getOpenAITTS(text, 'nova');
+  if (uniqueTexts.length > 0 && !selection.provider.capabilities.jsonMode) {
+    // JSON 모드가 없는 프로바이더는 묶음 프롬프트를 해석할 수 없으므로 개별 번역
+    for (const text of uniqueTexts) {
+      try {
+        applyTranslation(text, await translateAndPronounceSingleCall(sourceOf(text), targetLang, getPronunciation, {
+          apiKeys,
+          model: selection.model,
+          glossaryRules: buildUserGlossaryRules(misses.get(text)[0].glossary),
+          registerRules,
+          dialect,
+          dictionary: domainPack.glossary
+        }));
+      } catch (error) {
+        failAll([text], `번역 실패: ${error.message}`);
+      }
+    }
+  } else if (uniqueTexts.length > 0) {
+    // 프롬프트 길이 제한에 맞춰 묶음 분할
+    const packs = [];
+    let current = [];
+    let currentChars = 0;
+    for (const text of uniqueTexts) {
+      const length = sourceOf(text).length;
+      if (current.length > 0 && currentChars + length > MAX_INPUT_CHARS) {
+        packs.push(current);
+        current = [];
+        currentChars = 0;
+      }
+      current.push(text);
+      currentChars += length;
     }
+    packs.push(current);
 
-    let selectedVoice = voiceName;
+    const sourceLanguage = detectSourceLanguage(uniqueTexts.map(sourceOf).join('\n'));
 
-    if (!selectedVoice) {
-      if (languageCode.startsWith('vi')) {
-        selectedVoice = 'vi-VN-Standard-A';
-      } else if (languageCode.startsWith('ko')) {
-        selectedVoice = 'ko-KR-Standard-A';
-      } else {
-        selectedVoice = 'en-US-Standard-C';
-      }
+    let systemMessage = `
+You are a professional, consistent translator. ALWAYS return only valid JSON (no extra commentary).
+You will receive a JSON array of segments, each with a numeric "key" and "text".
+Translate every segment's text independently from ${sourceLanguage} to ${targetLang}.
+Return JSON of the form {"segments":[{"key": number, "translation": string, "pronunciation_hangul": string}]} with exactly one entry per input key.
+Rules:
+- Preserve named entities, product codes, and email/URLs as-is.
+- Keep each translation concise and natural; do not merge or split segments.`;
+    if (uniqueTexts.some(key => misses.get(key)[0].context)) {
+      systemMessage += `
+- Some segments have a "context" (translator notes or message context). Use it only to choose the right meaning; never translate or include it in the output.`;
     }
+    systemMessage += extraRules;
+    systemMessage += registerRules;
 
-    const voiceLangCode = selectedVoice.substring(0, 5);
-    const requestLangCode = languageCode.substring(0, 5);
+    if (getPronunciation) {
+      systemMessage += `
+- Provide "pronunciation_hangul" as a Korean-readable transcription of each translated ${targetLang} text (${pronunciationHint(targetLang)}).`;
+    } else {
+      systemMessage += `
+- Set "pronunciation_hangul" to an empty string.`;
+    }
 
-    if (voiceLangCode !== requestLangCode) {
-      console.log(`[Google TTS] 언어 코드 불일치 감지: voice=${voiceLangCode}, request=${requestLangCode}`);
+    if (domainPackPrompt(domainPack)) {
+      systemMessage = domainPackPrompt(domainPack) + '\n' + systemMessage;
+    }
 
-      if (requestLangCode === 'vi-VN') {
-        selectedVoice = voiceName?.includes('-B') || voiceName?.includes('-D') ? 'vi-VN-Standard-B' : 'vi-VN-Standard-A';
-      } else if (requestLangCode === 'ko-KR') {
-        selectedVoice = voiceName?.includes('-C') || voiceName?.includes('-D') ? 'ko-KR-Standard-C' : 'ko-KR-Standard-A';
+    for (const pack of packs) {
+      const packChars = pack.reduce((sum, text) => sum + sourceOf(text).length, 0);
+      const packGlossary = [...new Set(pack.flatMap(text => misses.get(text)[0].glossary))];
+      try {
+        const result = await translateWithProvider({
+          text: pack.map(sourceOf).join('\n'),
+          sourceLang: sourceLanguage,
+          targetLang,
+          systemMessage: systemMessage + buildUserGlossaryRules(packGlossary),
+          userPrompt: JSON.stringify(pack.map((text, key) => {
+            const { context } = misses.get(text)[0];
+            return context ? { key, text: sourceOf(text), context } : { key, text: sourceOf(text) };
+          })),
+          temperature: 0.0,
+          maxTokens: calculateMaxTokens(packChars) + pack.length * 30,
+          getPronunciation,
+          dictionary: domainPack.glossary
+        }, { model: selection.model, apiKeys });
+
+        usedModel = result.usedModel;
+        modelProvider = result.modelProvider;
+
+        const returned = Array.isArray(result.raw?.segments) ? result.raw.segments : [];
+        pack.forEach((text, key) => {
+          const item = returned.find(seg => Number(seg.key) === key);
+          if (item && typeof item.translation === 'string') {
+            applyTranslation(text, {
+              translation: item.translation,
+              pronunciation_hangul: (item.pronunciation_hangul || '').toString(),
+              repairs: result.repairs
+            });
+          } else {
+            failAll([text], '번역 결과에서 세그먼트가 누락되었습니다.');
+          }
+        });
+      } catch (error) {
+        console.error('[Batch] 묶음 번역 실패:', error.message);
+        failAll(pack, `번역 실패: ${error.message}`);
       }
     }
 
-    console.log('[Google TTS] 최종 선택된 음성:', selectedVoice);
+    // 🔧 공용 캐시에도 저장 (일반 번역만, 사용자 용어집이 적용된 번역은 제외)
+    await Promise.all(uniqueTexts
+      .map(text => misses.get(text)[0])
+      .filter(r => usePublicCache && !r.error && !r.context && r.glossary.length === 0)
+      .map(r => setPublicCache(r.text, targetLang, r.translation, r.pronunciation_hangul, selection.model)));
+  }
 
-    const fetchFunction = fetchFn || require('node-fetch');
+  // 📏 용어 준수 검사 (사용자 용어집 + 도메인 용어), strict면 위반 세그먼트만 교정 지시와 함께 한 번 재번역
+  const retries = new Map();
+  for (const r of results) {
+    if (!r.translation) continue;
+    const entries = [...r.glossary, ...domainGlossaryEntries(domainPack, detectSourceLanguage(r.text), targetLang)];
+    const report = checkTerminology(r.text, r.translation, entries);
+    if (report.matched.length + terminologyViolations(report) === 0) continue;
+
+    if (!report.compliant && strictTerminology) {
+      const key = segmentKey(r);
+      if (!retries.has(key)) {
+        retries.set(key, translateAndPronounceSingleCall(r.text, targetLang, getPronunciation, {
+          apiKeys,
+          model: selection.model,
+          glossaryRules: buildUserGlossaryRules(r.glossary) + buildTerminologyCorrection(report, r.translation),
+          registerRules,
+          dialect,
+          dictionary: domainPack.glossary
+        }).then((retry) => {
+          translatedChars += r.text.length;
+          return retry;
+        }).catch((error) => {
+          console.error('[Terminology] 재번역 실패:', error.message);
+          return null;
+        }));
+      }
 
-    const requestBody = {
-      input: { text: text },
-      voice: {
-        languageCode: languageCode,
-        name: selectedVoice
-      },
-      audioConfig: {
-        audioEncoding: 'MP3',
-        speakingRate: speakingRate || 1.0,
-        pitch: 0.0,
-        volumeGainDb: 10.0
+      const retry = await retries.get(key);
+      const retryReport = retry ? checkTerminology(r.text, retry.translation, entries) : null;
+      if (retryReport && terminologyViolations(retryReport) <= terminologyViolations(report)) {
+        Object.assign(r, { translation: retry.translation, pronunciation_hangul: retry.pronunciation_hangul || '', repairs: retry.repairs || [] });
+        r.terminologyReport = { ...retryReport, retried: true };
+        continue;
       }
-    };
+      r.terminologyReport = { ...report, retried: true };
+      continue;
+    }
+    r.terminologyReport = report;
+  }
 
-    const response = await fetchFunction(
-      'https://texttospeech.googleapis.com/v1/text:synthesize',
-      {
-        method: 'POST',
-        headers: {
+  if (getPronunciation) {
+    for (const r of results) {
+      if (r.translation) r.pronunciation_hangul = pronunciationFor(r.translation, targetLang, r.pronunciation_hangul, dialect);
+    }
+  }
+  if (pronunciationMode) {
+    for (const r of results) {
+      if (r.translation) r.pronunciation = buildPronunciation(r.translation, targetLang, { mode: pronunciationMode, hangul: r.pronunciation_hangul });
+    }
+  }
+  for (const r of results) {
+    if (!r.translation) continue;
+    r.quality = estimateQuality({
+      source: r.text,
+      translation: r.translation,
+      targetLang,
+      terminologyReport: r.terminologyReport,
+      preservationIssues: checkPreservation(r.text, r.translation),
+      repairs: r.repairs
+    });
+  }
+
+  return {
+    results: results.map(({ text, context, glossary, repairs, ...rest }) => rest),
+    usedModel,
+    modelProvider,
+    translatedChars,
+    glossaryApplied: [...new Set(results.flatMap(r => r.glossary.map(entry => entry.sourceTerm)))],
+    stats: {
+      total: results.length,
+      cacheHits: results.filter(r => r.cacheHit).length,
+      translated: uniqueTexts.length,
+      failed: results.filter(r => r.error).length,
+      terminologyViolations: results.filter(r => r.terminologyReport && !r.terminologyReport.compliant).length
+    }
+  };
+}
+
+// 🧩 HTML / Markdown 번역: 텍스트 노드만 묶음 번역하고 태그·속성·URL·코드는 자리표시자로 보호
+async function translateMarkup(content, targetLang, format, options = {}) {
+  const doc = extractMarkup(content, format);
+  const structureIssues = [];
+
+  const batch = await translateBatch(
+    doc.segments.map((segment, id) => ({ id, text: segment.text })),
+    targetLang,
+    {
+      ...options,
+      getPronunciation: false,
+      extraRules: `
+- Segments may contain placeholders such as [[T0]], [[T1]] that stand for markup, links, code or URLs.
+- Keep every placeholder exactly once, unchanged, in the position that matches the translated sentence.`
+    }
+  );
+
+  const translations = doc.segments.map((segment, i) => {
+    const item = batch.results[i];
+    if (item.error) {
+      structureIssues.push(`세그먼트 ${i + 1}: ${item.error} (원문 유지)`);
+      return restorePlaceholders(segment.text, segment.placeholders).text;
+    }
+    const restored = restorePlaceholders(item.translation, segment.placeholders);
+    if (!restored.valid) {
+      // 자리표시자가 깨진 세그먼트는 구조 보존을 위해 원문 유지
+      structureIssues.push(`세그먼트 ${i + 1}: 자리표시자 ${restored.problems.join(', ')} (원문 유지)`);
+      return restorePlaceholders(segment.text, segment.placeholders).text;
+    }
+    return restored.text;
+  });
+
+  const translation = reassembleMarkup(doc, translations);
+  structureIssues.push(...compareMarkupStructure(content, translation, format));
+
+  return {
+    translation,
+    format,
+    segmentCount: doc.segments.length,
+    structureValid: structureIssues.length === 0,
+    structureIssues,
+    usedModel: batch.usedModel,
+    modelProvider: batch.modelProvider,
+    translatedChars: batch.translatedChars
+  };
+}
+
+// 🌐 i18n 리소스 파일 번역: 값만 번역하고 키/중첩 구조와 보간 자리표시자·ICU 구문은 보존
+// 자리표시자가 깨진 값은 원문을 유지하고 placeholderReport에 기록한다.
+async function translateResourceFile(content, targetLang, options = {}) {
+  const { format = null, glossary = null, domainPack = GENERAL_DOMAIN_PACK, ...batchOptions } = options;
+
+  const resolvedFormat = format || detectResourceFormat(content);
+  const data = parseResourceFile(content, resolvedFormat);
+  const entries = flattenStrings(data).map(entry => ({ ...entry, ...protectResourceValue(entry.value) }));
+
+  // 글자가 없는 값(빈 문자열, "{count}" 등)은 번역하지 않음
+  const translatable = entries.filter(entry => /\p{L}/u.test(entry.text.replace(/\[\[T\d+\]\]/g, '')));
+
+  const batch = await translateBatch(
+    translatable.map((entry, id) => ({ id, text: entry.text })),
+    targetLang,
+    {
+      ...batchOptions,
+      domainPack,
+      getPronunciation: false,
+      extraRules: `
+- Segments are UI strings. Placeholders such as [[T0]], [[T1]] stand for interpolation variables or ICU plural/select syntax.
+- Keep every placeholder exactly once and unchanged; keep placeholders that wrap alternative phrasings in their original order.${buildGlossaryRules(targetLang, { domainPack, glossary })}`
+    }
+  );
+
+  const placeholderReport = [];
+  let translatedKeys = 0;
+
+  translatable.forEach((entry, i) => {
+    const item = batch.results[i];
+    if (item.error) {
+      placeholderReport.push({ key: entry.key, source: entry.value, problems: [item.error] });
+      return;
+    }
+
+    const restored = restorePlaceholders(item.translation, entry.placeholders);
+    const problems = [...restored.problems];
+    if (restored.valid && !placeholdersInOrder(item.translation, entry.structural)) {
+      problems.push('ICU 분기 구조의 순서가 바뀌었습니다.');
+    }
+    const braceCount = text => (text.match(/[{}]/g) || []).length;
+    if (braceCount(restored.text) !== braceCount(entry.value)) {
+      problems.push('중괄호 개수가 달라졌습니다.');
+    }
+
+    if (problems.length > 0) {
+      // 깨진 자리표시자는 앱 런타임 오류로 이어지므로 원문 유지
+      placeholderReport.push({ key: entry.key, source: entry.value, translation: restored.text, problems });
+      return;
+    }
+
+    setAtPath(data, entry.path, restored.text);
+    translatedKeys++;
+  });
+
+  return {
+    content: serializeResourceFile(data, resolvedFormat, content),
+    format: resolvedFormat,
+    keyCount: entries.length,
+    translatedKeys,
+    placeholderReport,
+    usedModel: batch.usedModel,
+    modelProvider: batch.modelProvider,
+    translatedChars: batch.translatedChars
+  };
+}
+
+// 🗂️ PO / XLIFF 번역: 미번역 단위만 번역하고 검수 필요 상태로 표시
+// msgctxt, 추출 주석, note는 번역 문맥으로 함께 전달하며, 자리표시자가 깨진 단위는 미번역으로 남긴다.
+async function translateCatFile(content, targetLang, options = {}) {
+  const { format = null, targetLangCode = null, glossary = null, domainPack = GENERAL_DOMAIN_PACK, ...batchOptions } = options;
+
+  const resolvedFormat = format || detectCatFormat(content);
+  const language = catLanguage(targetLang);
+  const units = []; // { id, segments: [{ text, placeholders, structural }], context, apply(translations) }
+  let unitCount = 0;
+  let finish;
+  let version = null;
+
+  if (resolvedFormat === 'po') {
+    const doc = parsePo(content);
+    const nplurals = poPluralCount(doc) || language.nplurals;
+    const entries = doc.entries.filter(entry => !entry.obsolete && entry.msgid);
+    unitCount = entries.length;
+
+    for (const entry of entries.filter(isPoUntranslated)) {
+      const sources = entry.msgid_plural !== null ? [entry.msgid, entry.msgid_plural] : [entry.msgid];
+      const notes = entry.comments
+        .filter(line => line.startsWith('#.') || /^#\s/.test(line))
+        .map(line => line.replace(/^#\.?\s?/, ''));
+
+      units.push({
+        id: entry.msgctxt !== null ? `${entry.msgctxt}\u0004${entry.msgid}` : entry.msgid,
+        segments: sources.map(source => protectResourceValue(source)),
+        context: [entry.msgctxt !== null ? `msgctxt: ${entry.msgctxt}` : '', ...notes].filter(Boolean).join('\n'),
+        apply: (translations) => {
+          if (entry.msgid_plural === null) {
+            entry.msgstr = translations[0];
+          } else {
+            // 복수형이 하나뿐인 언어(한국어·베트남어)는 복수 문장 번역을 사용
+            entry.msgstr = nplurals === 1
+              ? [translations[1]]
+              : [translations[0], ...Array(nplurals - 1).fill(translations[1])];
+          }
+          markPoNeedsReview(entry);
+        }
+      });
+    }
+
+    finish = () => serializePo(doc);
+  } else {
+    const extracted = extractXliffUnits(content);
+    const targets = [];
+    version = extracted.version;
+    unitCount = extracted.units.filter(unit => unit.translatable).length;
+
+    for (const unit of extracted.units) {
+      if (!unit.translatable || unit.hasTarget || unit.source.trim() === '') continue;
+      const segment = protectInlineXml(unit.source);
+      units.push({
+        id: unit.id,
+        segments: [{ ...segment, structural: [] }],
+        context: unit.notes.join('\n'),
+        // 번역문은 XML 이스케이프 후 인라인 태그를 원래대로 되돌린다
+        apply: (translations) => targets.push({
+          unit,
+          targetXml: restorePlaceholders(escapeXml(translations[0]), segment.placeholders).text
+        })
+      });
+    }
+
+    finish = () => ensureXliffTargetLanguage(
+      applyXliffTargets(content, version, targets),
+      version,
+      targetLangCode || language.code
+    );
+  }
+
+  // 글자가 없는 세그먼트("%d" 등)는 원문을 그대로 사용
+  const hasLetters = segment => /\p{L}/u.test(segment.text.replace(/\[\[T\d+\]\]/g, ''));
+  const jobs = [];
+  for (const unit of units) {
+    for (const segment of unit.segments) {
+      if (hasLetters(segment)) jobs.push({ unit, segment });
+    }
+  }
+
+  const batch = await translateBatch(
+    jobs.map(({ unit, segment }, id) => ({ id, text: segment.text, context: unit.context })),
+    targetLang,
+    {
+      ...batchOptions,
+      domainPack,
+      getPronunciation: false,
+      extraRules: `
+- Segments come from software/document localisation files. Placeholders such as [[T0]], [[T1]] stand for inline tags, variables or ICU plural/select syntax.
+- Keep every placeholder exactly once and unchanged; keep placeholders that wrap alternative phrasings in their original order.${buildGlossaryRules(targetLang, { domainPack, glossary })}`
+    }
+  );
+
+  const translatedBySegment = new Map();
+  jobs.forEach((job, i) => translatedBySegment.set(job.segment, batch.results[i]));
+
+  const issues = [];
+  let translatedUnits = 0;
+
+  for (const unit of units) {
+    const problems = [];
+    const translations = unit.segments.map((segment) => {
+      const item = translatedBySegment.get(segment);
+      if (!item) return resolvedFormat === 'po' ? restorePlaceholders(segment.text, segment.placeholders).text : segment.text;
+      if (item.error) {
+        problems.push(item.error);
+        return null;
+      }
+      const restored = restorePlaceholders(item.translation, segment.placeholders);
+      problems.push(...restored.problems);
+      if (restored.valid && !placeholdersInOrder(item.translation, segment.structural)) {
+        problems.push('ICU 분기 구조의 순서가 바뀌었습니다.');
+      }
+      // XLIFF는 이스케이프 후 복원해야 하므로 자리표시자가 남은 번역문을 넘긴다
+      return resolvedFormat === 'po' ? restored.text : item.translation;
+    });
+
+    if (problems.length > 0) {
+      // 문제가 있는 단위는 미번역 상태로 두어 검수자가 직접 번역하도록 한다
+      issues.push({ id: unit.id, problems });
+      continue;
+    }
+
+    unit.apply(translations);
+    translatedUnits++;
+  }
+
+  return {
+    content: finish(),
+    format: resolvedFormat,
+    version,
+    unitCount,
+    translatedUnits,
+    untranslatedUnits: units.length - translatedUnits,
+    issues,
+    usedModel: batch.usedModel,
+    modelProvider: batch.modelProvider,
+    translatedChars: batch.translatedChars
+  };
+}
+
+// 📊 스프레드시트 열 번역: 선택한 열마다 번역 열을 시트 끝에 추가
+// 같은 값(반복되는 라벨)은 한 번만 번역하며, 숫자·코드·수식 셀은 번역하지 않는다.
+async function translateSpreadsheet(input, targetLang, options = {}) {
+  const { columns = [], headerRow = 1, glossary = null, domainPack = GENERAL_DOMAIN_PACK, ...batchOptions } = options;
+
+  const doc = await readSpreadsheet(input);
+  const headerIndex = headerRow - 1;
+  const headers = doc.rows[headerIndex] || [];
+
+  const { indices, unknown } = resolveColumns(headers, columns);
+  if (unknown.length > 0) throw new SyntaxError(`열을 찾을 수 없습니다: ${unknown.join(', ')}`);
+
+  // 번역 대상 셀 수집 (원문별로 중복 제거)
+  const uniqueTexts = new Map(); // 원문 → 세그먼트 id
+  const cells = []; // { column, row, text }
+  let skippedCells = 0;
+
+  for (const column of indices) {
+    for (let r = headerIndex + 1; r < doc.rows.length; r++) {
+      const value = doc.rows[r][column];
+      if (!shouldTranslateCell(value)) {
+        if (value !== undefined && value !== '') skippedCells++;
+        continue;
+      }
+      const text = value.trim();
+      if (!uniqueTexts.has(text)) uniqueTexts.set(text, uniqueTexts.size);
+      cells.push({ column, row: r, text });
+    }
+  }
+  if (cells.length > MAX_SHEET_CELLS) throw new SyntaxError(`번역할 셀 개수 초과 (최대 ${MAX_SHEET_CELLS}개)`);
+
+  const batch = await translateBatch(
+    [...uniqueTexts.keys()].map((text, id) => ({ id, text })),
+    targetLang,
+    {
+      ...batchOptions,
+      domainPack,
+      getPronunciation: false,
+      extraRules: `
+- Segments are spreadsheet cells (labels, part names, defect descriptions). Translate each cell on its own.
+- Keep product codes, model numbers, quantities and units exactly as written.${buildGlossaryRules(targetLang, { domainPack, glossary })}`
+    }
+  );
+
+  const issues = [];
+  const newColumns = indices.map(column => {
+    const header = (headers[column] || '').trim() || columnLetter(column);
+    const values = new Map();
+
+    // 번역하지 않은 텍스트 셀(코드 등)은 그대로 옮겨 원문 열과 나란히 읽을 수 있게 한다 (수식은 복사하지 않음)
+    for (let r = headerIndex + 1; r < doc.rows.length; r++) {
+      const value = doc.rows[r][column];
+      if (typeof value === 'string' && value !== '' && !value.startsWith('=')) values.set(r, value);
+    }
+    return { sourceIndex: column, headerIndex, header: `${header} (${targetLang})`, values };
+  });
+
+  let translatedCells = 0;
+  for (const cell of cells) {
+    const item = batch.results[uniqueTexts.get(cell.text)];
+    if (item.error) {
+      issues.push({ cell: `${columnLetter(cell.column)}${cell.row + 1}`, error: item.error });
+      continue;
+    }
+    newColumns[indices.indexOf(cell.column)].values.set(cell.row, item.translation);
+    translatedCells++;
+  }
+
+  appendColumns(doc, newColumns);
+
+  return {
+    output: await writeSpreadsheet(doc),
+    format: doc.format,
+    translatedColumns: newColumns.map(column => ({ source: headers[column.sourceIndex] || columnLetter(column.sourceIndex), target: column.header })),
+    translatedCells,
+    skippedCells,
+    uniqueTexts: uniqueTexts.size,
+    cacheHits: batch.stats.cacheHits,
+    issues,
+    usedModel: batch.usedModel,
+    modelProvider: batch.modelProvider,
+    translatedChars: batch.translatedChars
+  };
+}
+
+// 🎬 자막 번역: 큐 텍스트만 번역하고 번호/타임스탬프/스타일 태그는 그대로 유지
+// 큐를 창(window) 단위로 묶어 AI 문맥 번역 품질 레벨로 번역하며, 창 앞뒤 큐를 문맥으로 함께 전달한다.
+async function translateSubtitles(content, targetLang, options = {}) {
+  const { format = null, bilingual = false, qualityLevel = 3, apiKeys = {}, model = 'auto', domainPack = GENERAL_DOMAIN_PACK, glossaryRules = '' } = options;
+
+  const doc = parseSubtitles(content, format);
+  const cues = doc.blocks.filter(block => block.type === 'cue');
+  const warnings = [];
+
+  const prepared = cues.map(cue => protectStyleTags(cue.lines.join('\n')));
+  const config = AI_QUALITY_CONFIG[qualityLevel] || AI_QUALITY_CONFIG[3];
+  const modelToUse = model === 'auto' ? config.model : model;
+  const sourceLanguage = detectSourceLanguage(prepared.map(p => p.text).join('\n'));
+
+  let systemMessage = `
+You are an elite professional subtitle translator.
+ALWAYS return only valid JSON (no extra commentary, no markdown).
+
+Core Translation Rules:
+- Source language: ${sourceLanguage} → Target language: ${targetLang}
+- You receive "context" cues (for reference only, do NOT translate them) and "cues" to translate, each with a numeric "key"
+- Translate each cue so it reads naturally on screen, using the surrounding cues to resolve pronouns and references
+- Keep line breaks (\\n) inside a cue where they make sense; keep each cue short enough for on-screen reading
+- Keep placeholders such as [[T0]], [[T1]] exactly as-is and in a sensible position
+- Never merge or split cues
+- Preserve named entities, proper nouns, product codes, and URLs exactly as-is`;
+  systemMessage += qualityGuidelines(qualityLevel);
+  systemMessage += glossaryRules;
+  systemMessage += `
+- Output format: {"cues":[{"key": number, "translation": string}]} with exactly one entry per cue key`;
+
+  if (domainPackPrompt(domainPack)) {
+    systemMessage = domainPackPrompt(domainPack) + '\n' + systemMessage;
+  }
+
+  // 큐 창 분할 (큐 개수 / 글자 수 제한)
+  const windows = [];
+  let start = 0;
+  while (start < cues.length) {
+    let end = start;
+    let chars = 0;
+    while (end < cues.length && end - start < SUBTITLE_WINDOW_CUES &&
+      (end === start || chars + prepared[end].text.length <= MAX_INPUT_CHARS)) {
+      chars += prepared[end].text.length;
+      end++;
+    }
+    windows.push({ start, end });
+    start = end;
+  }
+
+  const translations = new Array(cues.length).fill(null);
+  let usedModel = modelToUse;
+  let modelProvider = null;
+
+  const translateWindow = async ({ start: wStart, end: wEnd }) => {
+    const context = [
+      ...prepared.slice(Math.max(0, wStart - SUBTITLE_CONTEXT_CUES), wStart),
+      ...prepared.slice(wEnd, wEnd + SUBTITLE_CONTEXT_CUES)
+    ].map(p => p.text);
+    const windowCues = prepared.slice(wStart, wEnd).map((p, i) => ({ key: wStart + i, text: p.text }));
+    const windowChars = windowCues.reduce((sum, cue) => sum + cue.text.length, 0);
+
+    // 한 창이 실패해도 나머지 창은 계속 번역 (실패한 창의 큐는 null로 남아 원문 유지 경고로 처리)
+    let result;
+    try {
+      result = await translateWithProvider({
+        text: windowCues.map(cue => cue.text).join('\n'),
+        sourceLang: sourceLanguage,
+        targetLang,
+        systemMessage,
+        userPrompt: JSON.stringify({ context, cues: windowCues }),
+        temperature: config.temperature,
+        maxTokens: calculateMaxTokens(windowChars) + windowCues.length * 20,
+        getPronunciation: false,
+        dictionary: domainPack.glossary
+      }, { model: modelToUse, apiKeys });
+    } catch (error) {
+      console.error(`[Subtitles] 큐 ${wStart + 1}-${wEnd} 번역 실패:`, error.message);
+      return;
+    }
+
+    usedModel = result.usedModel;
+    modelProvider = result.modelProvider;
+
+    const returned = Array.isArray(result.raw?.cues) ? result.raw.cues : [];
+    for (const cue of windowCues) {
+      const item = returned.find(r => Number(r.key) === cue.key);
+      if (item && typeof item.translation === 'string' && item.translation.trim() !== '') {
+        translations[cue.key] = item.translation;
+      }
+    }
+  };
+
+  for (let i = 0; i < windows.length; i += SUBTITLE_CONCURRENCY) {
+    await Promise.all(windows.slice(i, i + SUBTITLE_CONCURRENCY).map(translateWindow));
+  }
+
+  let translatedCues = 0;
+  cues.forEach((cue, i) => {
+    const label = cue.id || `#${i + 1}`;
+    if (translations[i] === null) {
+      // 번역이 누락된 큐는 원문을 유지하여 타이밍이 어긋나지 않게 함
+      warnings.push({ cue: label, message: '번역 결과가 누락되어 원문을 유지했습니다.' });
+      return;
+    }
+
+    const restored = restoreStyleTags(translations[i], prepared[i].tags);
+    if (restored.missingTags.length > 0) {
+      warnings.push({ cue: label, message: `스타일 태그 위치를 복원하지 못했습니다: ${restored.missingTags.join(' ')}` });
+    }
+
+    const translatedLines = restored.text.replace(/\r\n?/g, '\n').split('\n').filter(line => line.trim() !== '');
+    cue.lines = bilingual ? [...cue.lines, ...translatedLines] : translatedLines;
+    translatedCues++;
+  });
+
+  return {
+    content: serializeSubtitles(doc),
+    format: doc.format,
+    cueCount: cues.length,
+    translatedCues,
+    translatedChars: prepared.reduce((sum, p, i) => sum + (translations[i] === null ? 0 : p.text.length), 0),
+    warnings,
+    usedModel,
+    modelProvider
+  };
+}
+
+// 🚀 스트리밍 번역 (SSE)
+// JSON 응답은 완성되기 전에는 파싱할 수 없으므로, 스트리밍 시에는 번역문을 평문으로 먼저 받고
+// 구분 토큰 뒤에 한글 발음을 받는다.
+const PRONUNCIATION_MARKER = '###PRONUNCIATION###';
+
+// 스트림 끝부분이 구분 토큰의 앞부분일 수 있으면 그 길이만큼 전송을 보류
+function pendingMarkerLength(text) {
+  for (let len = Math.min(PRONUNCIATION_MARKER.length - 1, text.length); len > 0; len--) {
+    if (PRONUNCIATION_MARKER.startsWith(text.slice(-len))) return len;
+  }
+  return 0;
+}
+
+// { type: 'delta', text } 를 순차적으로, 마지막에 { type: 'done', translation, pronunciation_hangul, pronunciation, quality, usedModel, modelProvider, usage } 를 yield
+async function* streamTranslation(inputText, targetLang, options = {}) {
+  const { apiKeys = {}, model = 'gpt-4o-mini', glossaryRules = '', registerRules = '', dialect = null } = options;
+  const pronunciationMode = options.getPronunciation === false ? 'none' : (options.pronunciationMode || 'auto');
+  const getPronunciation = (pronunciationMode === 'auto' || pronunciationMode === 'hangul') && supportsPronunciationGuide(targetLang);
+  if (!inputText || inputText.trim().length === 0) throw new Error("입력 텍스트가 비어있습니다.");
+  if (inputText.length > MAX_INPUT_CHARS) throw new Error(`입력 길이 초과 (최대 ${MAX_INPUT_CHARS}자)`);
+
+  const selection = selectModel(model, { inputLength: inputText.length, apiKeys });
+  const { provider } = selection;
+
+  // 스트리밍 미지원 프로바이더는 한 번에 번역 후 단일 조각으로 전달
+  if (!provider.capabilities.streaming || typeof provider.stream !== 'function') {
+    const result = await translateAndPronounceSingleCall(inputText, targetLang, getPronunciation, {
+      apiKeys,
+      model: selection.model,
+      glossaryRules,
+      registerRules,
+      dialect
+    });
+    yield { type: 'delta', text: result.translation };
+    yield {
+      type: 'done',
+      translation: result.translation,
+      pronunciation_hangul: result.pronunciation_hangul,
+      pronunciation: buildPronunciation(result.translation, targetLang, { mode: pronunciationMode, hangul: result.pronunciation_hangul }),
+      quality: estimateQuality({
+        source: inputText,
+        translation: result.translation,
+        targetLang,
+        preservationIssues: checkPreservation(inputText, result.translation),
+        repairs: result.repairs
+      }),
+      usedModel: result.usedModel || selection.model,
+      modelProvider: result.modelProvider || provider.id,
+      usage: null
+    };
+    return;
+  }
+
+  const sourceLanguage = detectSourceLanguage(inputText);
+
+  let systemMessage = `You are a professional translator. Translate from ${sourceLanguage} to ${targetLang}.
+Output ONLY the translated text as plain text (no JSON, no quotes, no explanation).
+Preserve named entities, product codes, and email/URLs as-is.`;
+  systemMessage += registerRules;
+  systemMessage += glossaryRules;
+
+  if (getPronunciation) {
+    systemMessage += `
+After the translation, output a line containing only ${PRONUNCIATION_MARKER}, then the Korean phonetic transcription (한글 표기) of the translated ${targetLang} text. ${pronunciationHint(targetLang)}.`;
+  }
+
+  const parts = provider.stream({
+    text: inputText,
+    sourceLang: sourceLanguage,
+    targetLang,
+    systemMessage,
+    userPrompt: `Text: """${inputText}"""`,
+    temperature: 0.1,
+    maxTokens: calculateMaxTokens(inputText.length),
+    model: selection.model,
+    apiKey: provider.resolveApiKey(apiKeys)
+  });
+
+  let raw = '';
+  let sent = 0;
+  let usage = null;
+
+  for await (const part of parts) {
+    if (part.type === 'usage') {
+      usage = part.usage;
+      continue;
+    }
+    raw += part.text;
+
+    const markerIdx = raw.indexOf(PRONUNCIATION_MARKER);
+    const safeEnd = markerIdx !== -1 ? markerIdx : raw.length - pendingMarkerLength(raw);
+    if (safeEnd > sent) {
+      yield { type: 'delta', text: raw.slice(sent, safeEnd) };
+      sent = safeEnd;
+    }
+  }
+
+  const markerIdx = raw.indexOf(PRONUNCIATION_MARKER);
+  const translationPart = markerIdx === -1 ? raw : raw.slice(0, markerIdx);
+  if (translationPart.length > sent) {
+    yield { type: 'delta', text: translationPart.slice(sent) };
+  }
+
+  const translation = translationPart.trim();
+  const pronunciationHangul = getPronunciation
+    ? pronunciationFor(translation, targetLang, markerIdx === -1 ? '' : raw.slice(markerIdx + PRONUNCIATION_MARKER.length).trim(), dialect)
+    : '';
+  yield {
+    type: 'done',
+    translation,
+    pronunciation_hangul: pronunciationHangul,
+    pronunciation: buildPronunciation(translation, targetLang, { mode: pronunciationMode, hangul: pronunciationHangul }),
+    quality: estimateQuality({ source: inputText, translation, targetLang, preservationIssues: checkPreservation(inputText, translation) }),
+    usedModel: selection.model,
+    modelProvider: provider.id,
+    usage
+  };
+}
+
+// 문장 분할 헬퍼 (언어 표의 문장부호 기준, 마지막 문장은 문장부호가 없어도 포함)
+function splitIntoSentences(text, maxLength = 200, language = null) {
+  const sentences = text.match(sentencePattern(language)) || [text];
+  const chunks = [];
+
+  let currentChunk = '';
+  for (const sentence of sentences) {
+    if ((currentChunk + sentence).length <= maxLength) {
+      currentChunk += sentence;
+    } else {
+      if (currentChunk) chunks.push(currentChunk.trim());
+      currentChunk = sentence;
+    }
+  }
+  if (currentChunk) chunks.push(currentChunk.trim());
+
+  return chunks;
+}
+
+// Google Cloud TTS (기존 그대로)
+async function getGoogleTTS(text, languageCode = 'vi-VN', voiceName = null, speakingRate = 1.0, dialect = null) {
+  console.log('[Google TTS] 시작:', {
+    text: text.substring(0, 50),
+    languageCode,
+    voiceName,
+    speakingRate,
+    dialect
+  });
+
+  try {
+    if (!process.env.GOOGLE_SERVICE_ACCOUNT_JSON) {
+      console.error('GOOGLE_SERVICE_ACCOUNT_JSON 환경변수 없음');
+      return await getOpenAITTS(text, 'nova');
+    }
+
+    const { GoogleAuth } = require('google-auth-library');
+    const serviceAccount = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON);
+
+    const auth = new GoogleAuth({
+      credentials: serviceAccount,
+      scopes: ['https://www.googleapis.com/auth/cloud-platform']
+    });
+
+    const client = await auth.getClient();
+    const accessToken = await client.getAccessToken();
+
+    if (!accessToken || !accessToken.token) {
+      console.error('Google 액세스 토큰 없음');
+      return await getOpenAITTS(text, 'nova');
+    }
+
+    // 음성이 없거나 다른 언어 / 방언용이면 언어 표의 기본 음성 (방언을 주면 그 방언 음성) 사용
+    const selectedVoice = (googleVoiceFor(languageCode, voiceName, dialect) || { voiceName }).voiceName;
+    if (voiceName && selectedVoice !== voiceName) {
+      console.log(`[Google TTS] 언어 코드 불일치 감지: voice=${voiceName}, request=${languageCode}`);
+    }
+
+    console.log('[Google TTS] 최종 선택된 음성:', selectedVoice);
+
+    const fetchFunction = fetchFn || require('node-fetch');
+
+    const requestBody = {
+      input: { text: text },
+      voice: {
+        languageCode: languageCode,
+        name: selectedVoice
+      },
+      audioConfig: {
+        audioEncoding: 'MP3',
+        speakingRate: speakingRate || 1.0,
+        pitch: 0.0,
+        volumeGainDb: 10.0
+      }
+    };
+
+    const response = await fetchFunction(
+      'https://texttospeech.googleapis.com/v1/text:synthesize',
+      {
+        method: 'POST',
+        headers: {
           'Authorization': `Bearer ${accessToken.token}`,
           'Content-Type': 'application/json'
         },
@@ -649,137 +1706,1223 @@ async function getOpenAITTS(text, voice = 'alloy', apiKey = null) {
       body: JSON.stringify(body)
     });
 
-    if (!resp.ok) {
-      const txt = await resp.text();
-      console.error(`[OpenAI TTS] API 오류 ${resp.status}:`, txt);
+    if (!resp.ok) {
+      const txt = await resp.text();
+      console.error(`[OpenAI TTS] API 오류 ${resp.status}:`, txt);
+
+      // 사용자 키일 때 더 구체적인 오류 메시지
+      if (isUserKey && resp.status === 401) {
+        throw new Error('사용자 API 키가 유효하지 않습니다. 설정을 확인해주세요.');
+      } else if (resp.status === 429) {
+        throw new Error('API 요청 한도 초과. 잠시 후 다시 시도해주세요.');
+      } else {
+        throw new Error(`TTS 오류 ${resp.status}: ${txt}`);
+      }
+    }
+
+    return await resp.arrayBuffer();
+  }, 3, 400);
+
+  const buffer = Buffer.from(arrBuff);
+  console.log(`[OpenAI TTS] 성공: ${buffer.length}바이트 생성`);
+
+  return buffer;
+}
+
+// 🔐 요청 인증: Bearer 토큰 검증 후 사용자 API 키 로드 (토큰 없으면 게스트)
+async function authenticateRequest(event) {
+  const authHeader = event.headers.authorization || event.headers.Authorization;
+  let userId = null;
+  let userApiKeys = { openai: null, google: null };
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const token = authHeader.substring(7);
+    const authResult = await verifyToken(token);
+
+    if (authResult.success) {
+      userId = authResult.userId;
+      console.log(`[Auth] 사용자 인증 성공: ${userId}`);
+
+      // 사용자 API 키 병렬 조회로 성능 개선
+      const [openaiKeyResult, googleKeyResult] = await Promise.all([
+        getUserApiKey(userId, 'openai'),
+        getUserApiKey(userId, 'google')
+      ]);
+
+      userApiKeys = {
+        openai: openaiKeyResult.success ? openaiKeyResult.apiKey : null,
+        google: googleKeyResult.success ? googleKeyResult.apiKey : null
+      };
+
+      console.log(`[Auth] API 키 로드 완료 - OpenAI: ${!!userApiKeys.openai}, Google: ${!!userApiKeys.google}`);
+    } else {
+      console.log(`[Auth] 토큰 검증 실패: ${authResult.error}`);
+    }
+  } else {
+    console.log('[Auth] 인증 헤더 없음 - 게스트 모드');
+  }
+
+  return { userId, userApiKeys };
+}
+
+// 🚀 메인 핸들러 - AI 문맥 번역 기능 통합
+exports.handler = async function (event, context) {
+  const commonHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 200, headers: commonHeaders, body: '' };
+  }
+  if (event.httpMethod !== "POST") {
+    return { statusCode: 405, headers: { ...commonHeaders, 'Content-Type': 'application/json' }, body: JSON.stringify({ error: "Method Not Allowed" }) };
+  }
+
+  try {
+    // 🔧 개선: 사용자 인증 처리
+    const { userId, userApiKeys } = await authenticateRequest(event);
+
+    const {
+      action,
+      inputText,
+      targetLang,
+      voice,
+      language,
+      chunkIndex,
+      useGoogleTTS,
+      voiceName,
+      getPronunciation: requestedPronunciation = true,
+      pronunciationMode: requestedPronunciationMode = 'auto',
+      // 🧠 새로운 AI 문맥 번역 파라미터들
+      useAIContext = false,
+      contextualPrompt = null,
+      qualityLevel = 3,
+      // 🤖 AI 모델 선택 파라미터
+      model: requestedModel = 'auto', // auto, gpt-4o, gpt-4o-mini, gemini-1.5-flash
+      // 🏭 전문 분야 팩 id (list-domains 액션으로 목록 조회)
+      domain = 'general', // general, manufacturing, quality-audit, ...
+      // 🧩 입력 형식 (text, html, markdown)
+      format = 'text',
+      // 🔎 TM 퍼지 매칭 임계값 (제안 최소 일치율 / 바로 적용할 일치율 / 제안 개수)
+      tmMinMatch = TM_MATCH_DEFAULTS.minScore,
+      tmApplyMatch = TM_MATCH_DEFAULTS.applyScore,
+      tmMatchLimit = TM_MATCH_DEFAULTS.limit,
+      // 📏 용어 위반 시 교정 지시와 함께 한 번 재번역
+      strictTerminology = false,
+      // 🔁 번역 후 다른 모델로 역번역해 의미 유사도 검증 (표지판 / 작업 지시서용)
+      backTranslate = false,
+      // 🎭 어조별 후보 (formal / neutral / casual)와 어조당 후보 수
+      variants: requestedVariants = null,
+      alternatives: requestedAlternatives = null,
+      // 🗣️ 말투 (formal / polite / casual)와 화자 → 청자 관계 (supervisor-to-worker, worker-to-supervisor, peer, all-staff)
+      register = null,
+      addressee = null,
+      // 🗺️ 베트남어 방언 (vi-north / vi-south)과 근무 사이트 (방언을 지정하지 않으면 사용자 설정 → 사이트 기본값)
+      dialect = null,
+      site = null
+    } = JSON.parse(event.body || '{}');
+
+    const tmOptions = {
+      minScore: Math.min(100, Math.max(1, Number(tmMinMatch) || TM_MATCH_DEFAULTS.minScore)),
+      limit: Math.min(20, Math.max(1, Number(tmMatchLimit) || TM_MATCH_DEFAULTS.limit))
+    };
+
+    // 🗂️ 분야 팩 목록 액션 (domainSelect 드롭다운용)
+    if (action === 'list-domains') {
+      return {
+        statusCode: 200,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ domains: await listDomainPacks() })
+      };
+    }
+
+    // 🌐 원문 언어 감지 액션 (autoDetectBadge 표시용)
+    if (action === 'detect-language') {
+      if (typeof inputText !== 'string' || !inputText.trim()) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: '감지할 텍스트가 필요합니다.' })
+        };
+      }
+
+      return {
+        statusCode: 200,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(detectLanguage(inputText.slice(0, MAX_DETECT_CHARS)))
+      };
+    }
+
+    // 🌐 지원 언어 목록 액션 (언어 선택 / 음성 인식 코드)
+    if (action === 'list-languages') {
+      return {
+        statusCode: 200,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ languages: listLanguages() })
+      };
+    }
+
+    const domainPack = TRANSLATION_ACTIONS.has(action) ? await resolveDomainPack(domain) : GENERAL_DOMAIN_PACK;
+    if (!domainPack) {
+      return {
+        statusCode: 400,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: `알 수 없는 분야입니다: ${domain}` })
+      };
+    }
+    if (TRANSLATION_ACTIONS.has(action) && !PRONUNCIATION_MODES.includes(requestedPronunciationMode)) {
+      return {
+        statusCode: 400,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: `pronunciationMode는 ${PRONUNCIATION_MODES.join(' / ')} 중 하나여야 합니다.` })
+      };
+    }
+    // getPronunciation: false 는 레거시 요청 (발음 표기 없음)
+    const pronunciationMode = requestedPronunciation === false ? 'none' : requestedPronunciationMode;
+    // alternatives만 주면 중립 어조 후보 n개, variants만 주면 어조별 후보 1개
+    const wantsCandidates = requestedVariants != null || requestedAlternatives != null;
+    const variants = requestedVariants == null ? ['neutral'] : requestedVariants;
+    const alternatives = requestedAlternatives == null ? 1 : Number(requestedAlternatives);
+    if (TRANSLATION_ACTIONS.has(action) && wantsCandidates && (
+      !Array.isArray(variants) || variants.length === 0 || variants.some(variant => !TRANSLATION_VARIANTS[variant])
+      || !Number.isInteger(alternatives) || alternatives < 1 || alternatives > MAX_ALTERNATIVES
+      || new Set(variants).size * alternatives > MAX_CANDIDATES
+    )) {
+      return {
+        statusCode: 400,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: `variants는 ${Object.keys(TRANSLATION_VARIANTS).join(' / ')} 중에서, alternatives는 1~${MAX_ALTERNATIVES} 사이로 지정하세요 (후보 최대 ${MAX_CANDIDATES}개).`
+        })
+      };
+    }
+    const registerChoice = TRANSLATION_ACTIONS.has(action) ? resolveRegister({ register, addressee }) : resolveRegister();
+    if (registerChoice.error) {
+      return {
+        statusCode: 400,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: registerChoice.error })
+      };
+    }
+    const dialectAction = TRANSLATION_ACTIONS.has(action) || SPEECH_ACTIONS.has(action);
+    const preferences = dialectAction && userId && !dialect ? (await getUserPreferences(userId)).data : null;
+    const dialectChoice = dialectAction ? resolveDialect({ dialect, site, preferences }) : resolveDialect();
+    if (dialectChoice.error) {
+      return {
+        statusCode: 400,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: dialectChoice.error })
+      };
+    }
+    // 방언 지침은 원문이나 대상이 베트남어일 때만 붙는다
+    const dialectRules = dialectChoice.dialect
+      ? dialectPrompt(dialectChoice.dialect, targetLang, typeof inputText === 'string' ? detectSourceLanguage(inputText) : null)
+      : '';
+    const dialectInfo = dialectRules ? describeDialect(dialectChoice) : null;
+    const registerRules = registerPrompt(registerChoice, targetLang) + dialectRules;
+    const registerInfo = describeRegister(registerChoice, targetLang);
+    // 한글 발음 표기가 의미 없는 대상 언어(한국어)는 요청하지 않는다
+    const getPronunciation = (pronunciationMode === 'auto' || pronunciationMode === 'hangul') && supportsPronunciationGuide(targetLang);
+    // 분야 팩의 선호 모델은 모델을 자동 선택할 때만 적용
+    const model = requestedModel === 'auto' && domainPack.preferredModel ? domainPack.preferredModel : requestedModel;
+
+    // 📝 번역 피드백 저장 액션
+    if (action === 'save-feedback') {
+      if (!userId) {
+        return {
+          statusCode: 401,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: '피드백 저장은 로그인이 필요합니다.' })
+        };
+      }
+
+      const { originalText, originalTranslation, correctedTranslation, feedbackTargetLang } = JSON.parse(event.body || '{}');
+
+      if (!originalText || !correctedTranslation || !feedbackTargetLang) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: '필수 파라미터가 누락되었습니다.' })
+        };
+      }
+
+      const result = await saveFeedback(userId, originalText, originalTranslation, correctedTranslation, feedbackTargetLang);
+
+      return {
+        statusCode: result.success ? 200 : 500,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(result)
+      };
+    }
+
+    // 💾 TMX 내보내기: 사용자의 교정 번역(선택적으로 공용 캐시 포함)을 언어쌍별 TMX 1.4로 반환
+    if (action === 'export-tmx') {
+      if (!userId) {
+        return {
+          statusCode: 401,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: 'TMX 내보내기는 로그인이 필요합니다.' })
+        };
+      }
+
+      const { sourceLang = null, includeCache = false } = JSON.parse(event.body || '{}');
+
+      if (!targetLang || !catLanguage(targetLang).code || (sourceLang && !catLanguage(sourceLang).code)) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: '지원하는 targetLang(및 sourceLang)이 필요합니다.' })
+        };
+      }
+
+      // 피드백 / 캐시에는 원문 언어가 저장되지 않으므로 원문에서 감지해 언어쌍을 거른다
+      // 요청 언어는 코드(ko)나 이름(Korean) 어느 쪽이든 올 수 있으므로 언어 코드로 맞춰 비교
+      const sourceCode = sourceLang ? catLanguage(sourceLang).code : null;
+      const targetCode = catLanguage(targetLang).code;
+      const toUnit = (sourceText, translation, extra) => {
+        const detectedCode = catLanguage(detectSourceLanguage(sourceText)).code;
+        if (!detectedCode || (sourceCode && detectedCode !== sourceCode) || detectedCode === targetCode) return null;
+        return {
+          sourceLang: detectedCode,
+          targetLang: targetCode,
+          source: sourceText,
+          target: translation,
+          ...extra
+        };
+      };
+
+      // 피드백 / 캐시는 언어 이름으로 저장되어 있다
+      const targetName = catLanguageName(targetCode);
+      const feedback = await listFeedbackEntries(userId, targetName, MAX_TM_UNITS);
+      if (!feedback.success) {
+        return {
+          statusCode: 500,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `피드백 조회 실패: ${feedback.error}` })
+        };
+      }
+
+      const units = feedback.data
+        .map(row => toUnit(row.original_text, row.corrected_translation, {
+          tuid: `feedback-${row.hash_key.slice(0, 16)}`,
+          changedate: row.updated_at,
+          origin: 'feedback'
+        }))
+        .filter(Boolean);
+      const feedbackUnits = units.length;
+
+      if (includeCache && units.length < MAX_TM_UNITS) {
+        const cache = await listPublicCacheEntries(targetName, MAX_TM_UNITS - units.length);
+        if (cache.success) {
+          // 교정 번역이 있는 원문은 캐시 번역을 내보내지 않음 (피드백 hash_key와 캐시 hash_key는 같은 방식)
+          const corrected = new Set(feedback.data.map(row => row.hash_key));
+          units.push(...cache.data
+            .filter(row => !corrected.has(row.hash_key))
+            .map(row => toUnit(row.source_text, row.translation, {
+              tuid: `cache-${row.hash_key.slice(0, 16)}`,
+              changedate: row.updated_at,
+              origin: 'cache'
+            }))
+            .filter(Boolean));
+        } else {
+          console.warn('[TMX] 공용 캐시 조회 실패, 피드백만 내보냅니다:', cache.error);
+        }
+      }
+
+      console.log(`[TMX] 내보내기: 피드백 ${feedbackUnits}개, 캐시 ${units.length - feedbackUnits}개`);
+
+      return {
+        statusCode: 200,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          content: buildTmx(units, { srcLang: sourceCode || '*all*' }),
+          unitCount: units.length,
+          feedbackUnits,
+          cacheUnits: units.length - feedbackUnits
+        })
+      };
+    }
+
+    // 💾 TMX 가져오기: 다른 도구의 TM을 사용자 피드백(translation_feedback)으로 저장
+    if (action === 'import-tmx') {
+      if (!userId) {
+        return {
+          statusCode: 401,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: 'TMX 가져오기는 로그인이 필요합니다.' })
+        };
+      }
+
+      const { tmxContent, sourceLang = null, overwrite = false } = JSON.parse(event.body || '{}');
+
+      if (!tmxContent || tmxContent.length > MAX_TMX_CHARS) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: tmxContent ? 'TMX 파일 크기 초과' : 'tmxContent가 필요합니다.' })
+        };
+      }
+
+      let tmx;
+      try {
+        tmx = parseTmx(tmxContent);
+      } catch (error) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `TMX 파일을 해석할 수 없습니다: ${error.message}` })
+        };
+      }
+
+      const samePrimary = (a, b) => !!a && !!b && a.toLowerCase().split(/[-_]/)[0] === b.toLowerCase().split(/[-_]/)[0];
+      const entries = [];
+      let skippedUnits = 0;
+
+      for (const unit of tmx.units) {
+        // 원문 언어: 요청의 sourceLang → <tu srclang> → <header srclang> → 첫 번째 변형
+        const srcCode = sourceLang ? catLanguage(sourceLang).code : [unit.srcLang, tmx.srcLang].find(lang => lang && lang !== '*all*');
+        const source = srcCode ? unit.variants.find(v => samePrimary(v.lang, srcCode)) : unit.variants[0];
+        const targets = source
+          ? unit.variants.filter(v => v !== source && !samePrimary(v.lang, source.lang) && catLanguageName(v.lang)
+            && (!targetLang || samePrimary(v.lang, catLanguage(targetLang).code)))
+          : [];
+
+        if (targets.length === 0) {
+          skippedUnits++;
+          continue;
+        }
+        for (const target of targets) {
+          entries.push({ originalText: source.text, correctedTranslation: target.text, targetLang: catLanguageName(target.lang) });
+        }
+      }
+
+      if (entries.length > MAX_TM_UNITS) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `TMX 항목 수 초과 (최대 ${MAX_TM_UNITS}개)` })
+        };
+      }
+
+      const result = entries.length > 0
+        ? await importFeedbackEntries(userId, entries, { overwrite })
+        : { success: true, imported: 0, updated: 0, duplicates: 0 };
+
+      console.log(`[TMX] 가져오기: 단위 ${tmx.units.length}개, 항목 ${entries.length}개, 건너뜀 ${skippedUnits}개`);
+
+      return {
+        statusCode: result.success ? 200 : 500,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...result, unitCount: tmx.units.length, skippedUnits })
+      };
+    }
+
+    // 🔎 TM 조회 액션: 입력 문장과 비슷한 교정 번역을 일치율 순으로 반환 (UI 제안용)
+    if (action === 'tm-lookup') {
+      if (!userId) {
+        return {
+          statusCode: 401,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: 'TM 조회는 로그인이 필요합니다.' })
+        };
+      }
+      if (!inputText || !targetLang) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: "inputText와 targetLang이 필요합니다." })
+        };
+      }
+
+      const lookup = await getRelevantFeedback(inputText, targetLang, userId, tmOptions);
+      return {
+        statusCode: lookup.success || lookup.matches ? 200 : 500,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(lookup.success || lookup.matches
+          ? { matches: lookup.matches, minScore: tmOptions.minScore }
+          : { error: `TM 조회 실패: ${lookup.error}` })
+      };
+    }
+
+    // 🔎 TM 색인 갱신 액션: 색인이 없는 예전 피드백에 match_index 채우기
+    if (action === 'tm-reindex') {
+      if (!userId) {
+        return {
+          statusCode: 401,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: 'TM 색인 갱신은 로그인이 필요합니다.' })
+        };
+      }
+
+      const result = await reindexFeedbackMatches(userId);
+      return {
+        statusCode: result.success ? 200 : 500,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(result)
+      };
+    }
+
+    // 📖 사용자 용어집 조회 / 저장 / 삭제 액션
+    if (action === 'glossary-list' || action === 'glossary-save' || action === 'glossary-delete') {
+      if (!userId) {
+        return {
+          statusCode: 401,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: '용어집은 로그인이 필요합니다.' })
+        };
+      }
+
+      const body = JSON.parse(event.body || '{}');
+      let result;
+
+      // 조회 / 삭제 조건의 언어도 저장 형식(언어 이름)으로 맞춤
+      const filterLangs = {};
+      for (const field of ['sourceLang', 'targetLang']) {
+        if (!body[field]) continue;
+        filterLangs[field] = normalizeGlossaryLanguage(body[field]);
+        if (!filterLangs[field]) {
+          return {
+            statusCode: 400,
+            headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: `지원하지 않는 언어입니다: ${body[field]}` })
+          };
+        }
+      }
+
+      if (action === 'glossary-list') {
+        result = await listGlossaryEntries(userId, { sourceLang: filterLangs.sourceLang || null, targetLang: filterLangs.targetLang || null });
+        if (result.success) result = { success: true, entries: result.data };
+      } else if (action === 'glossary-save') {
+        const inputs = Array.isArray(body.entries) ? body.entries : (body.entry ? [body.entry] : []);
+        if (inputs.length === 0 || inputs.length > MAX_GLOSSARY_SAVE) {
+          return {
+            statusCode: 400,
+            headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: `entry 또는 entries(최대 ${MAX_GLOSSARY_SAVE}개)가 필요합니다.` })
+          };
+        }
+
+        const entries = [];
+        for (const [index, input] of inputs.entries()) {
+          const normalized = normalizeGlossaryEntry(input);
+          if (normalized.error) {
+            return {
+              statusCode: 400,
+              headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+              body: JSON.stringify({ error: `항목 ${index + 1}: ${normalized.error}` })
+            };
+          }
+          entries.push(normalized.entry);
+        }
+
+        result = await saveGlossaryEntries(userId, entries);
+        if (result.success) result = { success: true, entries: result.data };
+      } else {
+        const { glossaryId = null, sourceTerm = null } = body;
+        const { sourceLang = null, targetLang: entryTargetLang = null } = filterLangs;
+        if (!glossaryId && !(sourceLang && entryTargetLang && sourceTerm)) {
+          return {
+            statusCode: 400,
+            headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'glossaryId 또는 sourceLang / targetLang / sourceTerm이 필요합니다.' })
+          };
+        }
+        result = await deleteGlossaryEntry(userId, { id: glossaryId, sourceLang, targetLang: entryTargetLang, sourceTerm });
+      }
+
+      return {
+        statusCode: result.success ? 200 : 500,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(result)
+      };
+    }
+
+    // ⚙️ 사용자 번역 설정 (근무 사이트 / 베트남어 방언) 조회 · 저장
+    if (action === 'get-preferences' || action === 'save-preferences') {
+      if (!userId) {
+        return {
+          statusCode: 401,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: '번역 설정 저장은 로그인이 필요합니다.' })
+        };
+      }
+
+      let result;
+      if (action === 'get-preferences') {
+        result = await getUserPreferences(userId);
+      } else {
+        const { preferences: input = {} } = JSON.parse(event.body || '{}');
+        const dialectId = normalizeDialect(input.dialect);
+        const siteId = input.site ? String(input.site).toLowerCase() : null;
+        if (dialectId === undefined || (siteId && !SITE_DIALECTS[siteId])) {
+          return {
+            statusCode: 400,
+            headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: `dialect는 ${Object.keys(DIALECTS).join(' / ')}, site는 ${Object.keys(SITE_DIALECTS).join(' / ')} 중 하나여야 합니다.` })
+          };
+        }
+        result = await saveUserPreferences(userId, { site: siteId, dialect: dialectId });
+      }
+
+      if (result.success) {
+        // 실제로 적용될 방언 (설정 → 사이트 기본값)
+        const effective = resolveDialect({ preferences: result.data });
+        result = { success: true, preferences: result.data, effectiveDialect: describeDialect(effective), ...listDialects() };
+      }
+      return {
+        statusCode: result.success ? 200 : 500,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(result)
+      };
+    }
+
+    // 💬 대화 세션 액션 (대화 모드 통역: 세션 생성 / 발화 번역 / 기록 조회 / 목록)
+    if (action === 'conversation-create') {
+      const session = normalizeSession(JSON.parse(event.body || '{}'));
+      if (session.error) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: session.error })
+        };
+      }
+
+      const result = await createConversationSession(userId, { ...session, domain: domainPack.id });
+      if (result.success) console.log(`[Conversation] 세션 생성: ${result.data.speakers.map(s => s.language).join(' ↔ ')}, 문맥 ${result.data.contextTurns}턴`);
+      return {
+        statusCode: result.success ? 200 : 500,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(result.success ? { success: true, session: result.data } : result)
+      };
+    }
+
+    if (action === 'conversation-list') {
+      if (!userId) {
+        return {
+          statusCode: 401,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: '대화 목록은 로그인이 필요합니다.' })
+        };
+      }
+
+      const result = await listConversationSessions(userId);
+      return {
+        statusCode: result.success ? 200 : 500,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(result.success ? { success: true, sessions: result.data } : result)
+      };
+    }
+
+    if (action === 'conversation-get') {
+      const { sessionId = null } = JSON.parse(event.body || '{}');
+      const { session, statusCode, error } = await loadConversation(sessionId, userId);
+      if (!session) {
+        return {
+          statusCode,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error })
+        };
+      }
+
+      const turns = await listConversationTurns(session.id);
+      return {
+        statusCode: turns.success ? 200 : 500,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(turns.success ? { success: true, session, turns: turns.data } : turns)
+      };
+    }
+
+    if (action === 'conversation-turn') {
+      const { sessionId = null, speaker: speakerId = null } = JSON.parse(event.body || '{}');
+      const { session, statusCode, error } = await loadConversation(sessionId, userId);
+      if (!session) {
+        return {
+          statusCode,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error })
+        };
+      }
+      const pair = resolveSpeakers(session, speakerId);
+      if (!pair) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `speaker는 ${session.speakers.map(s => s.id).join(' / ')} 중 하나여야 합니다.` })
+        };
+      }
+      if (typeof inputText !== 'string' || !inputText.trim() || inputText.length > MAX_INPUT_CHARS) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `inputText가 필요합니다 (최대 ${MAX_INPUT_CHARS}자).` })
+        };
+      }
+
+      try {
+        const { speaker, listener } = pair;
+        // 다음 순번을 알아야 하므로 문맥을 쓰지 않는 세션도 마지막 발화 하나는 읽는다
+        const history = await listConversationTurns(session.id, { latest: Math.max(session.contextTurns, 1) });
+        if (!history.success) throw new Error(history.error);
+        const recentTurns = session.contextTurns > 0 ? history.data.slice(-session.contextTurns) : [];
+        const nextIndex = history.data.length > 0 ? history.data[history.data.length - 1].index + 1 : 0;
+
+        const sessionPack = (await resolveDomainPack(session.domain)) || GENERAL_DOMAIN_PACK;
+        const packPrompt = domainPackPrompt(sessionPack);
+        // 요청의 domain이 아니라 세션에 저장된 분야 팩의 선호 모델을 따른다
+        const turnModel = requestedModel === 'auto' && sessionPack.preferredModel ? sessionPack.preferredModel : requestedModel;
+        const selection = selectModel(turnModel, { inputLength: inputText.length, apiKeys: userApiKeys });
+        const turnPronunciation = (pronunciationMode === 'auto' || pronunciationMode === 'hangul') && supportsPronunciationGuide(listener.language);
+        const turnDialectRules = dialectChoice.dialect ? dialectPrompt(dialectChoice.dialect, listener.language, speaker.language) : '';
+        const userGlossary = await loadUserGlossary(userId, inputText, listener.language);
+
+        const prompt = conversationPrompt(session, recentTurns, pair, inputText);
+        const result = await translateWithAIContext(inputText, listener.language, packPrompt ? `${packPrompt}\n\n${prompt}` : prompt, qualityLevel, turnPronunciation, {
+          apiKeys: userApiKeys,
+          model: turnModel === 'auto' ? 'auto' : selection.model,
+          glossaryRules: userGlossary.rules,
+          registerRules: registerPrompt(registerChoice, listener.language) + turnDialectRules,
+          dialect: dialectChoice.dialect,
+          dictionary: sessionPack.glossary
+        });
+        const usedModel = result.usedModel || selection.model;
+        const modelProvider = result.modelProvider || selection.provider.id;
+
+        // 🔧 사용량 추적 (로그인 사용자에게 귀속)
+        if (userId) {
+          const cost = estimateCost(usedModel, inputText.length);
+          await trackUsage(userId, 'translation', inputText.length, cost, modelProvider);
+        }
+
+        const saved = await saveConversationTurn(session.id, {
+          index: nextIndex,
+          speaker: speaker.id,
+          sourceLang: speaker.language,
+          targetLang: listener.language,
+          original: inputText,
+          translation: result.translation,
+          pronunciationHangul: result.pronunciation_hangul,
+          usedModel,
+          modelProvider
+        });
+        if (!saved.success) {
+          return {
+            statusCode: saved.conflict ? 409 : 500,
+            headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              error: saved.conflict ? '다른 발화가 동시에 기록되었습니다. 다시 시도하세요.' : `대화 기록 저장 실패: ${saved.error}`,
+              translation: result.translation
+            })
+          };
+        }
+
+        console.log(`[Conversation] ${session.id} #${nextIndex} ${speaker.id} → ${listener.id}, 문맥 ${recentTurns.length}턴`);
+        return {
+          statusCode: 200,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            success: true,
+            sessionId: session.id,
+            turn: saved.data,
+            translation: result.translation,
+            pronunciation_hangul: result.pronunciation_hangul,
+            pronunciation: buildPronunciation(result.translation, listener.language, { mode: pronunciationMode, hangul: result.pronunciation_hangul }),
+            chunks: splitIntoSentences(result.translation, 200, listener.language),
+            contextTurnsUsed: recentTurns.length,
+            usedModel,
+            modelProvider,
+            glossaryApplied: userGlossary.terms,
+            register: describeRegister(registerChoice, listener.language),
+            dialect: turnDialectRules ? describeDialect(dialectChoice) : null
+          })
+        };
+      } catch (error) {
+        console.error('[Conversation] 발화 번역 오류:', error);
+        return {
+          statusCode: 500,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `대화 번역 실패: ${error.message}` })
+        };
+      }
+    }
+
+    // 📄 대화 기록 내보내기: html은 인쇄(PDF) / Word(DOCX)용 단독 문서, 저장된 회의록이 있으면 함께 싣는다
+    if (action === 'conversation-export') {
+      const { sessionId = null, format = 'html', timeZone = 'UTC' } = JSON.parse(event.body || '{}');
+      if (!TRANSCRIPT_FORMATS[format] || !isValidTimeZone(timeZone)) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `format은 ${Object.keys(TRANSCRIPT_FORMATS).join(' / ')} 중 하나, timeZone은 IANA 시간대(예: Asia/Ho_Chi_Minh)여야 합니다.` })
+        };
+      }
+      const { session, statusCode, error } = await loadConversation(sessionId, userId);
+      if (!session) {
+        return {
+          statusCode,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error })
+        };
+      }
+
+      const turns = await listConversationTurns(session.id);
+      if (!turns.success) {
+        return {
+          statusCode: 500,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify(turns)
+        };
+      }
+
+      const file = renderTranscript(session, turns.data, format, { timeZone });
+      console.log(`[Conversation] ${session.id} 기록 내보내기: ${format}, 발화 ${turns.data.length}개`);
+      return {
+        statusCode: 200,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          success: true,
+          format,
+          filename: file.filename,
+          contentType: file.contentType,
+          content: file.content,
+          turnCount: turns.data.length,
+          hasMinutes: Boolean(session.minutes)
+        })
+      };
+    }
+
+    // 📝 회의록 생성: 대화 기록을 두 화자 언어로 요약 (결정 사항 / 조치 항목), 세션에 저장해 내보내기에 사용
+    if (action === 'conversation-minutes') {
+      const { sessionId = null } = JSON.parse(event.body || '{}');
+      const { session, statusCode, error } = await loadConversation(sessionId, userId);
+      if (!session) {
+        return {
+          statusCode,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error })
+        };
+      }
+
+      try {
+        const turns = await listConversationTurns(session.id);
+        if (!turns.success) throw new Error(turns.error);
+        if (turns.data.length === 0) {
+          return {
+            statusCode: 400,
+            headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: '회의록을 만들 발화가 없습니다.' })
+          };
+        }
+
+        // 발화 번역과 같이 세션 분야 팩의 선호 모델을 따른다
+        const sessionPack = (await resolveDomainPack(session.domain)) || GENERAL_DOMAIN_PACK;
+        const minutesModel = requestedModel === 'auto' && sessionPack.preferredModel ? sessionPack.preferredModel : requestedModel;
+        const minutes = await generateMinutes(session, turns.data, { model: minutesModel, apiKeys: userApiKeys });
+
+        // 🔧 사용량 추적 (요약한 원문 글자 수 기준, 로그인 사용자에게 귀속)
+        if (userId) {
+          const chars = turns.data.reduce((sum, turn) => sum + turn.original.length, 0);
+          await trackUsage(userId, 'translation', chars, estimateCost(minutes.usedModel, chars), minutes.modelProvider);
+        }
+
+        const saved = await saveConversationMinutes(session.id, minutes);
+        if (!saved.success) console.error('[Minutes] 회의록 저장 실패 (응답은 그대로 반환):', saved.error);
+
+        return {
+          statusCode: 200,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            success: true,
+            sessionId: session.id,
+            minutes,
+            saved: saved.success,
+            usedModel: minutes.usedModel,
+            modelProvider: minutes.modelProvider
+          })
+        };
+      } catch (error) {
+        console.error('[Minutes] 회의록 생성 오류:', error);
+        return {
+          statusCode: 500,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `회의록 생성 실패: ${error.message}` })
+        };
+      }
+    }
+
+    // 🔁 역번역 검증 액션 (이미 받은 번역문 확인, model: 정방향 번역에 쓴 모델)
+    if (action === 'verify') {
+      const { translation, sourceLang = null } = JSON.parse(event.body || '{}');
+
+      if (!inputText || typeof translation !== 'string' || !translation.trim() || !targetLang) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: "inputText, translation, targetLang이 필요합니다." })
+        };
+      }
+      if (inputText.length > MAX_INPUT_CHARS || translation.length > MAX_INPUT_CHARS) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `입력 길이 초과 (최대 ${MAX_INPUT_CHARS}자)` })
+        };
+      }
+
+      try {
+        const verification = await verifyTranslation(inputText, translation, {
+          sourceLang: sourceLang || detectSourceLanguage(inputText),
+          targetLang,
+          model,
+          apiKeys: userApiKeys
+        });
+
+        if (userId) {
+          const cost = estimateCost(verification.usedModel, translation.length);
+          await trackUsage(userId, 'translation', translation.length, cost, verification.modelProvider);
+        }
+
+        return {
+          statusCode: 200,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ verification })
+        };
+      } catch (error) {
+        console.error('[Verify] 역번역 검증 오류:', error);
+        return {
+          statusCode: 500,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `역번역 검증 실패: ${error.message}` })
+        };
+      }
+    }
+
+    // 📦 묶음 번역 액션 (체크리스트/SOP 화면의 짧은 문장 여러 개)
+    if (action === 'translate-batch') {
+      const { segments } = JSON.parse(event.body || '{}');
+
+      if (!Array.isArray(segments) || segments.length === 0 || !targetLang) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: "segments 배열과 targetLang이 필요합니다." })
+        };
+      }
+      if (segments.length > MAX_BATCH_SEGMENTS) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `세그먼트 개수 초과 (최대 ${MAX_BATCH_SEGMENTS}개)` })
+        };
+      }
+
+      try {
+        const batch = await translateBatch(segments, targetLang, {
+          getPronunciation,
+          pronunciationMode,
+          apiKeys: userApiKeys,
+          model,
+          domainPack,
+          glossaryEntries: await listUserGlossary(userId, targetLang),
+          registerRules,
+          dialect: dialectChoice.dialect,
+          strictTerminology
+        });
+
+        console.log(`[Batch] ${batch.stats.total}개 세그먼트, 캐시 ${batch.stats.cacheHits}개, 번역 ${batch.stats.translated}개`);
+
+        // 🔧 사용량 추적 (실제 번역한 분량만)
+        if (userId && batch.translatedChars > 0) {
+          const cost = estimateCost(batch.usedModel, batch.translatedChars);
+          await trackUsage(userId, 'translation', batch.translatedChars, cost, batch.modelProvider);
+        }
+
+        const { translatedChars, ...response } = batch;
+        return {
+          statusCode: 200,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...response, register: registerInfo, dialect: dialectInfo, usedUserKey: !!userApiKeys?.openai })
+        };
+      } catch (error) {
+        console.error('[Batch] 묶음 번역 오류:', error);
+        return {
+          statusCode: 500,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `묶음 번역 실패: ${error.message}` })
+        };
+      }
+    }
+
+    // 🎬 자막 파일 번역 액션 (SRT / WebVTT)
+    if (action === 'translate-subtitles') {
+      const { subtitleContent, subtitleFormat = null, bilingual = false } = JSON.parse(event.body || '{}');
+
+      if (!subtitleContent || !targetLang) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: "subtitleContent와 targetLang이 필요합니다." })
+        };
+      }
+      if (subtitleFormat && !['srt', 'vtt'].includes(subtitleFormat)) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: "subtitleFormat은 'srt' 또는 'vtt'여야 합니다." })
+        };
+      }
+      if (subtitleContent.length > MAX_DOCUMENT_CHARS) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `자막 파일 크기 초과 (최대 ${MAX_DOCUMENT_CHARS}자)` })
+        };
+      }
+
+      try {
+        const userGlossary = await loadUserGlossary(userId, subtitleContent, targetLang);
+        const subtitles = await translateSubtitles(subtitleContent, targetLang, {
+          format: subtitleFormat,
+          bilingual,
+          qualityLevel,
+          apiKeys: userApiKeys,
+          model,
+          domainPack,
+          glossaryRules: userGlossary.rules + registerRules
+        });
 
-      // 사용자 키일 때 더 구체적인 오류 메시지
-      if (isUserKey && resp.status === 401) {
-        throw new Error('사용자 API 키가 유효하지 않습니다. 설정을 확인해주세요.');
-      } else if (resp.status === 429) {
-        throw new Error('API 요청 한도 초과. 잠시 후 다시 시도해주세요.');
-      } else {
-        throw new Error(`TTS 오류 ${resp.status}: ${txt}`);
-      }
-    }
+        console.log(`[Subtitles] ${subtitles.format} 큐 ${subtitles.translatedCues}/${subtitles.cueCount}개 번역`);
 
-    return await resp.arrayBuffer();
-  }, 3, 400);
+        if (userId && subtitles.modelProvider) {
+          const cost = estimateCost(subtitles.usedModel, subtitles.translatedChars);
+          await trackUsage(userId, 'translation', subtitles.translatedChars, cost, subtitles.modelProvider);
+        }
 
-  const buffer = Buffer.from(arrBuff);
-  console.log(`[OpenAI TTS] 성공: ${buffer.length}바이트 생성`);
+        const { translatedChars, ...response } = subtitles;
+        return {
+          statusCode: 200,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...response, bilingual, qualityLevel, register: registerInfo, dialect: dialectInfo })
+        };
+      } catch (error) {
+        console.error('[Subtitles] 자막 번역 오류:', error);
+        return {
+          statusCode: 500,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `자막 번역 실패: ${error.message}` })
+        };
+      }
+    }
 
-  return buffer;
-}
+    // 🌐 i18n 리소스 파일 번역 액션 (JSON / YAML)
+    if (action === 'translate-resource') {
+      const { resourceContent, resourceFormat = null, glossary = null } = JSON.parse(event.body || '{}');
 
-// 🚀 메인 핸들러 - AI 문맥 번역 기능 통합
-exports.handler = async function (event, context) {
-  const commonHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS'
-  };
+      if (!resourceContent || !targetLang) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: "resourceContent와 targetLang이 필요합니다." })
+        };
+      }
+      if (resourceFormat && !['json', 'yaml'].includes(resourceFormat)) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: "resourceFormat은 'json' 또는 'yaml'이어야 합니다." })
+        };
+      }
+      if (resourceContent.length > MAX_DOCUMENT_CHARS) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `리소스 파일 크기 초과 (최대 ${MAX_DOCUMENT_CHARS}자)` })
+        };
+      }
 
-  if (event.httpMethod === "OPTIONS") {
-    return { statusCode: 200, headers: commonHeaders, body: '' };
-  }
-  if (event.httpMethod !== "POST") {
-    return { statusCode: 405, headers: { ...commonHeaders, 'Content-Type': 'application/json' }, body: JSON.stringify({ error: "Method Not Allowed" }) };
-  }
+      let resource;
+      try {
+        resource = await translateResourceFile(resourceContent, targetLang, {
+          format: resourceFormat,
+          glossary,
+          glossaryEntries: await listUserGlossary(userId, targetLang),
+          domainPack,
+          apiKeys: userApiKeys,
+          model
+        });
+      } catch (error) {
+        const isParseError = error instanceof SyntaxError || error.name === 'YAMLException';
+        console.error('[Resource] 리소스 파일 번역 오류:', error.message);
+        return {
+          statusCode: isParseError ? 400 : 500,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            error: isParseError ? `리소스 파일을 해석할 수 없습니다: ${error.message}` : `리소스 번역 실패: ${error.message}`
+          })
+        };
+      }
 
-  try {
-    // 🔧 개선: 사용자 인증 처리
-    const authHeader = event.headers.authorization || event.headers.Authorization;
-    let userId = null;
-    let userApiKeys = { openai: null, google: null };
+      console.log(`[Resource] ${resource.format} 키 ${resource.translatedKeys}/${resource.keyCount}개 번역, 문제 ${resource.placeholderReport.length}건`);
 
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7);
-      const authResult = await verifyToken(token);
+      if (userId && resource.translatedChars > 0) {
+        const cost = estimateCost(resource.usedModel, resource.translatedChars);
+        await trackUsage(userId, 'translation', resource.translatedChars, cost, resource.modelProvider);
+      }
 
-      if (authResult.success) {
-        userId = authResult.userId;
-        console.log(`[Auth] 사용자 인증 성공: ${userId}`);
+      const { translatedChars, ...response } = resource;
+      return {
+        statusCode: 200,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(response)
+      };
+    }
 
-        // 사용자 API 키 병렬 조회로 성능 개선
-        const [openaiKeyResult, googleKeyResult] = await Promise.all([
-          getUserApiKey(userId, 'openai'),
-          getUserApiKey(userId, 'google')
-        ]);
+    // 🗂️ CAT 파일 번역 액션 (Gettext PO / XLIFF 1.2 / 2.0)
+    if (action === 'translate-cat-file') {
+      const { fileContent, fileFormat = null, targetLangCode = null, glossary = null } = JSON.parse(event.body || '{}');
 
-        userApiKeys = {
-          openai: openaiKeyResult.success ? openaiKeyResult.apiKey : null,
-          google: googleKeyResult.success ? googleKeyResult.apiKey : null
+      if (!fileContent || !targetLang) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: "fileContent와 targetLang이 필요합니다." })
+        };
+      }
+      if (fileFormat && !['po', 'xliff'].includes(fileFormat)) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: "fileFormat은 'po' 또는 'xliff'이어야 합니다." })
+        };
+      }
+      if (fileContent.length > MAX_DOCUMENT_CHARS) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `파일 크기 초과 (최대 ${MAX_DOCUMENT_CHARS}자)` })
         };
+      }
 
-        console.log(`[Auth] API 키 로드 완료 - OpenAI: ${!!userApiKeys.openai}, Google: ${!!userApiKeys.google}`);
-      } else {
-        console.log(`[Auth] 토큰 검증 실패: ${authResult.error}`);
+      let catFile;
+      try {
+        catFile = await translateCatFile(fileContent, targetLang, {
+          format: fileFormat,
+          targetLangCode,
+          glossary,
+          glossaryEntries: await listUserGlossary(userId, targetLang),
+          domainPack,
+          apiKeys: userApiKeys,
+          model
+        });
+      } catch (error) {
+        const isParseError = error instanceof SyntaxError;
+        console.error('[CAT] 파일 번역 오류:', error.message);
+        return {
+          statusCode: isParseError ? 400 : 500,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            error: isParseError ? `파일을 해석할 수 없습니다: ${error.message}` : `파일 번역 실패: ${error.message}`
+          })
+        };
       }
-    } else {
-      console.log('[Auth] 인증 헤더 없음 - 게스트 모드');
-    }
 
-    const {
-      action,
-      inputText,
-      targetLang,
-      voice,
-      language,
-      chunkIndex,
-      useGoogleTTS,
-      voiceName,
-      getPronunciation = true,
-      // 🧠 새로운 AI 문맥 번역 파라미터들
-      useAIContext = false,
-      contextualPrompt = null,
-      qualityLevel = 3,
-      // 🤖 AI 모델 선택 파라미터
-      model = 'auto', // auto, gpt-4o, gpt-4o-mini, gemini-1.5-flash
-      // 🏭 전문 분야 모드
-      domain = 'general' // general, manufacturing
-    } = JSON.parse(event.body || '{}');
+      console.log(`[CAT] ${catFile.format}${catFile.version ? ' ' + catFile.version : ''} 단위 ${catFile.translatedUnits}개 번역 (전체 ${catFile.unitCount}개), 문제 ${catFile.issues.length}건`);
 
-    // Legacy mapping (구버전 파라미터 호환)
-    let requestedModel = model;
-    if (requestedModel === 'gpt-4.1') requestedModel = 'gpt-4o';
-    if (requestedModel === 'gpt-4.1-mini') requestedModel = 'gpt-4o-mini';
-    if (requestedModel === 'gemini-2.0-flash') requestedModel = 'gemini-1.5-flash';
+      if (userId && catFile.translatedChars > 0) {
+        const cost = estimateCost(catFile.usedModel, catFile.translatedChars);
+        await trackUsage(userId, 'translation', catFile.translatedChars, cost, catFile.modelProvider);
+      }
 
-    if (!OPENAI_API_KEY) {
-      throw new Error("서버 설정 오류: OPENAI_API_KEY가 없습니다.");
+      const { translatedChars, ...response } = catFile;
+      return {
+        statusCode: 200,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(response)
+      };
     }
 
-    // 📝 번역 피드백 저장 액션
-    if (action === 'save-feedback') {
-      if (!userId) {
+    // 📊 스프레드시트 열 번역 액션 (CSV: sheetContent 문자열, XLSX: sheetBase64)
+    if (action === 'translate-spreadsheet') {
+      const body = JSON.parse(event.body || '{}');
+      const { sheetContent = null, sheetBase64 = null, sheetName = null, columns, headerRow = 1, glossary = null } = body;
+      const sheetFormat = body.sheetFormat || (sheetBase64 ? 'xlsx' : 'csv');
+      // 스프레드시트는 생산 보고서 / BOM / 불량 목록이 대부분이므로 기본 분야는 제조
+      const sheetDomainPack = body.domain ? domainPack : (await resolveDomainPack('manufacturing') || domainPack);
+
+      if ((!sheetContent && !sheetBase64) || !targetLang || !Array.isArray(columns) || columns.length === 0) {
         return {
-          statusCode: 401,
+          statusCode: 400,
           headers: { ...commonHeaders, 'Content-Type': 'application/json' },
-          body: JSON.stringify({ error: '피드백 저장은 로그인이 필요합니다.' })
+          body: JSON.stringify({ error: "sheetContent(또는 sheetBase64), columns, targetLang이 필요합니다." })
         };
       }
-
-      const { originalText, originalTranslation, correctedTranslation, feedbackTargetLang } = JSON.parse(event.body || '{}');
-
-      if (!originalText || !correctedTranslation || !feedbackTargetLang) {
+      if (!['csv', 'xlsx'].includes(sheetFormat)) {
         return {
           statusCode: 400,
           headers: { ...commonHeaders, 'Content-Type': 'application/json' },
-          body: JSON.stringify({ error: '필수 파라미터가 누락되었습니다.' })
+          body: JSON.stringify({ error: "sheetFormat은 'csv' 또는 'xlsx'이어야 합니다." })
+        };
+      }
+      if ((sheetContent && sheetContent.length > MAX_DOCUMENT_CHARS) || (sheetBase64 && sheetBase64.length * 0.75 > MAX_SHEET_BYTES)) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: '시트 파일 크기 초과' })
         };
       }
 
-      const result = await saveFeedback(userId, originalText, originalTranslation, correctedTranslation, feedbackTargetLang);
+      let sheet;
+      try {
+        sheet = await translateSpreadsheet(
+          sheetFormat === 'csv'
+            ? { format: 'csv', content: sheetContent ?? Buffer.from(sheetBase64, 'base64').toString('utf8') }
+            : { format: 'xlsx', buffer: Buffer.from(sheetBase64 || '', 'base64'), sheetName },
+          targetLang,
+          {
+            columns,
+            headerRow,
+            glossary,
+            glossaryEntries: await listUserGlossary(userId, targetLang),
+            domainPack: sheetDomainPack,
+            apiKeys: userApiKeys,
+            model
+          }
+        );
+      } catch (error) {
+        const isParseError = error instanceof SyntaxError;
+        console.error('[Sheet] 스프레드시트 번역 오류:', error.message);
+        return {
+          statusCode: isParseError ? 400 : 500,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            error: isParseError ? `시트를 처리할 수 없습니다: ${error.message}` : `시트 번역 실패: ${error.message}`
+          })
+        };
+      }
+
+      console.log(`[Sheet] ${sheet.format} 셀 ${sheet.translatedCells}개 번역 (고유 ${sheet.uniqueTexts}개, 캐시 ${sheet.cacheHits}개), 건너뜀 ${sheet.skippedCells}개`);
 
+      if (userId && sheet.translatedChars > 0) {
+        const cost = estimateCost(sheet.usedModel, sheet.translatedChars);
+        await trackUsage(userId, 'translation', sheet.translatedChars, cost, sheet.modelProvider);
+      }
+
+      const { output, translatedChars, ...response } = sheet;
       return {
-        statusCode: result.success ? 200 : 500,
+        statusCode: 200,
         headers: { ...commonHeaders, 'Content-Type': 'application/json' },
-        body: JSON.stringify(result)
+        body: JSON.stringify({
+          ...response,
+          ...(sheet.format === 'csv' ? { content: output } : { contentBase64: output.toString('base64') })
+        })
       };
     }
 
-    // 🚀 스트리밍 번역 액션 (SSE - Server-Sent Events)
+    // 🚀 스트리밍 번역 액션 (호환용)
+    // 실시간 SSE 스트리밍은 별도 스트리밍 함수(/.netlify/functions/translate-stream)에서 제공되며,
+    // 이 액션은 같은 스트림을 끝까지 받아 한 번에 JSON으로 반환한다.
+    // 기존 클라이언트 호환을 위해 유지하며, 새 클라이언트는 스트리밍 함수를 사용한다.
     if (action === 'translate-stream') {
       if (!inputText || !targetLang) {
         return {
@@ -789,115 +2932,41 @@ exports.handler = async function (event, context) {
         };
       }
 
-      const apiKeyToUse = userApiKeys?.openai || OPENAI_API_KEY;
-      if (!apiKeyToUse) {
-        return {
-          statusCode: 500,
-          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
-          body: JSON.stringify({ error: "API 키가 설정되지 않았습니다." })
-        };
-      }
-
-      console.log('[Streaming] 스트리밍 번역 시작');
-      const sourceLanguage = detectSourceLanguage(inputText);
-
-      // 동적 max_tokens 계산
-      const dynamicMaxTokens = calculateMaxTokens(inputText.length);
+      console.log('[Streaming] 스트리밍 번역 시작 (버퍼 모드)');
 
       try {
-        const streamResponse = await fetchFn("https://api.openai.com/v1/chat/completions", {
-          method: "POST",
-          headers: {
-            "Authorization": `Bearer ${apiKeyToUse}`,
-            "Content-Type": "application/json"
-          },
-          body: JSON.stringify({
-            model: "gpt-4o-mini",
-            messages: [
-              {
-                role: "system",
-                content: `You are a professional translator. Translate from ${sourceLanguage} to ${targetLang}. Return ONLY valid JSON with two keys: "translation" (string), "pronunciation_hangul" (Korean phonetic transcription). No extra text.`
-              },
-              {
-                role: "user",
-                content: `Translate: "${inputText}"`
-              }
-            ],
-            temperature: 0.1,
-            max_tokens: dynamicMaxTokens,
-            stream: true
-          })
-        });
-
-        if (!streamResponse.ok) {
-          const errorText = await streamResponse.text();
-          throw new Error(`OpenAI API 오류: ${streamResponse.status} - ${errorText}`);
-        }
+        const chunks = [];
+        let final = null;
+        const userGlossary = await loadUserGlossary(userId, inputText, targetLang);
 
-        // SSE 형식으로 청크 수집 후 전송
-        const reader = streamResponse.body.getReader();
-        const decoder = new TextDecoder();
-        let fullContent = '';
-        let chunks = [];
-
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-
-          const chunk = decoder.decode(value, { stream: true });
-          const lines = chunk.split('\n').filter(line => line.trim() !== '');
-
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              const data = line.substring(6);
-              if (data === '[DONE]') continue;
-
-              try {
-                const parsed = JSON.parse(data);
-                const content = parsed.choices?.[0]?.delta?.content || '';
-                if (content) {
-                  fullContent += content;
-                  chunks.push(content);
-                }
-              } catch (e) {
-                // JSON 파싱 실패 시 무시
-              }
-            }
-          }
+        for await (const evt of streamTranslation(inputText, targetLang, { getPronunciation, pronunciationMode, apiKeys: userApiKeys, glossaryRules: userGlossary.rules, registerRules, dialect: dialectChoice.dialect })) {
+          if (evt.type === 'delta') chunks.push(evt.text);
+          else if (evt.type === 'done') final = evt;
         }
 
         console.log('[Streaming] 스트리밍 완료, 총 청크:', chunks.length);
 
-        // JSON 파싱 시도
-        let result = { translation: fullContent, pronunciation_hangul: '' };
-        try {
-          const jsonMatch = fullContent.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            result = {
-              translation: parsed.translation || fullContent,
-              pronunciation_hangul: parsed.pronunciation_hangul || ''
-            };
-          }
-        } catch (e) {
-          // JSON 파싱 실패 시 원본 텍스트 사용
-          result = { translation: fullContent.replace(/[{}"]/g, '').trim(), pronunciation_hangul: '' };
-        }
-
         // 사용량 추적
         if (userId) {
-          const estimatedCost = (inputText.length * 0.00000015) + (result.translation.length * 0.0000006);
-          await trackUsage(userId, 'translation', 1, estimatedCost, 'openai');
+          const cost = estimateCost(final.usedModel, inputText.length);
+          await trackUsage(userId, 'translation', inputText.length, cost, final.modelProvider);
         }
 
         return {
           statusCode: 200,
           headers: { ...commonHeaders, 'Content-Type': 'application/json' },
           body: JSON.stringify({
-            ...result,
+            translation: final.translation,
+            pronunciation_hangul: final.pronunciation_hangul,
+            pronunciation: final.pronunciation,
+            quality: final.quality,
             chunks: chunks,
-            usedModel: 'gpt-4o-mini',
-            modelProvider: 'openai',
+            usedModel: final.usedModel,
+            modelProvider: final.modelProvider,
+            usage: final.usage,
+            glossaryApplied: userGlossary.terms,
+            register: registerInfo,
+            dialect: dialectInfo,
             streamingUsed: true
           })
         };
@@ -924,11 +2993,12 @@ exports.handler = async function (event, context) {
         };
       }
 
-      // 🔧 개선: API 키 선택 로직 강화
-      const apiKeyToUse = userApiKeys?.openai || OPENAI_API_KEY;
-      const isUserKey = !!userApiKeys?.openai;
+      // 🔧 개선: 선택될 프로바이더 기준으로 API 키 확인 (로컬 사전 프로바이더는 키 불필요)
+      const { provider: keyProvider } = selectModel(model, { inputLength: inputText.length, apiKeys: userApiKeys });
+      const needsApiKey = keyProvider.capabilities.requiresApiKey;
+      const isUserKey = needsApiKey && keyProvider.resolveApiKey(userApiKeys) !== keyProvider.resolveApiKey({});
 
-      if (!apiKeyToUse) {
+      if (needsApiKey && !keyProvider.resolveApiKey(userApiKeys)) {
         return {
           statusCode: 500,
           headers: { ...commonHeaders, 'Content-Type': 'application/json' },
@@ -936,137 +3006,169 @@ exports.handler = async function (event, context) {
         };
       }
 
-      console.log(`[Translation] ${isUserKey ? '사용자' : '시스템'} API 키 사용, 모드: ${useAIContext ? 'AI' : '일반'}`);
+      console.log(`[Translation] ${needsApiKey ? `${isUserKey ? '사용자' : '시스템'} API 키 사용` : 'API 키 불필요'}, 모드: ${useAIContext ? 'AI' : '일반'}`);
+
+      // 🧩 HTML / Markdown: 구조 보존 번역
+      if (format === 'html' || format === 'markdown') {
+        if (inputText.length > MAX_DOCUMENT_CHARS) {
+          return {
+            statusCode: 400,
+            headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: `입력 길이 초과 (최대 ${MAX_DOCUMENT_CHARS}자)` })
+          };
+        }
+
+        try {
+          const markup = await translateMarkup(inputText, targetLang, format, {
+            apiKeys: userApiKeys,
+            model,
+            domainPack,
+            glossaryEntries: await listUserGlossary(userId, targetLang),
+            registerRules
+          });
+          console.log(`[Markup] ${format} 세그먼트 ${markup.segmentCount}개, 구조 일치: ${markup.structureValid}`);
+
+          if (userId && markup.translatedChars > 0) {
+            const cost = estimateCost(markup.usedModel, markup.translatedChars);
+            await trackUsage(userId, 'translation', markup.translatedChars, cost, markup.modelProvider);
+          }
+
+          const { translatedChars, ...response } = markup;
+          return {
+            statusCode: 200,
+            headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...response, pronunciation_hangul: '', register: registerInfo, dialect: dialectInfo, usedUserKey: isUserKey })
+          };
+        } catch (error) {
+          console.error('[Markup] 마크업 번역 오류:', error);
+          return {
+            statusCode: 500,
+            headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: `번역 실패: ${error.message}` })
+          };
+        }
+      }
 
       let result;
-      let usedModel = requestedModel;
-      let modelProvider = 'openai';
+      let tmMatches = [];
 
       // 📝 피드백 학습: 저장된 수정 사항 확인
+      // 일치율이 tmApplyMatch 이상이고 수치·품번이 같으면 교정 번역을 그대로 쓰고, 아니면 번역 결과에 제안으로 첨부
       if (userId) {
-        const feedbackResult = await getRelevantFeedback(inputText, targetLang, userId);
-        if (feedbackResult.success && feedbackResult.feedback) {
-          console.log(`[Feedback] ${feedbackResult.matchType === 'exact' ? '정확한' : '유사'} 피드백 적용`);
-
-          const chunks = splitIntoSentences(feedbackResult.feedback.corrected_translation);
+        const feedbackResult = await getRelevantFeedback(inputText, targetLang, userId, tmOptions);
+        tmMatches = feedbackResult.matches || [];
+        if (feedbackResult.success &&
+          canApplyMatch(inputText, feedbackResult.feedback.original_text, feedbackResult.matchScore, Number(tmApplyMatch))) {
+          console.log(`[Feedback] ${feedbackResult.matchType === 'exact' ? '정확한' : '유사'} 피드백 적용 (${feedbackResult.matchScore}%)`);
+
+          const chunks = splitIntoSentences(feedbackResult.feedback.corrected_translation, 200, targetLang);
+          const pronunciationHangul = getPronunciation ? pronunciationFor(feedbackResult.feedback.corrected_translation, targetLang, '', dialectChoice.dialect) : '';
           return {
             statusCode: 200,
             headers: { ...commonHeaders, 'Content-Type': 'application/json' },
             body: JSON.stringify({
               translation: feedbackResult.feedback.corrected_translation,
-              pronunciation_hangul: '',
+              pronunciation_hangul: pronunciationHangul,
+              pronunciation: buildPronunciation(feedbackResult.feedback.corrected_translation, targetLang, { mode: pronunciationMode, hangul: pronunciationHangul }),
               chunks: chunks,
               usedUserKey: isUserKey,
               usedModel: 'feedback',
               modelProvider: 'user-feedback',
               feedbackApplied: true,
-              feedbackMatchType: feedbackResult.matchType
+              feedbackMatchType: feedbackResult.matchType,
+              feedbackMatchScore: feedbackResult.matchScore,
+              tmMatches,
+              register: registerInfo,
+              dialect: dialectInfo,
+              preservationIssues: checkPreservation(inputText, feedbackResult.feedback.corrected_translation)
             })
           };
         }
       }
 
       try {
-        // 🤖 모델 자동 선택 (하이브리드 모드)
-        if (requestedModel === 'auto') {
-          const charCount = inputText.length;
-          if (charCount < 100 && GEMINI_API_KEY) {
-            usedModel = 'gemini-1.5-flash';
-          } else if (charCount < 500) {
-            usedModel = 'gpt-4o-mini';
-          } else {
-            usedModel = 'gpt-4o';
-          }
-          console.log(`[Model] 자동 선택: ${usedModel} (텍스트 길이: ${charCount}자)`);
-        }
-
-        // 🔵 Gemini 모델 사용 (타임아웃 적용)
-        if (usedModel === 'gemini-1.5-flash' || usedModel === 'gemini-2.0-flash-001' || usedModel === 'gemini-2.0-flash') {
-          modelProvider = 'google';
-          const geminiApiKey = userApiKeys?.google || GEMINI_API_KEY;
-
-          if (!geminiApiKey) {
-            console.log('[Model] Gemini API 키 없음, GPT로 대체');
-            usedModel = 'gpt-4o-mini';
-            modelProvider = 'openai';
-          } else {
-            try {
-              console.log('[Translation] Gemini 번역 모드:', usedModel);
-              const sourceLanguage = detectSourceLanguage(inputText);
-
-              // 🚀 최적화: 타임아웃 적용 (5초 초과 시 GPT 폴백)
-              result = await withTimeout(
-                translateWithGemini(inputText, sourceLanguage, targetLang, getPronunciation, geminiApiKey),
-                GEMINI_TIMEOUT_MS,
-                async () => {
-                  console.log('[Fallback] Gemini 타임아웃, GPT-4o-mini로 폴백');
-                  usedModel = 'gpt-4o-mini';
-                  modelProvider = 'openai';
-                  return null; // GPT 폴백 트리거
-                }
-              );
-            } catch (geminiError) {
-              console.log('[Model] Gemini 오류, GPT로 대체:', geminiError.message);
-              usedModel = 'gpt-4o-mini';
-              modelProvider = 'openai';
-              result = null; // GPT 폴백 트리거
-            }
-          }
+        // 🤖 모델 선택 (auto / 레거시 모델명 / API 키 유무는 레지스트리에서 처리)
+        const selection = selectModel(model, { inputLength: inputText.length, apiKeys: userApiKeys });
+
+        // 🏭 분야 팩 모드: 분야 프롬프트 추가
+        const packPrompt = domainPackPrompt(domainPack);
+        let enhancedPrompt = contextualPrompt || '';
+        if (packPrompt) {
+          enhancedPrompt = packPrompt + '\n\n' + enhancedPrompt;
+          console.log(`[Translation] 분야 팩 활성화: ${domainPack.id}`);
         }
 
-        // 🟢 OpenAI 모델 사용 (Gemini 미사용 또는 대체 시)
-        if (!result) {
-          modelProvider = 'openai';
-
-          // 🏭 제조 자동화 모드: 도메인 프롬프트 추가
-          let enhancedPrompt = contextualPrompt || '';
-          if (domain === 'manufacturing' && domainPrompts.manufacturing) {
-            enhancedPrompt = domainPrompts.manufacturing + '\n\n' + enhancedPrompt;
-            console.log('[Translation] 제조 자동화 전문 모드 활성화');
-          }
+        // 📖 사용자 용어집: 입력에 등장하는 용어만 프롬프트에 추가
+        const userGlossary = await loadUserGlossary(userId, inputText, targetLang);
+
+        // glossaryRules: 사용자 용어집 규칙 (+ 재번역 시 교정 지시)
+        const translateOnce = async (glossaryRules) => {
+          // AI 문맥 모드는 auto일 때 품질 레벨 기준 모델을 사용
+          const providerOptions = {
+            apiKeys: userApiKeys,
+            model: model === 'auto' ? 'auto' : selection.model,
+            glossaryRules,
+            registerRules,
+            dialect: dialectChoice.dialect,
+            dictionary: domainPack.glossary
+          };
 
           if (useAIContext && enhancedPrompt) {
             console.log('[Translation] AI 문맥 번역 모드, 품질 레벨:', qualityLevel);
-            result = await translateWithAIContext(
-              inputText,
-              targetLang,
-              enhancedPrompt,
-              qualityLevel,
-              getPronunciation,
-              apiKeyToUse
-            );
-          } else if (domain === 'manufacturing') {
-            // 일반 번역이지만 제조 모드일 때
-            console.log('[Translation] 제조 자동화 일반 번역 모드');
-            result = await translateWithAIContext(
-              inputText,
-              targetLang,
-              domainPrompts.manufacturing,
-              qualityLevel,
-              getPronunciation,
-              apiKeyToUse
-            );
-          } else {
-            console.log('[Translation] 일반 번역 모드');
-            result = await translateAndPronounceSingleCall(inputText, targetLang, getPronunciation, apiKeyToUse);
+            return translateWithAIContext(inputText, targetLang, enhancedPrompt, qualityLevel, getPronunciation, providerOptions);
+          }
+          if (packPrompt) {
+            // 일반 번역이지만 분야 팩을 지정했을 때
+            console.log(`[Translation] 분야 팩 일반 번역 모드: ${domainPack.id}`);
+            return translateWithAIContext(inputText, targetLang, packPrompt, qualityLevel, getPronunciation, providerOptions);
           }
+          console.log('[Translation] 일반 번역 모드:', selection.model);
+          return translateAndPronounceSingleCall(inputText, targetLang, getPronunciation, {
+            apiKeys: userApiKeys,
+            model: selection.model,
+            glossaryRules,
+            registerRules,
+            dialect: dialectChoice.dialect,
+            dictionary: domainPack.glossary
+          });
+        };
 
-          // 🏭 제조 용어 후처리 적용
-          if (domain === 'manufacturing' && result && result.translation) {
-            result.translation = applyDomainTerminology(result.translation, domain, targetLang);
+        result = { ...await translateOnce(userGlossary.rules) };
+        let attempts = 1;
+
+        // 📏 용어 준수 검사 (번역문을 고쳐 쓰지 않고 위반 여부만 보고)
+        const terminologyEntries = [
+          ...userGlossary.matches,
+          ...domainGlossaryEntries(domainPack, detectSourceLanguage(inputText), targetLang)
+        ];
+        let terminologyReport = checkTerminology(inputText, result.translation, terminologyEntries);
+
+        if (!terminologyReport.compliant && strictTerminology) {
+          console.log(`[Terminology] 용어 위반 ${terminologyViolations(terminologyReport)}건 - 교정 재번역`);
+          const retry = { ...await translateOnce(userGlossary.rules + buildTerminologyCorrection(terminologyReport, result.translation)) };
+          const retryReport = checkTerminology(inputText, retry.translation, terminologyEntries);
+          attempts++;
+
+          if (terminologyViolations(retryReport) <= terminologyViolations(terminologyReport)) {
+            result = retry;
+            terminologyReport = retryReport;
           }
+          terminologyReport = { ...terminologyReport, retried: true };
         }
 
+        // 캐시 적중 시에는 모델 정보가 없으므로 선택된 모델로 표시
+        const usedModel = result.usedModel || selection.model;
+        const modelProvider = result.modelProvider || selection.provider.id;
+
         // 🔧 개선: 사용량 추적 강화 (모델별 비용 계산)
         if (userId) {
-          const costPerChar = modelProvider === 'google' ? 0.000005 : 0.000015;
-          const cost = inputText.length * costPerChar;
-          await trackUsage(userId, 'translation', inputText.length, cost, modelProvider);
-          console.log(`[Usage] ${modelProvider} 사용량: ${inputText.length}자, 비용: $${cost.toFixed(6)}`);
+          const cost = estimateCost(usedModel, inputText.length * attempts);
+          await trackUsage(userId, 'translation', inputText.length * attempts, cost, modelProvider);
+          console.log(`[Usage] ${modelProvider} 사용량: ${inputText.length * attempts}자, 비용: $${cost.toFixed(6)}`);
         }
 
         // 문장 분할 추가
-        const chunks = splitIntoSentences(result.translation);
+        const chunks = splitIntoSentences(result.translation, 200, targetLang);
         result.chunks = chunks;
 
         // AI 모드 표시를 위한 플래그 추가
@@ -1079,6 +3181,86 @@ exports.handler = async function (event, context) {
         result.usedUserKey = isUserKey;
         result.usedModel = usedModel;
         result.modelProvider = modelProvider;
+        result.pronunciation = buildPronunciation(result.translation, targetLang, { mode: pronunciationMode, hangul: result.pronunciation_hangul });
+        result.register = registerInfo;
+        result.dialect = dialectInfo;
+
+        // 🔎 바로 적용하지 않은 TM 일치 항목은 제안으로 전달
+        if (tmMatches.length > 0) {
+          result.tmMatches = tmMatches;
+        }
+        if (userGlossary.terms.length > 0) {
+          result.glossaryApplied = userGlossary.terms;
+        }
+        if (terminologyReport.matched.length + terminologyViolations(terminologyReport) > 0) {
+          result.terminologyReport = terminologyReport;
+        }
+
+        // 🔢 숫자 / 측정값 / 품번 / URL이 그대로 옮겨졌는지 검사 (작업 지시서 안전 확인용)
+        result.preservationIssues = checkPreservation(inputText, result.translation);
+        if (result.preservationIssues.length > 0) {
+          console.log(`[Preservation] 보존 문제 ${result.preservationIssues.length}건`);
+        }
+
+        // 📊 품질 추정 (응답 복구 기록은 점수에만 반영하고 응답에서는 뺀다)
+        const { repairs = [] } = result;
+        delete result.repairs;
+        result.quality = estimateQuality({
+          source: inputText,
+          translation: result.translation,
+          targetLang,
+          terminologyReport,
+          preservationIssues: result.preservationIssues,
+          repairs
+        });
+        if (result.quality.level !== 'good') {
+          console.log(`[Quality] 품질 점수 ${result.quality.score} (${result.quality.flags.map(flag => flag.type).join(', ')})`);
+        }
+
+        // 🎭 어조별 후보 (실패해도 기본 번역은 그대로 돌려준다)
+        if (wantsCandidates) {
+          try {
+            const variantResult = await translateVariants(inputText, targetLang, {
+              variants: [...new Set(variants)],
+              alternatives,
+              getPronunciation,
+              apiKeys: userApiKeys,
+              model: selection.model,
+              glossaryRules: userGlossary.rules,
+              registerRules: registerPrompt(registerChoice, targetLang, { includeRegister: false }) + dialectRules,
+              dialect: dialectChoice.dialect,
+              dictionary: domainPack.glossary,
+              domainPack
+            });
+            result.candidates = variantResult.candidates;
+            if (userId && variantResult.translatedChars > 0) {
+              const cost = estimateCost(variantResult.usedModel, variantResult.translatedChars);
+              await trackUsage(userId, 'translation', variantResult.translatedChars, cost, variantResult.modelProvider);
+            }
+          } catch (error) {
+            console.error('[Variants] 어조별 후보 번역 오류:', error.message);
+            result.candidatesError = `어조별 후보 번역 실패: ${error.message}`;
+          }
+        }
+
+        // 🔁 역번역 검증 (실패해도 번역 결과는 그대로 돌려준다)
+        if (backTranslate) {
+          try {
+            result.verification = await verifyTranslation(inputText, result.translation, {
+              sourceLang: detectSourceLanguage(inputText),
+              targetLang,
+              model: usedModel,
+              apiKeys: userApiKeys
+            });
+            if (userId) {
+              const cost = estimateCost(result.verification.usedModel, result.translation.length);
+              await trackUsage(userId, 'translation', result.translation.length, cost, result.verification.modelProvider);
+            }
+          } catch (error) {
+            console.error('[Verify] 역번역 검증 오류:', error.message);
+            result.verification = { error: `역번역 검증 실패: ${error.message}` };
+          }
+        }
 
         return {
           statusCode: 200,
@@ -1116,35 +3298,35 @@ exports.handler = async function (event, context) {
 
       let audioBuffer;
 
+      // Google TTS 언어 코드 / 음성 (지원하지 않는 언어는 null → OpenAI TTS)
+      const googleVoice = googleVoiceFor(language, voiceName || null, dialectChoice.dialect);
+
       console.log('[Speak] 요청 받음:', {
         language,
         voice,
         voiceName,
         useGoogleTTS,
+        googleVoice: googleVoice ? googleVoice.voiceName : null,
         textLength: inputText.length,
         usingUserKey: isUserKey
       });
 
       try {
         // TTS 엔진 선택 로직
-        if (useGoogleTTS === true) {
-          console.log('[Speak] Google TTS 선택 (명시적)');
+        if (useGoogleTTS === true && !googleVoice) {
+          console.log(`[Speak] Google TTS 미지원 언어(${language}), OpenAI TTS 사용`);
+          audioBuffer = await getOpenAITTS(inputText, voice || 'nova', ttsApiKey);
 
-          let languageCode = 'vi-VN';
-          if (language === 'Korean') {
-            languageCode = 'ko-KR';
-          } else if (language === 'English') {
-            languageCode = 'en-US';
-          } else if (language === 'Vietnamese') {
-            languageCode = 'vi-VN';
-          }
+        } else if (useGoogleTTS === true) {
+          console.log('[Speak] Google TTS 선택 (명시적)');
 
           try {
             audioBuffer = await getGoogleTTS(
               inputText,
-              languageCode,
-              voiceName || null,
-              1.0
+              googleVoice.languageCode,
+              googleVoice.voiceName,
+              1.0,
+              dialectChoice.dialect
             );
             console.log('[Speak] Google TTS 성공');
           } catch (e) {
@@ -1167,13 +3349,10 @@ exports.handler = async function (event, context) {
             }
           } catch (e) {
             console.error('[Speak] OpenAI TTS 실패:', e.message);
-
-            let languageCode = 'vi-VN';
-            if (language === 'Korean') languageCode = 'ko-KR';
-            else if (language === 'English') languageCode = 'en-US';
+            if (!googleVoice) throw new Error('모든 TTS 엔진 실패');
 
             try {
-              audioBuffer = await getGoogleTTS(inputText, languageCode, voiceName, 1.0);
+              audioBuffer = await getGoogleTTS(inputText, googleVoice.languageCode, googleVoice.voiceName, 1.0, dialectChoice.dialect);
               console.log('[Speak] Google TTS 폴백 성공');
             } catch (fallbackErr) {
               throw new Error('모든 TTS 엔진 실패');
@@ -1183,12 +3362,8 @@ exports.handler = async function (event, context) {
         } else {
           console.log('[Speak] TTS 자동 선택 모드');
 
-          if (inputText.length < 50) {
-            let languageCode = 'vi-VN';
-            if (language === 'Korean') languageCode = 'ko-KR';
-            else if (language === 'English') languageCode = 'en-US';
-
-            audioBuffer = await getGoogleTTS(inputText, languageCode, voiceName, 1.0);
+          if (inputText.length < 50 && googleVoice) {
+            audioBuffer = await getGoogleTTS(inputText, googleVoice.languageCode, googleVoice.voiceName, 1.0, dialectChoice.dialect);
           } else {
             audioBuffer = await getOpenAITTS(inputText, voice || 'nova', ttsApiKey);
 
@@ -1237,7 +3412,7 @@ exports.handler = async function (event, context) {
         };
       }
 
-      const chunks = splitIntoSentences(inputText);
+      const chunks = splitIntoSentences(inputText, 200, language);
       const idx = parseInt(chunkIndex || 0);
 
       if (idx >= chunks.length) {
@@ -1249,19 +3424,17 @@ exports.handler = async function (event, context) {
       }
 
       const chunkText = chunks[idx];
+      const googleVoice = googleVoiceFor(language, voiceName || null, dialectChoice.dialect);
       let audioBuffer;
 
-      if (useGoogleTTS === true) {
-        let languageCode = 'vi-VN';
-        if (language === 'Korean') languageCode = 'ko-KR';
-        else if (language === 'English') languageCode = 'en-US';
-
+      if (useGoogleTTS === true && googleVoice) {
         try {
           audioBuffer = await getGoogleTTS(
             chunkText,
-            languageCode,
-            voiceName || null,
-            1.0
+            googleVoice.languageCode,
+            googleVoice.voiceName,
+            1.0,
+            dialectChoice.dialect
           );
         } catch (e) {
           return {
@@ -1307,4 +3480,9 @@ exports.handler = async function (event, context) {
       }),
     };
   }
-};
\ No newline at end of file
+};
+
+// 스트리밍 함수(translate-stream.js)와 공유하는 헬퍼
+exports.authenticateRequest = authenticateRequest;
+exports.streamTranslation = streamTranslation;
+exports.loadUserGlossary = loadUserGlossary;
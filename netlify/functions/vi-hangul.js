@@ -0,0 +1,214 @@
+// vi-hangul.js - 베트남어 → 한글 발음 표기 (규칙 기반, 오프라인)
+// 음절을 초성 / (w 활음) / 모음 / 종성 / 성조로 나눠 국립국어원 베트남어 표기법에 가깝게 한글로 옮기고,
+// 성조는 음절 뒤에 기호로 표시한다. 같은 입력은 항상 같은 표기가 나온다.
+// 베트남어 음절로 읽을 수 없는 토큰(영어 약어, 품번, 숫자)은 그대로 둔다.
+// dialect를 주면 북부(하노이) / 남부(호찌민) 발음 차이를 반영한다.
+
+const CHOSEONG = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ';
+const JUNGSEONG = 'ㅏㅐㅑㅒㅓㅔㅕㅖㅗㅘㅙㅚㅛㅜㅝㅞㅟㅠㅡㅢㅣ';
+const JONGSEONG = ['', 'ㄱ', 'ㄲ', 'ㄳ', 'ㄴ', 'ㄵ', 'ㄶ', 'ㄷ', 'ㄹ', 'ㄺ', 'ㄻ', 'ㄼ', 'ㄽ', 'ㄾ', 'ㄿ', 'ㅀ', 'ㅁ', 'ㅂ', 'ㅄ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+
+// 초성 (긴 철자 우선). ng / nh / gi / qu 는 뒤에서 따로 처리
+const INITIALS = [
+  ['ngh', 'ng'], ['ng', 'ng'], ['nh', 'nh'], ['gi', 'gi'], ['qu', 'qu'],
+  ['ch', 'ㅉ'], ['gh', 'ㄱ'], ['kh', 'ㅋ'], ['ph', 'ㅍ'], ['th', 'ㅌ'], ['tr', 'ㅉ'],
+  ['b', 'ㅂ'], ['c', 'ㄲ'], ['d', 'ㅈ'], ['đ', 'ㄷ'], ['g', 'ㄱ'], ['h', 'ㅎ'], ['k', 'ㄲ'],
+  ['l', 'ㄹ'], ['m', 'ㅁ'], ['n', 'ㄴ'], ['p', 'ㅃ'], ['r', 'ㄹ'], ['s', 'ㅅ'], ['t', 'ㄸ'],
+  ['v', 'ㅂ'], ['x', 'ㅆ']
+];
+
+// 종성 (긴 철자 우선): c / ch → ㄱ, t → ㅅ, nh → ㄴ
+const FINALS = [['ng', 'ㅇ'], ['nh', 'ㄴ'], ['ch', 'ㄱ'], ['c', 'ㄱ'], ['m', 'ㅁ'], ['n', 'ㄴ'], ['p', 'ㅂ'], ['t', 'ㅅ']];
+
+const VOWELS = { a: 'ㅏ', ă: 'ㅏ', â: 'ㅓ', e: 'ㅐ', ê: 'ㅔ', i: 'ㅣ', y: 'ㅣ', o: 'ㅗ', ô: 'ㅗ', ơ: 'ㅓ', u: 'ㅜ', ư: 'ㅡ' };
+// w 활음(qu-, oa, oe, uê, uy, uơ)이 붙은 모음
+const W_VOWELS = { a: 'ㅘ', ă: 'ㅘ', â: 'ㅝ', e: 'ㅙ', ê: 'ㅞ', i: 'ㅟ', y: 'ㅟ', ơ: 'ㅝ' };
+// nh 초성 뒤 y 활음 모음 (nhà → 냐, nhân → 년)
+const Y_VOWELS = { a: 'ㅑ', ă: 'ㅑ', â: 'ㅕ', e: 'ㅒ', ê: 'ㅖ', o: 'ㅛ', ô: 'ㅛ', ơ: 'ㅕ', u: 'ㅠ', i: 'ㅣ', y: 'ㅣ' };
+
+// 성조 결합 부호 → 표시 기호 (평성 ngang은 표시 없음)
+const TONES = {
+  '\u0301': { name: 'sắc', mark: '↗' },
+  '\u0300': { name: 'huyền', mark: '↘' },
+  '\u0309': { name: 'hỏi', mark: '↘↗' },
+  '\u0303': { name: 'ngã', mark: '~' },
+  '\u0323': { name: 'nặng', mark: '↓' }
+};
+const TONE_REGEX = /[\u0300\u0301\u0303\u0309\u0323]/g;
+
+// 방언별 발음 규칙 (지정하지 않으면 표기법 기준: r → ㄹ, v → ㅂ)
+//   initials: 초성 철자 → 한글 ('y' / 'w'는 초성 없이 활음만)
+//   finals: 종성 철자 → 한글 (keepAfter 모음 뒤에서는 바꾸지 않음)
+//   plainAnh: anh / ach 를 아인 / 아익 대신 안 / 앗으로, dropHBeforeW: hoa → 와
+//   tones: 성조 부호 → 같은 소리로 합쳐지는 성조 부호
+const DIALECTS = {
+  // 하노이: r / d / gi 는 모두 [z] (rồi → 조이)
+  'vi-north': {
+    initials: { r: 'ㅈ' }
+  },
+  // 호찌민: v / d / gi 는 [j] (vui → 유이, dạ → 야), qu 는 [w] (quá → 와),
+  // 종성 n / t 는 ng / c (bạn → 방, mặt → 막), nh / ch 는 n / t (thành → 탄), ngã 성조는 hỏi와 같다
+  'vi-south': {
+    initials: { v: 'y', d: 'y', gi: 'y', qu: 'w' },
+    finals: { n: 'ㅇ', t: 'ㄱ', ch: 'ㅅ' },
+    keepAfter: ['i', 'ê'],
+    plainAnh: true,
+    dropHBeforeW: true,
+    tones: { '\u0303': '\u0309' }
+  }
+};
+const SYLLABLE_REGEX = /^[a-zđăâêôơư]+$/;
+const VOWEL_REGEX = /^[aăâeêioôơuưy]+$/;
+
+function composeSyllable(choseong, jungseong, jongseong = '') {
+  return String.fromCharCode(
+    0xAC00 + (CHOSEONG.indexOf(choseong) * 21 + JUNGSEONG.indexOf(jungseong)) * 28 + JONGSEONG.indexOf(jongseong)
+  );
+}
+
+// 모음 철자 → 한글 모음 목록 (모음 하나가 한글 음절 하나)
+function nucleusVowels(nucleus, { wGlide, yGlide }) {
+  const vowels = [];
+  let rest = nucleus;
+
+  if (wGlide) {
+    // uyê (Nguyễn → 응우옌, quyết → 꾸옛)
+    if (rest.startsWith('yê')) {
+      vowels.push('ㅜ', 'ㅖ');
+      rest = rest.slice(2);
+    } else if (W_VOWELS[rest[0]]) {
+      vowels.push(W_VOWELS[rest[0]]);
+      rest = rest.slice(1);
+    } else {
+      vowels.push('ㅜ');
+    }
+  } else if (yGlide) {
+    if (Y_VOWELS[rest[0]]) {
+      vowels.push(Y_VOWELS[rest[0]]);
+      rest = rest.slice(1);
+    } else {
+      vowels.push('ㅣ'); // như → 니으
+    }
+  }
+
+  const offset = nucleus.length - rest.length;
+  [...rest].forEach((letter, i) => {
+    const previous = nucleus[offset + i - 1];
+    // ia / ua / ưa 의 a는 약하게 발음되어 ㅓ로 적는다 (mua → 무어)
+    vowels.push(letter === 'a' && ['i', 'y', 'u', 'ư'].includes(previous) ? 'ㅓ' : VOWELS[letter]);
+  });
+  return vowels;
+}
+
+/**
+ * 베트남어 음절 하나 → { hangul, tone } (베트남어 음절이 아니면 null)
+ */
+function transliterateSyllable(word, dialect = null) {
+  const rules = DIALECTS[dialect] || {};
+  const decomposed = word.normalize('NFD').toLowerCase();
+  const toneMarks = decomposed.match(TONE_REGEX) || [];
+  if (toneMarks.length > 1) return null;
+
+  const base = decomposed.replace(TONE_REGEX, '').normalize('NFC');
+  if (!SYLLABLE_REGEX.test(base)) return null;
+
+  // 초성
+  let initial = 'ㅇ';
+  let rest = base;
+  // gi 는 단독 음절(gì → 지)도 초성으로 본다
+  const found = INITIALS.find(([spelling]) => base.startsWith(spelling) && (base.length > spelling.length || spelling === 'gi'));
+  if (found) {
+    initial = (rules.initials && rules.initials[found[0]]) || found[1];
+    rest = base.slice(found[0].length);
+    if (found[0] === 'gi' && initial === 'y' && !/^[aăâeêoôơuưy]/.test(rest)) rest = `i${rest}`;
+  }
+
+  let wGlide = false;
+  let yGlide = false;
+  const prefix = [];
+  if (initial === 'gi') {
+    initial = 'ㅈ';
+    // gì, gìn 처럼 gi 뒤에 모음이 없으면 i가 모음
+    if (!/^[aăâeêoôơuưy]/.test(rest)) rest = `i${rest}`;
+  } else if (initial === 'qu') {
+    initial = 'ㄲ';
+    wGlide = true;
+  } else if (initial === 'ng') {
+    initial = 'ㅇ';
+    prefix.push(composeSyllable('ㅇ', 'ㅡ', 'ㅇ')); // Nguyễn → 응우옌, ngày → 응아이
+  } else if (initial === 'nh') {
+    initial = 'ㄴ';
+    yGlide = true;
+  } else if (initial === 'y' || initial === 'w') {
+    yGlide = initial === 'y';
+    wGlide = initial === 'w';
+    initial = 'ㅇ';
+  }
+
+  // 종성
+  let final = '';
+  let nucleus = rest;
+  const finalFound = FINALS.find(([spelling]) => rest.endsWith(spelling) && rest.length > spelling.length);
+  if (finalFound) {
+    final = finalFound[1];
+    nucleus = rest.slice(0, -finalFound[0].length);
+    const override = rules.finals && rules.finals[finalFound[0]];
+    if (override && !(rules.keepAfter || []).includes(nucleus)) final = override;
+  }
+  if (!nucleus || !VOWEL_REGEX.test(nucleus)) return null;
+
+  // oa / oă / oe / uâ / uê / uy / uơ 는 w 활음
+  if (!wGlide && (/^o[aăe]/.test(nucleus) || /^u[âêyơ]/.test(nucleus))) {
+    wGlide = true;
+    nucleus = nucleus.slice(1);
+    if (rules.dropHBeforeW && initial === 'ㅎ') initial = 'ㅇ';
+  }
+
+  const vowels = nucleusVowels(nucleus, { wGlide, yGlide: yGlide && !wGlide });
+  // anh / ach 는 아인 / 아익 (thanh → 타인, sách → 사익)
+  if (!rules.plainAnh && (final === 'ㄴ' || final === 'ㄱ') && /(^|[^aăâ])a$/.test(nucleus) && /(nh|ch)$/.test(rest)) {
+    vowels.push('ㅣ');
+  }
+
+  const syllables = vowels.map((vowel, i) => composeSyllable(
+    i === 0 ? initial : 'ㅇ',
+    vowel,
+    i === vowels.length - 1 ? final : ''
+  ));
+
+  const toneMark = toneMarks.length > 0 ? ((rules.tones && rules.tones[toneMarks[0]]) || toneMarks[0]) : null;
+  return {
+    hangul: prefix.concat(syllables).join(''),
+    tone: toneMark ? TONES[toneMark] : null
+  };
+}
+
+/**
+ * 베트남어 텍스트 → { text, coverage }
+ * coverage: 글자 토큰 중 베트남어 음절로 변환한 비율 (0~1). 낮으면 외래어·약어가 많은 문장
+ * options.toneMarks: 음절 뒤 성조 기호 표시 (기본 true)
+ * options.dialect: 'vi-north' / 'vi-south' (없으면 표기법 기준)
+ */
+function transliterateVietnamese(text, { toneMarks = true, dialect = null } = {}) {
+  let converted = 0;
+  let skipped = 0;
+
+  const result = (text || '').normalize('NFC').replace(/[\p{L}\p{M}]+/gu, (word) => {
+    const syllable = transliterateSyllable(word, dialect);
+    if (!syllable) {
+      skipped++;
+      return word;
+    }
+    converted++;
+    return syllable.hangul + (toneMarks && syllable.tone ? syllable.tone.mark : '');
+  });
+
+  const total = converted + skipped;
+  return { text: result, coverage: total === 0 ? 0 : converted / total };
+}
+
+module.exports = {
+  TONES,
+  DIALECTS,
+  transliterateVietnamese
+};
@@ -0,0 +1,8 @@
+-- TM 퍼지 매칭 색인 (netlify/functions/tm-match.js)
+-- 저장 / 가져오기 시 원문 색인 키(단어 토큰 + 문자 n-gram)를 함께 기록하고, 조회 시 키가 겹치는 후보만 가져온다.
+-- 적용 후 예전 피드백은 tm-reindex 액션으로 색인을 채운다.
+
+alter table translation_feedback add column if not exists match_index text[];
+
+create index if not exists translation_feedback_match_index_idx
+  on translation_feedback using gin (match_index);
@@ -0,0 +1,18 @@
+-- 사용자 용어집 (netlify/functions/glossary.js, database.js)
+-- source_lang / target_lang에는 언어 이름(Korean, Vietnamese, English)을 저장한다.
+
+create table if not exists user_glossaries (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  source_lang text not null,
+  target_lang text not null,
+  source_term text not null,
+  target_term text not null,
+  case_sensitive boolean not null default false,
+  do_not_translate boolean not null default false,
+  part_of_speech text,
+  note text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, source_lang, target_lang, source_term)
+);
@@ -0,0 +1,14 @@
+-- 분야 팩 (netlify/functions/domain-packs.js, database.js)
+-- 파일로 배포하는 기본 팩(netlify/functions/domains/*.yaml) 외에 DB에서 팩을 추가하거나 같은 id로 덮어쓴다.
+
+create table if not exists domain_packs (
+  id text primary key,            -- 요청의 domain 값 (예: quality-audit)
+  name text not null,
+  description text,
+  system_prompt text not null default '',
+  glossary jsonb not null default '{}'::jsonb,   -- { "영어 용어": { "ko": "...", "vi": "..." } }
+  style_rules jsonb not null default '[]'::jsonb,
+  preferred_model text,
+  enabled boolean not null default true,
+  updated_at timestamptz not null default now()
+);
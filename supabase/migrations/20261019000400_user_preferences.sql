@@ -0,0 +1,9 @@
+-- 사용자 번역 설정 (netlify/functions/database.js, dialects.js)
+-- 근무 사이트와 베트남어 방언. 방언이 없으면 사이트 기본값을 쓴다.
+
+create table if not exists user_preferences (
+  user_id uuid primary key,
+  site text,                       -- dialects.js의 사이트 id (방언 기본값)
+  vi_dialect text,                 -- vi-north / vi-south (없으면 사이트 기본값)
+  updated_at timestamptz not null default now()
+);
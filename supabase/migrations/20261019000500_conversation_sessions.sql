@@ -0,0 +1,29 @@
+-- 대화 세션 / 발화 기록 (netlify/functions/conversation.js, database.js)
+-- 대화 모드 통역 기록. 최근 발화를 다음 번역의 문맥으로 쓴다.
+
+create table if not exists conversation_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid,                    -- 게스트 세션은 null (세션 id를 아는 사람만 접근)
+  title text,
+  speakers jsonb not null,         -- [{ "id": "A", "name": "...", "language": "Korean" }, { "id": "B", ... }]
+  context_turns integer not null default 6,
+  domain text not null default 'general',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists conversation_turns (
+  id uuid primary key default gen_random_uuid(),
+  session_id uuid not null references conversation_sessions(id) on delete cascade,
+  turn_index integer not null,
+  speaker text not null,
+  source_lang text not null,
+  target_lang text not null,
+  original_text text not null,
+  translation text not null,
+  pronunciation_hangul text,
+  used_model text,
+  model_provider text,
+  created_at timestamptz not null default now(),
+  unique (session_id, turn_index)
+);
@@ -0,0 +1,4 @@
+-- 대화 세션 회의록 (netlify/functions/meeting-minutes.js, database.js)
+-- 세션마다 마지막으로 생성한 회의록 하나만 보관한다 (meeting-minutes.js 형태).
+
+alter table conversation_sessions add column if not exists minutes jsonb;